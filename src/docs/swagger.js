@@ -1,28 +1,126 @@
 // src/docs/swagger.js
+const path = require('path');
 const swaggerJSDoc = require('swagger-jsdoc');
+const i18n = require('../services/i18n');
 
 const options = {
     definition: {
         openapi: '3.0.3',
         info: {
             title: 'CentralCompras API',
-            version: '1.0.0',
-            description: 'API documentada com OpenAPI 3.0',
+            version: '1.0.0'
         },
         servers: [
             { url: 'http://localhost:8080', description: 'Local' }
         ],
+        security: [{ bearerAuth: [] }],
         components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                }
+            },
+            parameters: {
+                Cascade: {
+                    in: 'query',
+                    name: 'cascade',
+                    schema: { type: 'boolean' },
+                },
+                IncludeDeleted: {
+                    in: 'query',
+                    name: 'include_deleted',
+                    schema: { type: 'boolean' },
+                },
+                Format: {
+                    in: 'query',
+                    name: 'format',
+                    schema: { type: 'string', enum: ['csv', 'xlsx', 'pdf'] },
+                },
+                ReportDateFrom: {
+                    in: 'query',
+                    name: 'date_from',
+                    schema: { type: 'string', format: 'date-time' },
+                },
+                ReportDateTo: {
+                    in: 'query',
+                    name: 'date_to',
+                    schema: { type: 'string', format: 'date-time' },
+                },
+                ReportStore: {
+                    in: 'query',
+                    name: 'store_id',
+                    schema: { type: 'string' }
+                },
+                ReportSupplier: {
+                    in: 'query',
+                    name: 'supplier_id',
+                    schema: { type: 'string' },
+                },
+                ReportStatus: {
+                    in: 'query',
+                    name: 'status',
+                    schema: { type: 'string', enum: ['Pending', 'Approved', 'Shipped', 'Delivered', 'Cancelled'] },
+                },
+                Page: {
+                    in: 'query',
+                    name: 'page',
+                    schema: { type: 'integer', minimum: 1, default: 1 },
+                },
+                Limit: {
+                    in: 'query',
+                    name: 'limit',
+                    schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+                },
+                Sort: {
+                    in: 'query',
+                    name: 'sort',
+                    schema: { type: 'string' },
+                    example: '-date,store_id',
+                },
+                Fields: {
+                    in: 'query',
+                    name: 'fields',
+                    schema: { type: 'string' },
+                    example: 'id,total_amount,status',
+                }
+            },
             schemas: {
+                Page: {
+                    type: 'object',
+                    properties: {
+                        total: { type: 'integer' },
+                        page: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        pages: { type: 'integer' },
+                        links: {
+                            type: 'object',
+                            properties: {
+                                self: { type: 'string' },
+                                first: { type: 'string' },
+                                prev: { type: 'string', nullable: true },
+                                next: { type: 'string', nullable: true },
+                                last: { type: 'string' }
+                            }
+                        }
+                    }
+                },
                 User: {
                     type: 'object',
                     properties: {
                         id: { type: 'string', format: 'uuid' },
+                        deleted_at: { type: 'string', nullable: true },
                         name: { type: 'string' },
                         contact_email: { type: 'string', format: 'email' },
                         user: { type: 'string' },
-                        level: { type: 'string', enum: ['admin', 'user'] },
-                        status: { type: 'string', enum: ['on', 'off'] }
+                        level: { type: 'string', enum: ['admin', 'user', 'store_operator', 'supplier_rep'] },
+                        store_ids: { type: 'array', items: { type: 'string' } },
+                        supplier_id: { type: 'string', nullable: true },
+                        status: { type: 'string', enum: ['on', 'off'] },
+                        failed_logins: { type: 'integer' },
+                        locked_until: { type: 'string', nullable: true },
+                        totp_enabled: { type: 'boolean' }
                     },
                     required: ['id', 'name', 'contact_email', 'user', 'level', 'status'],
                     example: {
@@ -31,6 +129,8 @@ const options = {
                         contact_email: 'maria.oliveira@unesc.net',
                         user: 'mariaoliveira',
                         level: 'user',
+                        store_ids: [],
+                        supplier_id: null,
                         status: 'on'
                     }
                 },
@@ -40,8 +140,10 @@ const options = {
                         name: { type: 'string' },
                         contact_email: { type: 'string', format: 'email' },
                         user: { type: 'string' },
-                        pwd: { type: 'string', description: 'senha em texto; será salva como hash' },
-                        level: { type: 'string', enum: ['admin', 'user'] },
+                        pwd: { type: 'string' },
+                        level: { type: 'string', enum: ['admin', 'user', 'store_operator', 'supplier_rep'] },
+                        store_ids: { type: 'array', items: { type: 'string' } },
+                        supplier_id: { type: 'string', nullable: true },
                         status: { type: 'string', enum: ['on', 'off'] }
                     },
                     required: ['name', 'contact_email', 'user', 'pwd'],
@@ -49,8 +151,10 @@ const options = {
                         name: 'Maria Oliveira',
                         contact_email: 'maria.oliveira@unesc.net',
                         user: 'mariaoliveira',
-                        pwd: 'senhaSecreta!',
+                        pwd: 'SenhaSecreta1!',
                         level: 'user',
+                        store_ids: [],
+                        supplier_id: null,
                         status: 'on'
                     }
                 },
@@ -61,7 +165,10 @@ const options = {
                         contact_email: { type: 'string', format: 'email' },
                         user: { type: 'string' },
                         pwd: { type: 'string' },
-                        level: { type: 'string', enum: ['admin', 'user'] },
+                        current_pwd: { type: 'string' },
+                        level: { type: 'string', enum: ['admin', 'user', 'store_operator', 'supplier_rep'] },
+                        store_ids: { type: 'array', items: { type: 'string' } },
+                        supplier_id: { type: 'string', nullable: true },
                         status: { type: 'string', enum: ['on', 'off'] }
                     }
                 },
@@ -72,13 +179,101 @@ const options = {
                         pwd: { type: 'string' }
                     },
                     required: ['user', 'pwd'],
-                    example: { user: 'mariaoliveira', pwd: 'senhaSecreta!' }
+                    example: { user: 'mariaoliveira', pwd: 'SenhaSecreta1!' }
+                },
+                LoginChallenge: {
+                    type: 'object',
+                    properties: {
+                        message: { type: 'string', example: 'two_factor_required' },
+                        two_factor_required: { type: 'boolean', example: true },
+                        challenge_token: { type: 'string' },
+                        expires_in: { type: 'integer' }
+                    }
+                },
+                LoginTwoFactorRequest: {
+                    type: 'object',
+                    properties: {
+                        challenge_token: { type: 'string' },
+                        code: { type: 'string' },
+                        recovery_code: { type: 'string' }
+                    },
+                    required: ['challenge_token'],
+                    example: { challenge_token: 'eyJhbGciOi...', code: '123456' }
+                },
+                TwoFactorSetup: {
+                    type: 'object',
+                    properties: {
+                        secret: { type: 'string' },
+                        otpauth_uri: { type: 'string' }
+                    },
+                    example: {
+                        secret: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP',
+                        otpauth_uri: 'otpauth://totp/CentralCompras%3Amariaoliveira?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=CentralCompras&algorithm=SHA1&digits=6&period=30'
+                    }
+                },
+                TwoFactorCodeRequest: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string' }
+                    },
+                    required: ['code'],
+                    example: { code: '123456' }
+                },
+                TwoFactorDisableRequest: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string' },
+                        recovery_code: { type: 'string' }
+                    }
+                },
+                TwoFactorRecoveryCodes: {
+                    type: 'object',
+                    properties: {
+                        totp_enabled: { type: 'boolean', example: true },
+                        recovery_codes: { type: 'array', items: { type: 'string' } }
+                    }
+                },
+                PasswordForgotRequest: {
+                    type: 'object',
+                    properties: {
+                        contact_email: { type: 'string', format: 'email' }
+                    },
+                    required: ['contact_email'],
+                    example: { contact_email: 'maria.oliveira@unesc.net' }
+                },
+                PasswordResetRequest: {
+                    type: 'object',
+                    properties: {
+                        token: { type: 'string' },
+                        pwd: { type: 'string' }
+                    },
+                    required: ['token', 'pwd']
+                },
+                RefreshRequest: {
+                    type: 'object',
+                    properties: {
+                        refresh_token: { type: 'string' }
+                    },
+                    required: ['refresh_token']
+                },
+                TokenPair: {
+                    type: 'object',
+                    properties: {
+                        token_type: { type: 'string', example: 'Bearer' },
+                        access_token: { type: 'string' },
+                        expires_in: { type: 'integer' },
+                        refresh_token: { type: 'string' }
+                    }
                 },
                 LoginResponse: {
                     type: 'object',
                     properties: {
                         message: { type: 'string' },
-                        user: { $ref: '#/components/schemas/User' }
+                        user: { $ref: '#/components/schemas/User' },
+                        token_type: { type: 'string', example: 'Bearer' },
+                        access_token: { type: 'string' },
+                        expires_in: { type: 'integer' },
+                        refresh_token: { type: 'string' }
                     },
                     example: {
                         message: 'ok',
@@ -92,20 +287,102 @@ const options = {
                         }
                     }
                 },
+                Report: {
+                    type: 'object',
+                    properties: {
+                        filters: {
+                            type: 'object',
+                            properties: {
+                                date_from: { type: 'string', nullable: true },
+                                date_to: { type: 'string', nullable: true },
+                                store_id: { type: 'string', nullable: true },
+                                supplier_id: { type: 'string', nullable: true },
+                                status: { type: 'string', nullable: true }
+                            }
+                        },
+                        data: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    orders: { type: 'integer' },
+                                    quantity: { type: 'integer' },
+                                    list_amount: { type: 'number' },
+                                    total_amount: { type: 'number' },
+                                    savings: { type: 'number' }
+                                }
+                            }
+                        }
+                    }
+                },
+                AuditEntry: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        timestamp: { type: 'string', example: '2024-05-10 14:32:07' },
+                        user_id: { type: 'string', nullable: true },
+                        user: { type: 'string', nullable: true },
+                        request: { type: 'string', nullable: true, example: 'PUT /product/6f1c...' },
+                        resource: { type: 'string', example: 'product' },
+                        resource_id: { type: 'string' },
+                        action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+                        changes: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                properties: {
+                                    before: { nullable: true },
+                                    after: { nullable: true }
+                                }
+                            },
+                            example: { price: { before: 19.9, after: 17.5 } }
+                        }
+                    }
+                },
+                ImportReport: {
+                    type: 'object',
+                    properties: {
+                        dry_run: { type: 'boolean' },
+                        total: { type: 'integer' },
+                        created: { type: 'integer' },
+                        updated: { type: 'integer' },
+                        rejected: { type: 'integer' },
+                        rows: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    line: { type: 'integer' },
+                                    action: { type: 'string', enum: ['created', 'updated', 'rejected'] },
+                                    id: { type: 'string', nullable: true },
+                                    name: { type: 'string', nullable: true },
+                                    errors: { type: 'array', items: { type: 'string' } }
+                                }
+                            }
+                        }
+                    }
+                },
                 Supplier: {
                     type: 'object',
                     properties: {
                         id: { type: 'string' },
+                        deleted_at: { type: 'string', nullable: true },
                         supplier_name: { type: 'string' },
+                        cnpj: { type: 'string' },
+                        legal_name: { type: 'string' },
+                        address: { type: 'string' },
                         supplier_category: { type: 'string' },
                         contact_email: { type: 'string', format: 'email' },
-                        phone_number: { type: 'string', description: 'Apenas dígitos' },
+                        phone_number: { type: 'string' },
                         status: { type: 'string', enum: ['on', 'off'] }
                     },
-                    required: ['id', 'supplier_name', 'contact_email', 'status'],
+                    required: ['id', 'supplier_name', 'cnpj', 'contact_email', 'status'],
                     example: {
                         id: '7a6cc128-2c5f-6ec0-235a-cd2bfa780145',
                         supplier_name: 'Judite Heeler',
+                        cnpj: '11222333000181',
+                        legal_name: 'Distribuidora Exemplo Ltda',
+                        address: 'Rua das Flores, 120, Sala 3 - Centro, Criciúma/SC, CEP 88801-000',
                         supplier_category: 'Informatica, Segurança',
                         contact_email: 'j.heeler@gmail.com',
                         phone_number: '4896965858',
@@ -116,14 +393,18 @@ const options = {
                     type: 'object',
                     properties: {
                         supplier_name: { type: 'string' },
+                        cnpj: { type: 'string' },
+                        legal_name: { type: 'string' },
+                        address: { type: 'string' },
                         supplier_category: { type: 'string' },
                         contact_email: { type: 'string', format: 'email' },
                         phone_number: { type: 'string' },
                         status: { type: 'string', enum: ['on', 'off'] }
                     },
-                    required: ['supplier_name', 'contact_email'],
+                    required: ['supplier_name', 'cnpj', 'contact_email'],
                     example: {
                         supplier_name: 'Judite Heeler',
+                        cnpj: '11.222.333/0001-81',
                         supplier_category: 'Informatica, Segurança',
                         contact_email: 'j.heeler@gmail.com',
                         phone_number: '48 9696 5858',
@@ -134,19 +415,59 @@ const options = {
                     type: 'object',
                     properties: {
                         supplier_name: { type: 'string' },
+                        cnpj: { type: 'string' },
+                        legal_name: { type: 'string' },
+                        address: { type: 'string' },
                         supplier_category: { type: 'string' },
                         contact_email: { type: 'string', format: 'email' },
                         phone_number: { type: 'string' },
                         status: { type: 'string', enum: ['on', 'off'] }
                     }
                 },
+                Address: {
+                    type: 'object',
+                    properties: {
+                        street: { type: 'string' },
+                        number: { type: 'string' },
+                        complement: { type: 'string' },
+                        district: { type: 'string' },
+                        city: { type: 'string' },
+                        uf: { type: 'string', enum: ['AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA', 'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'] },
+                        cep: { type: 'string' }
+                    },
+                    required: ['street', 'number', 'complement', 'district', 'city', 'uf', 'cep'],
+                    example: {
+                        street: 'Rua das Flores',
+                        number: '120',
+                        complement: 'Sala 3',
+                        district: 'Centro',
+                        city: 'Criciúma',
+                        uf: 'SC',
+                        cep: '88801000'
+                    }
+                },
+                AddressInput: {
+                    type: 'object',
+                    properties: {
+                        street: { type: 'string' },
+                        number: { type: 'string' },
+                        complement: { type: 'string' },
+                        district: { type: 'string' },
+                        city: { type: 'string' },
+                        uf: { type: 'string', example: 'SC' },
+                        cep: { type: 'string', example: '88801-000' }
+                    },
+                    example: { cep: '88801-000', number: '120', complement: 'Sala 3' }
+                },
                 Store: {
                     type: 'object',
                     properties: {
                         id: { type: 'string' },
+                        deleted_at: { type: 'string', nullable: true },
                         store_name: { type: 'string' },
                         cnpj: { type: 'string' },
-                        address: { type: 'string' },
+                        legal_name: { type: 'string' },
+                        address: { allOf: [{ $ref: '#/components/schemas/Address' }], nullable: true },
                         phone_number: { type: 'string' },
                         contact_email: { type: 'string', format: 'email' },
                         status: { type: 'string', enum: ['on', 'off'] }
@@ -158,7 +479,8 @@ const options = {
                     properties: {
                         store_name: { type: 'string' },
                         cnpj: { type: 'string' },
-                        address: { type: 'string' },
+                        legal_name: { type: 'string' },
+                        address: { allOf: [{ $ref: '#/components/schemas/AddressInput' }] },
                         phone_number: { type: 'string' },
                         contact_email: { type: 'string', format: 'email' },
                         status: { type: 'string', enum: ['on', 'off'] }
@@ -170,7 +492,8 @@ const options = {
                     properties: {
                         store_name: { type: 'string' },
                         cnpj: { type: 'string' },
-                        address: { type: 'string' },
+                        legal_name: { type: 'string' },
+                        address: { allOf: [{ $ref: '#/components/schemas/AddressInput' }], nullable: true },
                         phone_number: { type: 'string' },
                         contact_email: { type: 'string', format: 'email' },
                         status: { type: 'string', enum: ['on', 'off'] }
@@ -180,10 +503,12 @@ const options = {
                     type: 'object',
                     properties: {
                         id: { type: 'string' },
+                        deleted_at: { type: 'string', nullable: true },
                         name: { type: 'string' },
                         description: { type: 'string' },
                         price: { type: 'number', example: 200.00 },
                         stock_quantity: { type: 'integer', example: 8 },
+                        reserved_quantity: { type: 'integer', example: 2 },
                         supplier_id: { type: 'string' },
                         status: { type: 'string', enum: ['on', 'off'] }
                     },
@@ -194,6 +519,7 @@ const options = {
                         description: 'Kit teclado e mouse sem fio',
                         price: 200.00,
                         stock_quantity: 8,
+                        reserved_quantity: 2,
                         supplier_id: '7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd',
                         status: 'on'
                     }
@@ -203,8 +529,8 @@ const options = {
                     properties: {
                         name: { type: 'string' },
                         description: { type: 'string' },
-                        price: { type: 'string', description: 'Aceita string ou número; será convertido para número >= 0' },
-                        stock_quantity: { type: 'string', description: 'Aceita string ou número inteiro >= 0' },
+                        price: { type: 'number', minimum: 0 },
+                        stock_quantity: { type: 'integer', minimum: 0 },
                         supplier_id: { type: 'string' },
                         status: { type: 'string', enum: ['on', 'off'] }
                     },
@@ -212,8 +538,8 @@ const options = {
                     example: {
                         name: 'Teclado e mouse',
                         description: 'Kit teclado e mouse sem fio',
-                        price: '200.00',
-                        stock_quantity: '8',
+                        price: 200.00,
+                        stock_quantity: 8,
                         supplier_id: '7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd',
                         status: 'on'
                     }
@@ -223,100 +549,525 @@ const options = {
                     properties: {
                         name: { type: 'string' },
                         description: { type: 'string' },
-                        price: { type: 'string' },
-                        stock_quantity: { type: 'string' },
+                        price: { type: 'number', minimum: 0 },
+                        stock_quantity: { type: 'integer', minimum: 0 },
                         supplier_id: { type: 'string' },
                         status: { type: 'string', enum: ['on', 'off'] }
                     }
                 },
+                OrderItem: {
+                    type: 'object',
+                    properties: {
+                        product_id: { type: 'string' },
+                        quantity: { type: 'integer', minimum: 1 },
+                        campaign_id: { type: 'string', nullable: true },
+                        list_price: { type: 'number' },
+                        discount_percentage: { type: 'number' },
+                        discount_amount: { type: 'number' },
+                        unit_price: { type: 'number' },
+                        line_total: { type: 'number' },
+                        purchase_order_id: { type: 'string', nullable: true }
+                    },
+                    required: ['product_id', 'quantity', 'campaign_id', 'list_price', 'discount_percentage', 'discount_amount', 'unit_price', 'line_total']
+                },
+                OrderItemInput: {
+                    type: 'object',
+                    properties: {
+                        product_id: { type: 'string' },
+                        quantity: { type: 'integer', minimum: 1 },
+                        campaign_id: { type: 'string', nullable: true }
+                    },
+                    required: ['product_id', 'quantity']
+                },
                 Order: {
                     type: 'object',
                     properties: {
                         id: { type: 'string' },
+                        deleted_at: { type: 'string', nullable: true },
                         store_id: { type: 'string' },
-                        item: { type: 'string', description: "Lista serializada de (product_id, quantity, campaign_id, unit_price)" },
+                        item: { type: 'array', items: { $ref: '#/components/schemas/OrderItem' } },
                         total_amount: { type: 'number' },
-                        status: { type: 'string', enum: ['Pending', 'Shipped', 'Delivered'] },
+                        status: { type: 'string', enum: ['Pending', 'Approved', 'Shipped', 'Delivered', 'Cancelled'] },
+                        stock_status: { type: 'string', enum: ['reserved', 'committed', 'released'] },
+                        commitment_id: { type: 'string' },
+                        status_history: { type: 'array', items: { $ref: '#/components/schemas/OrderStatusChange' } },
                         date: { type: 'string', format: 'date-time' }
                     },
                     required: ['id', 'store_id', 'item', 'total_amount', 'status', 'date'],
                     example: {
                         id: "7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd",
                         store_id: "7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd",
-                        item: "[(product_id, quantity, campaign_id, unit_price)... ]",
+                        item: [{
+                            product_id: "7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd",
+                            quantity: 2,
+                            campaign_id: null,
+                            list_price: 61.50,
+                            discount_percentage: 0,
+                            unit_price: 61.50,
+                            line_total: 123.00
+                        }],
                         total_amount: 123.00,
                         status: "Pending",
+                        stock_status: "reserved",
+                        status_history: [
+                            { from: null, to: "Pending", by: null, at: "2023-08-15 16:00:00", reason: null }
+                        ],
                         date: "2023-08-15 16:00:00"
                     }
                 },
+                QuoteRequest: {
+                    type: 'object',
+                    properties: {
+                        store_id: { type: 'string' },
+                        items: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/OrderItemInput' } },
+                        date: { type: 'string', format: 'date-time' }
+                    },
+                    required: ['store_id', 'items'],
+                    example: {
+                        store_id: '7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd',
+                        items: [{ product_id: '7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd', quantity: 10 }]
+                    }
+                },
+                Quote: {
+                    type: 'object',
+                    properties: {
+                        store_id: { type: 'string' },
+                        date: { type: 'string', format: 'date-time' },
+                        items: {
+                            type: 'array',
+                            items: {
+                                allOf: [
+                                    { $ref: '#/components/schemas/OrderItem' },
+                                    {
+                                        type: 'object',
+                                        properties: {
+                                            product_name: { type: 'string' },
+                                            campaign_name: { type: 'string', nullable: true }
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        total_amount: { type: 'number' }
+                    }
+                },
+                OrderStatusChange: {
+                    type: 'object',
+                    properties: {
+                        from: { type: 'string', nullable: true },
+                        to: { type: 'string' },
+                        by: { type: 'string', nullable: true },
+                        at: { type: 'string', format: 'date-time' },
+                        reason: { type: 'string', nullable: true }
+                    }
+                },
+                OrderTransition: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', enum: ['Pending', 'Approved', 'Shipped', 'Delivered', 'Cancelled'] },
+                        reason: { type: 'string' }
+                    },
+                    required: ['status'],
+                    example: { status: 'Cancelled', reason: 'Loja desistiu da compra' }
+                },
                 OrderCreate: {
                     type: 'object',
                     properties: {
                         store_id: { type: 'string' },
-                        item: { type: 'string' },
-                        total_amount: { type: 'string' },
-                        status: { type: 'string', enum: ['Pending', 'Shipped', 'Delivered'] },
+                        item: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/OrderItemInput' } },
+                        status: { type: 'string', enum: ['Pending'] },
                         date: { type: 'string', format: 'date-time' }
                     },
-                    required: ['store_id', 'item', 'total_amount'],
+                    required: ['store_id', 'item'],
                 },
                 OrderUpdate: {
                     type: 'object',
                     properties: {
                         store_id: { type: 'string' },
-                        item: { type: 'string' },
-                        total_amount: { type: 'string' },
-                        status: { type: 'string', enum: ['Pending', 'Shipped', 'Delivered'] },
+                        item: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/OrderItemInput' } },
+                        status: { type: 'string', enum: ['Pending', 'Approved', 'Shipped', 'Delivered', 'Cancelled'] },
                         date: { type: 'string', format: 'date-time' }
                     }
                 },
-                Campaign: {
+                PurchaseOrderItem: {
+                    type: 'object',
+                    properties: {
+                        product_id: { type: 'string' },
+                        quantity: { type: 'integer' },
+                        amount: { type: 'number' }
+                    }
+                },
+                PurchaseOrder: {
                     type: 'object',
                     properties: {
                         id: { type: 'string' },
+                        deleted_at: { type: 'string', nullable: true },
+                        released_lines: { type: 'array', nullable: true, items: { type: 'object' } },
                         supplier_id: { type: 'string' },
+                        campaign_id: { type: 'string', nullable: true },
+                        status: { type: 'string', enum: ['draft', 'sent', 'confirmed', 'received'] },
+                        items: { type: 'array', items: { $ref: '#/components/schemas/PurchaseOrderItem' } },
+                        total_quantity: { type: 'integer' },
+                        total_amount: { type: 'number' },
+                        order_ids: { type: 'array', items: { type: 'string' } },
+                        status_history: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    from: { type: 'string', nullable: true },
+                                    to: { type: 'string' },
+                                    by: { type: 'string', nullable: true },
+                                    at: { type: 'string', format: 'date-time' }
+                                }
+                            }
+                        },
+                        created_at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                PurchaseOrderConsolidate: {
+                    type: 'object',
+                    properties: {
+                        supplier_id: { type: 'string' },
+                        campaign_id: { type: 'string' },
+                        by_campaign: { type: 'boolean', default: false },
+                        order_status: {
+                            type: 'array',
+                            items: { type: 'string', enum: ['Pending', 'Approved'] },
+                            minItems: 1,
+                            default: ['Pending'],
+                        }
+                    }
+                },
+                PurchaseOrderTransition: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', enum: ['draft', 'sent', 'confirmed', 'received'] }
+                    },
+                    required: ['status']
+                },
+                CampaignTier: {
+                    type: 'object',
+                    properties: {
+                        min_quantity: { type: 'integer', minimum: 1 },
+                        discount_percentage: { type: 'number', minimum: 0, maximum: 100 },
+                        discount_amount: { type: 'number', minimum: 0 }
+                    },
+                    required: ['min_quantity']
+                },
+                Campaign: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        deleted_at: { type: 'string', nullable: true },
+                        supplier_id: { type: 'string', nullable: true },
+                        product_ids: { type: 'array', items: { type: 'string' } },
+                        category: { type: 'string', nullable: true },
                         name: { type: 'string' },
                         start_date: { type: 'string', format: 'date-time' },
                         end_date: { type: 'string', format: 'date-time' },
-                        discount_percentage: { type: 'number', minimum: 0, maximum: 100 }
+                        discount_percentage: { type: 'number', minimum: 0, maximum: 100 },
+                        discount_amount: { type: 'number', minimum: 0 },
+                        tiers: { type: 'array', items: { $ref: '#/components/schemas/CampaignTier' } },
+                        min_total_quantity: { type: 'integer', minimum: 0 },
+                        min_total_amount: { type: 'number', minimum: 0 },
+                        settlement: { allOf: [{ $ref: '#/components/schemas/CampaignSettlement' }], nullable: true }
                     },
-                    required: ['id', 'supplier_id', 'name', 'start_date', 'end_date', 'discount_percentage'],
+                    required: ['id', 'name', 'start_date', 'end_date', 'discount_percentage', 'discount_amount', 'product_ids', 'tiers'],
                     example: {
                         id: "7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd",
                         supplier_id: "7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd",
+                        product_ids: [],
+                        category: null,
                         name: "Black Friday",
                         start_date: "2023-08-15 16:00:00",
                         end_date: "2023-08-20 23:59:59",
-                        discount_percentage: 20
+                        discount_percentage: 20,
+                        discount_amount: 0,
+                        tiers: [{ min_quantity: 50, discount_percentage: 25, discount_amount: 0 }]
                     }
                 },
                 CampaignCreate: {
                     type: 'object',
                     properties: {
-                        supplier_id: { type: 'string' },
+                        supplier_id: { type: 'string', nullable: true },
+                        product_ids: { type: 'array', nullable: true, items: { type: 'string' } },
+                        category: { type: 'string', nullable: true },
                         name: { type: 'string' },
                         start_date: { type: 'string', format: 'date-time' },
                         end_date: { type: 'string', format: 'date-time' },
-                        discount_percentage: { type: 'string', description: "0 a 100; aceita string ou número" }
+                        discount_percentage: { type: 'number', nullable: true, minimum: 0, maximum: 100 },
+                        discount_amount: { type: 'number', nullable: true, minimum: 0 },
+                        tiers: { type: 'array', nullable: true, items: { $ref: '#/components/schemas/CampaignTier' } },
+                        min_total_quantity: { type: 'integer', nullable: true, minimum: 0 },
+                        min_total_amount: { type: 'number', nullable: true, minimum: 0 }
                     },
-                    required: ['supplier_id', 'name', 'start_date', 'end_date', 'discount_percentage']
+                    required: ['name', 'start_date', 'end_date']
                 },
                 CampaignUpdate: {
                     type: 'object',
                     properties: {
-                        supplier_id: { type: 'string' },
+                        supplier_id: { type: 'string', nullable: true },
+                        product_ids: { type: 'array', nullable: true, items: { type: 'string' } },
+                        category: { type: 'string', nullable: true },
                         name: { type: 'string' },
                         start_date: { type: 'string', format: 'date-time' },
                         end_date: { type: 'string', format: 'date-time' },
-                        discount_percentage: { type: 'string' }
+                        discount_percentage: { type: 'number', nullable: true, minimum: 0, maximum: 100 },
+                        discount_amount: { type: 'number', nullable: true, minimum: 0 },
+                        tiers: { type: 'array', nullable: true, items: { $ref: '#/components/schemas/CampaignTier' } },
+                        min_total_quantity: { type: 'integer', nullable: true, minimum: 0 },
+                        min_total_amount: { type: 'number', nullable: true, minimum: 0 }
                     }
+                },
+                CampaignSettlement: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', enum: ['met', 'not_met', 'settling', 'error'] },
+                        error: { type: 'string', nullable: true },
+                        commitments: { type: 'integer' },
+                        total_quantity: { type: 'integer' },
+                        total_amount: { type: 'number' },
+                        converted: { type: 'integer' },
+                        failed: { type: 'integer' },
+                        released: { type: 'integer' },
+                        by: { type: 'string', nullable: true },
+                        settled_at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                CampaignProgress: {
+                    type: 'object',
+                    properties: {
+                        campaign_id: { type: 'string' },
+                        min_total_quantity: { type: 'integer' },
+                        min_total_amount: { type: 'number' },
+                        commitments: { type: 'integer' },
+                        total_quantity: { type: 'integer' },
+                        total_amount: { type: 'number' },
+                        met: { type: 'boolean' },
+                        settlement: { allOf: [{ $ref: '#/components/schemas/CampaignSettlement' }], nullable: true }
+                    }
+                },
+                Commitment: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        deleted_at: { type: 'string', nullable: true },
+                        campaign_id: { type: 'string' },
+                        store_id: { type: 'string' },
+                        items: { type: 'array', items: { $ref: '#/components/schemas/OrderItem' } },
+                        total_quantity: { type: 'integer' },
+                        total_amount: { type: 'number' },
+                        status: { type: 'string', enum: ['open', 'converted', 'released', 'failed'] },
+                        order_id: { type: 'string', nullable: true },
+                        error: { type: 'string', nullable: true },
+                        error_code: { type: 'string', nullable: true },
+                        created_by: { type: 'string', nullable: true },
+                        created_at: { type: 'string', format: 'date-time' },
+                        settled_at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                CommitmentItemInput: {
+                    type: 'object',
+                    properties: {
+                        product_id: { type: 'string' },
+                        quantity: { type: 'integer', minimum: 1 }
+                    },
+                    required: ['product_id', 'quantity']
+                },
+                CommitmentCreate: {
+                    type: 'object',
+                    properties: {
+                        campaign_id: { type: 'string' },
+                        store_id: { type: 'string' },
+                        items: { type: 'array', items: { $ref: '#/components/schemas/CommitmentItemInput' } }
+                    },
+                    required: ['campaign_id', 'store_id', 'items']
+                },
+                CommitmentUpdate: {
+                    type: 'object',
+                    properties: {
+                        items: { type: 'array', items: { $ref: '#/components/schemas/CommitmentItemInput' } }
+                    },
+                    required: ['items']
+                },
+                // corpo de toda resposta de erro (RFC 7807); os membros extras só vêm em alguns códigos
+                Problem: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', example: 'about:blank' },
+                        title: { type: 'string', example: 'Não encontrado' },
+                        status: { type: 'integer', example: 404 },
+                        code: {
+                            type: 'string',
+                            enum: Object.keys(i18n.CATALOGS[i18n.DEFAULT_LANGUAGE].errors),
+                            example: 'store_not_found'
+                        },
+                        detail: { type: 'string', example: 'Loja não encontrada' },
+                        instance: { type: 'string', example: '/store/123' },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    in: { type: 'string', enum: ['path', 'query', 'body'] },
+                                    field: { type: 'string', example: 'item[0].quantity' },
+                                    message: { type: 'string', example: 'deve ser >= 1' }
+                                }
+                            }
+                        },
+                        missing: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field: { type: 'string' },
+                                    collection: { type: 'string' },
+                                    id: { type: 'string' }
+                                }
+                            }
+                        },
+                        dependents: {
+                            type: 'object',
+                            additionalProperties: { type: 'array', items: { type: 'string' } }
+                        },
+                        shortages: {
+                            type: 'array',
+                            items: { type: 'object' }
+                        },
+                        id: { type: 'string' },
+                        locked_until: { type: 'string' }
+                    },
+                    required: ['type', 'title', 'status', 'code', 'detail']
                 }
 
             }
         }
     },
-    // Vai ler as anotações JSDoc nas rotas
-    apis: ['src/routes/*.js'],
+    // Vai ler as anotações JSDoc nas rotas (caminho absoluto: o glob seria
+    // resolvido a partir da pasta de onde o processo foi iniciado)
+    apis: [path.join(__dirname, '../routes/*.js')],
 };
 
-module.exports = swaggerJSDoc(options);
+// ===== respostas de erro e idioma em todas as rotas
+// As anotações das rotas só descrevem quando cada erro acontece; aqui todo
+// 4xx/5xx ganha o corpo Problem, as respostas comuns a qualquer rota (400 da
+// validação, 401 sem token, 500) entram onde não foram documentadas e toda
+// operação aceita o cabeçalho Accept-Language.
+const PROBLEM_CONTENT = {
+    'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } }
+};
+const ACCEPT_LANGUAGE = { $ref: '#/components/parameters/AcceptLanguage' };
+
+// respostas que toda operação pode dar; o texto vem de docs.responses no catálogo
+const COMMON_RESPONSES = ['400', '401', '500'];
+
+function withProblems(spec) {
+    for (const item of Object.values(spec.paths || {})) {
+        for (const [method, op] of Object.entries(item)) {
+            if (method === 'parameters') continue;
+            op.responses = op.responses || {};
+
+            const validated = op.requestBody || (op.parameters || []).length || (item.parameters || []).length;
+            const isPublic = Array.isArray(op.security) && !op.security.length;
+            for (const status of COMMON_RESPONSES) {
+                if (status === '400' && !validated) continue;
+                if (status === '401' && isPublic) continue;
+                if (!op.responses[status]) op.responses[status] = {};
+            }
+
+            for (const [status, response] of Object.entries(op.responses)) {
+                if (Number(status) >= 400 && !response.content) response.content = PROBLEM_CONTENT;
+            }
+
+            op.parameters = [...(op.parameters || []), ACCEPT_LANGUAGE];
+        }
+    }
+    spec.components.parameters.AcceptLanguage = {
+        in: 'header',
+        name: 'Accept-Language',
+        required: false,
+        schema: { type: 'string', enum: i18n.LANGUAGES, default: i18n.DEFAULT_LANGUAGE }
+    };
+    return spec;
+}
+
+// ===== textos por idioma
+// Os JSDoc e os schemas acima só têm a estrutura: summary e description
+// ficam em docs.* nos catálogos (src/locales), com operationId como chave
+// das operações. O que faltar no idioma pedido vem do catálogo padrão.
+function docText(lang, keys) {
+    for (const catalog of [i18n.CATALOGS[lang], i18n.CATALOGS[i18n.DEFAULT_LANGUAGE]]) {
+        let node = catalog && catalog.docs;
+        for (const key of keys) node = node && node[key];
+        if (typeof node === 'string') return node;
+    }
+    return undefined;
+}
+
+function describe(target, text) {
+    if (text !== undefined) target.description = text;
+}
+
+// propriedades com descrição, em qualquer nível ("data.items.orders"); exemplos não contam
+function eachProperty(node, keys, fn) {
+    if (!node || typeof node !== 'object') return;
+    if (keys.length) fn(keys.join('.'), node);
+    for (const [key, value] of Object.entries(node)) {
+        if (key === 'example' || key === 'examples' || typeof value !== 'object') continue;
+        if (key === 'properties') {
+            for (const [name, prop] of Object.entries(value)) eachProperty(prop, keys.concat(name), fn);
+        } else {
+            eachProperty(value, keys.concat(key), fn);
+        }
+    }
+}
+
+function localize(base, lang) {
+    const spec = structuredClone(base);
+    const text = (...keys) => docText(lang, keys);
+
+    describe(spec.info, text('info'));
+    describe(spec.components.securitySchemes.bearerAuth, text('bearer_auth'));
+    for (const [name, param] of Object.entries(spec.components.parameters)) {
+        describe(param, text('parameters', name));
+    }
+    for (const [name, schema] of Object.entries(spec.components.schemas)) {
+        describe(schema, text('schemas', name, 'description'));
+        eachProperty(schema, [], (key, node) => describe(node, text('schemas', name, 'properties', key)));
+    }
+
+    for (const item of Object.values(spec.paths)) {
+        for (const [method, op] of Object.entries(item)) {
+            if (method === 'parameters') continue;
+            const id = op.operationId;
+            const summary = text('operations', id, 'summary');
+            if (summary !== undefined) op.summary = summary;
+            describe(op, text('operations', id, 'description'));
+            for (const param of op.parameters) {
+                if (!param.$ref) describe(param, text('operations', id, 'parameters', param.name));
+            }
+            if (op.requestBody) describe(op.requestBody, text('operations', id, 'request_body'));
+            for (const [status, response] of Object.entries(op.responses)) {
+                response.description = text('operations', id, 'responses', status)
+                    || (COMMON_RESPONSES.includes(status) ? i18n.t(lang, `docs.responses.${status}`, { title: i18n.t(lang, `titles.${status}`) }) : '');
+            }
+        }
+    }
+    return spec;
+}
+
+const base = withProblems(swaggerJSDoc(options));
+const localized = {};
+
+/**
+ * Spec no idioma pedido (um dos i18n.LANGUAGES; outro vale o padrão),
+ * montado uma vez por idioma.
+ */
+function forLanguage(lang) {
+    if (!i18n.LANGUAGES.includes(lang)) lang = i18n.DEFAULT_LANGUAGE;
+    if (!localized[lang]) localized[lang] = localize(base, lang);
+    return localized[lang];
+}
+
+module.exports = { spec: forLanguage(i18n.DEFAULT_LANGUAGE), forLanguage };
@@ -1,7 +1,10 @@
 const express = require('express');
 const swaggerUi = require('swagger-ui-express');
-const swaggerSpec = require('./docs/swagger');
+const swaggerDocs = require('./docs/swagger');
 const routes = require('./routes');
+const language = require('./middlewares/language');
+const { errorHandler, notFound } = require('./middlewares/errorHandler');
+const commitments = require('./services/commitments');
 
 const app = express();
 
@@ -12,17 +15,42 @@ app.use(express.json());
 app.use(function(req, res, next){
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE");
-  res.setHeader("Access-Control-Allow-Headers", "content-type");
+  res.setHeader("Access-Control-Allow-Headers", "content-type, authorization");
   res.setHeader("Access-Control-Allow-Credentials", true);
   next();
 });
 
+// idioma das mensagens (Accept-Language: pt-BR ou en)
+app.use(language);
+
 // rotas da API
 app.use('/', routes);
 
-// docs Swagger
-app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+// docs Swagger, no idioma da requisição (textos em docs.* dos catálogos)
+app.use('/docs', function (req, res, next) {
+  req.swaggerDoc = swaggerDocs.forLanguage(req.lang);
+  next();
+}, swaggerUi.serveFiles(), swaggerUi.setup());
 
-app.listen(8080, function () {
-  console.log('Aplicação executando na porta 8080! Docs em http://localhost:8080/docs');
-});
+// erros no formato application/problem+json (ver services/errors)
+app.use(notFound);
+app.use(errorHandler);
+
+// só sobe o servidor quando executado direto (npm start); os testes
+// (npm test) importam o app e escutam numa porta livre
+if (require.main === module) {
+  app.listen(8080, function () {
+    console.log('Aplicação executando na porta 8080! Docs em http://localhost:8080/docs');
+  });
+
+  // apuração das campanhas com volume mínimo que já passaram do end_date
+  // (SETTLE_INTERVAL_MS=0 desliga; aí use npm run campaigns:settle)
+  const SETTLE_INTERVAL_MS = Number(process.env.SETTLE_INTERVAL_MS || 60000);
+  if (SETTLE_INTERVAL_MS > 0) {
+    setInterval(function () {
+      commitments.settleDue().catch(err => console.error('Falha na apuração de campanhas:', err));
+    }, SETTLE_INTERVAL_MS).unref();
+  }
+}
+
+module.exports = app;
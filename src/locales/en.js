@@ -0,0 +1,1217 @@
+// ===== mensagens da API em inglês (mesmas chaves de pt-BR.js)
+module.exports = {
+    titles: {
+        400: 'Bad request',
+        401: 'Unauthenticated',
+        403: 'Forbidden',
+        404: 'Not found',
+        409: 'Conflict',
+        413: 'Payload too large',
+        422: 'Missing reference',
+        423: 'Account locked',
+        500: 'Internal error',
+        default: 'Error'
+    },
+
+    errors: {
+        // gerais
+        validation_failed: 'Invalid data: {fields}',
+        invalid_json: 'Invalid JSON in request body',
+        payload_too_large: 'Request body too large',
+        route_not_found: 'Route not found: {method} {path}',
+        internal_error: 'Internal server error',
+        invalid_page: 'Invalid page (integer >= 1)',
+        invalid_limit: 'Invalid limit (1 to {max})',
+
+        // autenticação e permissões
+        unauthenticated: 'Not authenticated',
+        forbidden: 'Access denied',
+        invalid_credentials: 'Invalid credentials',
+        invalid_refresh_token: 'Invalid refresh token',
+        account_locked: 'Account locked after too many failed attempts; try again after {until}',
+        weak_password: 'The password does not meet the password policy (see errors)',
+        current_password_required: 'Provide current_pwd (the current password) to change your own password',
+        current_password_invalid: 'Current password is incorrect',
+        invalid_reset_token: 'Invalid, expired or already used reset token',
+        invalid_challenge_token: 'Invalid or expired login challenge; log in again',
+        invalid_two_factor_code: 'Invalid verification code',
+        two_factor_code_required: 'Provide code (authenticator app) or recovery_code',
+        two_factor_already_enabled: '2FA is already enabled; disable it first to enroll another app',
+        two_factor_not_enabled: '2FA is not enabled',
+        two_factor_setup_required: 'Call /2fa/setup before confirming the code',
+        admin_only_fields: 'Only admins can change level, status and links',
+
+        // registros e integridade
+        store_not_found: 'Store not found',
+        supplier_not_found: 'Supplier not found',
+        product_not_found: 'Product not found',
+        campaign_not_found: 'Campaign not found',
+        order_not_found: 'Order not found',
+        commitment_not_found: 'Commitment not found',
+        purchase_order_not_found: 'Purchase order not found',
+        user_not_found: 'User not found',
+        missing_reference: 'Missing reference: {refs}',
+        has_dependents: 'Record has dependents; use ?cascade=true to remove them too',
+        not_deleted: 'Record is not deleted',
+        restore_parent_first: 'Restore these first: {refs}',
+
+        // CNPJ e endereço
+        cnpj_required: 'cnpj is required',
+        invalid_cnpj: 'Invalid CNPJ',
+        cnpj_taken: 'CNPJ already registered',
+        address_not_object: 'address must be an object { street, number, complement, district, city, uf, cep }',
+        cep_required: 'address.cep is required',
+        invalid_cep: 'Invalid CEP (use 8 digits, e.g. 88801-000)',
+        invalid_uf: 'Invalid UF: {uf}',
+        cep_not_found: 'CEP {cep} not found',
+        cep_uf_mismatch: 'CEP {cep} belongs to {expected}, not {uf}',
+        address_incomplete: 'address: {fields} required',
+
+        // fornecedores e produtos
+        duplicate_supplier: 'A supplier with this name and e-mail already exists',
+        duplicate_product: 'A product with this name already exists for the same supplier',
+
+        // importação de planilhas (erros do arquivo e de cada linha)
+        spreadsheet_missing: 'Send the CSV or XLSX file in the body (Content-Type text/csv or {mime})',
+        invalid_spreadsheet_format: 'Invalid format (use csv or xlsx)',
+        spreadsheet_unreadable: 'Could not read the {format} file: {reason}',
+        spreadsheet_empty: 'Empty file',
+        spreadsheet_no_columns: 'No known column; accepted fields: {fields} (use mapping=Column:field)',
+        field_required: '{field} is required',
+        required_for_new_product: '{field} is required for a new product',
+        invalid_price: 'Invalid price (>= 0)',
+        invalid_stock_quantity: 'Invalid stock_quantity (integer >= 0)',
+        invalid_email: 'Invalid e-mail (use a full domain, e.g. gmail.com)',
+        forbidden_supplier: 'Access denied to supplier {supplier_id}',
+        unknown_supplier: 'Unknown supplier_id: {supplier_id}',
+        duplicate_row: 'Duplicate record in the file (line {line})',
+        supplier_cnpj_mismatch: 'A supplier with this name and e-mail is already registered with another CNPJ',
+
+        // campanhas
+        duplicate_campaign: 'A campaign with this name already exists for the supplier in this period',
+        invalid_date_range: 'start_date must be <= end_date',
+        campaign_scope_required: 'Provide supplier_id or category',
+        invalid_product_ids: 'product_ids must be a list of IDs',
+        product_not_from_supplier: 'Product {product_id} does not belong to the campaign supplier',
+        invalid_tiers: 'tiers must be a list',
+        discount_required: 'Provide discount_percentage, discount_amount or tiers',
+        discount_conflict: 'Use {prefix}discount_percentage or {prefix}discount_amount, not both',
+        invalid_discount_percentage: '{prefix}discount_percentage must be between 0 and 100',
+        invalid_discount_amount: 'Invalid {prefix}discount_amount (>= 0)',
+        invalid_tier_min_quantity: 'Invalid tiers[{index}].min_quantity (integer >= 1)',
+        duplicate_tier: 'tiers[{index}]: min_quantity {min} repeated',
+        tier_discount_required: 'tiers[{index}]: provide discount_percentage or discount_amount',
+        invalid_min_total_quantity: 'Invalid min_total_quantity (integer >= 0)',
+        invalid_min_total_amount: 'Invalid min_total_amount (>= 0)',
+        campaign_settled: 'Campaign already settled',
+        campaign_settlement_failed: 'Settlement failed and will be retried',
+        campaign_running: 'Campaign still running',
+        campaign_without_threshold: 'Campaign has no minimum volume; orders go straight to /order',
+        outside_campaign_window: 'Outside the campaign window (start_date to end_date)',
+
+        // compromissos
+        commitment_exists: 'Store already has an open commitment in this campaign; update the existing one',
+        commitment_not_open: 'Commitment {status}; only open commitments can be changed or removed',
+
+        // itens de pedido, cotação e compromisso
+        items_required: '{field} must be a non-empty list of { product_id, quantity, campaign_id? }',
+        item_product_required: '{field}.product_id is required',
+        item_quantity_invalid: 'Invalid {field}.quantity (integer > 0)',
+        item_product_not_found: '{field}: product {product_id} not found',
+        item_product_inactive: '{field}: product {product_id} is inactive',
+        item_campaign_not_found: '{field}: campaign {campaign_id} not found',
+        item_campaign_not_applicable: '{field}: campaign {campaign_id} does not apply to this product on this date',
+        item_campaign_threshold: '{field}: campaign {campaign_id} depends on minimum volume; use /commitment',
+
+        // pedidos e pedidos de compra
+        insufficient_stock: 'Insufficient stock',
+        stock_below_reserved: 'stock_quantity cannot go below the quantity reserved by orders ({reserved})',
+        order_not_editable: 'Order {status}; items and date cannot be changed',
+        order_consolidated: 'Order already consolidated into a purchase order',
+        invalid_status: 'Invalid status (use {values})',
+        transition_not_allowed: 'Transition not allowed: {from} → {to}',
+        purchase_order_not_draft: 'Purchase order {status}; only drafts can be removed',
+        purchase_order_lines_changed: 'The lines of order {order_id} changed or were already consolidated into another purchase order',
+
+        // usuários
+        user_taken: 'user already exists',
+        email_taken: 'e-mail already registered',
+        store_operator_requires_store: 'store_operator needs at least one store in store_ids',
+        supplier_rep_requires_supplier: 'supplier_rep needs supplier_id'
+    },
+
+    validation: {
+        required: 'is required',
+        body_required: 'JSON body is required',
+        not_null: 'cannot be null',
+        type_string: 'must be a string',
+        type_number: 'must be a number',
+        type_integer: 'must be an integer',
+        type_boolean: 'must be a boolean (true/false)',
+        type_array: 'must be a list',
+        type_object: 'must be an object',
+        enum: 'must be one of: {values}',
+        email: 'invalid e-mail',
+        date_time: 'invalid date',
+        min_length: 'must have at least {min} character(s)',
+        max_length: 'must have at most {max} character(s)',
+        pattern: 'invalid format',
+        minimum: 'must be >= {min}',
+        maximum: 'must be <= {max}',
+        min_items: 'must have at least {min} item(s)',
+        max_items: 'must have at most {max} item(s)',
+        not_allowed: 'field not allowed'
+    },
+
+    password: {
+        min_length: 'must have at least {min} characters',
+        lowercase: 'must have a lowercase letter',
+        uppercase: 'must have an uppercase letter',
+        digit: 'must have a digit',
+        symbol: 'must have a symbol (e.g. ! @ # $)',
+        not_personal: 'cannot be the same as the login or e-mail'
+    },
+
+    exports: {
+        generated: 'Generated on {date} — {count} row(s)',
+        orders: {
+            title: 'Orders',
+            filename: 'orders',
+            columns: {
+                order_id: 'Order',
+                date: 'Date',
+                store_id: 'Store ID',
+                store_name: 'Store',
+                status: 'Status',
+                product_id: 'Product ID',
+                product_name: 'Product',
+                quantity: 'Qty',
+                list_price: 'List price',
+                discount_percentage: 'Disc. %',
+                discount_amount: 'Disc. R$',
+                unit_price: 'Unit price',
+                line_total: 'Line total',
+                campaign_id: 'Campaign',
+                total_amount: 'Order total'
+            }
+        },
+        products: {
+            title: 'Product catalog',
+            filename: 'products',
+            columns: {
+                id: 'ID',
+                name: 'Product',
+                description: 'Description',
+                price: 'Price',
+                stock_quantity: 'Stock',
+                reserved_quantity: 'Reserved',
+                supplier_id: 'Supplier ID',
+                supplier_name: 'Supplier',
+                status: 'Status'
+            }
+        }
+    },
+
+    mail: {
+        password_reset_subject: 'CentralCompras: password reset',
+        password_reset_text: 'Hello, {name}.\n\nWe received a request to reset your password. Send the token below with the new password to POST /users/password/reset; it is valid for {minutes} minutes and can be used once:\n\n{token}\n\nIf this was not you, ignore this e-mail: your current password still works.'
+    },
+
+    docs: {
+        info: 'API documented with OpenAPI 3.0. Path params, query string and JSON body are validated against these schemas: errors come back together as 400 (code validation_failed, errors: [{ in, field, message }]), fields unknown to the schema are dropped, and numeric text ("19.90", "8") is accepted where a number is expected. Every error response follows RFC 7807 (application/problem+json, schema Problem) with a stable `code` the client can handle without depending on the text. The language of title, detail and errors[].message comes from the Accept-Language header (pt-BR, the default, or en) and is echoed in Content-Language; the `code` does not change with the language.',
+        bearer_auth: 'access_token returned by POST /users/login',
+        responses: {
+            400: '{title} (code validation_failed, with the list in errors)',
+            401: '{title} (code unauthenticated)',
+            500: '{title} (code internal_error)'
+        },
+        parameters: {
+            Cascade: 'If true, also removes the dependent records; otherwise answers 409 listing them. Orders and purchase orders are history: they do not count as dependents and are never removed along',
+            IncludeDeleted: 'If true, includes removed records (with deleted_at)',
+            Format: 'Exports the whole filtered list (no pagination) as a file; sort applies, page/limit/fields do not',
+            ReportDateFrom: 'Start date (>=), as in GET /order',
+            ReportDateTo: 'End date (<=), as in GET /order',
+            ReportSupplier: 'Only counts lines of products from this supplier',
+            ReportStatus: 'Without status, cancelled orders are left out',
+            Page: 'Page (starting at 1)',
+            Limit: 'Items per page',
+            Sort: 'Comma-separated fields; "-" prefix for descending order',
+            Fields: 'Returns only these fields of each item',
+            AcceptLanguage: 'Language of the error messages (e.g. "en", "en-US,en;q=0.9"); with no supported language, pt-BR'
+        },
+        schemas: {
+            Page: {
+                description: 'Envelope of the listings; the items come in data',
+                properties: {
+                    total: 'Total items after the filters'
+                }
+            },
+            User: {
+                properties: {
+                    deleted_at: 'Date of the soft delete; removed records only show up with include_deleted=true',
+                    store_ids: 'Linked stores (store_operator)',
+                    supplier_id: 'Linked supplier (supplier_rep)',
+                    failed_logins: 'Wrong passwords in a row since the last successful login',
+                    locked_until: 'Login locked until this date (too many wrong attempts)',
+                    totp_enabled: 'Two-step login (2FA) enabled'
+                }
+            },
+            UserCreate: {
+                properties: {
+                    pwd: 'plain-text password; stored as a hash. Policy: PASSWORD_MIN_LENGTH characters (default 8), the classes in PASSWORD_REQUIRE (default lowercase, uppercase and digit) and different from the login and the e-mail',
+                    store_ids: 'Linked stores (store_operator)',
+                    supplier_id: 'Linked supplier (supplier_rep)'
+                }
+            },
+            UserUpdate: {
+                properties: {
+                    pwd: 'New password (same policy as sign-up)',
+                    current_pwd: 'Current password; required to change your own password',
+                    store_ids: 'Linked stores (store_operator)',
+                    supplier_id: 'Linked supplier (supplier_rep)'
+                }
+            },
+            LoginChallenge: {
+                description: 'Password checked; the second factor is still due in POST /users/login/2fa',
+                properties: {
+                    expires_in: 'Validity of challenge_token in seconds'
+                }
+            },
+            LoginTwoFactorRequest: {
+                properties: {
+                    code: '6-digit code from the authenticator app',
+                    recovery_code: 'Recovery code, instead of code'
+                }
+            },
+            TwoFactorSetup: {
+                properties: {
+                    secret: 'Base32 secret, to type into the app if the QR code cannot be scanned',
+                    otpauth_uri: 'Content of the QR code'
+                }
+            },
+            TwoFactorCodeRequest: {
+                properties: {
+                    code: '6-digit code from the authenticator app'
+                }
+            },
+            TwoFactorDisableRequest: {
+                properties: {
+                    code: '6-digit code from the authenticator app',
+                    recovery_code: 'Recovery code, instead of code'
+                }
+            },
+            TwoFactorRecoveryCodes: {
+                properties: {
+                    recovery_codes: 'Shown only once; each one is good for one login'
+                }
+            },
+            PasswordResetRequest: {
+                properties: {
+                    token: 'Token received by e-mail',
+                    pwd: 'New password (same policy as sign-up)'
+                }
+            },
+            TokenPair: {
+                properties: {
+                    expires_in: 'Validity of the access token in seconds'
+                }
+            },
+            Report: {
+                properties: {
+                    filters: 'Applied filters (null = no filter)',
+                    'data.items': 'Besides these, the grouping field (store_id/store_name, supplier_id/supplier_name, product_id/product_name, campaign_id/campaign_name, status or month)',
+                    'data.items.orders': 'Distinct orders',
+                    'data.items.list_amount': 'Amount at list price',
+                    'data.items.total_amount': 'Amount paid',
+                    'data.items.savings': 'list_amount - total_amount'
+                }
+            },
+            AuditEntry: {
+                properties: {
+                    user_id: 'null when the change came from an internal process (e.g. campaign settlement)',
+                    user: 'User login',
+                    action: 'delete is the soft delete (deleted_at); purge, the permanent removal',
+                    changes: 'Only the fields that changed; passwords show as "***"'
+                }
+            },
+            ImportReport: {
+                properties: {
+                    total: 'Data rows read (without the header and the empty ones)',
+                    'rows.items.line': 'Row in the spreadsheet (header = 1)',
+                    'rows.items.id': 'null in dry_run for new records'
+                }
+            },
+            Supplier: {
+                properties: {
+                    deleted_at: 'Date of the soft delete; removed records only show up with include_deleted=true',
+                    cnpj: '14 digits, unmasked',
+                    legal_name: 'Registered company name',
+                    phone_number: 'Digits only'
+                }
+            },
+            SupplierCreate: {
+                properties: {
+                    cnpj: 'With or without mask; check digits are verified',
+                    legal_name: 'If empty, comes from the CNPJ lookup provider (when configured)',
+                    address: 'If empty, comes from the CNPJ lookup provider (when configured)'
+                }
+            },
+            Address: {
+                description: 'Structured address',
+                properties: {
+                    district: 'District',
+                    cep: '8 digits, unmasked'
+                }
+            },
+            AddressInput: {
+                description: 'cep (with or without mask) is required on creation; on PUT, the fields sent replace the stored ones. With CEP_PROVIDER configured, empty street, district, city and uf come from the CEP lookup; without lookup, street, city and uf are required.'
+            },
+            Store: {
+                properties: {
+                    deleted_at: 'Date of the soft delete; removed records only show up with include_deleted=true',
+                    cnpj: '14 digits, unmasked',
+                    legal_name: 'Registered company name'
+                }
+            },
+            StoreCreate: {
+                properties: {
+                    cnpj: 'With or without mask; check digits are verified',
+                    legal_name: 'If empty, comes from the CNPJ lookup provider (when configured)',
+                    address: 'If empty, comes from the CNPJ lookup provider (when configured)'
+                }
+            },
+            StoreUpdate: {
+                properties: {
+                    address: 'Fields sent replace the stored ones; null removes the address'
+                }
+            },
+            Product: {
+                properties: {
+                    deleted_at: 'Date of the soft delete; removed records only show up with include_deleted=true',
+                    reserved_quantity: 'Reserved by orders not shipped yet'
+                }
+            },
+            ProductCreate: {
+                properties: {
+                    price: 'Rounded to 2 decimal places'
+                }
+            },
+            OrderItem: {
+                properties: {
+                    list_price: 'Product price in the catalog',
+                    discount_percentage: 'Percentage discount of the applied campaign (tier reached)',
+                    discount_amount: 'Fixed discount per unit of the applied campaign',
+                    unit_price: 'Unit price after discount',
+                    purchase_order_id: 'Purchase order the line was consolidated into'
+                }
+            },
+            OrderItemInput: {
+                properties: {
+                    campaign_id: 'Optional; without it, the active campaign giving the lowest price for the quantity is used'
+                }
+            },
+            Order: {
+                properties: {
+                    deleted_at: 'Date of the soft delete; removed records only show up with include_deleted=true',
+                    total_amount: 'Sum of line_total, computed by the server',
+                    stock_status: 'reserved until the order ships; committed after the stock is written off; released if cancelled',
+                    commitment_id: 'Campaign commitment the order came from (only on those orders)'
+                }
+            },
+            QuoteRequest: {
+                properties: {
+                    date: 'Quote date (default: now)'
+                }
+            },
+            OrderStatusChange: {
+                properties: {
+                    by: 'ID of the user who made the change'
+                }
+            },
+            OrderTransition: {
+                properties: {
+                    reason: 'Reason (optional)'
+                }
+            },
+            OrderCreate: {
+                properties: {
+                    status: 'Orders start as Pending; status changes go through /order/{id}/transition'
+                }
+            },
+            PurchaseOrderItem: {
+                properties: {
+                    quantity: 'Sum of the quantities in the store orders',
+                    amount: 'Sum of line_total of the source lines'
+                }
+            },
+            PurchaseOrder: {
+                properties: {
+                    deleted_at: 'Date of the soft delete; removed records only show up with include_deleted=true',
+                    released_lines: 'Source lines released on removal (used by restore)',
+                    order_ids: 'Consolidated store orders'
+                }
+            },
+            PurchaseOrderConsolidate: {
+                properties: {
+                    supplier_id: 'Consolidates only this supplier',
+                    campaign_id: 'Consolidates only the lines of this campaign',
+                    by_campaign: 'One PO per supplier and campaign',
+                    order_status: 'Status of the store orders taken into account'
+                }
+            },
+            CampaignTier: {
+                description: 'Tier by order line quantity; give discount_percentage or discount_amount',
+                properties: {
+                    discount_amount: 'Fixed amount (R$) per unit'
+                }
+            },
+            Campaign: {
+                properties: {
+                    deleted_at: 'Date of the soft delete; removed records only show up with include_deleted=true',
+                    product_ids: 'Empty = every product in scope',
+                    category: 'Supplier category (supplier_category)',
+                    discount_amount: 'Fixed amount (R$) per unit',
+                    min_total_quantity: 'Network-wide minimum volume (0 = no target)',
+                    min_total_amount: 'Minimum amount committed by the network (0 = no target)'
+                }
+            },
+            CampaignCreate: {
+                description: 'supplier_id or category is required; give discount_percentage, discount_amount or tiers',
+                properties: {
+                    discount_amount: 'Fixed amount (R$) per unit'
+                }
+            },
+            CampaignUpdate: {
+                properties: {
+                    min_total_quantity: 'null or 0 = no target'
+                }
+            },
+            CampaignSettlement: {
+                properties: {
+                    status: 'met / not_met: settled; settling: in progress; error: stopped on an error and is retried on the next settlement',
+                    error: 'Reason for the error (status error)',
+                    commitments: 'Commitments open at the end of the campaign',
+                    converted: 'Commitments that became orders',
+                    failed: 'Commitments not converted (e.g. insufficient stock)',
+                    released: 'Commitments released (target not reached)'
+                }
+            },
+            Commitment: {
+                properties: {
+                    deleted_at: 'Date of the soft delete; removed records only show up with include_deleted=true',
+                    items: 'Prices estimated with the campaign discount',
+                    order_id: 'Order created at settlement',
+                    error: 'Reason for the settlement failure (in the default language)',
+                    error_code: 'code of the failure reason (see Problem.code)'
+                }
+            },
+            Problem: {
+                properties: {
+                    title: 'Summary of the HTTP status',
+                    code: 'Stable error identifier; the text of each one is in the src/locales catalog',
+                    detail: 'Message to show the user, in the Content-Language language',
+                    instance: 'Request path',
+                    errors: 'validation_failed: each invalid field; weak_password: each unmet policy rule',
+                    missing: 'missing_reference / restore_parent_first: references that do not exist',
+                    dependents: 'has_dependents: dependent ids per collection',
+                    shortages: 'insufficient_stock: products without enough stock',
+                    id: 'cnpj_taken / commitment_exists: record that caused the conflict',
+                    locked_until: 'account_locked: date when login is allowed again'
+                }
+            }
+        },
+        operations: {
+            listAudit: {
+                summary: 'Browses the audit trail',
+                description: 'Every insert, update, removal (soft or permanent) and restore written by the API (and by internal processes, with user_id null) becomes an insert-only entry, with what changed field by field. Without sort, the most recent come first.',
+                parameters: {
+                    resource: 'Collection (order, product, campaing, ...)',
+                    user: 'Login of who made the change',
+                    date_from: 'Start date (>=) on timestamp',
+                    date_to: 'End date (<=) on timestamp'
+                },
+                responses: {
+                    200: 'Audit entries',
+                    400: 'Invalid action, page or limit'
+                }
+            },
+            listCampaigns: {
+                summary: 'Lists campaigns (optional filters)',
+                description: 'Filters by name (partial), supplier_id and date range (start/end).',
+                parameters: {
+                    name: 'Partial filter by name (case-insensitive)',
+                    supplier_id: 'Filter by supplier',
+                    start_from: 'Start date >= start_from',
+                    start_to: 'Start date <= start_to',
+                    end_from: 'End date >= end_from',
+                    end_to: 'End date <= end_to'
+                },
+                responses: {
+                    200: 'List of campaigns',
+                    400: 'Invalid page/limit'
+                }
+            },
+            createCampaign: {
+                summary: 'Creates a campaign',
+                description: 'Scope: supplier_id (every product of the supplier), product_ids (only those products) and/or category (suppliers in the category). Discount: discount_percentage or discount_amount (per unit), plus quantity tiers in tiers. With min_total_quantity/min_total_amount the discount only applies through store commitments (/commitment), settled at end_date.',
+                responses: {
+                    201: 'Campaign created',
+                    400: 'Invalid data',
+                    403: 'Not allowed (admin or the supplier\'s own representative)',
+                    409: 'Conflict (duplicate name for the same supplier and range)',
+                    422: 'Unknown supplier_id or product_ids'
+                }
+            },
+            getCampaign: {
+                summary: 'Gets a campaign by ID',
+                responses: {
+                    200: 'Campaign found',
+                    404: 'Campaign not found'
+                }
+            },
+            updateCampaign: {
+                summary: 'Updates a campaign by ID',
+                responses: {
+                    200: 'Campaign updated',
+                    400: 'Invalid data',
+                    403: 'Not allowed (admin or the supplier\'s own representative)',
+                    404: 'Campaign not found',
+                    409: 'Conflict (overlapping range/name/supplier) or campaign already settled',
+                    422: 'Unknown supplier_id or product_ids'
+                }
+            },
+            deleteCampaign: {
+                summary: 'Removes a campaign by ID',
+                description: 'Soft delete (deleted_at): the campaign stops giving discounts, but old orders keep pointing to it.',
+                responses: {
+                    204: 'Removed',
+                    403: 'Not allowed (admin or the supplier\'s own representative)',
+                    404: 'Campaign not found',
+                    409: 'Campaign has commitments (orders are history and do not block)'
+                }
+            },
+            restoreCampaign: {
+                summary: 'Restores a removed campaign',
+                responses: {
+                    200: 'Campaign restored',
+                    403: 'Not allowed (admin only)',
+                    404: 'Campaign not found',
+                    409: 'Campaign is not removed, or its supplier/products were removed too'
+                }
+            },
+            getCampaignProgress: {
+                summary: 'Progress of the commitments against the minimum volume',
+                responses: {
+                    200: 'Committed totals and whether the target was reached',
+                    404: 'Campaign not found'
+                }
+            },
+            settleCampaign: {
+                summary: 'Settles a minimum-volume campaign',
+                description: 'After end_date: if the target was reached, the open commitments become orders (Pending) at the campaign price; otherwise they are released. Settlement also runs on its own periodically (SETTLE_INTERVAL_MS) and through npm run campaigns:settle. If it stops on an error (status error), the next call resumes with the commitments still open.',
+                responses: {
+                    200: 'Settlement result',
+                    403: 'Not allowed (admin or the supplier\'s own representative)',
+                    404: 'Campaign not found',
+                    409: 'Campaign without minimum volume, still running or already settled'
+                }
+            },
+            listCommitments: {
+                summary: 'Lists store commitments in minimum-volume campaigns',
+                responses: {
+                    200: 'List of commitments',
+                    400: 'Invalid page/limit'
+                }
+            },
+            createCommitment: {
+                summary: 'Records a store\'s purchase commitment in the campaign',
+                description: 'Only for campaigns with min_total_quantity/min_total_amount, within the start_date–end_date window. A store has at most one open commitment per campaign. The price shown is an estimate; the final one is computed at settlement.',
+                responses: {
+                    201: 'Commitment recorded',
+                    400: 'Invalid data or campaign without minimum volume',
+                    403: 'Store not linked to the user',
+                    409: 'Outside the window, campaign already settled or store already committed to this campaign',
+                    422: 'Unknown campaign_id, store_id or product_id'
+                }
+            },
+            getCommitment: {
+                summary: 'Gets a commitment by ID',
+                responses: {
+                    200: 'Commitment found',
+                    403: 'Commitment of a store not linked to the user',
+                    404: 'Commitment not found'
+                }
+            },
+            updateCommitment: {
+                summary: 'Changes the items of an open commitment',
+                responses: {
+                    200: 'Commitment updated',
+                    400: 'Invalid data',
+                    403: 'Commitment of a store not linked to the user',
+                    404: 'Commitment not found',
+                    409: 'Commitment is not open, outside the window or campaign already settled',
+                    422: 'Unknown product_id'
+                }
+            },
+            deleteCommitment: {
+                summary: 'Withdraws an open commitment (within the campaign window)',
+                description: 'Soft delete (deleted_at): the commitment no longer counts towards the campaign volume.',
+                responses: {
+                    204: 'Removed',
+                    403: 'Commitment of a store not linked to the user',
+                    404: 'Commitment not found',
+                    409: 'Commitment is not open or outside the window'
+                }
+            },
+            restoreCommitment: {
+                summary: 'Restores a withdrawn commitment',
+                description: 'Only within the campaign window, before settlement, and if the store has not opened another commitment in it.',
+                responses: {
+                    200: 'Commitment restored',
+                    403: 'Not allowed (admin only)',
+                    404: 'Commitment not found',
+                    409: 'Not removed, outside the window, campaign settled or store with another open commitment'
+                }
+            },
+            listOrders: {
+                summary: 'Lists orders (optional filters)',
+                parameters: {
+                    store_id: 'Filter by store',
+                    date_from: 'Start date (>=)',
+                    date_to: 'End date (<=)'
+                },
+                responses: {
+                    200: 'List of orders',
+                    400: 'Invalid page/limit or format'
+                }
+            },
+            createOrder: {
+                summary: 'Creates an order',
+                description: 'Unit price and total_amount are computed by the server from the catalog and the active campaigns.',
+                responses: {
+                    201: 'Order created',
+                    400: 'Invalid data',
+                    403: 'Store not linked to the user',
+                    409: 'Insufficient stock (lists the missing products)',
+                    422: 'Unknown store_id, product_id or campaign_id'
+                }
+            },
+            getOrder: {
+                summary: 'Gets an order by ID',
+                responses: {
+                    200: 'Order found',
+                    403: 'Order of a store not linked to the user',
+                    404: 'Order not found'
+                }
+            },
+            updateOrder: {
+                summary: 'Updates an order by ID',
+                responses: {
+                    200: 'Order updated',
+                    400: 'Invalid data',
+                    403: 'Order of a store not linked to the user',
+                    404: 'Order not found',
+                    409: 'Insufficient stock, invalid status transition or order not editable (including already consolidated into a purchase order)',
+                    422: 'Unknown store_id, product_id or campaign_id'
+                }
+            },
+            deleteOrder: {
+                summary: 'Removes an order by ID',
+                description: 'Soft delete (deleted_at). The stock reservation is given back right away; if the order is restored, it is made again.',
+                responses: {
+                    204: 'Removed',
+                    403: 'Order of a store not linked to the user',
+                    404: 'Order not found',
+                    409: 'Order already consolidated into a purchase order'
+                }
+            },
+            transitionOrder: {
+                summary: 'Changes the order status',
+                description: 'Allowed transitions: Pending → Approved → Shipped → Delivered; Cancelled from Pending or Approved, as long as the order is not consolidated into a purchase order.',
+                responses: {
+                    200: 'Order with the new status',
+                    400: 'Invalid status',
+                    403: 'Order of a store not linked to the user',
+                    404: 'Order not found',
+                    409: 'Transition not allowed, or cancelling an order already consolidated into a purchase order (order_consolidated)'
+                }
+            },
+            restoreOrder: {
+                summary: 'Restores a removed order',
+                description: 'A Pending/Approved order reserves the stock again (all or nothing).',
+                responses: {
+                    200: 'Order restored',
+                    403: 'Not allowed (admin only)',
+                    404: 'Order not found',
+                    409: 'Order is not removed, store/products removed or insufficient stock (shortages)'
+                }
+            },
+            listProducts: {
+                summary: 'Lists products (or filters)',
+                description: 'Optional filters by name (partial), status and supplier_id.',
+                parameters: {
+                    name: 'Partial filter by product name',
+                    status: 'Filter by status',
+                    supplier_id: 'Filter by supplier (UUID)'
+                },
+                responses: {
+                    200: 'List of products',
+                    400: 'Invalid page/limit or format'
+                }
+            },
+            createProduct: {
+                summary: 'Creates a product',
+                responses: {
+                    201: 'Product created',
+                    400: 'Invalid data',
+                    403: 'Not allowed (admin or the supplier\'s own representative)',
+                    409: 'Conflict (e.g. duplicate product)',
+                    422: 'Unknown supplier_id'
+                }
+            },
+            getProduct: {
+                summary: 'Gets a product by ID',
+                responses: {
+                    200: 'Product found',
+                    404: 'Product not found'
+                }
+            },
+            updateProduct: {
+                summary: 'Updates a product by ID',
+                responses: {
+                    200: 'Product updated',
+                    400: 'Invalid data',
+                    403: 'Not allowed (admin or the supplier\'s own representative)',
+                    404: 'Product not found',
+                    409: 'Conflict (e.g. duplicate) or stock_quantity below the reserved quantity (stock_below_reserved)',
+                    422: 'Unknown supplier_id'
+                }
+            },
+            deleteProduct: {
+                summary: 'Removes a product by ID',
+                description: 'Soft delete (deleted_at): the product leaves the catalog and the quotes, but stays in the orders already placed.',
+                responses: {
+                    204: 'Removed',
+                    403: 'Not allowed (admin or the supplier\'s own representative)',
+                    404: 'Not found',
+                    409: 'Product in a campaign commitment (orders are history and do not block)'
+                }
+            },
+            importProducts: {
+                summary: 'Imports products from a CSV or XLSX spreadsheet',
+                description: 'Send the file in the body (Content-Type text/csv or XLSX). The first row is the header; recognized columns: name, description, price, stock_quantity, supplier_id, status (or nome, descricao, preco, estoque...). Each row goes through the same validations as POST /product; existing products (same name + supplier_id) are updated. With dry_run=true nothing is saved.',
+                parameters: {
+                    dry_run: 'Only validates and returns the report',
+                    mapping: 'column:field mapping for unrecognized headers',
+                    supplier_id: 'Supplier of the rows without a supplier_id column',
+                    format: 'Forces the format (otherwise detected from the content)'
+                },
+                responses: {
+                    200: 'Report per row',
+                    400: 'File missing, unreadable or without recognized columns',
+                    403: 'supplier_id of another supplier',
+                    422: 'Unknown supplier_id (query)'
+                }
+            },
+            restoreProduct: {
+                summary: 'Restores a removed product',
+                responses: {
+                    200: 'Product restored',
+                    403: 'Not allowed (admin only)',
+                    404: 'Not found',
+                    409: 'Product is not removed or its supplier was removed too'
+                }
+            },
+            listPurchaseOrders: {
+                summary: 'Lists consolidated purchase orders',
+                responses: {
+                    200: 'List of purchase orders',
+                    400: 'Invalid page/limit'
+                }
+            },
+            getPurchaseOrder: {
+                summary: 'Gets a purchase order by ID',
+                responses: {
+                    200: 'Purchase order found',
+                    403: 'Purchase order of another supplier',
+                    404: 'Purchase order not found'
+                }
+            },
+            deletePurchaseOrder: {
+                summary: 'Removes a draft purchase order',
+                description: 'Soft delete (deleted_at). The lines of the source orders become available for a new consolidation again; the PO keeps which ones they were in released_lines.',
+                responses: {
+                    204: 'Removed',
+                    403: 'Not allowed',
+                    404: 'Purchase order not found',
+                    409: 'Purchase order already sent'
+                }
+            },
+            consolidatePurchaseOrders: {
+                summary: 'Consolidates store orders into purchase orders per supplier',
+                description: 'Gathers the not yet consolidated lines of the store orders (only Pending ones by default), groups them by supplier (and by campaign if by_campaign) and creates one draft purchase order per group, with quantities summed per product. Each source line then points to the PO in item[].purchase_order_id.',
+                responses: {
+                    200: 'Nothing to consolidate (empty list)',
+                    201: 'Purchase orders created',
+                    400: 'Invalid data',
+                    403: 'Supplier not linked to the user',
+                    422: 'Unknown supplier_id or campaign_id'
+                }
+            },
+            transitionPurchaseOrder: {
+                summary: 'Changes the purchase order status',
+                description: 'Allowed transitions: draft → sent → confirmed → received. The supplier representative can only confirm.',
+                responses: {
+                    200: 'Purchase order with the new status',
+                    400: 'Invalid status',
+                    403: 'Not allowed',
+                    404: 'Purchase order not found',
+                    409: 'Transition not allowed'
+                }
+            },
+            restorePurchaseOrder: {
+                summary: 'Restores a removed purchase order',
+                description: 'Links the source lines kept in released_lines again; fails if any of them changed or already went into another purchase order.',
+                responses: {
+                    200: 'Purchase order restored',
+                    403: 'Not allowed (admin only)',
+                    404: 'Purchase order not found',
+                    409: 'Not removed, or the source lines are no longer available'
+                }
+            },
+            createQuote: {
+                summary: 'Price quote with campaigns',
+                description: 'For each product returns the list price, the supplier\'s best active campaign on the quote date, the discounted price and the line total. Same pricing rule used when creating an order.',
+                responses: {
+                    200: 'Quote',
+                    400: 'Invalid data',
+                    403: 'Store not linked to the user',
+                    422: 'Unknown store_id or product_id'
+                }
+            },
+            reportSpendByStore: {
+                summary: 'Spend by store',
+                responses: {
+                    200: 'Totals per store, highest first'
+                }
+            },
+            reportSpendBySupplier: {
+                summary: 'Spend by supplier',
+                responses: {
+                    200: 'Totals per supplier, highest first'
+                }
+            },
+            reportSpendByProduct: {
+                summary: 'Spend by product',
+                responses: {
+                    200: 'Totals per product, highest first'
+                }
+            },
+            reportCampaignSavings: {
+                summary: 'Savings obtained with campaigns',
+                description: 'savings = list price - amount paid, only on lines with a campaign; sorted by the largest savings.',
+                responses: {
+                    200: 'Totals per campaign'
+                }
+            },
+            reportOrdersByStatus: {
+                summary: 'Number of orders and amounts per status',
+                description: 'Includes the cancelled ones.',
+                responses: {
+                    200: 'Totals per status'
+                }
+            },
+            reportMonthly: {
+                summary: 'Monthly purchase trend',
+                responses: {
+                    200: 'Totals per month (YYYY-MM), in chronological order'
+                }
+            },
+            listStores: {
+                summary: 'Lists stores (or filters by name)',
+                parameters: {
+                    store_name: 'Partial filter by store name',
+                    status: 'Filter by status (on/off)',
+                    city: 'Address city (ignoring accents and case)',
+                    uf: 'Address state (UF)'
+                },
+                responses: {
+                    200: 'List of stores',
+                    400: 'Invalid page/limit or UF'
+                }
+            },
+            createStore: {
+                summary: 'Creates a store',
+                description: 'The CNPJ is accepted with or without mask, has its check digits verified and is stored as the 14 digits only. With a lookup provider configured (CNPJ_PROVIDER), empty legal_name and address are filled from the registry. In address, CEP and UF are validated and, with CEP_PROVIDER configured, empty street, district, city and UF come from the CEP lookup.',
+                responses: {
+                    201: 'Store created',
+                    400: 'Invalid data (including invalid CNPJ, CEP or UF)',
+                    403: 'Not allowed (admin only)',
+                    409: 'Conflict (CNPJ already exists)'
+                }
+            },
+            getStore: {
+                summary: 'Gets a store by ID',
+                responses: {
+                    200: 'Store found',
+                    404: 'Store not found'
+                }
+            },
+            updateStore: {
+                summary: 'Updates a store by ID',
+                description: 'Changing the CNPJ without sending legal_name clears the registered name and, with a lookup provider, fills it again (along with address, if empty). The fields sent in address replace the stored ones; changing the CEP clears the ones not sent and they come back from the CEP lookup. address null removes the address.',
+                responses: {
+                    200: 'Store updated',
+                    400: 'Invalid data (including invalid CNPJ, CEP or UF)',
+                    403: 'Not allowed (admin only)',
+                    404: 'Store not found',
+                    409: 'Conflict (duplicate CNPJ)'
+                }
+            },
+            deleteStore: {
+                summary: 'Removes a store by ID',
+                description: 'Soft delete: the store gets deleted_at and disappears from queries, but stays in old orders. Comes back with POST /store/{id}/restore.',
+                responses: {
+                    204: 'Store removed',
+                    403: 'Not allowed (admin only)',
+                    404: 'Store not found',
+                    409: 'Store has commitments (orders are history and do not block)'
+                }
+            },
+            restoreStore: {
+                summary: 'Restores a removed store',
+                responses: {
+                    200: 'Store restored',
+                    403: 'Not allowed (admin only)',
+                    404: 'Store not found',
+                    409: 'Store is not removed or the CNPJ already belongs to another store'
+                }
+            },
+            listSuppliers: {
+                summary: 'Lists suppliers (or filters by name and category)',
+                parameters: {
+                    supplier_name: 'Partial filter by supplier name',
+                    supplier_category: 'Partial filter by category'
+                },
+                responses: {
+                    200: 'List of suppliers',
+                    400: 'Invalid page/limit'
+                }
+            },
+            createSupplier: {
+                summary: 'Creates a supplier',
+                description: 'cnpj is required and unique (accepted with or without mask, stored as digits only). With a lookup provider configured (CNPJ_PROVIDER), empty legal_name and address come from the registry.',
+                responses: {
+                    201: 'Created',
+                    400: 'Invalid data',
+                    403: 'Not allowed (admin only)',
+                    409: 'Conflict (CNPJ already registered, or same name + e-mail)'
+                }
+            },
+            getSupplier: {
+                summary: 'Gets a supplier by ID',
+                responses: {
+                    200: 'Supplier',
+                    404: 'Not found'
+                }
+            },
+            updateSupplier: {
+                summary: 'Updates a supplier by ID',
+                description: 'Changing the CNPJ without sending legal_name clears the registered name and, with a lookup provider, fills it again (along with address, if empty).',
+                responses: {
+                    200: 'Updated',
+                    400: 'Invalid data (including invalid or empty CNPJ)',
+                    403: 'Not allowed (admin only)',
+                    404: 'Not found',
+                    409: 'Conflict (CNPJ of another supplier, or same name + e-mail)'
+                }
+            },
+            deleteSupplier: {
+                summary: 'Removes a supplier by ID',
+                description: 'Soft delete (deleted_at); POST /supplier/{id}/restore undoes it. Purchase orders are history: they do not block the removal and keep pointing to the supplier.',
+                responses: {
+                    204: 'Removed',
+                    403: 'Not allowed (admin only)',
+                    404: 'Not found',
+                    409: 'Supplier has products/campaigns (without ?cascade=true)'
+                }
+            },
+            importSuppliers: {
+                summary: 'Imports suppliers from a CSV or XLSX spreadsheet',
+                description: 'Send the file in the body (Content-Type text/csv or XLSX). The first row is the header; recognized columns: supplier_name, cnpj, supplier_category, contact_email, phone_number, status (or nome, documento, categoria, email, telefone...). Each row goes through the same validations as POST /supplier; existing suppliers (same CNPJ, or same name + e-mail still without CNPJ) are updated. With dry_run=true nothing is saved.',
+                parameters: {
+                    dry_run: 'Only validates and returns the report',
+                    mapping: 'column:field mapping for unrecognized headers',
+                    format: 'Forces the format (otherwise detected from the content)'
+                },
+                responses: {
+                    200: 'Report per row',
+                    400: 'File missing, unreadable or without recognized columns'
+                }
+            },
+            restoreSupplier: {
+                summary: 'Restores a removed supplier',
+                responses: {
+                    200: 'Restored',
+                    403: 'Not allowed (admin only)',
+                    404: 'Not found',
+                    409: 'Supplier is not removed or the CNPJ already belongs to another supplier'
+                }
+            },
+            listUsers: {
+                summary: 'Lists users (or filters by name)',
+                description: 'Non-admins only get their own record.',
+                parameters: {
+                    name: 'Partial filter by name (case-insensitive)'
+                },
+                responses: {
+                    200: 'List of users',
+                    400: 'Invalid page/limit'
+                }
+            },
+            createUser: {
+                summary: 'Creates a user',
+                responses: {
+                    201: 'Created',
+                    400: 'Invalid data or password outside the policy (weak_password)',
+                    403: 'Only admins create users',
+                    409: 'Conflict (user/email)',
+                    422: 'Unknown store_ids or supplier_id'
+                }
+            },
+            getUser: {
+                summary: 'Gets a user by ID',
+                responses: {
+                    200: 'User',
+                    403: 'Non-admin reading another user',
+                    404: 'User not found'
+                }
+            },
+            updateUser: {
+                summary: 'Updates a user',
+                description: 'To change your own password (pwd), also send the current one in current_pwd; an admin changing another user\'s password does not need it. With the new password, the user\'s other sessions are closed (the one that made the change stays valid).',
+                responses: {
+                    200: 'Updated',
+                    400: 'Invalid data, password outside the policy (weak_password) or current_pwd missing',
+                    403: 'Non-admin editing another user or level/status/links, or wrong current_pwd',
+                    404: 'Not found',
+                    409: 'Conflict (user/email)',
+                    422: 'Unknown store_ids or supplier_id'
+                }
+            },
+            deleteUser: {
+                summary: 'Removes a user',
+                description: 'Soft delete (deleted_at): the user can no longer log in and their tokens stop working.',
+                responses: {
+                    204: 'Removed',
+                    403: 'Only admins remove users',
+                    404: 'Not found'
+                }
+            },
+            login: {
+                summary: 'Login',
+                description: 'Returns an access token (Bearer) and a refresh token. After LOGIN_MAX_ATTEMPTS wrong passwords in a row (default 5) the account is locked for LOGIN_LOCK_MINUTES (default 15) and login answers 423 until locked_until, even with the right password; resetting the password unlocks it.\n\nWith 2FA enabled, the right password does not open a session: the response carries two_factor_required and a challenge_token to send with the app code (or a recovery code) to POST /users/login/2fa.',
+                responses: {
+                    200: 'Session opened, or the second-step challenge (2FA enabled)',
+                    400: 'Missing fields',
+                    401: 'Invalid credentials',
+                    423: 'Account locked by wrong attempts (locked_until says until when)'
+                }
+            },
+            loginTwoFactor: {
+                summary: 'Second login step (2FA)',
+                description: 'Send the challenge_token returned by POST /users/login with the 6-digit app code (code) or a recovery code (recovery_code, good once). Wrong codes count towards the account lock, like wrong passwords.',
+                responses: {
+                    200: 'Session opened',
+                    400: 'Neither code nor recovery_code given',
+                    401: 'Invalid or expired challenge (invalid_challenge_token) or wrong code (invalid_two_factor_code)',
+                    423: 'Account locked by wrong attempts'
+                }
+            },
+            refreshToken: {
+                summary: 'Renews the access token',
+                description: 'The refresh token used stops working; use the new one returned.',
+                responses: {
+                    200: 'New token pair',
+                    400: 'refresh_token missing',
+                    401: 'Refresh token invalid, expired or revoked'
+                }
+            },
+            logout: {
+                summary: 'Logout',
+                description: 'Revokes the session of the token used (access and refresh).',
+                responses: {
+                    204: 'Session closed',
+                    401: 'Unauthenticated'
+                }
+            },
+            forgotPassword: {
+                summary: 'Requests a password reset',
+                description: 'Sends by e-mail (see MAIL_TRANSPORT) a single-use token for POST /users/password/reset, valid for PASSWORD_RESET_TTL seconds (default 30 min). A new request invalidates the previous ones. Answers 204 even if the e-mail belongs to no active user, so as not to reveal who is registered.',
+                responses: {
+                    204: 'Request received',
+                    400: 'contact_email missing or invalid'
+                }
+            },
+            resetPassword: {
+                summary: 'Resets the password with the e-mailed token',
+                description: 'The token is good only once. The new password follows the password policy; the account is unlocked and every open session of the user is closed.',
+                responses: {
+                    204: 'Password changed',
+                    400: 'Token invalid, expired or already used (invalid_reset_token), or password outside the policy (weak_password)'
+                }
+            },
+            restoreUser: {
+                summary: 'Restores a removed user',
+                responses: {
+                    200: 'User restored',
+                    403: 'Only admins restore users',
+                    404: 'Not found',
+                    409: 'Not removed, or the user/e-mail was already taken by another account'
+                }
+            },
+            setupTwoFactor: {
+                summary: 'Starts the 2FA (TOTP) enrollment',
+                description: 'Generates a new secret and returns the otpauth:// URI for the authenticator app QR code. 2FA only takes effect after POST /users/{id}/2fa/verify; calling again before that replaces the secret. Only the user themselves.',
+                responses: {
+                    200: 'Secret and URI for the app',
+                    403: 'Another user',
+                    404: 'Not found',
+                    409: '2FA already enabled (disable it first to change the secret)'
+                }
+            },
+            verifyTwoFactor: {
+                summary: 'Confirms the 2FA enrollment',
+                description: 'Checks the first app code, enables 2FA and returns the recovery codes. They only show up in this response: keep them; each one replaces the app code once at login.',
+                responses: {
+                    200: '2FA enabled',
+                    400: 'Wrong code (invalid_two_factor_code)',
+                    403: 'Another user',
+                    404: 'Not found',
+                    409: '2FA already enabled, or setup not called yet'
+                }
+            },
+            regenerateRecoveryCodes: {
+                summary: 'Generates new recovery codes',
+                description: 'Requires a current app code; the previous codes stop working.',
+                responses: {
+                    200: 'New codes',
+                    400: 'Wrong code (invalid_two_factor_code)',
+                    403: 'Another user',
+                    404: 'Not found',
+                    409: '2FA disabled'
+                }
+            },
+            disableTwoFactor: {
+                summary: 'Disables 2FA',
+                description: 'The user confirms with the app code or a recovery code (not needed if the enrollment was never confirmed). An admin disables another user\'s without a code (e.g. lost phone and no recovery codes).',
+                responses: {
+                    204: '2FA disabled',
+                    400: 'Code missing or wrong',
+                    403: 'Non-admin disabling another user\'s',
+                    404: 'Not found'
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,1223 @@
+// ===== mensagens da API em português (idioma padrão)
+// errors: detail do problem, por code; titles: title por status HTTP;
+// validation: mensagem de cada campo inválido (errors[].message);
+// password: regras da política de senhas; mail: textos dos e-mails;
+// exports: títulos e cabeçalhos das exportações (?format=csv|xlsx|pdf);
+// docs: textos do Swagger (/docs), com as operações pelo operationId.
+// Parâmetros entram como {nome}.
+module.exports = {
+    titles: {
+        400: 'Requisição inválida',
+        401: 'Não autenticado',
+        403: 'Acesso negado',
+        404: 'Não encontrado',
+        409: 'Conflito',
+        413: 'Corpo da requisição muito grande',
+        422: 'Referência inexistente',
+        423: 'Conta bloqueada',
+        500: 'Erro interno',
+        default: 'Erro'
+    },
+
+    errors: {
+        // gerais
+        validation_failed: 'Dados inválidos: {fields}',
+        invalid_json: 'JSON inválido no corpo da requisição',
+        payload_too_large: 'Corpo da requisição muito grande',
+        route_not_found: 'Rota não encontrada: {method} {path}',
+        internal_error: 'Erro interno do servidor',
+        invalid_page: 'page inválido (inteiro >= 1)',
+        invalid_limit: 'limit inválido (1 a {max})',
+
+        // autenticação e permissões
+        unauthenticated: 'Não autenticado',
+        forbidden: 'Acesso negado',
+        invalid_credentials: 'Credenciais inválidas',
+        invalid_refresh_token: 'Refresh token inválido',
+        account_locked: 'Conta bloqueada por excesso de tentativas; tente de novo após {until}',
+        weak_password: 'A senha não atende à política de senhas (ver errors)',
+        current_password_required: 'Informe current_pwd (a senha atual) para trocar a própria senha',
+        current_password_invalid: 'Senha atual incorreta',
+        invalid_reset_token: 'Token de redefinição inválido, vencido ou já usado',
+        invalid_challenge_token: 'Desafio de login inválido ou vencido; faça login de novo',
+        invalid_two_factor_code: 'Código de verificação inválido',
+        two_factor_code_required: 'Informe code (app autenticador) ou recovery_code',
+        two_factor_already_enabled: '2FA já está ligado; desligue antes para cadastrar outro app',
+        two_factor_not_enabled: '2FA não está ligado',
+        two_factor_setup_required: 'Chame /2fa/setup antes de confirmar o código',
+        admin_only_fields: 'Apenas admin altera level, status e vínculos',
+
+        // registros e integridade
+        store_not_found: 'Loja não encontrada',
+        supplier_not_found: 'Fornecedor não encontrado',
+        product_not_found: 'Produto não encontrado',
+        campaign_not_found: 'Campanha não encontrada',
+        order_not_found: 'Pedido não encontrado',
+        commitment_not_found: 'Compromisso não encontrado',
+        purchase_order_not_found: 'Pedido de compra não encontrado',
+        user_not_found: 'Usuário não encontrado',
+        missing_reference: 'Referência inexistente: {refs}',
+        has_dependents: 'Registro possui dependentes; use ?cascade=true para removê-los junto',
+        not_deleted: 'Registro não está removido',
+        restore_parent_first: 'Restaure antes: {refs}',
+
+        // CNPJ e endereço
+        cnpj_required: 'cnpj é obrigatório',
+        invalid_cnpj: 'CNPJ inválido',
+        cnpj_taken: 'CNPJ já cadastrado',
+        address_not_object: 'address deve ser um objeto { street, number, complement, district, city, uf, cep }',
+        cep_required: 'address.cep é obrigatório',
+        invalid_cep: 'CEP inválido (use 8 dígitos, ex.: 88801-000)',
+        invalid_uf: 'UF inválida: {uf}',
+        cep_not_found: 'CEP {cep} não encontrado',
+        cep_uf_mismatch: 'CEP {cep} é de {expected}, não de {uf}',
+        address_incomplete: 'address: {fields} obrigatório(s)',
+
+        // fornecedores e produtos
+        duplicate_supplier: 'Já existe fornecedor com esse nome e e-mail',
+        duplicate_product: 'Já existe um produto com esse nome para o mesmo fornecedor',
+
+        // importação de planilhas (erros do arquivo e de cada linha)
+        spreadsheet_missing: 'Envie o arquivo CSV ou XLSX no corpo (Content-Type text/csv ou {mime})',
+        invalid_spreadsheet_format: 'format inválido (use csv ou xlsx)',
+        spreadsheet_unreadable: 'Não foi possível ler o arquivo {format}: {reason}',
+        spreadsheet_empty: 'Arquivo vazio',
+        spreadsheet_no_columns: 'Nenhuma coluna reconhecida; campos aceitos: {fields} (use mapping=Coluna:campo)',
+        field_required: '{field} é obrigatório',
+        required_for_new_product: '{field} é obrigatório para produto novo',
+        invalid_price: 'price inválido (>= 0)',
+        invalid_stock_quantity: 'stock_quantity inválido (inteiro >= 0)',
+        invalid_email: 'E-mail inválido (use domínio completo, ex.: gmail.com)',
+        forbidden_supplier: 'Acesso negado ao fornecedor {supplier_id}',
+        unknown_supplier: 'supplier_id inexistente: {supplier_id}',
+        duplicate_row: 'Registro repetido no arquivo (linha {line})',
+        supplier_cnpj_mismatch: 'Fornecedor com esse nome e e-mail já cadastrado com outro CNPJ',
+
+        // campanhas
+        duplicate_campaign: 'Já existe campanha com esse nome para o fornecedor nesse intervalo',
+        invalid_date_range: 'start_date deve ser <= end_date',
+        campaign_scope_required: 'Informe supplier_id ou category',
+        invalid_product_ids: 'product_ids deve ser uma lista de IDs',
+        product_not_from_supplier: 'Produto {product_id} não é do fornecedor da campanha',
+        invalid_tiers: 'tiers deve ser uma lista',
+        discount_required: 'Informe discount_percentage, discount_amount ou tiers',
+        discount_conflict: 'Use {prefix}discount_percentage ou {prefix}discount_amount, não os dois',
+        invalid_discount_percentage: '{prefix}discount_percentage deve ser entre 0 e 100',
+        invalid_discount_amount: '{prefix}discount_amount inválido (>= 0)',
+        invalid_tier_min_quantity: 'tiers[{index}].min_quantity inválido (inteiro >= 1)',
+        duplicate_tier: 'tiers[{index}]: min_quantity {min} repetido',
+        tier_discount_required: 'tiers[{index}]: informe discount_percentage ou discount_amount',
+        invalid_min_total_quantity: 'min_total_quantity inválido (inteiro >= 0)',
+        invalid_min_total_amount: 'min_total_amount inválido (>= 0)',
+        campaign_settled: 'Campanha já apurada',
+        campaign_settlement_failed: 'A apuração falhou e será refeita',
+        campaign_running: 'Campanha ainda em andamento',
+        campaign_without_threshold: 'Campanha sem volume mínimo; os pedidos vão direto em /order',
+        outside_campaign_window: 'Fora da janela da campanha (start_date a end_date)',
+
+        // compromissos
+        commitment_exists: 'Loja já tem compromisso aberto nessa campanha; altere o existente',
+        commitment_not_open: 'Compromisso {status}; só compromissos abertos podem ser alterados ou removidos',
+
+        // itens de pedido, cotação e compromisso
+        items_required: '{field} deve ser uma lista não vazia de { product_id, quantity, campaign_id? }',
+        item_product_required: '{field}.product_id é obrigatório',
+        item_quantity_invalid: '{field}.quantity inválido (inteiro > 0)',
+        item_product_not_found: '{field}: produto {product_id} não encontrado',
+        item_product_inactive: '{field}: produto {product_id} está inativo',
+        item_campaign_not_found: '{field}: campanha {campaign_id} não encontrada',
+        item_campaign_not_applicable: '{field}: campanha {campaign_id} não se aplica a este produto na data',
+        item_campaign_threshold: '{field}: campanha {campaign_id} depende de volume mínimo; use /commitment',
+
+        // pedidos e pedidos de compra
+        insufficient_stock: 'Estoque insuficiente',
+        stock_below_reserved: 'stock_quantity não pode ficar abaixo do reservado por pedidos ({reserved})',
+        order_not_editable: 'Pedido {status}; itens e data não podem ser alterados',
+        order_consolidated: 'Pedido já consolidado em pedido de compra',
+        invalid_status: 'status inválido (use {values})',
+        transition_not_allowed: 'Transição não permitida: {from} → {to}',
+        purchase_order_not_draft: 'Pedido de compra {status}; só é possível remover em draft',
+        purchase_order_lines_changed: 'As linhas do pedido {order_id} mudaram ou já foram consolidadas em outro pedido de compra',
+
+        // usuários
+        user_taken: 'user já existe',
+        email_taken: 'e-mail já cadastrado',
+        store_operator_requires_store: 'store_operator precisa de ao menos uma loja em store_ids',
+        supplier_rep_requires_supplier: 'supplier_rep precisa de supplier_id'
+    },
+
+    validation: {
+        required: 'é obrigatório',
+        body_required: 'corpo JSON é obrigatório',
+        not_null: 'não pode ser null',
+        type_string: 'deve ser texto',
+        type_number: 'deve ser número',
+        type_integer: 'deve ser inteiro',
+        type_boolean: 'deve ser booleano (true/false)',
+        type_array: 'deve ser uma lista',
+        type_object: 'deve ser um objeto',
+        enum: 'deve ser um de: {values}',
+        email: 'e-mail inválido',
+        date_time: 'data inválida',
+        min_length: 'deve ter ao menos {min} caractere(s)',
+        max_length: 'deve ter no máximo {max} caractere(s)',
+        pattern: 'formato inválido',
+        minimum: 'deve ser >= {min}',
+        maximum: 'deve ser <= {max}',
+        min_items: 'deve ter ao menos {min} item(ns)',
+        max_items: 'deve ter no máximo {max} item(ns)',
+        not_allowed: 'campo não permitido'
+    },
+
+    password: {
+        min_length: 'deve ter ao menos {min} caracteres',
+        lowercase: 'deve ter uma letra minúscula',
+        uppercase: 'deve ter uma letra maiúscula',
+        digit: 'deve ter um número',
+        symbol: 'deve ter um símbolo (ex.: ! @ # $)',
+        not_personal: 'não pode ser igual ao login ou ao e-mail'
+    },
+
+    exports: {
+        generated: 'Gerado em {date} — {count} linha(s)',
+        orders: {
+            title: 'Pedidos',
+            filename: 'pedidos',
+            columns: {
+                order_id: 'Pedido',
+                date: 'Data',
+                store_id: 'ID loja',
+                store_name: 'Loja',
+                status: 'Status',
+                product_id: 'ID produto',
+                product_name: 'Produto',
+                quantity: 'Qtd',
+                list_price: 'Preço lista',
+                discount_percentage: 'Desc. %',
+                discount_amount: 'Desc. R$',
+                unit_price: 'Preço unit.',
+                line_total: 'Total linha',
+                campaign_id: 'Campanha',
+                total_amount: 'Total pedido'
+            }
+        },
+        products: {
+            title: 'Catálogo de produtos',
+            filename: 'produtos',
+            columns: {
+                id: 'ID',
+                name: 'Produto',
+                description: 'Descrição',
+                price: 'Preço',
+                stock_quantity: 'Estoque',
+                reserved_quantity: 'Reservado',
+                supplier_id: 'ID fornecedor',
+                supplier_name: 'Fornecedor',
+                status: 'Status'
+            }
+        }
+    },
+
+    mail: {
+        password_reset_subject: 'CentralCompras: redefinição de senha',
+        password_reset_text: 'Olá, {name}.\n\nRecebemos um pedido para redefinir a sua senha. Envie o token abaixo com a senha nova em POST /users/password/reset; ele vale por {minutes} minutos e uma única vez:\n\n{token}\n\nSe não foi você, ignore este e-mail: a senha atual continua valendo.'
+    },
+
+    docs: {
+        info: 'API documentada com OpenAPI 3.0. Path params, query string e corpo JSON são validados contra estes schemas: erros voltam juntos em 400 (code validation_failed, errors: [{ in, field, message }]), campos que o schema não conhece são descartados, e texto numérico ("19.90", "8") vale onde se espera número. Toda resposta de erro segue a RFC 7807 (application/problem+json, schema Problem) com um `code` estável para o cliente tratar sem depender do texto. O idioma de title, detail e errors[].message vem do cabeçalho Accept-Language (pt-BR, padrão, ou en) e volta em Content-Language; o `code` não muda com o idioma.',
+        bearer_auth: 'access_token devolvido por POST /users/login',
+        responses: {
+            400: '{title} (code validation_failed, com a lista em errors)',
+            401: '{title} (code unauthenticated)',
+            500: '{title} (code internal_error)'
+        },
+        parameters: {
+            Cascade: 'Se true, remove junto os registros dependentes; senão responde 409 listando-os. Pedidos e pedidos de compra são histórico: não contam como dependentes e nunca são removidos junto',
+            IncludeDeleted: 'Se true, inclui os registros removidos (com deleted_at)',
+            Format: 'Exporta a lista filtrada inteira (sem paginação) como arquivo; sort vale, page/limit/fields não',
+            ReportDateFrom: 'Data inicial (>=), como em GET /order',
+            ReportDateTo: 'Data final (<=), como em GET /order',
+            ReportSupplier: 'Considera só as linhas de produtos deste fornecedor',
+            ReportStatus: 'Sem status, pedidos cancelados ficam de fora',
+            Page: 'Página (a partir de 1)',
+            Limit: 'Itens por página',
+            Sort: 'Campos separados por vírgula; prefixo "-" para ordem decrescente',
+            Fields: 'Devolve só estes campos de cada item',
+            AcceptLanguage: 'Idioma das mensagens de erro (ex.: "en", "en-US,en;q=0.9"); sem idioma suportado, pt-BR'
+        },
+        schemas: {
+            Page: {
+                description: 'Envelope das listagens; os itens vêm em data',
+                properties: {
+                    total: 'Total de itens após os filtros'
+                }
+            },
+            User: {
+                properties: {
+                    deleted_at: 'Data da exclusão lógica; registros removidos só aparecem com include_deleted=true',
+                    store_ids: 'Lojas vinculadas (store_operator)',
+                    supplier_id: 'Fornecedor vinculado (supplier_rep)',
+                    failed_logins: 'Senhas erradas seguidas desde o último login certo',
+                    locked_until: 'Login bloqueado até esta data (tentativas erradas demais)',
+                    totp_enabled: 'Login em dois passos (2FA) ligado'
+                }
+            },
+            UserCreate: {
+                properties: {
+                    pwd: 'senha em texto; será salva como hash. Política: PASSWORD_MIN_LENGTH caracteres (padrão 8), as classes de PASSWORD_REQUIRE (padrão minúscula, maiúscula e número) e diferente do login e do e-mail',
+                    store_ids: 'Lojas vinculadas (store_operator)',
+                    supplier_id: 'Fornecedor vinculado (supplier_rep)'
+                }
+            },
+            UserUpdate: {
+                properties: {
+                    pwd: 'Senha nova (mesma política do cadastro)',
+                    current_pwd: 'Senha atual; obrigatória para trocar a própria senha',
+                    store_ids: 'Lojas vinculadas (store_operator)',
+                    supplier_id: 'Fornecedor vinculado (supplier_rep)'
+                }
+            },
+            LoginChallenge: {
+                description: 'Senha conferida; falta o segundo fator em POST /users/login/2fa',
+                properties: {
+                    expires_in: 'Validade do challenge_token em segundos'
+                }
+            },
+            LoginTwoFactorRequest: {
+                properties: {
+                    code: 'Código de 6 dígitos do app autenticador',
+                    recovery_code: 'Código de recuperação, no lugar de code'
+                }
+            },
+            TwoFactorSetup: {
+                properties: {
+                    secret: 'Segredo em base32, para digitar no app se não der para ler o QR code',
+                    otpauth_uri: 'Conteúdo do QR code'
+                }
+            },
+            TwoFactorCodeRequest: {
+                properties: {
+                    code: 'Código de 6 dígitos do app autenticador'
+                }
+            },
+            TwoFactorDisableRequest: {
+                properties: {
+                    code: 'Código de 6 dígitos do app autenticador',
+                    recovery_code: 'Código de recuperação, no lugar de code'
+                }
+            },
+            TwoFactorRecoveryCodes: {
+                properties: {
+                    recovery_codes: 'Mostrados só uma vez; cada um vale um login'
+                }
+            },
+            PasswordResetRequest: {
+                properties: {
+                    token: 'Token recebido por e-mail',
+                    pwd: 'Senha nova (mesma política do cadastro)'
+                }
+            },
+            TokenPair: {
+                properties: {
+                    expires_in: 'Validade do access token em segundos'
+                }
+            },
+            Report: {
+                properties: {
+                    filters: 'Filtros aplicados (null = sem filtro)',
+                    'data.items': 'Além destes, o campo do agrupamento (store_id/store_name, supplier_id/supplier_name, product_id/product_name, campaign_id/campaign_name, status ou month)',
+                    'data.items.orders': 'Pedidos distintos',
+                    'data.items.list_amount': 'Valor a preço de lista',
+                    'data.items.total_amount': 'Valor pago',
+                    'data.items.savings': 'list_amount - total_amount'
+                }
+            },
+            AuditEntry: {
+                properties: {
+                    user_id: 'null quando a alteração veio de um processo interno (ex.: liquidação de campanhas)',
+                    user: 'Login do usuário',
+                    action: 'delete é a exclusão lógica (deleted_at); purge, a remoção definitiva',
+                    changes: 'Só os campos que mudaram; senhas aparecem como "***"'
+                }
+            },
+            ImportReport: {
+                properties: {
+                    total: 'Linhas de dados lidas (sem o cabeçalho e as vazias)',
+                    'rows.items.line': 'Linha na planilha (cabeçalho = 1)',
+                    'rows.items.id': 'null em dry_run para registros novos'
+                }
+            },
+            Supplier: {
+                properties: {
+                    deleted_at: 'Data da exclusão lógica; registros removidos só aparecem com include_deleted=true',
+                    cnpj: '14 dígitos, sem máscara',
+                    legal_name: 'Razão social',
+                    phone_number: 'Apenas dígitos'
+                }
+            },
+            SupplierCreate: {
+                properties: {
+                    cnpj: 'Com ou sem máscara; dígitos verificadores conferidos',
+                    legal_name: 'Se vazio, vem do provedor de consulta de CNPJ (quando configurado)',
+                    address: 'Se vazio, vem do provedor de consulta de CNPJ (quando configurado)'
+                }
+            },
+            Address: {
+                description: 'Endereço estruturado',
+                properties: {
+                    district: 'Bairro',
+                    cep: '8 dígitos, sem máscara'
+                }
+            },
+            AddressInput: {
+                description: 'cep (com ou sem máscara) é obrigatório no cadastro; no PUT, os campos enviados substituem os gravados. Com CEP_PROVIDER configurado, street, district, city e uf vazios vêm da consulta do CEP; sem consulta, street, city e uf são obrigatórios.'
+            },
+            Store: {
+                properties: {
+                    deleted_at: 'Data da exclusão lógica; registros removidos só aparecem com include_deleted=true',
+                    cnpj: '14 dígitos, sem máscara',
+                    legal_name: 'Razão social'
+                }
+            },
+            StoreCreate: {
+                properties: {
+                    cnpj: 'Com ou sem máscara; dígitos verificadores conferidos',
+                    legal_name: 'Se vazio, vem do provedor de consulta de CNPJ (quando configurado)',
+                    address: 'Se vazio, vem do provedor de consulta de CNPJ (quando configurado)'
+                }
+            },
+            StoreUpdate: {
+                properties: {
+                    address: 'Campos enviados substituem os gravados; null remove o endereço'
+                }
+            },
+            Product: {
+                properties: {
+                    deleted_at: 'Data da exclusão lógica; registros removidos só aparecem com include_deleted=true',
+                    reserved_quantity: 'Reservado por pedidos ainda não expedidos'
+                }
+            },
+            ProductCreate: {
+                properties: {
+                    price: 'Arredondado para 2 casas'
+                }
+            },
+            OrderItem: {
+                properties: {
+                    list_price: 'Preço do produto no catálogo',
+                    discount_percentage: 'Desconto percentual da campanha aplicada (faixa atingida)',
+                    discount_amount: 'Desconto fixo por unidade da campanha aplicada',
+                    unit_price: 'Preço unitário com desconto',
+                    purchase_order_id: 'Pedido de compra em que a linha foi consolidada'
+                }
+            },
+            OrderItemInput: {
+                properties: {
+                    campaign_id: 'Opcional; sem ela é usada a campanha ativa que der o menor preço para a quantidade'
+                }
+            },
+            Order: {
+                properties: {
+                    deleted_at: 'Data da exclusão lógica; registros removidos só aparecem com include_deleted=true',
+                    total_amount: 'Soma dos line_total, calculada pelo servidor',
+                    stock_status: 'reserved até o pedido ser expedido; committed após a baixa do estoque; released se cancelado',
+                    commitment_id: 'Compromisso de campanha que originou o pedido (só nesses pedidos)'
+                }
+            },
+            QuoteRequest: {
+                properties: {
+                    date: 'Data da cotação (padrão: agora)'
+                }
+            },
+            OrderStatusChange: {
+                properties: {
+                    by: 'ID do usuário que fez a mudança'
+                }
+            },
+            OrderTransition: {
+                properties: {
+                    reason: 'Motivo (opcional)'
+                }
+            },
+            OrderCreate: {
+                properties: {
+                    status: 'Pedido nasce Pending; as mudanças de status são em /order/{id}/transition'
+                }
+            },
+            PurchaseOrderItem: {
+                properties: {
+                    quantity: 'Soma das quantidades dos pedidos das lojas',
+                    amount: 'Soma dos line_total das linhas de origem'
+                }
+            },
+            PurchaseOrder: {
+                properties: {
+                    deleted_at: 'Data da exclusão lógica; registros removidos só aparecem com include_deleted=true',
+                    released_lines: 'Linhas de origem soltas na remoção (usadas pela restauração)',
+                    order_ids: 'Pedidos das lojas consolidados'
+                }
+            },
+            PurchaseOrderConsolidate: {
+                properties: {
+                    supplier_id: 'Consolida só este fornecedor',
+                    campaign_id: 'Consolida só as linhas desta campanha',
+                    by_campaign: 'Um PO por fornecedor e campanha',
+                    order_status: 'Status dos pedidos das lojas considerados'
+                }
+            },
+            CampaignTier: {
+                description: 'Faixa por quantidade da linha do pedido; informe discount_percentage ou discount_amount',
+                properties: {
+                    discount_amount: 'Valor fixo (R$) por unidade'
+                }
+            },
+            Campaign: {
+                properties: {
+                    deleted_at: 'Data da exclusão lógica; registros removidos só aparecem com include_deleted=true',
+                    product_ids: 'Vazio = todos os produtos do escopo',
+                    category: 'Categoria de fornecedor (supplier_category)',
+                    discount_amount: 'Valor fixo (R$) por unidade',
+                    min_total_quantity: 'Volume mínimo da rede (0 = sem meta)',
+                    min_total_amount: 'Valor mínimo comprometido pela rede (0 = sem meta)'
+                }
+            },
+            CampaignCreate: {
+                description: 'supplier_id ou category é obrigatório; informe discount_percentage, discount_amount ou tiers',
+                properties: {
+                    discount_amount: 'Valor fixo (R$) por unidade'
+                }
+            },
+            CampaignUpdate: {
+                properties: {
+                    min_total_quantity: 'null ou 0 = sem meta'
+                }
+            },
+            CampaignSettlement: {
+                properties: {
+                    status: 'met / not_met: apurada; settling: em andamento; error: parou num erro e é refeita na próxima apuração',
+                    error: 'Motivo do erro (status error)',
+                    commitments: 'Compromissos abertos no fim da campanha',
+                    converted: 'Compromissos que viraram pedido',
+                    failed: 'Compromissos não convertidos (ex.: estoque insuficiente)',
+                    released: 'Compromissos liberados (meta não atingida)'
+                }
+            },
+            Commitment: {
+                properties: {
+                    deleted_at: 'Data da exclusão lógica; registros removidos só aparecem com include_deleted=true',
+                    items: 'Preços estimados com o desconto da campanha',
+                    order_id: 'Pedido criado na apuração',
+                    error: 'Motivo da falha na apuração (no idioma padrão)',
+                    error_code: 'code do motivo da falha (ver Problem.code)'
+                }
+            },
+            Problem: {
+                properties: {
+                    title: 'Resumo do status HTTP',
+                    code: 'Identificador estável do erro; o texto de cada um está no catálogo src/locales',
+                    detail: 'Mensagem para exibir ao usuário, no idioma de Content-Language',
+                    instance: 'Caminho da requisição',
+                    errors: 'validation_failed: cada campo inválido; weak_password: cada regra da política não atendida',
+                    missing: 'missing_reference / restore_parent_first: referências que não existem',
+                    dependents: 'has_dependents: ids dos dependentes por coleção',
+                    shortages: 'insufficient_stock: produtos sem estoque suficiente',
+                    id: 'cnpj_taken / commitment_exists: registro que causou o conflito',
+                    locked_until: 'account_locked: data em que o login volta a valer'
+                }
+            }
+        },
+        operations: {
+            listAudit: {
+                summary: 'Consulta a trilha de auditoria',
+                description: 'Cada inclusão, alteração, remoção (lógica ou definitiva) e restauração gravada pela API (e pelos processos internos, com user_id null) vira um registro só de inclusão, com o que mudou campo a campo. Sem sort, os mais recentes vêm primeiro.',
+                parameters: {
+                    resource: 'Coleção (order, product, campaing, ...)',
+                    user: 'Login de quem fez a alteração',
+                    date_from: 'Data inicial (>=) sobre timestamp',
+                    date_to: 'Data final (<=) sobre timestamp'
+                },
+                responses: {
+                    200: 'Registros de auditoria',
+                    400: 'action, page ou limit inválidos'
+                }
+            },
+            listCampaigns: {
+                summary: 'Lista campanhas (filtros opcionais)',
+                description: 'Filtra por name (parcial), supplier_id e intervalo de datas (start/end).',
+                parameters: {
+                    name: 'Filtro parcial por nome (case-insensitive)',
+                    supplier_id: 'Filtrar por fornecedor',
+                    start_from: 'Start date >= start_from',
+                    start_to: 'Start date <= start_to',
+                    end_from: 'End date >= end_from',
+                    end_to: 'End date <= end_to'
+                },
+                responses: {
+                    200: 'Lista de campanhas',
+                    400: 'page/limit inválidos'
+                }
+            },
+            createCampaign: {
+                summary: 'Cria campanha',
+                description: 'Escopo: supplier_id (todos os produtos do fornecedor), product_ids (só esses produtos) e/ou category (fornecedores da categoria). Desconto: discount_percentage ou discount_amount (por unidade), e faixas por quantidade em tiers. Com min_total_quantity/min_total_amount o desconto só vale via compromissos das lojas (/commitment), apurados no end_date.',
+                responses: {
+                    201: 'Campanha criada',
+                    400: 'Dados inválidos',
+                    403: 'Sem permissão (admin ou representante do próprio fornecedor)',
+                    409: 'Conflito (nome duplicado no mesmo fornecedor e intervalo)',
+                    422: 'supplier_id ou product_ids inexistente'
+                }
+            },
+            getCampaign: {
+                summary: 'Busca campanha por ID',
+                responses: {
+                    200: 'Campanha encontrada',
+                    404: 'Campanha não encontrada'
+                }
+            },
+            updateCampaign: {
+                summary: 'Atualiza campanha por ID',
+                responses: {
+                    200: 'Campanha atualizada',
+                    400: 'Dados inválidos',
+                    403: 'Sem permissão (admin ou representante do próprio fornecedor)',
+                    404: 'Campanha não encontrada',
+                    409: 'Conflito (sobreposição de intervalo/nome/fornecedor) ou campanha já apurada',
+                    422: 'supplier_id ou product_ids inexistente'
+                }
+            },
+            deleteCampaign: {
+                summary: 'Remove campanha por ID',
+                description: 'Exclusão lógica (deleted_at): a campanha deixa de dar desconto, mas os pedidos antigos continuam apontando para ela.',
+                responses: {
+                    204: 'Removida',
+                    403: 'Sem permissão (admin ou representante do próprio fornecedor)',
+                    404: 'Campanha não encontrada',
+                    409: 'Campanha com compromissos (pedidos são histórico e não impedem)'
+                }
+            },
+            restoreCampaign: {
+                summary: 'Restaura campanha removida',
+                responses: {
+                    200: 'Campanha restaurada',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Campanha não encontrada',
+                    409: 'Campanha não está removida ou fornecedor/produtos dela também foram removidos'
+                }
+            },
+            getCampaignProgress: {
+                summary: 'Andamento dos compromissos frente ao volume mínimo',
+                responses: {
+                    200: 'Totais comprometidos e se a meta já foi atingida',
+                    404: 'Campanha não encontrada'
+                }
+            },
+            settleCampaign: {
+                summary: 'Apura a campanha com volume mínimo',
+                description: 'Depois do end_date: se a meta foi atingida, os compromissos abertos viram pedidos (Pending) com o preço da campanha; senão são liberados. A apuração também roda sozinha periodicamente (SETTLE_INTERVAL_MS) e por npm run campaigns:settle. Se ela parar num erro (status error), a próxima chamada continua pelos compromissos ainda abertos.',
+                responses: {
+                    200: 'Resultado da apuração',
+                    403: 'Sem permissão (admin ou representante do próprio fornecedor)',
+                    404: 'Campanha não encontrada',
+                    409: 'Campanha sem volume mínimo, ainda em andamento ou já apurada'
+                }
+            },
+            listCommitments: {
+                summary: 'Lista compromissos das lojas em campanhas com volume mínimo',
+                responses: {
+                    200: 'Lista de compromissos',
+                    400: 'page/limit inválidos'
+                }
+            },
+            createCommitment: {
+                summary: 'Registra o compromisso de compra de uma loja na campanha',
+                description: 'Só para campanhas com min_total_quantity/min_total_amount, dentro da janela start_date–end_date. Uma loja tem no máximo um compromisso aberto por campanha. O preço mostrado é estimado; o definitivo é calculado na apuração.',
+                responses: {
+                    201: 'Compromisso registrado',
+                    400: 'Dados inválidos ou campanha sem volume mínimo',
+                    403: 'Loja não vinculada ao usuário',
+                    409: 'Fora da janela, campanha já apurada ou loja já comprometida nessa campanha',
+                    422: 'campaign_id, store_id ou product_id inexistente'
+                }
+            },
+            getCommitment: {
+                summary: 'Busca compromisso por ID',
+                responses: {
+                    200: 'Compromisso encontrado',
+                    403: 'Compromisso de loja não vinculada ao usuário',
+                    404: 'Compromisso não encontrado'
+                }
+            },
+            updateCommitment: {
+                summary: 'Altera os itens de um compromisso aberto',
+                responses: {
+                    200: 'Compromisso atualizado',
+                    400: 'Dados inválidos',
+                    403: 'Compromisso de loja não vinculada ao usuário',
+                    404: 'Compromisso não encontrado',
+                    409: 'Compromisso não está aberto, fora da janela ou campanha já apurada',
+                    422: 'product_id inexistente'
+                }
+            },
+            deleteCommitment: {
+                summary: 'Retira um compromisso aberto (dentro da janela da campanha)',
+                description: 'Exclusão lógica (deleted_at): o compromisso deixa de contar para o volume da campanha.',
+                responses: {
+                    204: 'Removido',
+                    403: 'Compromisso de loja não vinculada ao usuário',
+                    404: 'Compromisso não encontrado',
+                    409: 'Compromisso não está aberto ou fora da janela'
+                }
+            },
+            restoreCommitment: {
+                summary: 'Restaura compromisso retirado',
+                description: 'Só dentro da janela da campanha, antes da apuração, e se a loja não tiver aberto outro compromisso nela.',
+                responses: {
+                    200: 'Compromisso restaurado',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Compromisso não encontrado',
+                    409: 'Não está removido, fora da janela, campanha apurada ou loja com outro compromisso aberto'
+                }
+            },
+            listOrders: {
+                summary: 'Lista pedidos (com filtros opcionais)',
+                parameters: {
+                    store_id: 'Filtra por loja',
+                    date_from: 'Data inicial (>=)',
+                    date_to: 'Data final (<=)'
+                },
+                responses: {
+                    200: 'Lista de pedidos',
+                    400: 'page/limit ou format inválidos'
+                }
+            },
+            createOrder: {
+                summary: 'Cria pedido',
+                description: 'Preço unitário e total_amount são calculados pelo servidor a partir do catálogo e das campanhas ativas.',
+                responses: {
+                    201: 'Pedido criado',
+                    400: 'Dados inválidos',
+                    403: 'Loja não vinculada ao usuário',
+                    409: 'Estoque insuficiente (lista os produtos em falta)',
+                    422: 'store_id, product_id ou campaign_id inexistente'
+                }
+            },
+            getOrder: {
+                summary: 'Busca pedido por ID',
+                responses: {
+                    200: 'Pedido encontrado',
+                    403: 'Pedido de loja não vinculada ao usuário',
+                    404: 'Pedido não encontrado'
+                }
+            },
+            updateOrder: {
+                summary: 'Atualiza pedido por ID',
+                responses: {
+                    200: 'Pedido atualizado',
+                    400: 'Dados inválidos',
+                    403: 'Pedido de loja não vinculada ao usuário',
+                    404: 'Pedido não encontrado',
+                    409: 'Estoque insuficiente, transição de status inválida ou pedido não editável (inclusive já consolidado em pedido de compra)',
+                    422: 'store_id, product_id ou campaign_id inexistente'
+                }
+            },
+            deleteOrder: {
+                summary: 'Remove pedido por ID',
+                description: 'Exclusão lógica (deleted_at). A reserva de estoque é devolvida na hora; se o pedido for restaurado, ela é refeita.',
+                responses: {
+                    204: 'Removido',
+                    403: 'Pedido de loja não vinculada ao usuário',
+                    404: 'Pedido não encontrado',
+                    409: 'Pedido já consolidado em pedido de compra'
+                }
+            },
+            transitionOrder: {
+                summary: 'Muda o status do pedido',
+                description: 'Transições permitidas: Pending → Approved → Shipped → Delivered; Cancelled a partir de Pending ou Approved, desde que o pedido não esteja consolidado em pedido de compra.',
+                responses: {
+                    200: 'Pedido com o novo status',
+                    400: 'status inválido',
+                    403: 'Pedido de loja não vinculada ao usuário',
+                    404: 'Pedido não encontrado',
+                    409: 'Transição não permitida, ou cancelamento de pedido já consolidado em pedido de compra (order_consolidated)'
+                }
+            },
+            restoreOrder: {
+                summary: 'Restaura pedido removido',
+                description: 'Pedido Pending/Approved volta a reservar o estoque (tudo ou nada).',
+                responses: {
+                    200: 'Pedido restaurado',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Pedido não encontrado',
+                    409: 'Pedido não está removido, loja/produtos removidos ou estoque insuficiente (shortages)'
+                }
+            },
+            listProducts: {
+                summary: 'Lista produtos (ou filtra)',
+                description: 'Filtros opcionais por nome (parcial), status e supplier_id.',
+                parameters: {
+                    name: 'Filtro parcial por nome do produto',
+                    status: 'Filtrar por status',
+                    supplier_id: 'Filtrar por fornecedor (UUID)'
+                },
+                responses: {
+                    200: 'Lista de produtos',
+                    400: 'page/limit ou format inválidos'
+                }
+            },
+            createProduct: {
+                summary: 'Cria produto',
+                responses: {
+                    201: 'Produto criado',
+                    400: 'Dados inválidos',
+                    403: 'Sem permissão (admin ou representante do próprio fornecedor)',
+                    409: 'Conflito (ex.: produto duplicado)',
+                    422: 'supplier_id inexistente'
+                }
+            },
+            getProduct: {
+                summary: 'Busca produto por ID',
+                responses: {
+                    200: 'Produto encontrado',
+                    404: 'Produto não encontrado'
+                }
+            },
+            updateProduct: {
+                summary: 'Atualiza produto por ID',
+                responses: {
+                    200: 'Produto atualizado',
+                    400: 'Dados inválidos',
+                    403: 'Sem permissão (admin ou representante do próprio fornecedor)',
+                    404: 'Produto não encontrado',
+                    409: 'Conflito (ex.: duplicidade) ou stock_quantity abaixo do reservado (stock_below_reserved)',
+                    422: 'supplier_id inexistente'
+                }
+            },
+            deleteProduct: {
+                summary: 'Remove produto por ID',
+                description: 'Exclusão lógica (deleted_at): o produto sai do catálogo e das cotações, mas segue nos pedidos já feitos.',
+                responses: {
+                    204: 'Removido',
+                    403: 'Sem permissão (admin ou representante do próprio fornecedor)',
+                    404: 'Não encontrado',
+                    409: 'Produto em compromisso de campanha (pedidos são histórico e não impedem)'
+                }
+            },
+            importProducts: {
+                summary: 'Importa produtos de planilha CSV ou XLSX',
+                description: 'Envie o arquivo no corpo (Content-Type text/csv ou XLSX). A primeira linha é o cabeçalho; colunas reconhecidas: name, description, price, stock_quantity, supplier_id, status (ou nome, descricao, preco, estoque...). Cada linha passa pelas mesmas validações do POST /product; produtos existentes (mesmo nome + supplier_id) são atualizados. Com dry_run=true nada é gravado.',
+                parameters: {
+                    dry_run: 'Só valida e devolve o relatório',
+                    mapping: 'Mapeamento coluna:campo para cabeçalhos não reconhecidos',
+                    supplier_id: 'Fornecedor das linhas sem coluna supplier_id',
+                    format: 'Força o formato (senão é detectado pelo conteúdo)'
+                },
+                responses: {
+                    200: 'Relatório por linha',
+                    400: 'Arquivo ausente, ilegível ou sem colunas reconhecidas',
+                    403: 'supplier_id de outro fornecedor',
+                    422: 'supplier_id (query) inexistente'
+                }
+            },
+            restoreProduct: {
+                summary: 'Restaura produto removido',
+                responses: {
+                    200: 'Produto restaurado',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Não encontrado',
+                    409: 'Produto não está removido ou o fornecedor dele também foi removido'
+                }
+            },
+            listPurchaseOrders: {
+                summary: 'Lista pedidos de compra consolidados',
+                responses: {
+                    200: 'Lista de pedidos de compra',
+                    400: 'page/limit inválidos'
+                }
+            },
+            getPurchaseOrder: {
+                summary: 'Busca pedido de compra por ID',
+                responses: {
+                    200: 'Pedido de compra encontrado',
+                    403: 'Pedido de compra de outro fornecedor',
+                    404: 'Pedido de compra não encontrado'
+                }
+            },
+            deletePurchaseOrder: {
+                summary: 'Remove pedido de compra em draft',
+                description: 'Exclusão lógica (deleted_at). As linhas dos pedidos de origem voltam a ficar disponíveis para nova consolidação; o PO guarda quais eram em released_lines.',
+                responses: {
+                    204: 'Removido',
+                    403: 'Sem permissão',
+                    404: 'Pedido de compra não encontrado',
+                    409: 'Pedido de compra já enviado'
+                }
+            },
+            consolidatePurchaseOrders: {
+                summary: 'Consolida os pedidos das lojas em pedidos de compra por fornecedor',
+                description: 'Junta as linhas ainda não consolidadas dos pedidos das lojas (por padrão só os Pending), agrupa por fornecedor (e por campanha se by_campaign) e cria um pedido de compra em draft por grupo, com as quantidades somadas por produto. Cada linha de origem passa a apontar para o PO em item[].purchase_order_id.',
+                responses: {
+                    200: 'Nada a consolidar (lista vazia)',
+                    201: 'Pedidos de compra criados',
+                    400: 'Dados inválidos',
+                    403: 'Fornecedor não vinculado ao usuário',
+                    422: 'supplier_id ou campaign_id inexistente'
+                }
+            },
+            transitionPurchaseOrder: {
+                summary: 'Muda o status do pedido de compra',
+                description: 'Transições permitidas: draft → sent → confirmed → received. O representante do fornecedor só pode confirmar.',
+                responses: {
+                    200: 'Pedido de compra com o novo status',
+                    400: 'status inválido',
+                    403: 'Sem permissão',
+                    404: 'Pedido de compra não encontrado',
+                    409: 'Transição não permitida'
+                }
+            },
+            restorePurchaseOrder: {
+                summary: 'Restaura pedido de compra removido',
+                description: 'Religa as linhas de origem guardadas em released_lines; falha se alguma mudou ou já entrou em outro pedido de compra.',
+                responses: {
+                    200: 'Pedido de compra restaurado',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Pedido de compra não encontrado',
+                    409: 'Não está removido ou as linhas de origem não estão mais disponíveis'
+                }
+            },
+            createQuote: {
+                summary: 'Cotação de preços com campanhas',
+                description: 'Para cada produto devolve o preço de lista, a melhor campanha ativa do fornecedor na data da cotação, o preço com desconto e o total da linha. Mesma regra de preço usada na criação do pedido.',
+                responses: {
+                    200: 'Cotação',
+                    400: 'Dados inválidos',
+                    403: 'Loja não vinculada ao usuário',
+                    422: 'store_id ou product_id inexistente'
+                }
+            },
+            reportSpendByStore: {
+                summary: 'Gasto por loja',
+                responses: {
+                    200: 'Totais por loja, do maior para o menor'
+                }
+            },
+            reportSpendBySupplier: {
+                summary: 'Gasto por fornecedor',
+                responses: {
+                    200: 'Totais por fornecedor, do maior para o menor'
+                }
+            },
+            reportSpendByProduct: {
+                summary: 'Gasto por produto',
+                responses: {
+                    200: 'Totais por produto, do maior para o menor'
+                }
+            },
+            reportCampaignSavings: {
+                summary: 'Economia obtida com campanhas',
+                description: 'savings = preço de lista - valor pago, só nas linhas com campanha; ordenado pela maior economia.',
+                responses: {
+                    200: 'Totais por campanha'
+                }
+            },
+            reportOrdersByStatus: {
+                summary: 'Quantidade de pedidos e valores por status',
+                description: 'Inclui os cancelados.',
+                responses: {
+                    200: 'Totais por status'
+                }
+            },
+            reportMonthly: {
+                summary: 'Evolução mensal das compras',
+                responses: {
+                    200: 'Totais por mês (YYYY-MM), em ordem cronológica'
+                }
+            },
+            listStores: {
+                summary: 'Lista lojas (ou filtra por nome)',
+                parameters: {
+                    store_name: 'Filtro parcial por nome da loja',
+                    status: 'Filtrar por status (on/off)',
+                    city: 'Cidade do endereço (sem diferenciar acento e maiúsculas)',
+                    uf: 'UF do endereço'
+                },
+                responses: {
+                    200: 'Lista de lojas',
+                    400: 'page/limit ou UF inválidos'
+                }
+            },
+            createStore: {
+                summary: 'Cria loja',
+                description: 'O CNPJ é aceito com ou sem máscara, tem os dígitos verificadores conferidos e é gravado só com os 14 dígitos. Com um provedor de consulta configurado (CNPJ_PROVIDER), legal_name e address vazios são preenchidos pelo cadastro. No address, CEP e UF são validados e, com CEP_PROVIDER configurado, logradouro, bairro, cidade e UF vazios vêm da consulta do CEP.',
+                responses: {
+                    201: 'Loja criada',
+                    400: 'Dados inválidos (inclusive CNPJ, CEP ou UF inválidos)',
+                    403: 'Sem permissão (apenas admin)',
+                    409: 'Conflito (CNPJ já existente)'
+                }
+            },
+            getStore: {
+                summary: 'Busca loja por ID',
+                responses: {
+                    200: 'Loja encontrada',
+                    404: 'Loja não encontrada'
+                }
+            },
+            updateStore: {
+                summary: 'Atualiza loja por ID',
+                description: 'Trocando o CNPJ sem enviar legal_name, a razão social é limpa e, havendo provedor de consulta, preenchida de novo (junto com address, se vazio). Os campos enviados em address substituem os gravados; trocando o CEP, os que não forem enviados são limpos e voltam da consulta do CEP. address null remove o endereço.',
+                responses: {
+                    200: 'Loja atualizada',
+                    400: 'Dados inválidos (inclusive CNPJ, CEP ou UF inválidos)',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Loja não encontrada',
+                    409: 'Conflito (CNPJ duplicado)'
+                }
+            },
+            deleteStore: {
+                summary: 'Remove loja por ID',
+                description: 'Exclusão lógica: a loja recebe deleted_at e some das consultas, mas continua nos pedidos antigos. Volta com POST /store/{id}/restore.',
+                responses: {
+                    204: 'Loja removida',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Loja não encontrada',
+                    409: 'Loja possui compromissos (os pedidos são histórico e não impedem)'
+                }
+            },
+            restoreStore: {
+                summary: 'Restaura loja removida',
+                responses: {
+                    200: 'Loja restaurada',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Loja não encontrada',
+                    409: 'Loja não está removida ou o CNPJ já é de outra loja'
+                }
+            },
+            listSuppliers: {
+                summary: 'Lista fornecedores (ou filtra por nome e categoria)',
+                parameters: {
+                    supplier_name: 'Filtro parcial por nome do fornecedor',
+                    supplier_category: 'Filtro parcial por categoria'
+                },
+                responses: {
+                    200: 'Lista de fornecedores',
+                    400: 'page/limit inválidos'
+                }
+            },
+            createSupplier: {
+                summary: 'Cria fornecedor',
+                description: 'cnpj é obrigatório e único (aceito com ou sem máscara, gravado só com os dígitos). Com provedor de consulta configurado (CNPJ_PROVIDER), legal_name e address vazios vêm do cadastro.',
+                responses: {
+                    201: 'Criado',
+                    400: 'Dados inválidos',
+                    403: 'Sem permissão (apenas admin)',
+                    409: 'Conflito (CNPJ já cadastrado, ou mesmo nome + e-mail)'
+                }
+            },
+            getSupplier: {
+                summary: 'Busca fornecedor por ID',
+                responses: {
+                    200: 'Fornecedor',
+                    404: 'Não encontrado'
+                }
+            },
+            updateSupplier: {
+                summary: 'Atualiza fornecedor por ID',
+                description: 'Trocando o CNPJ sem enviar legal_name, a razão social é limpa e, havendo provedor de consulta, preenchida de novo (junto com address, se vazio).',
+                responses: {
+                    200: 'Atualizado',
+                    400: 'Dados inválidos (inclusive CNPJ inválido ou vazio)',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Não encontrado',
+                    409: 'Conflito (CNPJ de outro fornecedor, ou mesmo nome + e-mail)'
+                }
+            },
+            deleteSupplier: {
+                summary: 'Remove fornecedor por ID',
+                description: 'Exclusão lógica (deleted_at); POST /supplier/{id}/restore desfaz. Pedidos de compra são histórico: não impedem a remoção e continuam apontando para o fornecedor.',
+                responses: {
+                    204: 'Removido',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Não encontrado',
+                    409: 'Fornecedor possui produtos/campanhas (sem ?cascade=true)'
+                }
+            },
+            importSuppliers: {
+                summary: 'Importa fornecedores de planilha CSV ou XLSX',
+                description: 'Envie o arquivo no corpo (Content-Type text/csv ou XLSX). A primeira linha é o cabeçalho; colunas reconhecidas: supplier_name, cnpj, supplier_category, contact_email, phone_number, status (ou nome, documento, categoria, email, telefone...). Cada linha passa pelas mesmas validações do POST /supplier; fornecedores existentes (mesmo CNPJ, ou mesmo nome + e-mail ainda sem CNPJ) são atualizados. Com dry_run=true nada é gravado.',
+                parameters: {
+                    dry_run: 'Só valida e devolve o relatório',
+                    mapping: 'Mapeamento coluna:campo para cabeçalhos não reconhecidos',
+                    format: 'Força o formato (senão é detectado pelo conteúdo)'
+                },
+                responses: {
+                    200: 'Relatório por linha',
+                    400: 'Arquivo ausente, ilegível ou sem colunas reconhecidas'
+                }
+            },
+            restoreSupplier: {
+                summary: 'Restaura fornecedor removido',
+                responses: {
+                    200: 'Restaurado',
+                    403: 'Sem permissão (apenas admin)',
+                    404: 'Não encontrado',
+                    409: 'Fornecedor não está removido ou o CNPJ já é de outro fornecedor'
+                }
+            },
+            listUsers: {
+                summary: 'Lista usuários (ou filtra por nome)',
+                description: 'Quem não é admin recebe apenas o próprio registro.',
+                parameters: {
+                    name: 'Filtro parcial por nome (case-insensitive)'
+                },
+                responses: {
+                    200: 'Lista de usuários',
+                    400: 'page/limit inválidos'
+                }
+            },
+            createUser: {
+                summary: 'Cria usuário',
+                responses: {
+                    201: 'Criado',
+                    400: 'Dados inválidos ou senha fora da política (weak_password)',
+                    403: 'Apenas admin cadastra usuários',
+                    409: 'Conflito (user/email)',
+                    422: 'store_ids ou supplier_id inexistente'
+                }
+            },
+            getUser: {
+                summary: 'Busca usuário por ID',
+                responses: {
+                    200: 'Usuário',
+                    403: 'Não admin consultando outro usuário',
+                    404: 'Usuário não encontrado'
+                }
+            },
+            updateUser: {
+                summary: 'Atualiza usuário',
+                description: 'Para trocar a própria senha (pwd), informe também a atual em current_pwd; admin trocando a senha de outro usuário não precisa. Com a senha nova, as demais sessões do usuário são encerradas (a de quem fez a troca continua valendo).',
+                responses: {
+                    200: 'Atualizado',
+                    400: 'Dados inválidos, senha fora da política (weak_password) ou current_pwd faltando',
+                    403: 'Não admin editando outro usuário ou level/status/vínculos, ou current_pwd incorreta',
+                    404: 'Não encontrado',
+                    409: 'Conflito (user/email)',
+                    422: 'store_ids ou supplier_id inexistente'
+                }
+            },
+            deleteUser: {
+                summary: 'Remove usuário',
+                description: 'Exclusão lógica (deleted_at): o usuário não entra mais e os tokens dele deixam de valer.',
+                responses: {
+                    204: 'Removido',
+                    403: 'Apenas admin remove usuários',
+                    404: 'Não encontrado'
+                }
+            },
+            login: {
+                summary: 'Login',
+                description: 'Devolve um access token (Bearer) e um refresh token. Depois de LOGIN_MAX_ATTEMPTS senhas erradas seguidas (padrão 5) a conta fica bloqueada por LOGIN_LOCK_MINUTES (padrão 15) e o login responde 423 até locked_until, mesmo com a senha certa; redefinir a senha desbloqueia.\n\nCom 2FA ligado, a senha certa não abre sessão: a resposta traz two_factor_required e um challenge_token para enviar com o código do app (ou um código de recuperação) em POST /users/login/2fa.',
+                responses: {
+                    200: 'Sessão aberta, ou o desafio do segundo passo (2FA ligado)',
+                    400: 'Campos faltando',
+                    401: 'Credenciais inválidas',
+                    423: 'Conta bloqueada por tentativas erradas (locked_until diz até quando)'
+                }
+            },
+            loginTwoFactor: {
+                summary: 'Segundo passo do login (2FA)',
+                description: 'Envie o challenge_token devolvido por POST /users/login com o código de 6 dígitos do app (code) ou um código de recuperação (recovery_code, vale uma vez). Códigos errados contam para o bloqueio da conta, como senhas erradas.',
+                responses: {
+                    200: 'Sessão aberta',
+                    400: 'Nem code nem recovery_code informado',
+                    401: 'Desafio inválido ou vencido (invalid_challenge_token) ou código errado (invalid_two_factor_code)',
+                    423: 'Conta bloqueada por tentativas erradas'
+                }
+            },
+            refreshToken: {
+                summary: 'Renova o access token',
+                description: 'O refresh token usado deixa de valer; use o novo devolvido.',
+                responses: {
+                    200: 'Novo par de tokens',
+                    400: 'refresh_token faltando',
+                    401: 'Refresh token inválido, expirado ou revogado'
+                }
+            },
+            logout: {
+                summary: 'Logout',
+                description: 'Revoga a sessão do token usado (access e refresh).',
+                responses: {
+                    204: 'Sessão encerrada',
+                    401: 'Não autenticado'
+                }
+            },
+            forgotPassword: {
+                summary: 'Pede a redefinição de senha',
+                description: 'Envia por e-mail (ver MAIL_TRANSPORT) um token de uso único para POST /users/password/reset, válido por PASSWORD_RESET_TTL segundos (padrão 30 min). Um pedido novo invalida os anteriores. Responde 204 mesmo se o e-mail não for de nenhum usuário ativo, para não revelar quem tem cadastro.',
+                responses: {
+                    204: 'Pedido recebido',
+                    400: 'contact_email faltando ou inválido'
+                }
+            },
+            resetPassword: {
+                summary: 'Redefine a senha com o token do e-mail',
+                description: 'O token vale uma vez só. A senha nova segue a política de senhas; a conta é desbloqueada e todas as sessões abertas do usuário são encerradas.',
+                responses: {
+                    204: 'Senha alterada',
+                    400: 'Token inválido, vencido ou já usado (invalid_reset_token), ou senha fora da política (weak_password)'
+                }
+            },
+            restoreUser: {
+                summary: 'Restaura usuário removido',
+                responses: {
+                    200: 'Usuário restaurado',
+                    403: 'Apenas admin restaura usuários',
+                    404: 'Não encontrado',
+                    409: 'Não está removido, ou o user/e-mail já foi usado por outro cadastro'
+                }
+            },
+            setupTwoFactor: {
+                summary: 'Inicia o cadastro do 2FA (TOTP)',
+                description: 'Gera um segredo novo e devolve a URI otpauth:// para o QR code do app autenticador. O 2FA só passa a valer depois de POST /users/{id}/2fa/verify; chamar de novo antes disso troca o segredo. Só o próprio usuário.',
+                responses: {
+                    200: 'Segredo e URI para o app',
+                    403: 'Outro usuário',
+                    404: 'Não encontrado',
+                    409: '2FA já ligado (desligue antes para trocar o segredo)'
+                }
+            },
+            verifyTwoFactor: {
+                summary: 'Confirma o cadastro do 2FA',
+                description: 'Confere o primeiro código do app, liga o 2FA e devolve os códigos de recuperação. Eles aparecem só nesta resposta: guarde-os; cada um substitui o código do app uma vez no login.',
+                responses: {
+                    200: '2FA ligado',
+                    400: 'Código errado (invalid_two_factor_code)',
+                    403: 'Outro usuário',
+                    404: 'Não encontrado',
+                    409: '2FA já ligado, ou setup ainda não chamado'
+                }
+            },
+            regenerateRecoveryCodes: {
+                summary: 'Gera novos códigos de recuperação',
+                description: 'Exige um código atual do app; os códigos anteriores deixam de valer.',
+                responses: {
+                    200: 'Códigos novos',
+                    400: 'Código errado (invalid_two_factor_code)',
+                    403: 'Outro usuário',
+                    404: 'Não encontrado',
+                    409: '2FA desligado'
+                }
+            },
+            disableTwoFactor: {
+                summary: 'Desliga o 2FA',
+                description: 'O próprio usuário confirma com o código do app ou um código de recuperação (dispensado se o cadastro não chegou a ser confirmado). Admin desliga o de outro usuário sem código (ex.: celular perdido e sem códigos de recuperação).',
+                responses: {
+                    204: '2FA desligado',
+                    400: 'Código faltando ou errado',
+                    403: 'Não admin desligando o de outro usuário',
+                    404: 'Não encontrado'
+                }
+            }
+        }
+    }
+};
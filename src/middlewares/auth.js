@@ -0,0 +1,48 @@
+const tokens = require('../services/tokens');
+const { UnauthorizedError } = require('../services/errors');
+const { repository } = require('../repositories');
+
+const users = repository('users');
+
+// rotas liberadas sem token (método + caminho)
+const PUBLIC = [
+    { method: 'POST', path: '/users/login' },
+    { method: 'POST', path: '/users/refresh' },
+    { method: 'POST', path: '/users/login/2fa' },
+    { method: 'POST', path: '/users/password/forgot' },
+    { method: 'POST', path: '/users/password/reset' }
+];
+
+function isPublic(req) {
+    if (req.method === 'OPTIONS') return true;
+    if (req.path === '/docs' || req.path.startsWith('/docs/')) return true;
+    return PUBLIC.some(r => r.method === req.method && r.path === req.path);
+}
+
+/**
+ * Exige "Authorization: Bearer <access_token>" em todas as rotas, exceto
+ * login (e o passo do 2FA), refresh, a redefinição de senha e a documentação. Preenche req.user (sem a senha).
+ * Enquanto não existir nenhum usuário, POST /users fica liberado para
+ * cadastrar o primeiro.
+ */
+async function auth(req, res, next) {
+    if (isPublic(req)) return next();
+
+    // conta também os removidos: apagar todos não reabre o cadastro livre
+    if (req.method === 'POST' && req.path === '/users' && !(await users.withDeleted.find(() => true))) return next();
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const payload = scheme === 'Bearer' ? tokens.verifyAccess(token) : null;
+    if (!payload || !(await tokens.isSessionActive(payload.sid))) {
+        return next(new UnauthorizedError());
+    }
+
+    const u = await users.findById(payload.sub);
+    if (!u || u.status === 'off') return next(new UnauthorizedError());
+
+    const { pwd, ...safe } = u;
+    req.user = { ...safe, sid: payload.sid };
+    next();
+}
+
+module.exports = auth;
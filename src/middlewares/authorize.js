@@ -0,0 +1,123 @@
+const { ForbiddenError } = require('../services/errors');
+
+// ===== papéis e matriz de permissões
+// true = liberado, false = 403, 'own' = liberado só para registros vinculados
+// ao usuário (a própria rota confere o vínculo com ownsStore/ownsSupplier)
+const ROLES = ['admin', 'user', 'store_operator', 'supplier_rep'];
+
+const MATRIX = {
+    users: {
+        admin: { read: true, write: true },
+        user: { read: 'own', write: 'own' },
+        store_operator: { read: 'own', write: 'own' },
+        supplier_rep: { read: 'own', write: 'own' }
+    },
+    supplier: {
+        admin: { read: true, write: true },
+        user: { read: true, write: false },
+        store_operator: { read: true, write: false },
+        supplier_rep: { read: true, write: false }
+    },
+    store: {
+        admin: { read: true, write: true },
+        user: { read: true, write: false },
+        store_operator: { read: true, write: false },
+        supplier_rep: { read: true, write: false }
+    },
+    product: {
+        admin: { read: true, write: true },
+        user: { read: true, write: false },
+        store_operator: { read: true, write: false },
+        supplier_rep: { read: true, write: 'own' }
+    },
+    campaing: {
+        admin: { read: true, write: true },
+        user: { read: true, write: false },
+        store_operator: { read: true, write: false },
+        supplier_rep: { read: true, write: 'own' }
+    },
+    order: {
+        admin: { read: true, write: true },
+        user: { read: true, write: true },
+        store_operator: { read: 'own', write: 'own' },
+        supplier_rep: { read: false, write: false }
+    },
+    // compromisso da loja em campanha com volume mínimo
+    commitment: {
+        admin: { read: true, write: true },
+        user: { read: true, write: true },
+        store_operator: { read: 'own', write: 'own' },
+        supplier_rep: { read: false, write: false }
+    },
+    // pedido de compra consolidado; o fornecedor vê e confirma os seus
+    purchase_order: {
+        admin: { read: true, write: true },
+        user: { read: true, write: true },
+        store_operator: { read: false, write: false },
+        supplier_rep: { read: 'own', write: 'own' }
+    },
+    // relatórios só leem; loja/fornecedor veem só os próprios números
+    reports: {
+        admin: { read: true, write: false },
+        user: { read: true, write: false },
+        store_operator: { read: 'own', write: false },
+        supplier_rep: { read: 'own', write: false }
+    },
+    // trilha de auditoria: só admin consulta; ninguém grava pela API
+    audit: {
+        admin: { read: true, write: false },
+        user: { read: false, write: false },
+        store_operator: { read: false, write: false },
+        supplier_rep: { read: false, write: false }
+    },
+    // cotação é um POST, mas não grava nada
+    quote: {
+        admin: { read: true, write: true },
+        user: { read: true, write: true },
+        store_operator: { read: 'own', write: 'own' },
+        supplier_rep: { read: false, write: false }
+    }
+};
+
+function actionOf(method) {
+    return method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+}
+
+function can(user, resource, action) {
+    const rules = MATRIX[resource] && MATRIX[resource][user.level];
+    return rules ? rules[action] : false;
+}
+
+// vínculos usuário ↔ loja/fornecedor
+function ownsStore(user, storeId) {
+    return Array.isArray(user.store_ids) && user.store_ids.includes(storeId);
+}
+function ownsSupplier(user, supplierId) {
+    return !!user.supplier_id && user.supplier_id === supplierId;
+}
+
+/**
+ * Middleware por recurso: responde 403 quando o papel do usuário não tem
+ * acesso à ação (leitura/escrita). Deixa em req.access o valor da matriz
+ * para a rota aplicar as regras de 'own'.
+ */
+function authorize(resource) {
+    return function (req, res, next) {
+        // sem req.user só chega aqui o cadastro do primeiro usuário (ver auth)
+        if (!req.user) return next();
+
+        const access = can(req.user, resource, actionOf(req.method));
+        if (!access) return next(new ForbiddenError());
+
+        req.access = access;
+        next();
+    };
+}
+
+// ações só de admin dentro de um recurso (ex.: restaurar registro removido)
+function adminOnly(req, res, next) {
+    if (!req.user || req.user.level !== 'admin') return next(new ForbiddenError());
+    next();
+}
+
+module.exports = { ROLES, MATRIX, can, ownsStore, ownsSupplier, authorize, adminOnly };
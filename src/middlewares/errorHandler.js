@@ -0,0 +1,55 @@
+const i18n = require('../services/i18n');
+const { ApiError, NotFoundError } = require('../services/errors');
+
+// ===== respostas de erro no formato RFC 7807 (application/problem+json)
+// title e detail saem do catálogo no idioma da requisição (ver services/i18n)
+function sendProblem(req, res, status, code, params = {}, extra = {}) {
+    // erros do express.json() chegam antes do middleware de idioma
+    const lang = req.lang || i18n.negotiate(req.headers['accept-language']);
+    const title = i18n.t(lang, `titles.${status}`);
+    res.status(status)
+        .set('Content-Language', lang)
+        .type('application/problem+json')
+        .json({
+            type: 'about:blank',
+            title: title === `titles.${status}` ? i18n.t(lang, 'titles.default') : title,
+            status,
+            code,
+            detail: i18n.message(lang, code, params),
+            instance: req.originalUrl,
+            ...extra
+        });
+}
+
+// erros do express.json() (corpo malformado ou grande demais)
+function fromBodyParser(err) {
+    if (err.type === 'entity.parse.failed') return { status: 400, code: 'invalid_json' };
+    if (err.type === 'entity.too.large') return { status: 413, code: 'payload_too_large' };
+    return null;
+}
+
+// rota que não existe (fica depois de todas as rotas)
+function notFound(req, res, next) {
+    next(new NotFoundError('route_not_found', { method: req.method, path: req.path }));
+}
+
+/**
+ * Último middleware da aplicação: ApiError vira o problem com o status e o
+ * code dele; qualquer outra exceção (ex.: arquivo do banco corrompido) é
+ * registrada no log e volta como 500 sem expor detalhes internos.
+ * Os quatro parâmetros são o que faz o Express tratá-lo como handler de erro.
+ */
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+
+    if (err instanceof ApiError) {
+        return sendProblem(req, res, err.status, err.code, err.params, err.extra);
+    }
+    const parsed = fromBodyParser(err);
+    if (parsed) return sendProblem(req, res, parsed.status, parsed.code);
+
+    console.error(`Erro em ${req.method} ${req.originalUrl}:`, err);
+    sendProblem(req, res, 500, 'internal_error');
+}
+
+module.exports = { errorHandler, notFound };
@@ -0,0 +1,25 @@
+// ===== requisições que conferem e gravam uma de cada vez
+// Ler a coleção, conferir a unicidade (CNPJ, e-mail, login) e gravar são
+// passos separados: duas requisições ao mesmo tempo passariam as duas na
+// conferência. Sob a mesma chave, a próxima só segue quando a resposta da
+// anterior terminar. Vale dentro do processo (uma instância da API).
+const queues = new Map();
+
+function exclusive(key) {
+    return function (req, res, next) {
+        const prev = queues.get(key) || Promise.resolve();
+        let release;
+        const done = new Promise(resolve => { release = resolve; });
+        const tail = prev.then(() => done);
+        queues.set(key, tail);
+        tail.then(() => {
+            if (queues.get(key) === tail) queues.delete(key);
+        });
+
+        res.once('finish', release);
+        res.once('close', release);
+        prev.then(() => next());
+    };
+}
+
+module.exports = exclusive;
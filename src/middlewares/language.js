@@ -0,0 +1,15 @@
+const i18n = require('../services/i18n');
+
+/**
+ * Escolhe o idioma das mensagens pelo Accept-Language (pt-BR se nenhum
+ * suportado) e deixa em req.lang. A resposta informa o idioma usado em
+ * Content-Language.
+ */
+function language(req, res, next) {
+    req.lang = i18n.negotiate(req.headers['accept-language']);
+    res.set('Content-Language', req.lang);
+    res.vary('Accept-Language');
+    next();
+}
+
+module.exports = language;
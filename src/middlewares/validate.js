@@ -0,0 +1,106 @@
+const { spec: swaggerSpec } = require('../docs/swagger');
+const { createValidator } = require('../services/schema');
+const i18n = require('../services/i18n');
+const { ValidationError } = require('../services/errors');
+
+const validator = createValidator(swaggerSpec);
+
+// ===== operações documentadas: { method, path, regex, names, op }
+// "/store/{id}" -> /^\/store\/([^/]+)$/; caminhos fixos ("/product/import")
+// são testados antes dos que têm parâmetro ("/product/{id}")
+const operations = [];
+for (const [path, item] of Object.entries(swaggerSpec.paths || {})) {
+    const names = [];
+    const source = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    for (const [method, op] of Object.entries(item)) {
+        if (method === 'parameters') continue;
+        operations.push({
+            method: method.toUpperCase(),
+            path,
+            regex: new RegExp(`^${source}$`),
+            names,
+            op: { ...op, parameters: [...(item.parameters || []), ...(op.parameters || [])] }
+        });
+    }
+}
+operations.sort((a, b) => a.names.length - b.names.length);
+
+// sem operações nenhuma requisição seria validada; melhor não subir
+if (!operations.length) {
+    throw new Error('Nenhuma operação documentada foi carregada das rotas (anotações @openapi)');
+}
+
+function decode(str) {
+    try {
+        return decodeURIComponent(str);
+    } catch {
+        return str;
+    }
+}
+
+function findOperation(method, path) {
+    for (const o of operations) {
+        if (o.method !== method) continue;
+        const m = o.regex.exec(path);
+        if (m) return { ...o, params: Object.fromEntries(o.names.map((n, i) => [n, decode(m[i + 1])])) };
+    }
+    return null;
+}
+
+/**
+ * Confere path params, query string e corpo JSON da requisição com o que está
+ * documentado no OpenAPI da rota e responde 400 (code validation_failed) com
+ * todos os campos inválidos em errors: [{ in, field, message }], com as
+ * mensagens no idioma da requisição. O corpo segue para a rota já
+ * convertido e sem os campos que o schema não conhece; parâmetros de query
+ * não documentados são ignorados.
+ *
+ * `prefix` é o caminho da rota nas docs (ex.: '/store'), já que o router é
+ * montado sem saber onde.
+ */
+function validate(prefix) {
+    return function (req, res, next) {
+        const path = (prefix + req.path).replace(/\/+$/, '') || '/';
+        const found = findOperation(req.method, path);
+        if (!found) return next();
+
+        const errors = [];
+        for (const raw of found.op.parameters) {
+            const param = validator.resolve(raw);
+            if (param.in !== 'path' && param.in !== 'query') continue;
+            const value = param.in === 'path' ? found.params[param.name] : req.query[param.name];
+            if (value === undefined || value === '') {
+                if (param.required) errors.push({ in: param.in, field: param.name, rule: 'required' });
+                continue;
+            }
+            const result = validator.check(param.schema || {}, value, param.name);
+            errors.push(...result.errors.map(e => ({ in: param.in, ...e })));
+        }
+
+        const body = found.op.requestBody && validator.resolve(found.op.requestBody);
+        const json = body && body.content && body.content['application/json'];
+        // planilhas (text/csv, xlsx) chegam como Buffer e são lidas pela rota
+        if (json && !Buffer.isBuffer(req.body)) {
+            if (req.body === undefined) {
+                if (body.required) errors.push({ in: 'body', field: '', rule: 'body_required' });
+            } else {
+                const result = validator.check(json.schema || {}, req.body, '');
+                errors.push(...result.errors.map(e => ({ in: 'body', ...e })));
+                if (!result.errors.length) req.body = result.value;
+            }
+        }
+
+        if (errors.length) {
+            const fields = [...new Set(errors.map(e => e.field || e.in))];
+            return next(new ValidationError('validation_failed', { fields }, {
+                errors: errors.map(e => ({ in: e.in, field: e.field, message: i18n.t(req.lang, `validation.${e.rule}`, e.params) }))
+            }));
+        }
+        next();
+    };
+}
+
+module.exports = validate;
@@ -0,0 +1,101 @@
+const { randomUUID } = require('crypto');
+const requestContext = require('../services/requestContext');
+
+// ===== trilha de auditoria
+// campos que nunca vão para o log com o valor real
+const REDACTED = ['pwd', 'totp_secret', 'recovery_codes'];
+
+function now() {
+    return new Date().toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function shown(field, value) {
+    if (value === undefined) return null;
+    return REDACTED.includes(field) ? '***' : value;
+}
+
+// { campo: { before, after } } só com o que mudou (id fica de fora)
+function diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (field === 'id') continue;
+        const a = before ? before[field] : undefined;
+        const b = after ? after[field] : undefined;
+        if (JSON.stringify(a) === JSON.stringify(b)) continue;
+        changes[field] = { before: shown(field, a), after: shown(field, b) };
+    }
+    return changes;
+}
+
+// quem fez: o usuário autenticado da requisição; fora dela (scripts,
+// liquidação periódica) fica como sistema
+function actor() {
+    const ctx = requestContext.current();
+    if (ctx && ctx.audit === false) return null;
+    const req = ctx && ctx.req;
+    return {
+        user_id: req && req.user ? req.user.id : null,
+        user: req && req.user ? req.user.user : null,
+        request: req ? `${req.method} ${req.originalUrl.split('?')[0]}` : null
+    };
+}
+
+// a exclusão lógica chega aqui como update de deleted_at
+function updateAction(before, after) {
+    if (!before.deleted_at && after.deleted_at) return 'delete';
+    if (before.deleted_at && !after.deleted_at) return 'restore';
+    return 'update';
+}
+
+/**
+ * Envolve o repositório de `resource` gravando cada insert/update/delete em
+ * `log` (só inclusão). Atualizações que não mudam nada não geram registro.
+ * Ações: create, update, delete (lógico), restore e purge (remoção definitiva).
+ */
+function withAudit(repo, log, resource) {
+    async function audit(action, id, before, after) {
+        const who = actor();
+        if (!who) return;
+        const changes = diff(before, after);
+        if (!Object.keys(changes).length) return;
+        await log.insert({
+            id: randomUUID(),
+            timestamp: now(),
+            ...who,
+            resource,
+            resource_id: id,
+            action,
+            changes
+        });
+    }
+
+    return {
+        ...repo,
+
+        async insert(record) {
+            const saved = await repo.insert(record);
+            await audit('create', saved.id, null, saved);
+            return saved;
+        },
+
+        async update(id, changes) {
+            let before = null;
+            const updated = await repo.update(id, current => {
+                before = current;
+                return typeof changes === 'function' ? changes(current) : changes;
+            });
+            if (updated) await audit(updateAction(before, updated), id, before, updated);
+            return updated;
+        },
+
+        async delete(id) {
+            const before = await repo.findById(id);
+            const removed = await repo.delete(id);
+            if (removed) await audit(before && before.deleted_at ? 'purge' : 'delete', id, before, null);
+            return removed;
+        }
+    };
+}
+
+module.exports = { withAudit, diff };
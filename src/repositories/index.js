@@ -0,0 +1,46 @@
+const path = require('path');
+const { createJsonRepository } = require('./jsonRepository');
+const { createSqliteRepository } = require('./sqliteRepository');
+const { withAudit } = require('./auditedRepository');
+const { withSoftDelete } = require('./softDeleteRepository');
+
+// ===== configuração
+// DB_DRIVER=json (padrão) | sqlite
+// DB_DIR: pasta dos arquivos JSON (padrão src/db)
+// SQLITE_FILE: arquivo do SQLite (padrão <DB_DIR>/centralcompras.sqlite)
+const DB_DRIVER = process.env.DB_DRIVER || 'json';
+const DB_DIR = process.env.DB_DIR || path.join(__dirname, '..', 'db');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DB_DIR, 'centralcompras.sqlite');
+
+// coleções conhecidas (o nome é também o do arquivo em src/db)
+const COLLECTIONS = ['audit', 'campaing', 'commitment', 'order', 'password_reset', 'product', 'purchase_order', 'session', 'store', 'supplier', 'users'];
+
+// coleções internas: sem trilha de auditoria e sem exclusão lógica
+const INTERNAL = ['audit', 'password_reset', 'session'];
+
+const cache = new Map();
+
+function build(name, driver) {
+    if (driver === 'json') return createJsonRepository(name, { dir: DB_DIR });
+    if (driver === 'sqlite') return createSqliteRepository(name, { file: SQLITE_FILE });
+    throw new Error(`DB_DRIVER desconhecido: ${driver}`);
+}
+
+/**
+ * Repositório da coleção no backend configurado.
+ * Métodos (todos async): all, findById, find, filter, insert, update, delete.
+ * update(id, changes) aceita um objeto ou uma função (atual) => alterações.
+ * As escritas são registradas na coleção audit (ver auditedRepository) e
+ * delete é lógico: marca deleted_at (ver softDeleteRepository).
+ */
+function repository(name, driver = DB_DRIVER) {
+    if (!COLLECTIONS.includes(name)) throw new Error(`Coleção desconhecida: ${name}`);
+    const key = `${driver}:${name}`;
+    if (!cache.has(key)) {
+        const repo = build(name, driver);
+        cache.set(key, INTERNAL.includes(name) ? repo : withSoftDelete(withAudit(repo, repository('audit', driver), name)));
+    }
+    return cache.get(key);
+}
+
+module.exports = { repository, COLLECTIONS, DB_DRIVER, DB_DIR, SQLITE_FILE };
@@ -0,0 +1,105 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// ===== escrita segura
+// Uma fila por arquivo: leitura-alteração-gravação de um mesmo arquivo roda
+// uma de cada vez, então dois inserts simultâneos não se sobrescrevem.
+const queues = new Map();
+
+function serialize(file, task) {
+    const prev = queues.get(file) || Promise.resolve();
+    const run = prev.then(task, task);
+    const tail = run.catch(() => {});
+    queues.set(file, tail);
+    tail.then(() => {
+        if (queues.get(file) === tail) queues.delete(file);
+    });
+    return run;
+}
+
+// grava num temporário e renomeia: quem lê vê o arquivo antigo ou o novo,
+// nunca um arquivo pela metade (nem se o processo cair no meio)
+async function writeAtomic(file, content) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, content, 'utf8');
+    await fs.rename(tmp, file);
+}
+
+/**
+ * Repositório em arquivo JSON (src/db/<nome>.json): o arquivo inteiro é lido
+ * e regravado a cada escrita. É o backend padrão.
+ */
+function createJsonRepository(name, { dir }) {
+    const file = path.join(dir, `${name}.json`);
+
+    async function readAll() {
+        try {
+            const data = await fs.readFile(file, 'utf8');
+            const parsed = JSON.parse(data || '[]');
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            if (err instanceof SyntaxError) throw new Error(`${file} corrompido: ${err.message}`);
+            throw err;
+        }
+    }
+    async function writeAll(list) {
+        await fs.mkdir(dir, { recursive: true });
+        await writeAtomic(file, JSON.stringify(list, null, 2));
+    }
+
+    return {
+        name,
+
+        all: readAll,
+
+        async findById(id) {
+            return (await readAll()).find(x => x.id === id) || null;
+        },
+
+        async find(predicate) {
+            return (await readAll()).find(predicate) || null;
+        },
+
+        async filter(predicate) {
+            return (await readAll()).filter(predicate);
+        },
+
+        insert(record) {
+            return serialize(file, async () => {
+                const list = await readAll();
+                list.push(record);
+                await writeAll(list);
+                return record;
+            });
+        },
+
+        // mescla `changes` no registro; retorna o registro atualizado ou null.
+        // `changes` pode ser uma função (atual) => alterações, executada dentro
+        // da fila do arquivo (para incrementos sem perder escrita concorrente)
+        update(id, changes) {
+            return serialize(file, async () => {
+                const list = await readAll();
+                const idx = list.findIndex(x => x.id === id);
+                if (idx === -1) return null;
+                const patch = typeof changes === 'function' ? changes(list[idx]) : changes;
+                list[idx] = { ...list[idx], ...patch, id };
+                await writeAll(list);
+                return list[idx];
+            });
+        },
+
+        delete(id) {
+            return serialize(file, async () => {
+                const list = await readAll();
+                const idx = list.findIndex(x => x.id === id);
+                if (idx === -1) return false;
+                list.splice(idx, 1);
+                await writeAll(list);
+                return true;
+            });
+        }
+    };
+}
+
+module.exports = { createJsonRepository };
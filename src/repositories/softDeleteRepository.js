@@ -0,0 +1,70 @@
+// ===== exclusão lógica
+// delete só marca deleted_at; as leituras (all, findById, find, filter)
+// ignoram os marcados. update continua valendo para eles (ex.: devolver a
+// reserva de estoque de um produto removido).
+
+function now() {
+    return new Date().toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function alive(record) {
+    return !!record && !record.deleted_at;
+}
+
+/**
+ * Envolve `repo` com exclusão lógica. Além dos métodos de sempre:
+ * - withDeleted: o repositório sem o filtro (para ?include_deleted=true,
+ *   nomes em históricos, restauração e expurgo);
+ * - restore(id, changes): limpa deleted_at (gravando `changes` junto);
+ *   retorna o registro ou null se ele não estava removido;
+ * - purge(id): remove de vez.
+ */
+function withSoftDelete(repo) {
+    return {
+        ...repo,
+
+        withDeleted: repo,
+
+        async all() {
+            return (await repo.all()).filter(alive);
+        },
+
+        async findById(id) {
+            const found = await repo.findById(id);
+            return alive(found) ? found : null;
+        },
+
+        async find(predicate) {
+            return repo.find(x => alive(x) && predicate(x));
+        },
+
+        async filter(predicate) {
+            return repo.filter(x => alive(x) && predicate(x));
+        },
+
+        // true se o registro existia e não estava removido; `changes` vai junto
+        async delete(id, changes = {}) {
+            let removed = false;
+            await repo.update(id, current => {
+                removed = alive(current);
+                return removed ? { ...changes, deleted_at: now() } : {};
+            });
+            return removed;
+        },
+
+        async restore(id, changes = {}) {
+            let restored = false;
+            const updated = await repo.update(id, current => {
+                restored = !!current.deleted_at;
+                return restored ? { ...changes, deleted_at: null } : {};
+            });
+            return restored ? updated : null;
+        },
+
+        purge(id) {
+            return repo.delete(id);
+        }
+    };
+}
+
+module.exports = { withSoftDelete, alive };
@@ -0,0 +1,90 @@
+/**
+ * Repositório em SQLite: uma tabela por coleção (id + documento JSON).
+ * Inserir/atualizar/remover mexe só na linha do registro.
+ */
+
+// uma conexão por arquivo, compartilhada pelas coleções
+const connections = new Map();
+
+// better-sqlite3 é dependência opcional (módulo nativo): só quem usa
+// DB_DRIVER=sqlite precisa dela instalada
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND') throw err;
+        throw new Error('DB_DRIVER=sqlite precisa do pacote opcional better-sqlite3 (npm install better-sqlite3)');
+    }
+}
+
+function open(file) {
+    if (!connections.has(file)) {
+        const Database = loadDriver();
+        const db = new Database(file);
+        db.pragma('journal_mode = WAL');
+        connections.set(file, db);
+    }
+    return connections.get(file);
+}
+
+function createSqliteRepository(name, { file }) {
+    const db = open(file);
+    const table = `"${name}"`;
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+
+    const stmt = {
+        all: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`),
+        get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+        insert: db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`),
+        update: db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`),
+        delete: db.prepare(`DELETE FROM ${table} WHERE id = ?`)
+    };
+
+    function all() {
+        return stmt.all.all().map(r => JSON.parse(r.data));
+    }
+    function get(id) {
+        const row = stmt.get.get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    return {
+        name,
+
+        async all() {
+            return all();
+        },
+
+        async findById(id) {
+            return get(id);
+        },
+
+        async find(predicate) {
+            return all().find(predicate) || null;
+        },
+
+        async filter(predicate) {
+            return all().filter(predicate);
+        },
+
+        async insert(record) {
+            stmt.insert.run(record.id, JSON.stringify(record));
+            return record;
+        },
+
+        async update(id, changes) {
+            const current = get(id);
+            if (!current) return null;
+            const patch = typeof changes === 'function' ? changes(current) : changes;
+            const updated = { ...current, ...patch, id };
+            stmt.update.run(JSON.stringify(updated), id);
+            return updated;
+        },
+
+        async delete(id) {
+            return stmt.delete.run(id).changes > 0;
+        }
+    };
+}
+
+module.exports = { createSqliteRepository };
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+
+const { repository } = require('../repositories');
+const { paginate } = require('../services/pagination');
+const { ValidationError } = require('../services/errors');
+
+const auditLog = repository('audit');
+
+// ===== validators/helpers
+function parseDate(str) {
+    const d = new Date(str);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * @openapi
+ * /audit:
+ *   get:
+ *     operationId: listAudit
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: resource
+ *         schema: { type: string }
+ *       - in: query
+ *         name: resource_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: user_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: user
+ *         schema: { type: string }
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *       - in: query
+ *         name: date_from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: date_to
+ *         schema: { type: string, format: date-time }
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/AuditEntry' }
+ *       400: {}
+ */
+router.get('/', async (req, res) => {
+    const { resource, resource_id, user_id, user, action, date_from, date_to } = req.query;
+
+    let items = await auditLog.all();
+
+    if (resource) {
+        items = items.filter(x => x.resource === resource);
+    }
+    if (resource_id) {
+        items = items.filter(x => x.resource_id === resource_id);
+    }
+    if (user_id) {
+        items = items.filter(x => x.user_id === user_id);
+    }
+    if (user) {
+        items = items.filter(x => x.user === user);
+    }
+    if (action) {
+        items = items.filter(x => x.action === action);
+    }
+    if (date_from) {
+        const d1 = parseDate(date_from);
+        if (d1) items = items.filter(x => parseDate(x.timestamp) >= d1);
+    }
+    if (date_to) {
+        const d2 = parseDate(date_to);
+        if (d2) items = items.filter(x => parseDate(x.timestamp) <= d2);
+    }
+
+    // o arquivo está em ordem de gravação; sem sort, mais recentes primeiro
+    if (!req.query.sort) items = items.reverse();
+
+    const result = paginate(req, items);
+    if (result.error) throw new ValidationError(result.error, result.params);
+    res.json(result);
+});
+
+module.exports = router;
@@ -1,30 +1,17 @@
 const express = require('express');
 const router = express.Router();
 
-const fs = require('fs').promises;
-const path = require('path');
 const { randomUUID } = require('crypto');
+const integrity = require('../services/integrity');
+const commitments = require('../services/commitments');
+const softDelete = require('../services/softDelete');
+const { repository } = require('../repositories');
+const { paginate } = require('../services/pagination');
+const { ownsSupplier, adminOnly } = require('../middlewares/authorize');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../services/errors');
 
-const DB_PATH = path.join(__dirname, '..', 'db', 'campaign.json');
-
-// ===== IO helpers
-async function readAll() {
-    try {
-        const data = await fs.readFile(DB_PATH, 'utf8');
-        const parsed = JSON.parse(data || '[]');
-        return Array.isArray(parsed) ? parsed : [];
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            await writeAll([]);
-            return [];
-        }
-        throw err;
-    }
-}
-async function writeAll(list) {
-    await fs.mkdir(path.dirname(DB_PATH), { recursive: true });
-    await fs.writeFile(DB_PATH, JSON.stringify(list, null, 2), 'utf8');
-}
+const campaigns = repository('campaing');
+const products = repository('product');
 
 // ===== validators/helpers
 function parseDate(str) {
@@ -39,51 +26,155 @@ function validPercent(v) {
     const n = Number.parseFloat(v);
     return Number.isFinite(n) && n >= 0 && n <= 100 ? Math.round(n * 100) / 100 : null;
 }
+function toAmount(v) {
+    const n = Number.parseFloat(v);
+    return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : null;
+}
+
+// desconto de uma faixa ou da campanha: percentual OU valor fixo por unidade
+// (prefix é o caminho do campo nas mensagens: '' ou 'tiers[0].')
+function parseDiscount(src, prefix) {
+    const hasPct = src.discount_percentage !== undefined && src.discount_percentage !== null;
+    const hasAmount = src.discount_amount !== undefined && src.discount_amount !== null;
+    if (hasPct && hasAmount && Number(src.discount_percentage) > 0 && Number(src.discount_amount) > 0) {
+        return { error: 'discount_conflict', params: { prefix } };
+    }
+    const pct = hasPct ? validPercent(src.discount_percentage) : 0;
+    if (pct === null) return { error: 'invalid_discount_percentage', params: { prefix } };
+    const amount = hasAmount ? toAmount(src.discount_amount) : 0;
+    if (amount === null) return { error: 'invalid_discount_amount', params: { prefix } };
+    return { discount_percentage: pct, discount_amount: amount };
+}
+
+/**
+ * Valida escopo, descontos e volume mínimo da campanha (valores já mesclados
+ * com os atuais no PUT). Retorna { error, params } ou os campos normalizados:
+ * { supplier_id, product_ids, category, discount_percentage, discount_amount,
+ *   tiers, min_total_quantity, min_total_amount }
+ */
+async function normalizeRules(input) {
+    const supplierId = input.supplier_id || null;
+    const category = input.category ? String(input.category).trim() : null;
+    if (!supplierId && !category) {
+        return { error: 'campaign_scope_required' };
+    }
+
+    let productIds = input.product_ids === undefined || input.product_ids === null ? [] : input.product_ids;
+    if (!Array.isArray(productIds) || productIds.some(x => !x || typeof x !== 'string')) {
+        return { error: 'invalid_product_ids' };
+    }
+    productIds = [...new Set(productIds)];
+    if (supplierId) {
+        for (const pid of productIds) {
+            const p = await products.findById(pid);
+            if (p && p.supplier_id !== supplierId) {
+                return { error: 'product_not_from_supplier', params: { product_id: pid } };
+            }
+        }
+    }
+
+    const hasFlat = [input.discount_percentage, input.discount_amount].some(v => v !== undefined && v !== null);
+    const rawTiers = input.tiers === undefined || input.tiers === null ? [] : input.tiers;
+    if (!Array.isArray(rawTiers)) return { error: 'invalid_tiers' };
+    if (!hasFlat && rawTiers.length === 0) {
+        return { error: 'discount_required' };
+    }
+
+    const flat = parseDiscount(input, '');
+    if (flat.error) return flat;
+
+    const tiers = [];
+    for (let i = 0; i < rawTiers.length; i++) {
+        const t = rawTiers[i] || {};
+        const min = Number(t.min_quantity);
+        if (!Number.isInteger(min) || min < 1) return { error: 'invalid_tier_min_quantity', params: { index: i } };
+        if (tiers.some(x => x.min_quantity === min)) return { error: 'duplicate_tier', params: { index: i, min } };
+        if (t.discount_percentage === undefined && t.discount_amount === undefined) {
+            return { error: 'tier_discount_required', params: { index: i } };
+        }
+        const d = parseDiscount(t, `tiers[${i}].`);
+        if (d.error) return d;
+        tiers.push({ min_quantity: min, ...d });
+    }
+    tiers.sort((a, b) => a.min_quantity - b.min_quantity);
+
+    // volume mínimo da rede (0/null = sem meta)
+    const minQty = input.min_total_quantity === undefined || input.min_total_quantity === null ? 0 : Number(input.min_total_quantity);
+    if (!Number.isInteger(minQty) || minQty < 0) return { error: 'invalid_min_total_quantity' };
+    const minAmount = input.min_total_amount === undefined || input.min_total_amount === null ? 0 : toAmount(input.min_total_amount);
+    if (minAmount === null) return { error: 'invalid_min_total_amount' };
+
+    return {
+        supplier_id: supplierId,
+        product_ids: productIds,
+        category,
+        discount_percentage: flat.discount_percentage,
+        discount_amount: flat.discount_amount,
+        tiers,
+        min_total_quantity: minQty,
+        min_total_amount: minAmount
+    };
+}
+function ruleRefs(input) {
+    return [
+        { field: 'supplier_id', collection: 'supplier', id: input.supplier_id },
+        ...(Array.isArray(input.product_ids) ? input.product_ids : [])
+            .map((id, i) => ({ field: `product_ids[${i}]`, collection: 'product', id }))
+    ];
+}
+
+// representante de fornecedor só altera registros do próprio fornecedor
+function deniedSupplier(req, supplierId) {
+    return req.access === 'own' && !ownsSupplier(req.user, supplierId);
+}
 
 /**
  * @openapi
  * /campaign:
  *   get:
+ *     operationId: listCampaigns
  *     tags: [Campaign]
- *     summary: Lista campanhas (filtros opcionais)
- *     description: "Filtra por name (parcial), supplier_id e intervalo de datas (start/end)."
  *     parameters:
  *       - in: query
  *         name: name
  *         schema: { type: string }
- *         description: "Filtro parcial por nome (case-insensitive)"
  *       - in: query
  *         name: supplier_id
  *         schema: { type: string }
- *         description: "Filtrar por fornecedor"
  *       - in: query
  *         name: start_from
  *         schema: { type: string, format: date-time }
- *         description: "Start date >= start_from"
  *       - in: query
  *         name: start_to
  *         schema: { type: string, format: date-time }
- *         description: "Start date <= start_to"
  *       - in: query
  *         name: end_from
  *         schema: { type: string, format: date-time }
- *         description: "End date >= end_from"
  *       - in: query
  *         name: end_to
  *         schema: { type: string, format: date-time }
- *         description: "End date <= end_to"
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
  *     responses:
  *       200:
- *         description: "Lista de campanhas"
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items: { $ref: '#/components/schemas/Campaign' }
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Campaign' }
+ *       400: {}
  */
 router.get('/', async (req, res) => {
     const { name, supplier_id, start_from, start_to, end_from, end_to } = req.query;
-    let items = await readAll();
+    let items = await softDelete.readable(req, campaigns).all();
 
     if (name) {
         const n = name.toLowerCase();
@@ -109,33 +200,33 @@ router.get('/', async (req, res) => {
         if (d) items = items.filter(x => parseDate(x.end_date) <= d);
     }
 
-    res.json(items);
+    const result = paginate(req, items);
+    if (result.error) throw new ValidationError(result.error, result.params);
+    res.json(result);
 });
 
 /**
  * @openapi
  * /campaign/{id}:
  *   get:
+ *     operationId: getCampaign
  *     tags: [Campaign]
- *     summary: Busca campanha por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: "Campanha encontrada"
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Campaign' }
- *       404:
- *         description: "Campanha não encontrada"
+ *       404: {}
  */
 router.get('/:id', async (req, res) => {
-    const items = await readAll();
-    const found = items.find(x => x.id === req.params.id);
-    if (!found) return res.status(404).json({ error: 'Campanha não encontrada' });
+    const found = await softDelete.readable(req, campaigns).findById(req.params.id);
+    if (!found) throw new NotFoundError('campaign_not_found');
     res.json(found);
 });
 
@@ -143,8 +234,8 @@ router.get('/:id', async (req, res) => {
  * @openapi
  * /campaign:
  *   post:
+ *     operationId: createCampaign
  *     tags: [Campaign]
- *     summary: Cria campanha
  *     requestBody:
  *       required: true
  *       content:
@@ -158,56 +249,70 @@ router.get('/:id', async (req, res) => {
  *                 start_date: "2023-08-15 16:00:00"
  *                 end_date: "2023-08-20 23:59:59"
  *                 discount_percentage: "20"
+ *             volume_minimo:
+ *               value:
+ *                 supplier_id: "7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd"
+ *                 name: "Compra coletiva papel A4"
+ *                 start_date: "2023-08-01 00:00:00"
+ *                 end_date: "2023-08-10 23:59:59"
+ *                 discount_percentage: 18
+ *                 min_total_quantity: 1000
+ *             escalonada:
+ *               value:
+ *                 supplier_id: "7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd"
+ *                 name: "Compra coletiva teclados"
+ *                 start_date: "2023-08-15 16:00:00"
+ *                 end_date: "2023-08-20 23:59:59"
+ *                 product_ids: ["3e8c4b64-0c03-46b6-8a88-0e6b8ef0a3a9"]
+ *                 tiers:
+ *                   - { min_quantity: 10, discount_percentage: 5 }
+ *                   - { min_quantity: 50, discount_percentage: 12 }
  *     responses:
  *       201:
- *         description: "Campanha criada"
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Campaign' }
- *       400:
- *         description: "Dados inválidos"
- *       409:
- *         description: "Conflito (nome duplicado no mesmo fornecedor e intervalo)"
+ *       400: {}
+ *       403: {}
+ *       409: {}
+ *       422: {}
  */
 router.post('/', async (req, res) => {
-    const { supplier_id, name, start_date, end_date, discount_percentage } = req.body || {};
-
-    if (!supplier_id || !name || !start_date || !end_date || discount_percentage === undefined) {
-        return res.status(400).json({ error: 'supplier_id, name, start_date, end_date e discount_percentage são obrigatórios' });
-    }
+    const body = req.body || {};
+    const { supplier_id, name, start_date, end_date } = body;
 
     const sd = parseDate(start_date);
     const ed = parseDate(end_date);
-    if (!sd || !ed) return res.status(400).json({ error: 'Datas inválidas' });
-    if (sd > ed) return res.status(400).json({ error: 'start_date deve ser <= end_date' });
+    if (sd > ed) throw new ValidationError('invalid_date_range');
+
+    if (deniedSupplier(req, supplier_id)) throw new ForbiddenError();
+    await integrity.assertRefs(ruleRefs(body));
 
-    const pct = validPercent(discount_percentage);
-    if (pct === null) return res.status(400).json({ error: 'discount_percentage deve ser entre 0 e 100' });
+    const rules = await normalizeRules(body);
+    if (rules.error) throw new ValidationError(rules.error, rules.params);
 
-    const items = await readAll();
+    const items = await campaigns.all();
 
     // regra de conflito simples: nome + supplier_id no mesmo intervalo (sobreposição)
     const overlap = items.some(x =>
-        x.supplier_id === supplier_id &&
+        (x.supplier_id || null) === rules.supplier_id &&
         (x.name || '').toLowerCase() === name.toLowerCase() &&
         // se intervalos se sobrepõem
         parseDate(x.start_date) <= ed && sd <= parseDate(x.end_date)
     );
     if (overlap) {
-        return res.status(409).json({ error: 'Já existe campanha com esse nome para o fornecedor nesse intervalo' });
+        throw new ConflictError('duplicate_campaign');
     }
 
     const novo = {
         id: randomUUID(),
-        supplier_id,
         name,
         start_date: formatSQLLike(sd),
         end_date: formatSQLLike(ed),
-        discount_percentage: pct
+        ...rules
     };
 
-    items.push(novo);
-    await writeAll(items);
+    await campaigns.insert(novo);
     res.status(201).json(novo);
 });
 
@@ -215,8 +320,8 @@ router.post('/', async (req, res) => {
  * @openapi
  * /campaign/{id}:
  *   put:
+ *     operationId: updateCampaign
  *     tags: [Campaign]
- *     summary: Atualiza campanha por ID
  *     parameters:
  *       - in: path
  *         name: id
@@ -228,86 +333,187 @@ router.post('/', async (req, res) => {
  *         application/json:
  *           schema: { $ref: '#/components/schemas/CampaignUpdate' }
  *     responses:
- *       200:
- *         description: "Campanha atualizada"
- *       400:
- *         description: "Dados inválidos"
- *       404:
- *         description: "Campanha não encontrada"
- *       409:
- *         description: "Conflito (sobreposição de intervalo/nome/fornecedor)"
+ *       200: {}
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ *       422: {}
  */
 router.put('/:id', async (req, res) => {
     const { id } = req.params;
-    const { supplier_id, name, start_date, end_date, discount_percentage } = req.body || {};
+    const body = req.body || {};
+    const { supplier_id, name, start_date, end_date } = body;
 
-    const items = await readAll();
+    const items = await campaigns.all();
     const idx = items.findIndex(x => x.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Campanha não encontrada' });
+    if (idx === -1) throw new NotFoundError('campaign_not_found');
+    if (deniedSupplier(req, items[idx].supplier_id) || (supplier_id !== undefined && deniedSupplier(req, supplier_id))) {
+        throw new ForbiddenError();
+    }
+    if (items[idx].settlement) {
+        throw new ConflictError('campaign_settled');
+    }
+
+    await integrity.assertRefs(ruleRefs(body));
 
-    // valida porcentagem se vier
-    if (discount_percentage !== undefined) {
-        const pct = validPercent(discount_percentage);
-        if (pct === null) return res.status(400).json({ error: 'discount_percentage deve ser entre 0 e 100' });
-        items[idx].discount_percentage = pct;
+    // escopo/descontos: mescla o que veio com o que já existe e revalida tudo;
+    // um desconto fixo novo substitui o percentual antigo (e vice-versa)
+    const merged = { ...items[idx] };
+    for (const k of ['supplier_id', 'product_ids', 'category', 'tiers', 'min_total_quantity', 'min_total_amount']) {
+        if (body[k] !== undefined) merged[k] = body[k];
     }
+    if (body.discount_percentage !== undefined || body.discount_amount !== undefined) {
+        merged.discount_percentage = body.discount_percentage;
+        merged.discount_amount = body.discount_amount;
+    }
+    const rules = await normalizeRules(merged);
+    if (rules.error) throw new ValidationError(rules.error, rules.params);
 
-    // valida datas se vierem
-    let sd = start_date !== undefined ? parseDate(start_date) : parseDate(items[idx].start_date);
-    let ed = end_date !== undefined ? parseDate(end_date) : parseDate(items[idx].end_date);
-    if (start_date !== undefined && !sd) return res.status(400).json({ error: 'start_date inválida' });
-    if (end_date !== undefined && !ed) return res.status(400).json({ error: 'end_date inválida' });
-    if (sd && ed && sd > ed) return res.status(400).json({ error: 'start_date deve ser <= end_date' });
+    // datas: as que vieram ou as atuais
+    const sd = parseDate(start_date !== undefined ? start_date : items[idx].start_date);
+    const ed = parseDate(end_date !== undefined ? end_date : items[idx].end_date);
+    if (sd && ed && sd > ed) throw new ValidationError('invalid_date_range');
 
-    const newSupplier = supplier_id !== undefined ? supplier_id : items[idx].supplier_id;
+    const newSupplier = rules.supplier_id;
     const newName = name !== undefined ? name : items[idx].name;
 
     // checa sobreposição com outras campanhas do mesmo supplier e mesmo nome
     const conflict = items.some(x =>
         x.id !== id &&
-        x.supplier_id === newSupplier &&
+        (x.supplier_id || null) === newSupplier &&
         (x.name || '').toLowerCase() === String(newName).toLowerCase() &&
         parseDate(x.start_date) <= ed && sd <= parseDate(x.end_date)
     );
     if (conflict) {
-        return res.status(409).json({ error: 'Conflito: já existe campanha com esse nome e intervalo para o fornecedor' });
+        throw new ConflictError('duplicate_campaign');
     }
 
-    if (supplier_id !== undefined) items[idx].supplier_id = supplier_id;
+    Object.assign(items[idx], rules);
     if (name !== undefined) items[idx].name = name;
     if (start_date !== undefined) items[idx].start_date = formatSQLLike(sd);
     if (end_date !== undefined) items[idx].end_date = formatSQLLike(ed);
 
-    await writeAll(items);
-    res.json(items[idx]);
+    res.json(await campaigns.update(id, items[idx]));
 });
 
 /**
  * @openapi
  * /campaign/{id}:
  *   delete:
+ *     operationId: deleteCampaign
  *     tags: [Campaign]
- *     summary: Remove campanha por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/Cascade'
  *     responses:
- *       204:
- *         description: "Removida"
- *       404:
- *         description: "Campanha não encontrada"
+ *       204: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
  */
 router.delete('/:id', async (req, res) => {
     const { id } = req.params;
-    const items = await readAll();
-    const idx = items.findIndex(x => x.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Campanha não encontrada' });
+    const found = await campaigns.findById(id);
+    if (!found) throw new NotFoundError('campaign_not_found');
+    if (deniedSupplier(req, found.supplier_id)) throw new ForbiddenError();
+    await integrity.guardDelete(req, 'campaing', id);
 
-    items.splice(idx, 1);
-    await writeAll(items);
+    await campaigns.delete(id);
     res.status(204).send();
 });
 
+/**
+ * @openapi
+ * /campaign/{id}/restore:
+ *   post:
+ *     operationId: restoreCampaign
+ *     tags: [Campaign]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Campaign' }
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/restore', adminOnly, async (req, res) => {
+    const found = await campaigns.withDeleted.findById(req.params.id);
+    if (!found) throw new NotFoundError('campaign_not_found');
+
+    res.json(await softDelete.restore('campaing', found));
+});
+
+/**
+ * @openapi
+ * /campaign/{id}/progress:
+ *   get:
+ *     operationId: getCampaignProgress
+ *     tags: [Campaign]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CampaignProgress' }
+ *       404: {}
+ */
+router.get('/:id/progress', async (req, res) => {
+    const found = await campaigns.findById(req.params.id);
+    if (!found) throw new NotFoundError('campaign_not_found');
+
+    const totals = await commitments.totalsOf(found);
+    res.json({
+        campaign_id: found.id,
+        min_total_quantity: found.min_total_quantity || 0,
+        min_total_amount: found.min_total_amount || 0,
+        ...totals,
+        met: commitments.thresholdMet(found, totals),
+        settlement: found.settlement || null
+    });
+});
+
+/**
+ * @openapi
+ * /campaign/{id}/settle:
+ *   post:
+ *     operationId: settleCampaign
+ *     tags: [Campaign]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CampaignSettlement' }
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/settle', async (req, res) => {
+    const found = await campaigns.findById(req.params.id);
+    if (!found) throw new NotFoundError('campaign_not_found');
+    if (deniedSupplier(req, found.supplier_id)) throw new ForbiddenError();
+
+    const result = await commitments.settle(found, { by: req.user ? req.user.id : null });
+    if (result.error) throw new ConflictError(result.error, result.params);
+    res.json(result.settlement);
+});
+
 module.exports = router;
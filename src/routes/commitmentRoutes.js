@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+
+const { randomUUID } = require('crypto');
+const integrity = require('../services/integrity');
+const softDelete = require('../services/softDelete');
+const { repository } = require('../repositories');
+const { paginate } = require('../services/pagination');
+const pricing = require('../services/pricing');
+const commitmentService = require('../services/commitments');
+const { ownsStore, adminOnly } = require('../middlewares/authorize');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../services/errors');
+
+const commitments = repository('commitment');
+const campaigns = repository('campaing');
+
+// ===== validators/helpers
+function parseDate(str) {
+    const d = new Date(str);
+    return isNaN(d.getTime()) ? null : d;
+}
+function formatSQLLike(d) {
+    return d.toISOString().slice(0, 19).replace('T', ' ');
+}
+// operador de loja só acessa compromissos das lojas a que está vinculado
+function deniedStore(req, storeId) {
+    return req.access === 'own' && !ownsStore(req.user, storeId);
+}
+// compromissos só entram/mudam dentro da janela da campanha e antes da apuração
+function assertWindow(campaign, now) {
+    if (campaign.settlement) throw new ConflictError('campaign_settled');
+    if (now < parseDate(campaign.start_date) || now > parseDate(campaign.end_date)) {
+        throw new ConflictError('outside_campaign_window');
+    }
+}
+function summarize(lines) {
+    return {
+        total_quantity: lines.reduce((acc, l) => acc + l.quantity, 0),
+        total_amount: Math.round(lines.reduce((acc, l) => acc + l.line_total, 0) * 100) / 100
+    };
+}
+
+/**
+ * @openapi
+ * /commitment:
+ *   get:
+ *     operationId: listCommitments
+ *     tags: [Commitment]
+ *     parameters:
+ *       - in: query
+ *         name: campaign_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: store_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, converted, released, failed]
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Commitment' }
+ *       400: {}
+ */
+router.get('/', async (req, res) => {
+    const { campaign_id, store_id, status } = req.query;
+    let items = await softDelete.readable(req, commitments).all();
+
+    if (req.access === 'own') {
+        items = items.filter(x => ownsStore(req.user, x.store_id));
+    }
+    if (campaign_id) {
+        items = items.filter(x => x.campaign_id === campaign_id);
+    }
+    if (store_id) {
+        items = items.filter(x => x.store_id === store_id);
+    }
+    if (status) {
+        items = items.filter(x => x.status === status);
+    }
+
+    const result = paginate(req, items);
+    if (result.error) throw new ValidationError(result.error, result.params);
+    res.json(result);
+});
+
+/**
+ * @openapi
+ * /commitment/{id}:
+ *   get:
+ *     operationId: getCommitment
+ *     tags: [Commitment]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Commitment' }
+ *       403: {}
+ *       404: {}
+ */
+router.get('/:id', async (req, res) => {
+    const found = await softDelete.readable(req, commitments).findById(req.params.id);
+    if (!found) throw new NotFoundError('commitment_not_found');
+    if (deniedStore(req, found.store_id)) throw new ForbiddenError();
+    res.json(found);
+});
+
+/**
+ * @openapi
+ * /commitment:
+ *   post:
+ *     operationId: createCommitment
+ *     tags: [Commitment]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CommitmentCreate' }
+ *     responses:
+ *       201:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Commitment' }
+ *       400: {}
+ *       403: {}
+ *       409: {}
+ *       422: {}
+ */
+router.post('/', async (req, res) => {
+    const { campaign_id, store_id, items } = req.body || {};
+
+    if (deniedStore(req, store_id)) throw new ForbiddenError();
+
+    await integrity.assertRefs([
+        { field: 'campaign_id', collection: 'campaing', id: campaign_id },
+        { field: 'store_id', collection: 'store', id: store_id },
+        ...pricing.itemRefs(items, 'items')
+    ]);
+
+    const campaign = await campaigns.findById(campaign_id);
+    if (!pricing.hasThreshold(campaign)) {
+        throw new ValidationError('campaign_without_threshold');
+    }
+    const now = new Date();
+    assertWindow(campaign, now);
+
+    const existing = await commitments.find(x =>
+        x.campaign_id === campaign_id && x.store_id === store_id && x.status === 'open'
+    );
+    if (existing) {
+        throw new ConflictError('commitment_exists', {}, { id: existing.id });
+    }
+
+    const priced = await commitmentService.priceCommitment(items, campaign, now);
+    if (priced.error) throw new ValidationError(priced.error, priced.params);
+
+    const novo = {
+        id: randomUUID(),
+        campaign_id,
+        store_id,
+        items: priced.lines,
+        ...summarize(priced.lines),
+        status: 'open',
+        order_id: null,
+        created_by: req.user ? req.user.id : null,
+        created_at: formatSQLLike(now)
+    };
+
+    await commitments.insert(novo);
+    res.status(201).json(novo);
+});
+
+/**
+ * @openapi
+ * /commitment/{id}:
+ *   put:
+ *     operationId: updateCommitment
+ *     tags: [Commitment]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CommitmentUpdate' }
+ *     responses:
+ *       200: {}
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ *       422: {}
+ */
+router.put('/:id', async (req, res) => {
+    const { id } = req.params;
+    const { items } = req.body || {};
+
+    const found = await commitments.findById(id);
+    if (!found) throw new NotFoundError('commitment_not_found');
+    if (deniedStore(req, found.store_id)) throw new ForbiddenError();
+    if (found.status !== 'open') throw new ConflictError('commitment_not_open', { status: found.status });
+
+    await integrity.assertRefs(pricing.itemRefs(items, 'items'));
+
+    const campaign = await campaigns.findById(found.campaign_id);
+    const now = new Date();
+    assertWindow(campaign, now);
+
+    const priced = await commitmentService.priceCommitment(items, campaign, now);
+    if (priced.error) throw new ValidationError(priced.error, priced.params);
+
+    found.items = priced.lines;
+    Object.assign(found, summarize(priced.lines));
+    found.updated_at = formatSQLLike(now);
+
+    res.json(await commitments.update(id, found));
+});
+
+/**
+ * @openapi
+ * /commitment/{id}:
+ *   delete:
+ *     operationId: deleteCommitment
+ *     tags: [Commitment]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.delete('/:id', async (req, res) => {
+    const { id } = req.params;
+    const found = await commitments.findById(id);
+    if (!found) throw new NotFoundError('commitment_not_found');
+    if (deniedStore(req, found.store_id)) throw new ForbiddenError();
+    if (found.status !== 'open') throw new ConflictError('commitment_not_open', { status: found.status });
+
+    const campaign = await campaigns.findById(found.campaign_id);
+    if (campaign) assertWindow(campaign, new Date());
+
+    await commitments.delete(id);
+    res.status(204).send();
+});
+
+/**
+ * @openapi
+ * /commitment/{id}/restore:
+ *   post:
+ *     operationId: restoreCommitment
+ *     tags: [Commitment]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Commitment' }
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/restore', adminOnly, async (req, res) => {
+    const found = await commitments.withDeleted.findById(req.params.id);
+    if (!found) throw new NotFoundError('commitment_not_found');
+
+    const restored = await softDelete.restore('commitment', found, async commitment => {
+        const campaign = await campaigns.findById(commitment.campaign_id);
+        assertWindow(campaign, new Date());
+        const other = await commitments.find(x =>
+            x.campaign_id === commitment.campaign_id && x.store_id === commitment.store_id && x.status === 'open'
+        );
+        if (other) throw new ConflictError('commitment_exists', {}, { id: other.id });
+        return {};
+    });
+    res.json(restored);
+});
+
+module.exports = router;
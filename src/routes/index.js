@@ -1,19 +1,35 @@
 const express = require('express')
 const router = express.Router()
+const auditRoutes = require('./auditRoutes')
 const campaingRoutes = require('./campaingRoutes')
+const commitmentRoutes = require('./commitmentRoutes')
 const orderRoutes = require('./orderRoutes')
 const productRoutes = require('./productRoutes')
+const purchaseOrderRoutes = require('./purchaseOrderRoutes')
+const quoteRoutes = require('./quoteRoutes')
+const reportRoutes = require('./reportRoutes')
 const storeRoutes = require('./storeRoutes')
 const supplierRoutes = require('./supplierRoutes')
 const usersRoutes = require('./usersRoutes')
+const auth = require('../middlewares/auth')
+const { authorize } = require('../middlewares/authorize')
+const validate = require('../middlewares/validate')
+const requestContext = require('../services/requestContext')
 
 router.use(express.json())
-router.use('/campaing', campaingRoutes)
-router.use('/order', orderRoutes)
-router.use('/product', productRoutes)
-router.use('/store', storeRoutes)
-router.use('/supplier', supplierRoutes)
-router.use('/users', usersRoutes)
+router.use(auth)
+router.use(requestContext.track)
+router.use('/audit', authorize('audit'), validate('/audit'), auditRoutes)
+router.use('/campaing', authorize('campaing'), validate('/campaign'), campaingRoutes)
+router.use('/commitment', authorize('commitment'), validate('/commitment'), commitmentRoutes)
+router.use('/order', authorize('order'), validate('/order'), orderRoutes)
+router.use('/product', authorize('product'), validate('/product'), productRoutes)
+router.use('/purchase-order', authorize('purchase_order'), validate('/purchase-order'), purchaseOrderRoutes)
+router.use('/quote', authorize('quote'), validate('/quote'), quoteRoutes)
+router.use('/reports', authorize('reports'), validate('/reports'), reportRoutes)
+router.use('/store', authorize('store'), validate('/store'), storeRoutes)
+router.use('/supplier', authorize('supplier'), validate('/supplier'), supplierRoutes)
+router.use('/users', authorize('users'), validate('/users'), usersRoutes)
 
 module.exports = router
 
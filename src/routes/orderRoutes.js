@@ -1,83 +1,125 @@
 const express = require('express');
 const router = express.Router();
 
-const fs = require('fs').promises;
-const path = require('path');
 const { randomUUID } = require('crypto');
+const integrity = require('../services/integrity');
+const softDelete = require('../services/softDelete');
+const { repository } = require('../repositories');
+const { paginate, sortBy } = require('../services/pagination');
+const exporter = require('../services/exporter');
+const stock = require('../services/stock');
+const orderStatus = require('../services/orderStatus');
+const pricing = require('../services/pricing');
+const { ownsStore, adminOnly } = require('../middlewares/authorize');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../services/errors');
 
-const DB_PATH = path.join(__dirname, '..', 'db', 'order.json');
-
-// ===== IO helpers
-async function readAll() {
-    try {
-        const data = await fs.readFile(DB_PATH, 'utf8');
-        const parsed = JSON.parse(data || '[]');
-        return Array.isArray(parsed) ? parsed : [];
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            await writeAll([]);
-            return [];
-        }
-        throw err;
-    }
-}
-async function writeAll(list) {
-    await fs.mkdir(path.dirname(DB_PATH), { recursive: true });
-    await fs.writeFile(DB_PATH, JSON.stringify(list, null, 2), 'utf8');
-}
+const orders = repository('order');
+const stores = repository('store');
+const products = repository('product');
 
 // ===== validators/helpers
-function sanitizeStatus(st) {
-    const ok = ['Pending', 'Shipped', 'Delivered'];
-    return ok.includes(st) ? st : 'Pending';
-}
-function toAmount(val) {
-    const n = Number.parseFloat(val);
-    if (!Number.isFinite(n) || n < 0) return null;
-    return Math.round(n * 100) / 100;
-}
 function parseDate(str) {
     const d = new Date(str);
     return isNaN(d.getTime()) ? null : d;
 }
+// ===== exportação: uma linha por item do pedido
+// (cabeçalhos em exports.orders.columns do catálogo)
+const EXPORT_COLUMNS = [
+    { key: 'order_id', width: 24 },
+    { key: 'date', width: 16 },
+    { key: 'store_id', width: 24 },
+    { key: 'store_name', width: 18 },
+    { key: 'status', width: 10 },
+    { key: 'product_id', width: 24 },
+    { key: 'product_name', width: 20 },
+    { key: 'quantity', width: 6 },
+    { key: 'list_price', width: 10 },
+    { key: 'discount_percentage', width: 8 },
+    { key: 'discount_amount', width: 8 },
+    { key: 'unit_price', width: 10 },
+    { key: 'line_total', width: 10 },
+    { key: 'campaign_id', width: 24 },
+    { key: 'total_amount', width: 11 }
+];
+
+async function exportRows(items) {
+    const storeNames = new Map((await stores.withDeleted.all()).map(s => [s.id, s.store_name]));
+    const productNames = new Map((await products.withDeleted.all()).map(p => [p.id, p.name]));
+    return items.flatMap(o => {
+        const head = {
+            order_id: o.id,
+            date: o.date,
+            store_id: o.store_id,
+            store_name: storeNames.get(o.store_id),
+            status: o.status,
+            total_amount: o.total_amount
+        };
+        // pedidos antigos podem não ter item estruturado: sai uma linha só
+        const lines = Array.isArray(o.item) && o.item.length ? o.item : [{}];
+        return lines.map(l => ({ ...head, ...l, product_name: productNames.get(l.product_id) }));
+    });
+}
+
+// quem está fazendo a alteração (usuário autenticado, quando houver)
+function actorOf(req) {
+    return req.user ? req.user.id : null;
+}
+// operador de loja só acessa pedidos das lojas a que está vinculado
+function deniedStore(req, storeId) {
+    return req.access === 'own' && !ownsStore(req.user, storeId);
+}
 
 /**
  * @openapi
  * /order:
  *   get:
+ *     operationId: listOrders
  *     tags: [Order]
- *     summary: Lista pedidos (com filtros opcionais)
  *     parameters:
  *       - in: query
  *         name: store_id
  *         schema: { type: string }
- *         description: Filtra por loja
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [Pending, Shipped, Delivered]
+ *           enum: [Pending, Approved, Shipped, Delivered, Cancelled]
  *       - in: query
  *         name: date_from
  *         schema: { type: string, format: date-time }
- *         description: Data inicial (>=)
  *       - in: query
  *         name: date_to
  *         schema: { type: string, format: date-time }
- *         description: Data final (<=)
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Format'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
  *     responses:
  *       200:
- *         description: Lista de pedidos
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items: { $ref: '#/components/schemas/Order' }
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Order' }
+ *           text/csv: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *           application/pdf: {}
+ *       400: {}
  */
 router.get('/', async (req, res) => {
     const { store_id, status, date_from, date_to } = req.query;
-    let items = await readAll();
+    let items = await softDelete.readable(req, orders).all();
 
+    if (req.access === 'own') {
+        items = items.filter(x => ownsStore(req.user, x.store_id));
+    }
     if (store_id) {
         items = items.filter(x => x.store_id === store_id);
     }
@@ -93,33 +135,44 @@ router.get('/', async (req, res) => {
         if (d2) items = items.filter(x => parseDate(x.date) <= d2);
     }
 
-    res.json(items);
+    if (req.query.format !== undefined) {
+        return exporter.sendExport(res, req.query.format, {
+            lang: req.lang,
+            name: 'orders',
+            columns: EXPORT_COLUMNS,
+            rows: await exportRows(sortBy(items, req.query.sort))
+        });
+    }
+
+    const result = paginate(req, items);
+    if (result.error) throw new ValidationError(result.error, result.params);
+    res.json(result);
 });
 
 /**
  * @openapi
  * /order/{id}:
  *   get:
+ *     operationId: getOrder
  *     tags: [Order]
- *     summary: Busca pedido por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Pedido encontrado
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Order' }
- *       404:
- *         description: Pedido não encontrado
+ *       403: {}
+ *       404: {}
  */
 router.get('/:id', async (req, res) => {
-    const items = await readAll();
-    const found = items.find(x => x.id === req.params.id);
-    if (!found) return res.status(404).json({ error: 'Pedido não encontrado' });
+    const found = await softDelete.readable(req, orders).findById(req.params.id);
+    if (!found) throw new NotFoundError('order_not_found');
+    if (deniedStore(req, found.store_id)) throw new ForbiddenError();
     res.json(found);
 });
 
@@ -127,8 +180,8 @@ router.get('/:id', async (req, res) => {
  * @openapi
  * /order:
  *   post:
+ *     operationId: createOrder
  *     tags: [Order]
- *     summary: Cria pedido
  *     requestBody:
  *       required: true
  *       content:
@@ -138,45 +191,53 @@ router.get('/:id', async (req, res) => {
  *             exemplo:
  *               value:
  *                 store_id: "7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd"
- *                 item: "[(product_id, quantity, campaign_id, unit_price)]"
- *                 total_amount: "123.00"
+ *                 item:
+ *                   - product_id: "7a6cc1282c5f6ec0235acd2bfa780145aa2a67fd"
+ *                     quantity: 2
  *                 status: "Pending"
  *                 date: "2023-08-15 16:00:00"
  *     responses:
  *       201:
- *         description: Pedido criado
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Order' }
- *       400:
- *         description: Dados inválidos
+ *       400: {}
+ *       403: {}
+ *       409: {}
+ *       422: {}
  */
 router.post('/', async (req, res) => {
-    const { store_id, item, total_amount, status, date } = req.body || {};
+    const { store_id, item, date } = req.body || {};
 
-    if (!store_id || !item || !total_amount) {
-        return res.status(400).json({ error: 'store_id, item e total_amount são obrigatórios' });
-    }
-
-    const total = toAmount(total_amount);
-    if (total === null) return res.status(400).json({ error: 'total_amount inválido' });
+    if (deniedStore(req, store_id)) throw new ForbiddenError();
 
     const d = date ? parseDate(date) : new Date();
-    if (!d) return res.status(400).json({ error: 'date inválido' });
 
-    const items = await readAll();
+    await integrity.assertRefs([
+        { field: 'store_id', collection: 'store', id: store_id },
+        ...pricing.itemRefs(item)
+    ]);
+
+    const built = await pricing.priceItems(item, d);
+    if (built.error) throw new ValidationError(built.error, built.params);
+
+    const shortages = await stock.reserve(built.lines);
+    if (shortages.length) {
+        throw new ConflictError('insufficient_stock', {}, { shortages });
+    }
 
     const novo = {
         id: randomUUID(),
         store_id,
-        item,
-        total_amount: total,
-        status: sanitizeStatus(status),
+        item: built.lines,
+        total_amount: built.total,
+        status: 'Pending',
+        stock_status: 'reserved',
+        status_history: orderStatus.initialHistory(actorOf(req)),
         date: d.toISOString().slice(0, 19).replace('T', ' ')
     };
 
-    items.push(novo);
-    await writeAll(items);
+    await orders.insert(novo);
     res.status(201).json(novo);
 });
 
@@ -184,8 +245,8 @@ router.post('/', async (req, res) => {
  * @openapi
  * /order/{id}:
  *   put:
+ *     operationId: updateOrder
  *     tags: [Order]
- *     summary: Atualiza pedido por ID
  *     parameters:
  *       - in: path
  *         name: id
@@ -197,66 +258,181 @@ router.post('/', async (req, res) => {
  *         application/json:
  *           schema: { $ref: '#/components/schemas/OrderUpdate' }
  *     responses:
- *       200:
- *         description: Pedido atualizado
- *       400:
- *         description: Dados inválidos
- *       404:
- *         description: Pedido não encontrado
+ *       200: {}
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ *       422: {}
  */
 router.put('/:id', async (req, res) => {
     const { id } = req.params;
-    const { store_id, item, total_amount, status, date } = req.body || {};
+    const { store_id, item, status, date } = req.body || {};
+
+    const found = await orders.findById(id);
+    if (!found) throw new NotFoundError('order_not_found');
+    if (deniedStore(req, found.store_id) || (store_id !== undefined && deniedStore(req, store_id))) {
+        throw new ForbiddenError();
+    }
 
-    const items = await readAll();
-    const idx = items.findIndex(x => x.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Pedido não encontrado' });
+    await integrity.assertRefs([
+        { field: 'store_id', collection: 'store', id: store_id },
+        ...pricing.itemRefs(item)
+    ]);
 
-    if (total_amount !== undefined) {
-        const t = toAmount(total_amount);
-        if (t === null) return res.status(400).json({ error: 'total_amount inválido' });
-        items[idx].total_amount = t;
+    // a transição é conferida antes de mexer no estoque: recusada depois da
+    // troca de itens, deixaria a reserva nova com o pedido antigo gravado
+    const changesStatus = status !== undefined && status !== found.status;
+    if (changesStatus) {
+        const denied = orderStatus.checkTransition(found, status);
+        if (denied) throw new ConflictError(denied.error, denied.params);
     }
-    if (date !== undefined) {
-        const d = parseDate(date);
-        if (!d) return res.status(400).json({ error: 'date inválido' });
-        items[idx].date = d.toISOString().slice(0, 19).replace('T', ' ');
+
+    const d = date !== undefined ? parseDate(date) : parseDate(found.date) || new Date();
+
+    // preços são recalculados quando mudam os itens ou a data do pedido; depois
+    // de expedido (ou cancelado) nenhum dos dois muda, senão o total mudaria junto
+    if (item !== undefined || (date !== undefined && Array.isArray(found.item))) {
+        if (!['Pending', 'Approved'].includes(found.status)) {
+            throw new ConflictError('order_not_editable', { status: found.status });
+        }
+        if (orderStatus.isConsolidated(found)) {
+            throw new ConflictError('order_consolidated');
+        }
+        // pedido vindo de compromisso mantém a campanha de volume mínimo
+        const built = await pricing.priceItems(item !== undefined ? item : found.item, d, 'item',
+            { allowThreshold: !!found.commitment_id });
+        if (built.error) throw new ValidationError(built.error, built.params);
+
+        // troca a reserva antiga pela nova de uma vez: se faltar estoque, a
+        // antiga continua como estava
+        if (item !== undefined && found.stock_status === 'reserved') {
+            const shortages = await stock.swap(found.item, built.lines);
+            if (shortages.length) throw new ConflictError('insufficient_stock', {}, { shortages });
+        }
+        found.item = built.lines;
+        found.total_amount = built.total;
     }
+    if (date !== undefined) found.date = d.toISOString().slice(0, 19).replace('T', ' ');
+
+    if (store_id !== undefined) found.store_id = store_id;
+    if (changesStatus) {
+        const err = await orderStatus.transition(found, status, { by: actorOf(req) });
+        if (err) throw new ConflictError(err.error, err.params);
+    }
+
+    res.json(await orders.update(id, found));
+});
+
+/**
+ * @openapi
+ * /order/{id}/transition:
+ *   post:
+ *     operationId: transitionOrder
+ *     tags: [Order]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/OrderTransition' }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Order' }
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/transition', async (req, res) => {
+    const { id } = req.params;
+    const { status, reason } = req.body || {};
 
-    if (store_id !== undefined) items[idx].store_id = store_id;
-    if (item !== undefined) items[idx].item = item;
-    if (status !== undefined) items[idx].status = sanitizeStatus(status);
+    const found = await orders.findById(id);
+    if (!found) throw new NotFoundError('order_not_found');
+    if (deniedStore(req, found.store_id)) throw new ForbiddenError();
 
-    await writeAll(items);
-    res.json(items[idx]);
+    const err = await orderStatus.transition(found, status, { by: actorOf(req), reason });
+    if (err) throw new ConflictError(err.error, err.params);
+
+    res.json(await orders.update(id, found));
 });
 
 /**
  * @openapi
  * /order/{id}:
  *   delete:
+ *     operationId: deleteOrder
  *     tags: [Order]
- *     summary: Remove pedido por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
  *     responses:
- *       204:
- *         description: Removido
- *       404:
- *         description: Pedido não encontrado
+ *       204: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
  */
 router.delete('/:id', async (req, res) => {
     const { id } = req.params;
-    const items = await readAll();
-    const idx = items.findIndex(x => x.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Pedido não encontrado' });
+    const found = await orders.findById(id);
+    if (!found) throw new NotFoundError('order_not_found');
+    if (deniedStore(req, found.store_id)) throw new ForbiddenError();
+    if (orderStatus.isConsolidated(found)) {
+        throw new ConflictError('order_consolidated');
+    }
+
+    if (found.stock_status === 'reserved') {
+        await stock.release(found.item);
+        await orders.update(id, { stock_status: 'released' });
+    }
 
-    items.splice(idx, 1);
-    await writeAll(items);
+    await orders.delete(id);
     res.status(204).send();
 });
 
+/**
+ * @openapi
+ * /order/{id}/restore:
+ *   post:
+ *     operationId: restoreOrder
+ *     tags: [Order]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Order' }
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/restore', adminOnly, async (req, res) => {
+    const found = await orders.withDeleted.findById(req.params.id);
+    if (!found) throw new NotFoundError('order_not_found');
+
+    const restored = await softDelete.restore('order', found, async order => {
+        // a remoção devolveu a reserva de um pedido ainda em aberto
+        if (!['Pending', 'Approved'].includes(order.status) || order.stock_status !== 'released') return {};
+        const shortages = await stock.reserve(order.item);
+        if (shortages.length) {
+            throw new ConflictError('insufficient_stock', {}, { shortages });
+        }
+        return { changes: { stock_status: 'reserved' } };
+    });
+    res.json(restored);
+});
+
 module.exports = router;
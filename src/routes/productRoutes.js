@@ -1,31 +1,19 @@
 const express = require('express');
 const router = express.Router();
 
-const fs = require('fs').promises;
-const path = require('path');
 const { randomUUID } = require('crypto');
+const integrity = require('../services/integrity');
+const softDelete = require('../services/softDelete');
+const { repository } = require('../repositories');
+const { paginate, sortBy } = require('../services/pagination');
+const { ownsSupplier, adminOnly } = require('../middlewares/authorize');
+const spreadsheet = require('../services/spreadsheet');
+const exporter = require('../services/exporter');
+const i18n = require('../services/i18n');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../services/errors');
 
-// ===== path do "banco"
-const DB_PATH = path.join(__dirname, '..', 'db', 'product.json');
-
-// ===== IO helpers
-async function readAll() {
-    try {
-        const data = await fs.readFile(DB_PATH, 'utf8');
-        const parsed = JSON.parse(data || '[]');
-        return Array.isArray(parsed) ? parsed : [];
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            await writeAll([]);
-            return [];
-        }
-        throw err;
-    }
-}
-async function writeAll(list) {
-    await fs.mkdir(path.dirname(DB_PATH), { recursive: true });
-    await fs.writeFile(DB_PATH, JSON.stringify(list, null, 2), 'utf8');
-}
+const products = repository('product');
+const suppliers = repository('supplier');
 
 // ===== validators/helpers
 function sanitizeStatus(st) {
@@ -44,40 +32,80 @@ function toInt(val) {
     return n;
 }
 
+// representante de fornecedor só altera registros do próprio fornecedor
+function deniedSupplier(req, supplierId) {
+    return req.access === 'own' && !ownsSupplier(req.user, supplierId);
+}
+
+// ===== exportação (?format=csv|xlsx|pdf)
+// (cabeçalhos em exports.products.columns do catálogo)
+const EXPORT_COLUMNS = [
+    { key: 'id', width: 24 },
+    { key: 'name', width: 24 },
+    { key: 'description', width: 30 },
+    { key: 'price', width: 10 },
+    { key: 'stock_quantity', width: 9 },
+    { key: 'reserved_quantity', width: 9 },
+    { key: 'supplier_id', width: 24 },
+    { key: 'supplier_name', width: 20 },
+    { key: 'status', width: 7 }
+];
+
+// ===== importação: colunas aceitas e nomes comuns nas planilhas
+const IMPORT_FIELDS = ['name', 'description', 'price', 'stock_quantity', 'supplier_id', 'status'];
+const IMPORT_ALIASES = {
+    name: ['nome', 'produto'],
+    description: ['descricao'],
+    price: ['preco', 'valor', 'preco_unitario'],
+    stock_quantity: ['estoque', 'quantidade', 'qtd'],
+    supplier_id: ['fornecedor', 'id_fornecedor'],
+    status: ['situacao']
+};
+
 /**
  * @openapi
  * /product:
  *   get:
+ *     operationId: listProducts
  *     tags: [Product]
- *     summary: Lista produtos (ou filtra)
- *     description: Filtros opcionais por nome (parcial), status e supplier_id.
  *     parameters:
  *       - in: query
  *         name: name
  *         schema: { type: string }
- *         description: Filtro parcial por nome do produto
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
  *           enum: [on, off]
- *         description: Filtrar por status
  *       - in: query
  *         name: supplier_id
  *         schema: { type: string }
- *         description: Filtrar por fornecedor (UUID)
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Format'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
  *     responses:
  *       200:
- *         description: Lista de produtos
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items: { $ref: '#/components/schemas/Product' }
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Product' }
+ *           text/csv: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *           application/pdf: {}
+ *       400: {}
  */
 router.get('/', async (req, res) => {
     const { name, status, supplier_id } = req.query;
-    let items = await readAll();
+    let items = await softDelete.readable(req, products).all();
 
     if (name) {
         const n = name.toLowerCase();
@@ -90,33 +118,43 @@ router.get('/', async (req, res) => {
         items = items.filter(x => x.supplier_id === supplier_id);
     }
 
-    res.json(items);
+    if (req.query.format !== undefined) {
+        const supplierNames = new Map((await suppliers.withDeleted.all()).map(s => [s.id, s.supplier_name]));
+        return exporter.sendExport(res, req.query.format, {
+            lang: req.lang,
+            name: 'products',
+            columns: EXPORT_COLUMNS,
+            rows: sortBy(items, req.query.sort).map(x => ({ ...x, supplier_name: supplierNames.get(x.supplier_id) }))
+        });
+    }
+
+    const result = paginate(req, items);
+    if (result.error) throw new ValidationError(result.error, result.params);
+    res.json(result);
 });
 
 /**
  * @openapi
  * /product/{id}:
  *   get:
+ *     operationId: getProduct
  *     tags: [Product]
- *     summary: Busca produto por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Produto encontrado
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Product' }
- *       404:
- *         description: Produto não encontrado
+ *       404: {}
  */
 router.get('/:id', async (req, res) => {
-    const items = await readAll();
-    const found = items.find(x => x.id === req.params.id);
-    if (!found) return res.status(404).json({ error: 'Produto não encontrado' });
+    const found = await softDelete.readable(req, products).findById(req.params.id);
+    if (!found) throw new NotFoundError('product_not_found');
     res.json(found);
 });
 
@@ -124,8 +162,8 @@ router.get('/:id', async (req, res) => {
  * @openapi
  * /product:
  *   post:
+ *     operationId: createProduct
  *     tags: [Product]
- *     summary: Cria produto
  *     requestBody:
  *       required: true
  *       content:
@@ -142,59 +180,191 @@ router.get('/:id', async (req, res) => {
  *                 status: "on"
  *     responses:
  *       201:
- *         description: Produto criado
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Product' }
- *       400:
- *         description: Dados inválidos
- *       409:
- *         description: "Conflito (ex.: produto duplicado)"
+ *       400: {}
+ *       403: {}
+ *       409: {}
+ *       422: {}
  */
 router.post('/', async (req, res) => {
     const { name, description, price, stock_quantity, supplier_id, status } = req.body || {};
 
-    if (!name || price === undefined || stock_quantity === undefined || !supplier_id) {
-        return res.status(400).json({ error: 'name, price, stock_quantity e supplier_id são obrigatórios' });
-    }
-
-    const priceNum = toPrice(price);
-    if (priceNum === null) return res.status(400).json({ error: 'price inválido (>= 0)' });
-
-    const stockNum = toInt(stock_quantity);
-    if (stockNum === null) return res.status(400).json({ error: 'stock_quantity inválido (inteiro >= 0)' });
+    if (deniedSupplier(req, supplier_id)) throw new ForbiddenError();
+    await integrity.assertRefs([{ field: 'supplier_id', collection: 'supplier', id: supplier_id }]);
 
-    const items = await readAll();
+    const items = await products.all();
 
     // Exemplo de unicidade simples: (name + supplier_id)
     if (items.some(x =>
         x.name?.toLowerCase() === String(name).toLowerCase() &&
         x.supplier_id === supplier_id
     )) {
-        return res.status(409).json({ error: 'Já existe um produto com esse nome para o mesmo fornecedor' });
+        throw new ConflictError('duplicate_product');
     }
 
     const novo = {
         id: randomUUID(),
         name,
         description: description || '',
-        price: priceNum,                // número (ex.: 200)
-        stock_quantity: stockNum,       // inteiro (ex.: 8)
+        price: toPrice(price),          // número (ex.: 200)
+        stock_quantity,                 // inteiro (ex.: 8)
+        reserved_quantity: 0,           // reservado por pedidos ainda não expedidos
         supplier_id,
         status: sanitizeStatus(status)
     };
 
-    items.push(novo);
-    await writeAll(items);
+    await products.insert(novo);
     res.status(201).json(novo);
 });
 
+/**
+ * @openapi
+ * /product/import:
+ *   post:
+ *     operationId: importProducts
+ *     tags: [Product]
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema: { type: boolean, default: false }
+ *       - in: query
+ *         name: mapping
+ *         schema: { type: string }
+ *         example: "Descrição do item:name,Preço (R$):price"
+ *       - in: query
+ *         name: supplier_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, xlsx] }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema: { type: string }
+ *           example: "name;price;stock_quantity\nTeclado;199,90;8"
+ *         application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *           schema: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportReport' }
+ *       400: {}
+ *       403: {}
+ *       422: {}
+ */
+router.post('/import', spreadsheet.rawUpload, async (req, res) => {
+    const dryRun = spreadsheet.isTrue(req.query.dry_run);
+    const defaultSupplier = req.query.supplier_id || (req.access === 'own' ? req.user.supplier_id : undefined);
+
+    if (deniedSupplier(req, defaultSupplier)) throw new ForbiddenError();
+    await integrity.assertRefs([{ field: 'supplier_id', collection: 'supplier', id: defaultSupplier }]);
+
+    const parsed = await spreadsheet.readRows(req, { fields: IMPORT_FIELDS, aliases: IMPORT_ALIASES });
+    if (parsed.error) throw new ValidationError(parsed.error, parsed.params);
+
+    const items = await products.all();
+    const knownSuppliers = new Map();
+    const seen = new Map();
+    const results = [];
+
+    for (const { line, data } of parsed.rows) {
+        const supplierId = data.supplier_id || defaultSupplier;
+        const errors = [];
+        const fail = (code, params) => errors.push(i18n.message(req.lang, code, params));
+
+        // mesmas regras do POST/PUT
+        if (!data.name) fail('field_required', { field: 'name' });
+        if (!supplierId) fail('field_required', { field: 'supplier_id' });
+        const priceNum = data.price !== undefined ? toPrice(spreadsheet.decimal(data.price)) : undefined;
+        if (priceNum === null) fail('invalid_price');
+        const stockNum = data.stock_quantity !== undefined ? toInt(data.stock_quantity) : undefined;
+        if (stockNum === null) fail('invalid_stock_quantity');
+
+        if (supplierId) {
+            if (deniedSupplier(req, supplierId)) fail('forbidden_supplier', { supplier_id: supplierId });
+            if (!knownSuppliers.has(supplierId)) {
+                const missing = await integrity.findMissing([{ field: 'supplier_id', collection: 'supplier', id: supplierId }]);
+                knownSuppliers.set(supplierId, !missing.length);
+            }
+            if (!knownSuppliers.get(supplierId)) fail('unknown_supplier', { supplier_id: supplierId });
+        }
+
+        const key = `${String(data.name || '').toLowerCase()}|${supplierId}`;
+        if (data.name && seen.has(key)) fail('duplicate_row', { line: seen.get(key) });
+
+        const existing = data.name && items.find(x =>
+            x.name?.toLowerCase() === String(data.name).toLowerCase() && x.supplier_id === supplierId
+        );
+        if (existing && stockNum != null && stockNum < (existing.reserved_quantity || 0)) {
+            fail('stock_below_reserved', { reserved: existing.reserved_quantity });
+        }
+        if (!existing) {
+            if (data.price === undefined) fail('required_for_new_product', { field: 'price' });
+            if (data.stock_quantity === undefined) fail('required_for_new_product', { field: 'stock_quantity' });
+        }
+
+        if (errors.length) {
+            results.push({ line, action: 'rejected', name: data.name || null, errors });
+            continue;
+        }
+        seen.set(key, line);
+
+        if (existing) {
+            const changes = {};
+            if (priceNum !== undefined) changes.price = priceNum;
+            if (stockNum !== undefined) changes.stock_quantity = stockNum;
+            if (data.description !== undefined) changes.description = data.description;
+            if (data.status !== undefined) changes.status = sanitizeStatus(data.status);
+
+            // a reserva é conferida de novo na gravação, como no PUT: um pedido
+            // pode ter reservado depois da leitura da planilha
+            let reserved = null;
+            if (!dryRun) {
+                await products.update(existing.id, current => {
+                    const reservedNow = current.reserved_quantity || 0;
+                    if (stockNum !== undefined && stockNum < reservedNow) {
+                        reserved = reservedNow;
+                        return {};
+                    }
+                    return changes;
+                });
+            }
+            if (reserved !== null) {
+                const error = i18n.message(req.lang, 'stock_below_reserved', { reserved });
+                results.push({ line, action: 'rejected', name: data.name, errors: [error] });
+                continue;
+            }
+            results.push({ line, action: 'updated', id: existing.id, name: existing.name });
+            continue;
+        }
+
+        const novo = {
+            id: randomUUID(),
+            name: data.name,
+            description: data.description || '',
+            price: priceNum,
+            stock_quantity: stockNum,
+            reserved_quantity: 0,
+            supplier_id: supplierId,
+            status: sanitizeStatus(data.status)
+        };
+        if (!dryRun) await products.insert(novo);
+        results.push({ line, action: 'created', id: dryRun ? null : novo.id, name: novo.name });
+    }
+
+    res.json(spreadsheet.report(results, dryRun));
+});
+
 /**
  * @openapi
  * /product/{id}:
  *   put:
+ *     operationId: updateProduct
  *     tags: [Product]
- *     summary: Atualiza produto por ID
  *     parameters:
  *       - in: path
  *         name: id
@@ -207,35 +377,28 @@ router.post('/', async (req, res) => {
  *           schema: { $ref: '#/components/schemas/ProductUpdate' }
  *     responses:
  *       200:
- *         description: Produto atualizado
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Product' }
- *       400:
- *         description: Dados inválidos
- *       404:
- *         description: Produto não encontrado
- *       409:
- *         description: "Conflito (ex.: duplicidade)"
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ *       422: {}
  */
 router.put('/:id', async (req, res) => {
     const { id } = req.params;
     const { name, description, price, stock_quantity, supplier_id, status } = req.body || {};
 
-    const items = await readAll();
+    const items = await products.all();
     const idx = items.findIndex(x => x.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Produto não encontrado' });
-
-    // validações pontuais
-    if (price !== undefined) {
-        const p = toPrice(price);
-        if (p === null) return res.status(400).json({ error: 'price inválido (>= 0)' });
-        items[idx].price = p;
+    if (idx === -1) throw new NotFoundError('product_not_found');
+    if (deniedSupplier(req, items[idx].supplier_id) || (supplier_id !== undefined && deniedSupplier(req, supplier_id))) {
+        throw new ForbiddenError();
     }
-    if (stock_quantity !== undefined) {
-        const s = toInt(stock_quantity);
-        if (s === null) return res.status(400).json({ error: 'stock_quantity inválido (inteiro >= 0)' });
-        items[idx].stock_quantity = s;
+
+    if (supplier_id !== undefined) {
+        await integrity.assertRefs([{ field: 'supplier_id', collection: 'supplier', id: supplier_id }]);
     }
 
     // checa duplicidade se name/supplier_id forem alterados
@@ -247,44 +410,86 @@ router.put('/:id', async (req, res) => {
             x.name?.toLowerCase() === String(newName).toLowerCase() &&
             x.supplier_id === newSupplier
         )) {
-        return res.status(409).json({ error: 'Já existe um produto com esse nome para o mesmo fornecedor' });
+        throw new ConflictError('duplicate_product');
     }
 
     if (name !== undefined) items[idx].name = name;
     if (description !== undefined) items[idx].description = description;
+    if (price !== undefined) items[idx].price = toPrice(price);
+    if (stock_quantity !== undefined) items[idx].stock_quantity = stock_quantity;
     if (supplier_id !== undefined) items[idx].supplier_id = supplier_id;
     if (status !== undefined) items[idx].status = sanitizeStatus(status);
 
-    await writeAll(items);
-    res.json(items[idx]);
+    // o estoque não pode ficar abaixo do que os pedidos já reservaram; a
+    // conferência é feita na gravação, contra a reserva do momento, e a
+    // reserva gravada não é sobrescrita pela lida no início
+    let reserved = null;
+    const saved = await products.update(id, current => {
+        const reservedNow = current.reserved_quantity || 0;
+        if (stock_quantity !== undefined && stock_quantity < reservedNow) {
+            reserved = reservedNow;
+            return {};
+        }
+        return { ...items[idx], reserved_quantity: current.reserved_quantity };
+    });
+    if (reserved !== null) throw new ConflictError('stock_below_reserved', { reserved });
+    res.json(saved);
 });
 
 /**
  * @openapi
  * /product/{id}:
  *   delete:
+ *     operationId: deleteProduct
  *     tags: [Product]
- *     summary: Remove produto por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/Cascade'
  *     responses:
- *       204:
- *         description: Removido
- *       404:
- *         description: Não encontrado
+ *       204: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
  */
 router.delete('/:id', async (req, res) => {
     const { id } = req.params;
-    const items = await readAll();
-    const idx = items.findIndex(x => x.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Produto não encontrado' });
+    const found = await products.findById(id);
+    if (!found) throw new NotFoundError('product_not_found');
+    if (deniedSupplier(req, found.supplier_id)) throw new ForbiddenError();
+    await integrity.guardDelete(req, 'product', id);
 
-    items.splice(idx, 1);
-    await writeAll(items);
+    await products.delete(id);
     res.status(204).send();
 });
 
+/**
+ * @openapi
+ * /product/{id}/restore:
+ *   post:
+ *     operationId: restoreProduct
+ *     tags: [Product]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Product' }
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/restore', adminOnly, async (req, res) => {
+    const found = await products.withDeleted.findById(req.params.id);
+    if (!found) throw new NotFoundError('product_not_found');
+
+    res.json(await softDelete.restore('product', found));
+});
+
 module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+
+const integrity = require('../services/integrity');
+const softDelete = require('../services/softDelete');
+const { repository } = require('../repositories');
+const { paginate } = require('../services/pagination');
+const purchaseOrder = require('../services/purchaseOrder');
+const { ownsSupplier, adminOnly } = require('../middlewares/authorize');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../services/errors');
+
+const purchaseOrders = repository('purchase_order');
+
+// ===== validators/helpers
+function actorOf(req) {
+    return req.user ? req.user.id : null;
+}
+// representante de fornecedor só acessa os POs do próprio fornecedor
+function deniedSupplier(req, supplierId) {
+    return req.access === 'own' && !ownsSupplier(req.user, supplierId);
+}
+
+/**
+ * @openapi
+ * /purchase-order:
+ *   get:
+ *     operationId: listPurchaseOrders
+ *     tags: [PurchaseOrder]
+ *     parameters:
+ *       - in: query
+ *         name: supplier_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: campaign_id
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, confirmed, received]
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/PurchaseOrder' }
+ *       400: {}
+ */
+router.get('/', async (req, res) => {
+    const { supplier_id, campaign_id, status } = req.query;
+    let items = await softDelete.readable(req, purchaseOrders).all();
+
+    if (req.access === 'own') {
+        items = items.filter(x => ownsSupplier(req.user, x.supplier_id));
+    }
+    if (supplier_id) {
+        items = items.filter(x => x.supplier_id === supplier_id);
+    }
+    if (campaign_id) {
+        items = items.filter(x => x.campaign_id === campaign_id);
+    }
+    if (status) {
+        items = items.filter(x => x.status === status);
+    }
+
+    const result = paginate(req, items);
+    if (result.error) throw new ValidationError(result.error, result.params);
+    res.json(result);
+});
+
+/**
+ * @openapi
+ * /purchase-order/{id}:
+ *   get:
+ *     operationId: getPurchaseOrder
+ *     tags: [PurchaseOrder]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PurchaseOrder' }
+ *       403: {}
+ *       404: {}
+ */
+router.get('/:id', async (req, res) => {
+    const found = await softDelete.readable(req, purchaseOrders).findById(req.params.id);
+    if (!found) throw new NotFoundError('purchase_order_not_found');
+    if (deniedSupplier(req, found.supplier_id)) throw new ForbiddenError();
+    res.json(found);
+});
+
+/**
+ * @openapi
+ * /purchase-order/consolidate:
+ *   post:
+ *     operationId: consolidatePurchaseOrders
+ *     tags: [PurchaseOrder]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PurchaseOrderConsolidate' }
+ *     responses:
+ *       201:
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/PurchaseOrder' }
+ *       200: {}
+ *       400: {}
+ *       403: {}
+ *       422: {}
+ */
+router.post('/consolidate', async (req, res) => {
+    const { supplier_id, campaign_id, by_campaign, order_status } = req.body || {};
+
+    if (deniedSupplier(req, supplier_id)) throw new ForbiddenError();
+
+    const statuses = order_status || ['Pending'];
+
+    await integrity.assertRefs([
+        { field: 'supplier_id', collection: 'supplier', id: supplier_id },
+        { field: 'campaign_id', collection: 'campaing', id: campaign_id }
+    ]);
+
+    const created = await purchaseOrder.consolidate({
+        supplierId: supplier_id || null,
+        campaignId: campaign_id || null,
+        byCampaign: by_campaign === true || by_campaign === 'true',
+        statuses,
+        by: actorOf(req)
+    });
+    res.status(created.length ? 201 : 200).json(created);
+});
+
+/**
+ * @openapi
+ * /purchase-order/{id}/transition:
+ *   post:
+ *     operationId: transitionPurchaseOrder
+ *     tags: [PurchaseOrder]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PurchaseOrderTransition' }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PurchaseOrder' }
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/transition', async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body || {};
+
+    const found = await purchaseOrders.findById(id);
+    if (!found) throw new NotFoundError('purchase_order_not_found');
+    if (deniedSupplier(req, found.supplier_id) || (req.access === 'own' && status !== 'confirmed')) {
+        throw new ForbiddenError();
+    }
+
+    const err = purchaseOrder.transition(found, status, { by: actorOf(req) });
+    if (err) throw new ConflictError(err.error, err.params);
+
+    res.json(await purchaseOrders.update(id, found));
+});
+
+/**
+ * @openapi
+ * /purchase-order/{id}:
+ *   delete:
+ *     operationId: deletePurchaseOrder
+ *     tags: [PurchaseOrder]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       204: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.delete('/:id', async (req, res) => {
+    const { id } = req.params;
+    const found = await purchaseOrders.findById(id);
+    if (!found) throw new NotFoundError('purchase_order_not_found');
+    if (req.access === 'own') throw new ForbiddenError();
+    if (found.status !== 'draft') {
+        throw new ConflictError('purchase_order_not_draft', { status: found.status });
+    }
+
+    const released = await purchaseOrder.release(found);
+    await purchaseOrders.delete(id, { released_lines: released });
+    res.status(204).send();
+});
+
+/**
+ * @openapi
+ * /purchase-order/{id}/restore:
+ *   post:
+ *     operationId: restorePurchaseOrder
+ *     tags: [PurchaseOrder]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PurchaseOrder' }
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/restore', adminOnly, async (req, res) => {
+    const found = await purchaseOrders.withDeleted.findById(req.params.id);
+    if (!found) throw new NotFoundError('purchase_order_not_found');
+
+    const restored = await softDelete.restore('purchase_order', found, async po => {
+        const err = await purchaseOrder.relink(po);
+        if (err) throw new ConflictError(err.error, err.params);
+        return { changes: { released_lines: null } };
+    });
+    res.json(restored);
+});
+
+module.exports = router;
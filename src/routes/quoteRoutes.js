@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+
+const integrity = require('../services/integrity');
+const pricing = require('../services/pricing');
+const { ownsStore } = require('../middlewares/authorize');
+const { ValidationError, ForbiddenError } = require('../services/errors');
+
+// ===== validators/helpers
+function parseDate(str) {
+    const d = new Date(str);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * @openapi
+ * /quote:
+ *   post:
+ *     operationId: createQuote
+ *     tags: [Quote]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/QuoteRequest' }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Quote' }
+ *       400: {}
+ *       403: {}
+ *       422: {}
+ */
+router.post('/', async (req, res) => {
+    const { store_id, items, date } = req.body || {};
+
+    if (req.access === 'own' && !ownsStore(req.user, store_id)) {
+        throw new ForbiddenError();
+    }
+
+    const d = date ? parseDate(date) : new Date();
+
+    await integrity.assertRefs([
+        { field: 'store_id', collection: 'store', id: store_id },
+        ...pricing.itemRefs(items, 'items')
+    ]);
+
+    const priced = await pricing.priceItems(items, d, 'items');
+    if (priced.error) throw new ValidationError(priced.error, priced.params);
+
+    res.json({
+        store_id,
+        date: d.toISOString().slice(0, 19).replace('T', ' '),
+        items: priced.lines.map((line, i) => {
+            const { product, campaign } = priced.details[i];
+            return {
+                ...line,
+                product_name: product.name,
+                campaign_name: campaign ? campaign.name : null
+            };
+        }),
+        total_amount: priced.total
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+
+const { repository } = require('../repositories');
+const reports = require('../services/reports');
+
+const stores = repository('store');
+const suppliers = repository('supplier');
+const products = repository('product');
+const campaigns = repository('campaing');
+
+// ===== helpers
+// troca a chave do agrupamento pelo campo de id e acrescenta o nome
+function named(rows, idField, nameField, names) {
+    return rows.map(({ key, ...rest }) => ({
+        [idField]: key,
+        [nameField]: names.get(key) || null,
+        ...rest
+    }));
+}
+// inclui os removidos: pedidos antigos continuam mostrando o nome
+async function namesOf(repo, field) {
+    return new Map((await repo.withDeleted.all()).map(x => [x.id, x[field]]));
+}
+
+/**
+ * @openapi
+ * /reports/spend-by-store:
+ *   get:
+ *     operationId: reportSpendByStore
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - $ref: '#/components/parameters/ReportStore'
+ *       - $ref: '#/components/parameters/ReportSupplier'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Report' }
+ */
+router.get('/spend-by-store', async (req, res) => {
+    const lines = await reports.scopedLines(req);
+    res.json({
+        filters: reports.appliedFilters(req),
+        data: named(reports.aggregate(lines, r => r.order.store_id), 'store_id', 'store_name', await namesOf(stores, 'store_name'))
+    });
+});
+
+/**
+ * @openapi
+ * /reports/spend-by-supplier:
+ *   get:
+ *     operationId: reportSpendBySupplier
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - $ref: '#/components/parameters/ReportStore'
+ *       - $ref: '#/components/parameters/ReportSupplier'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Report' }
+ */
+router.get('/spend-by-supplier', async (req, res) => {
+    const lines = await reports.scopedLines(req);
+    res.json({
+        filters: reports.appliedFilters(req),
+        data: named(reports.aggregate(lines, r => r.supplier_id), 'supplier_id', 'supplier_name', await namesOf(suppliers, 'supplier_name'))
+    });
+});
+
+/**
+ * @openapi
+ * /reports/spend-by-product:
+ *   get:
+ *     operationId: reportSpendByProduct
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - $ref: '#/components/parameters/ReportStore'
+ *       - $ref: '#/components/parameters/ReportSupplier'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Report' }
+ */
+router.get('/spend-by-product', async (req, res) => {
+    const lines = await reports.scopedLines(req);
+    res.json({
+        filters: reports.appliedFilters(req),
+        data: named(reports.aggregate(lines, r => r.line.product_id), 'product_id', 'product_name', await namesOf(products, 'name'))
+    });
+});
+
+/**
+ * @openapi
+ * /reports/campaign-savings:
+ *   get:
+ *     operationId: reportCampaignSavings
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - $ref: '#/components/parameters/ReportStore'
+ *       - $ref: '#/components/parameters/ReportSupplier'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Report' }
+ */
+router.get('/campaign-savings', async (req, res) => {
+    const lines = (await reports.scopedLines(req)).filter(r => r.line.campaign_id);
+    const data = named(reports.aggregate(lines, r => r.line.campaign_id), 'campaign_id', 'campaign_name', await namesOf(campaigns, 'name'))
+        .sort((a, b) => b.savings - a.savings);
+    res.json({ filters: reports.appliedFilters(req), data });
+});
+
+/**
+ * @openapi
+ * /reports/orders-by-status:
+ *   get:
+ *     operationId: reportOrdersByStatus
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - $ref: '#/components/parameters/ReportStore'
+ *       - $ref: '#/components/parameters/ReportSupplier'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Report' }
+ */
+router.get('/orders-by-status', async (req, res) => {
+    const lines = await reports.scopedLines(req, { includeCancelled: true });
+    const data = reports.aggregate(lines, r => r.order.status).map(({ key, ...rest }) => ({ status: key, ...rest }));
+    res.json({ filters: reports.appliedFilters(req), data });
+});
+
+/**
+ * @openapi
+ * /reports/monthly:
+ *   get:
+ *     operationId: reportMonthly
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportDateFrom'
+ *       - $ref: '#/components/parameters/ReportDateTo'
+ *       - $ref: '#/components/parameters/ReportStore'
+ *       - $ref: '#/components/parameters/ReportSupplier'
+ *       - $ref: '#/components/parameters/ReportStatus'
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Report' }
+ */
+router.get('/monthly', async (req, res) => {
+    const lines = await reports.scopedLines(req);
+    const data = reports.aggregate(lines, r => String(r.order.date || '').slice(0, 7))
+        .map(({ key, ...rest }) => ({ month: key, ...rest }))
+        .sort((a, b) => (a.month < b.month ? -1 : 1));
+    res.json({ filters: reports.appliedFilters(req), data });
+});
+
+module.exports = router;
@@ -1,36 +1,21 @@
 const express = require('express');
 const router = express.Router();
 
-const fs = require('fs').promises;
-const path = require('path');
 const { randomUUID } = require('crypto');
+const integrity = require('../services/integrity');
+const softDelete = require('../services/softDelete');
+const cnpjService = require('../services/cnpj');
+const cnpjRegistry = require('../services/cnpjRegistry');
+const addressService = require('../services/address');
+const { repository } = require('../repositories');
+const { paginate } = require('../services/pagination');
+const { adminOnly } = require('../middlewares/authorize');
+const exclusive = require('../middlewares/exclusive');
+const { ValidationError, NotFoundError, ConflictError } = require('../services/errors');
 
-const DB_PATH = path.join(__dirname, '..', 'db', 'store.json');
-
-// Helpers de IO
-async function readAll() {
-  try {
-    const data = await fs.readFile(DB_PATH, 'utf8');
-    const parsed = JSON.parse(data || '[]');
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      await writeAll([]);
-      return [];
-    }
-    throw err;
-  }
-}
-
-async function writeAll(list) {
-  await fs.mkdir(path.dirname(DB_PATH), { recursive: true });
-  await fs.writeFile(DB_PATH, JSON.stringify(list, null, 2), 'utf8');
-}
+const stores = repository('store');
 
 // Validators
-function isEmail(str = '') {
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str);
-}
 function sanitizeStatus(st) {
   const ok = ['on', 'off'];
   return ok.includes(st) ? st : 'on';
@@ -43,31 +28,48 @@ function normalizePhone(str = '') {
  * @openapi
  * /store:
  *   get:
+ *     operationId: listStores
  *     tags: [Store]
- *     summary: Lista lojas (ou filtra por nome)
  *     parameters:
  *       - in: query
  *         name: store_name
  *         schema: { type: string }
- *         description: Filtro parcial por nome da loja
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
  *           enum: [on, off]
- *         description: Filtrar por status (on/off)
+ *       - in: query
+ *         name: city
+ *         schema: { type: string }
+ *       - in: query
+ *         name: uf
+ *         schema: { type: string, example: SC }
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
  *     responses:
  *       200:
- *         description: Lista de lojas
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items: { $ref: '#/components/schemas/Store' }
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Store' }
+ *       400: {}
  */
 router.get('/', async (req, res) => {
-  const { store_name, status } = req.query;
-  let items = await readAll();
+  const { store_name, status, city, uf } = req.query;
+  if (uf && !addressService.isUf(uf)) {
+    throw new ValidationError('invalid_uf', { uf });
+  }
+  let items = await softDelete.readable(req, stores).all();
 
   if (store_name) {
     const n = store_name.toLowerCase();
@@ -76,34 +78,41 @@ router.get('/', async (req, res) => {
   if (status) {
     items = items.filter(x => x.status === status);
   }
+  // lojas sem endereço estruturado (cadastros antigos, em texto) não entram nesses filtros
+  if (city) {
+    items = items.filter(x => x.address && addressService.sameCity(x.address.city, city));
+  }
+  if (uf) {
+    items = items.filter(x => x.address && x.address.uf === uf.toUpperCase());
+  }
 
-  res.json(items);
+  const result = paginate(req, items);
+  if (result.error) throw new ValidationError(result.error, result.params);
+  res.json(result);
 });
 
 /**
  * @openapi
  * /store/{id}:
  *   get:
+ *     operationId: getStore
  *     tags: [Store]
- *     summary: Busca loja por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Loja encontrada
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Store' }
- *       404:
- *         description: Loja não encontrada
+ *       404: {}
  */
 router.get('/:id', async (req, res) => {
-  const items = await readAll();
-  const found = items.find(x => x.id === req.params.id);
-  if (!found) return res.status(404).json({ error: 'Loja não encontrada' });
+  const found = await softDelete.readable(req, stores).findById(req.params.id);
+  if (!found) throw new NotFoundError('store_not_found');
   res.json(found);
 });
 
@@ -111,8 +120,8 @@ router.get('/:id', async (req, res) => {
  * @openapi
  * /store:
  *   post:
+ *     operationId: createStore
  *     tags: [Store]
- *     summary: Cria loja
  *     requestBody:
  *       required: true
  *       content:
@@ -120,43 +129,40 @@ router.get('/:id', async (req, res) => {
  *           schema: { $ref: '#/components/schemas/StoreCreate' }
  *     responses:
  *       201:
- *         description: Loja criada
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Store' }
- *       400:
- *         description: Dados inválidos
- *       409:
- *         description: Conflito (CNPJ já existente)
+ *       400: {}
+ *       403: {}
+ *       409: {}
  */
-router.post('/', async (req, res) => {
-  const { store_name, cnpj, address, phone_number, contact_email, status } = req.body || {};
+router.post('/', exclusive('store'), async (req, res) => {
+  const { store_name, cnpj, legal_name, address, phone_number, contact_email, status } = req.body || {};
 
-  if (!store_name || !cnpj || !contact_email) {
-    return res.status(400).json({ error: 'store_name, cnpj e contact_email são obrigatórios' });
-  }
-  if (!isEmail(contact_email)) {
-    return res.status(400).json({ error: 'E-mail inválido' });
-  }
+  const doc = cnpjService.parse(cnpj);
+  if (doc.error) throw new ValidationError(doc.error, doc.params);
+  const addr = address ? await addressService.parse(address) : { value: null };
+  if (addr.error) throw new ValidationError(addr.error, addr.params);
 
-  const items = await readAll();
+  const items = await stores.all();
 
-  if (items.some(x => x.cnpj === cnpj)) {
-    return res.status(409).json({ error: 'Já existe loja com esse CNPJ' });
+  if (items.some(x => cnpjService.same(x.cnpj, doc.value))) {
+    throw new ConflictError('cnpj_taken');
   }
 
   const novo = {
     id: randomUUID(),
     store_name,
-    cnpj,
-    address: address || '',
+    cnpj: doc.value,
+    legal_name: legal_name || '',
+    address: addr.value,
     phone_number: normalizePhone(phone_number),
     contact_email,
     status: sanitizeStatus(status)
   };
+  Object.assign(novo, await cnpjRegistry.enrich(novo, { structured: true }));
 
-  items.push(novo);
-  await writeAll(items);
+  await stores.insert(novo);
   res.status(201).json(novo);
 });
 
@@ -164,8 +170,8 @@ router.post('/', async (req, res) => {
  * @openapi
  * /store/{id}:
  *   put:
+ *     operationId: updateStore
  *     tags: [Store]
- *     summary: Atualiza loja por ID
  *     parameters:
  *       - in: path
  *         name: id
@@ -178,69 +184,104 @@ router.post('/', async (req, res) => {
  *           schema: { $ref: '#/components/schemas/StoreUpdate' }
  *     responses:
  *       200:
- *         description: Loja atualizada
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Store' }
- *       400:
- *         description: Dados inválidos
- *       404:
- *         description: Loja não encontrada
- *       409:
- *         description: Conflito (CNPJ duplicado)
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', exclusive('store'), async (req, res) => {
   const { id } = req.params;
-  const { store_name, cnpj, address, phone_number, contact_email, status } = req.body || {};
+  const { store_name, cnpj, legal_name, address, phone_number, contact_email, status } = req.body || {};
 
-  const items = await readAll();
+  const items = await stores.all();
   const idx = items.findIndex(x => x.id === id);
-  if (idx === -1) return res.status(404).json({ error: 'Loja não encontrada' });
+  if (idx === -1) throw new NotFoundError('store_not_found');
 
-  if (contact_email && !isEmail(contact_email)) {
-    return res.status(400).json({ error: 'E-mail inválido' });
-  }
-  if (cnpj && items.some(x => x.cnpj === cnpj && x.id !== id)) {
-    return res.status(409).json({ error: 'Já existe loja com esse CNPJ' });
+  const doc = cnpj !== undefined ? cnpjService.parse(cnpj) : null;
+  if (doc && doc.error) throw new ValidationError(doc.error, doc.params);
+  if (doc && items.some(x => cnpjService.same(x.cnpj, doc.value) && x.id !== id)) {
+    throw new ConflictError('cnpj_taken');
   }
+  const cnpjChanged = !!doc && !cnpjService.same(items[idx].cnpj, doc.value);
+  // endereço antigo em texto não serve de base: vale só o que foi enviado
+  const current = items[idx].address && typeof items[idx].address === 'object' ? items[idx].address : null;
+  const addr = address ? await addressService.parse(address, current) : { value: null };
+  if (addr.error) throw new ValidationError(addr.error, addr.params);
 
   if (store_name !== undefined) items[idx].store_name = store_name;
-  if (cnpj !== undefined) items[idx].cnpj = cnpj;
-  if (address !== undefined) items[idx].address = address;
+  if (doc) items[idx].cnpj = doc.value;
+  // razão social é do CNPJ: trocou o CNPJ sem informar, volta a ficar vazia
+  if (legal_name !== undefined || cnpjChanged) items[idx].legal_name = legal_name || '';
+  if (address !== undefined) items[idx].address = addr.value;
   if (phone_number !== undefined) items[idx].phone_number = normalizePhone(phone_number);
   if (contact_email !== undefined) items[idx].contact_email = contact_email;
   if (status !== undefined) items[idx].status = sanitizeStatus(status);
+  if (cnpjChanged) Object.assign(items[idx], await cnpjRegistry.enrich(items[idx], { structured: true }));
 
-  await writeAll(items);
-  res.json(items[idx]);
+  res.json(await stores.update(id, items[idx]));
 });
 
 /**
  * @openapi
  * /store/{id}:
  *   delete:
+ *     operationId: deleteStore
  *     tags: [Store]
- *     summary: Remove loja por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/Cascade'
  *     responses:
- *       204:
- *         description: Loja removida
- *       404:
- *         description: Loja não encontrada
+ *       204: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
  */
 router.delete('/:id', async (req, res) => {
   const { id } = req.params;
-  const items = await readAll();
-  const idx = items.findIndex(x => x.id === id);
-  if (idx === -1) return res.status(404).json({ error: 'Loja não encontrada' });
+  const found = await stores.findById(id);
+  if (!found) throw new NotFoundError('store_not_found');
+  await integrity.guardDelete(req, 'store', id);
 
-  items.splice(idx, 1);
-  await writeAll(items);
+  await stores.delete(id);
   res.status(204).send();
 });
 
+/**
+ * @openapi
+ * /store/{id}/restore:
+ *   post:
+ *     operationId: restoreStore
+ *     tags: [Store]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Store' }
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/restore', adminOnly, exclusive('store'), async (req, res) => {
+  const found = await stores.withDeleted.findById(req.params.id);
+  if (!found) throw new NotFoundError('store_not_found');
+
+  const restored = await softDelete.restore('store', found, async store => {
+    const other = await stores.find(x => cnpjService.same(x.cnpj, store.cnpj));
+    if (other) throw new ConflictError('cnpj_taken', {}, { id: other.id });
+    return {};
+  });
+  res.json(restored);
+});
+
 module.exports = router;
@@ -1,31 +1,20 @@
 const express = require('express');
 const router = express.Router();
 
-const fs = require('fs').promises;
-const path = require('path');
 const { randomUUID } = require('crypto');
+const integrity = require('../services/integrity');
+const softDelete = require('../services/softDelete');
+const cnpjService = require('../services/cnpj');
+const cnpjRegistry = require('../services/cnpjRegistry');
+const { repository } = require('../repositories');
+const { paginate } = require('../services/pagination');
+const spreadsheet = require('../services/spreadsheet');
+const i18n = require('../services/i18n');
+const { adminOnly } = require('../middlewares/authorize');
+const exclusive = require('../middlewares/exclusive');
+const { ValidationError, NotFoundError, ConflictError } = require('../services/errors');
 
-// ====== CONFIG ======
-const DB_PATH = path.join(__dirname, '..', 'db', 'supplier.json');
-
-// ====== IO helpers ======
-async function readAll() {
-    try {
-        const data = await fs.readFile(DB_PATH, 'utf8');
-        const parsed = JSON.parse(data || '[]');
-        return Array.isArray(parsed) ? parsed : [];
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            await writeAll([]);
-            return [];
-        }
-        throw err;
-    }
-}
-async function writeAll(list) {
-    await fs.mkdir(path.dirname(DB_PATH), { recursive: true });
-    await fs.writeFile(DB_PATH, JSON.stringify(list, null, 2), 'utf8');
-}
+const suppliers = repository('supplier');
 
 // ====== validators ======
 function isEmail(str = '') {
@@ -41,33 +30,52 @@ function normalizePhone(str = '') {
     return (str || '').replace(/\D+/g, '');
 }
 
+// ===== importação: colunas aceitas e nomes comuns nas planilhas
+const IMPORT_FIELDS = ['supplier_name', 'cnpj', 'supplier_category', 'contact_email', 'phone_number', 'status'];
+const IMPORT_ALIASES = {
+    supplier_name: ['nome', 'fornecedor', 'razao_social'],
+    cnpj: ['documento', 'cnpj_cpf'],
+    supplier_category: ['categoria'],
+    contact_email: ['email', 'e_mail'],
+    phone_number: ['telefone', 'fone', 'celular'],
+    status: ['situacao']
+};
+
 /**
  * @openapi
  * /supplier:
  *   get:
+ *     operationId: listSuppliers
  *     tags: [Suppliers]
- *     summary: Lista fornecedores (ou filtra por nome e categoria)
  *     parameters:
  *       - in: query
  *         name: supplier_name
  *         schema: { type: string }
- *         description: Filtro parcial por nome do fornecedor
  *       - in: query
  *         name: supplier_category
  *         schema: { type: string }
- *         description: Filtro parcial por categoria
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
  *     responses:
  *       200:
- *         description: Lista de fornecedores
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items: { $ref: '#/components/schemas/Supplier' }
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Supplier' }
+ *       400: {}
  */
 router.get('/', async (req, res) => {
     const { supplier_name, supplier_category } = req.query;
-    let items = await readAll();
+    let items = await softDelete.readable(req, suppliers).all();
 
     if (supplier_name) {
         const n = supplier_name.toLowerCase();
@@ -78,30 +86,30 @@ router.get('/', async (req, res) => {
         items = items.filter(x => (x.supplier_category || '').toLowerCase().includes(c));
     }
 
-    res.json(items);
+    const result = paginate(req, items);
+    if (result.error) throw new ValidationError(result.error, result.params);
+    res.json(result);
 });
 
 /**
  * @openapi
  * /supplier/{id}:
  *   get:
+ *     operationId: getSupplier
  *     tags: [Suppliers]
- *     summary: Busca fornecedor por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
- *       200:
- *         description: Fornecedor
- *       404:
- *         description: Não encontrado
+ *       200: {}
+ *       404: {}
  */
 router.get('/:id', async (req, res) => {
-    const items = await readAll();
-    const found = items.find(x => x.id === req.params.id);
-    if (!found) return res.status(404).json({ error: 'Fornecedor não encontrado' });
+    const found = await softDelete.readable(req, suppliers).findById(req.params.id);
+    if (!found) throw new NotFoundError('supplier_not_found');
     res.json(found);
 });
 
@@ -109,61 +117,167 @@ router.get('/:id', async (req, res) => {
  * @openapi
  * /supplier:
  *   post:
+ *     operationId: createSupplier
  *     tags: [Suppliers]
- *     summary: Cria fornecedor
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema: { $ref: '#/components/schemas/SupplierCreate' }
  *     responses:
- *       201:
- *         description: Criado
- *       400:
- *         description: Dados inválidos
- *       409:
- *         description: Conflito (unicidade básica)
+ *       201: {}
+ *       400: {}
+ *       403: {}
+ *       409: {}
  */
-router.post('/', async (req, res) => {
-    const { supplier_name, supplier_category, contact_email, phone_number, status } = req.body || {};
+router.post('/', exclusive('supplier'), async (req, res) => {
+    const { supplier_name, cnpj, legal_name, address, supplier_category, contact_email, phone_number, status } = req.body || {};
 
-    if (!supplier_name || !contact_email) {
-        return res.status(400).json({ error: 'supplier_name e contact_email são obrigatórios' });
-    }
-    if (!isEmail(contact_email)) {
-        return res.status(400).json({ error: 'E-mail inválido (use domínio completo, ex.: gmail.com)' });
-    }
+    const doc = cnpjService.parse(cnpj);
+    if (doc.error) throw new ValidationError(doc.error, doc.params);
 
-    const items = await readAll();
+    const items = await suppliers.all();
+
+    if (items.some(x => cnpjService.same(x.cnpj, doc.value))) {
+        throw new ConflictError('cnpj_taken');
+    }
 
     // unicidade (exemplo simples): mesmo nome + mesmo email
     if (items.some(x =>
         x.supplier_name?.toLowerCase() === supplier_name.toLowerCase() &&
         x.contact_email?.toLowerCase() === contact_email.toLowerCase()
     )) {
-        return res.status(409).json({ error: 'Fornecedor já cadastrado com esse nome e e-mail' });
+        throw new ConflictError('duplicate_supplier');
     }
 
     const novo = {
         id: randomUUID(),
         supplier_name,
+        cnpj: doc.value,
+        legal_name: legal_name || '',
+        address: address || '',
         supplier_category: supplier_category || '',
         contact_email,
         phone_number: normalizePhone(phone_number),
         status: sanitizeStatus(status)
     };
+    Object.assign(novo, await cnpjRegistry.enrich(novo));
 
-    items.push(novo);
-    await writeAll(items);
+    await suppliers.insert(novo);
     res.status(201).json(novo);
 });
 
+/**
+ * @openapi
+ * /supplier/import:
+ *   post:
+ *     operationId: importSuppliers
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema: { type: boolean, default: false }
+ *       - in: query
+ *         name: mapping
+ *         schema: { type: string }
+ *         example: "Razão social:supplier_name,E-mail comercial:contact_email"
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, xlsx] }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema: { type: string }
+ *           example: "nome;cnpj;email;telefone\nJ Heeler;11.222.333/0001-81;j.heeler@gmail.com;(11) 99999-0000"
+ *         application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *           schema: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportReport' }
+ *       400: {}
+ */
+router.post('/import', spreadsheet.rawUpload, exclusive('supplier'), async (req, res) => {
+    const dryRun = spreadsheet.isTrue(req.query.dry_run);
+
+    const parsed = await spreadsheet.readRows(req, { fields: IMPORT_FIELDS, aliases: IMPORT_ALIASES });
+    if (parsed.error) throw new ValidationError(parsed.error, parsed.params);
+
+    const items = await suppliers.all();
+    const seen = new Map();
+    const results = [];
+
+    for (const { line, data } of parsed.rows) {
+        const errors = [];
+        const fail = (code, params) => errors.push(i18n.message(req.lang, code, params));
+
+        // mesmas regras do POST
+        if (!data.supplier_name) fail('field_required', { field: 'supplier_name' });
+        if (!data.contact_email) fail('field_required', { field: 'contact_email' });
+        else if (!isEmail(data.contact_email)) fail('invalid_email');
+        const doc = cnpjService.parse(data.cnpj);
+        if (doc.error) fail(doc.error, doc.params);
+
+        const nameKey = `${String(data.supplier_name || '').toLowerCase()}|${String(data.contact_email || '').toLowerCase()}`;
+        const repeated = seen.get(doc.value) || seen.get(nameKey);
+        if (!errors.length && repeated) fail('duplicate_row', { line: repeated });
+
+        // sem CNPJ igual, casa pelo nome + e-mail só cadastro antigo ainda sem CNPJ
+        const sameNameEmail = x =>
+            x.supplier_name?.toLowerCase() === String(data.supplier_name).toLowerCase() &&
+            x.contact_email?.toLowerCase() === String(data.contact_email).toLowerCase();
+        const existing = errors.length ? null : items.find(x => cnpjService.same(x.cnpj, doc.value)) || items.find(x => !x.cnpj && sameNameEmail(x));
+        if (!errors.length && !existing && items.some(sameNameEmail)) {
+            fail('supplier_cnpj_mismatch');
+        }
+
+        if (errors.length) {
+            results.push({ line, action: 'rejected', name: data.supplier_name || null, errors });
+            continue;
+        }
+        seen.set(doc.value, line);
+        seen.set(nameKey, line);
+
+        if (existing) {
+            const changes = {};
+            if (!existing.cnpj) changes.cnpj = doc.value;
+            if (data.supplier_category !== undefined) changes.supplier_category = data.supplier_category;
+            if (data.phone_number !== undefined) changes.phone_number = normalizePhone(data.phone_number);
+            if (data.status !== undefined) changes.status = sanitizeStatus(data.status);
+            if (!dryRun) await suppliers.update(existing.id, changes);
+            results.push({ line, action: 'updated', id: existing.id, name: existing.supplier_name });
+            continue;
+        }
+
+        const novo = {
+            id: randomUUID(),
+            supplier_name: data.supplier_name,
+            cnpj: doc.value,
+            legal_name: '',
+            address: '',
+            supplier_category: data.supplier_category || '',
+            contact_email: data.contact_email,
+            phone_number: normalizePhone(data.phone_number),
+            status: sanitizeStatus(data.status)
+        };
+        if (!dryRun) {
+            Object.assign(novo, await cnpjRegistry.enrich(novo));
+            await suppliers.insert(novo);
+        }
+        results.push({ line, action: 'created', id: dryRun ? null : novo.id, name: novo.supplier_name });
+    }
+
+    res.json(spreadsheet.report(results, dryRun));
+});
+
 /**
  * @openapi
  * /supplier/{id}:
  *   put:
+ *     operationId: updateSupplier
  *     tags: [Suppliers]
- *     summary: Atualiza fornecedor por ID
  *     parameters:
  *       - in: path
  *         name: id
@@ -175,26 +289,26 @@ router.post('/', async (req, res) => {
  *         application/json:
  *           schema: { $ref: '#/components/schemas/SupplierUpdate' }
  *     responses:
- *       200:
- *         description: Atualizado
- *       400:
- *         description: Dados inválidos
- *       404:
- *         description: Não encontrado
- *       409:
- *         description: Conflito
+ *       200: {}
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', exclusive('supplier'), async (req, res) => {
     const { id } = req.params;
-    const { supplier_name, supplier_category, contact_email, phone_number, status } = req.body || {};
+    const { supplier_name, cnpj, legal_name, address, supplier_category, contact_email, phone_number, status } = req.body || {};
 
-    const items = await readAll();
+    const items = await suppliers.all();
     const idx = items.findIndex(x => x.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Fornecedor não encontrado' });
+    if (idx === -1) throw new NotFoundError('supplier_not_found');
 
-    if (contact_email !== undefined && !isEmail(contact_email)) {
-        return res.status(400).json({ error: 'E-mail inválido' });
+    const doc = cnpj !== undefined ? cnpjService.parse(cnpj) : null;
+    if (doc && doc.error) throw new ValidationError(doc.error, doc.params);
+    if (doc && items.some(x => x.id !== id && cnpjService.same(x.cnpj, doc.value))) {
+        throw new ConflictError('cnpj_taken');
     }
+    const cnpjChanged = !!doc && !cnpjService.same(items[idx].cnpj, doc.value);
 
     // Exemplo de conflito: se mudar nome/email para combinação já existente em outro registro
     if (supplier_name !== undefined || contact_email !== undefined) {
@@ -205,46 +319,79 @@ router.put('/:id', async (req, res) => {
             x.supplier_name?.toLowerCase() === newName.toLowerCase() &&
             x.contact_email?.toLowerCase() === newEmail.toLowerCase()
         )) {
-            return res.status(409).json({ error: 'Já existe fornecedor com esse nome e e-mail' });
+            throw new ConflictError('duplicate_supplier');
         }
     }
 
     if (supplier_name !== undefined) items[idx].supplier_name = supplier_name;
+    if (doc) items[idx].cnpj = doc.value;
+    // razão social é do CNPJ: trocou o CNPJ sem informar, volta a ficar vazia
+    if (legal_name !== undefined || cnpjChanged) items[idx].legal_name = legal_name || '';
+    if (address !== undefined) items[idx].address = address;
     if (supplier_category !== undefined) items[idx].supplier_category = supplier_category;
     if (contact_email !== undefined) items[idx].contact_email = contact_email;
     if (phone_number !== undefined) items[idx].phone_number = normalizePhone(phone_number);
     if (status !== undefined) items[idx].status = sanitizeStatus(status);
+    if (cnpjChanged) Object.assign(items[idx], await cnpjRegistry.enrich(items[idx]));
 
-    await writeAll(items);
-    res.json(items[idx]);
+    res.json(await suppliers.update(id, items[idx]));
 });
 
 /**
  * @openapi
  * /supplier/{id}:
  *   delete:
+ *     operationId: deleteSupplier
  *     tags: [Suppliers]
- *     summary: Remove fornecedor por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/Cascade'
  *     responses:
- *       204:
- *         description: Removido
- *       404:
- *         description: Não encontrado
+ *       204: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
  */
 router.delete('/:id', async (req, res) => {
     const { id } = req.params;
-    const items = await readAll();
-    const idx = items.findIndex(x => x.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Fornecedor não encontrado' });
+    const found = await suppliers.findById(id);
+    if (!found) throw new NotFoundError('supplier_not_found');
+    await integrity.guardDelete(req, 'supplier', id);
 
-    items.splice(idx, 1);
-    await writeAll(items);
+    await suppliers.delete(id);
     res.status(204).send();
 });
 
+/**
+ * @openapi
+ * /supplier/{id}/restore:
+ *   post:
+ *     operationId: restoreSupplier
+ *     tags: [Suppliers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/restore', adminOnly, exclusive('supplier'), async (req, res) => {
+    const found = await suppliers.withDeleted.findById(req.params.id);
+    if (!found) throw new NotFoundError('supplier_not_found');
+
+    const restored = await softDelete.restore('supplier', found, async supplier => {
+        const other = supplier.cnpj && await suppliers.find(x => cnpjService.same(x.cnpj, supplier.cnpj));
+        if (other) throw new ConflictError('cnpj_taken', {}, { id: other.id });
+        return {};
+    });
+    res.json(restored);
+});
+
 module.exports = router;
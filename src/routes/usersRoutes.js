@@ -1,79 +1,135 @@
 const express = require('express');
 const router = express.Router();
 
-const fs = require('fs').promises;
-const path = require('path');
 const { randomUUID } = require('crypto');
 const bcrypt = require('bcryptjs');
+const tokens = require('../services/tokens');
+const integrity = require('../services/integrity');
+const softDelete = require('../services/softDelete');
+const passwordPolicy = require('../services/passwordPolicy');
+const loginLockout = require('../services/loginLockout');
+const passwordReset = require('../services/passwordReset');
+const twoFactor = require('../services/twoFactor');
+const mailer = require('../services/mailer');
+const i18n = require('../services/i18n');
+const { ROLES, adminOnly } = require('../middlewares/authorize');
+const exclusive = require('../middlewares/exclusive');
+const { repository } = require('../repositories');
+const { paginate } = require('../services/pagination');
+const { ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, LockedError } = require('../services/errors');
+
+const userRepo = repository('users');
 
-
-const DB_PATH = path.join(__dirname, '..', 'db', 'users.json');
-
-async function readUsers() {
-    try {
-        const data = await fs.readFile(DB_PATH, 'utf8');
-        const parsed = JSON.parse(data || '[]');
-
-        return Array.isArray(parsed) ? parsed : [];
-    } catch (err) {
-        if (err.code === 'ENOENT') {
-            await writeUsers([]);
-            return [];
-        }
-        throw err;
-    }
+function sanitizeLevel(lvl) {
+    return ROLES.includes(lvl) ? lvl : 'user';
 }
-
-async function writeUsers(users) {
-    await fs.mkdir(path.dirname(DB_PATH), { recursive: true });
-    await fs.writeFile(DB_PATH, JSON.stringify(users, null, 2), 'utf8');
+function toIdList(val) {
+    if (val === undefined || val === null) return [];
+    return (Array.isArray(val) ? val : [val]).filter(Boolean).map(String);
 }
-
-function isEmail(str = '') {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(str);
+// vínculos exigidos por papel: store_operator -> lojas, supplier_rep -> fornecedor
+// (retorna o code do erro ou null)
+function checkLinks(level, storeIds, supplierId) {
+    if (level === 'store_operator' && storeIds.length === 0) return 'store_operator_requires_store';
+    if (level === 'supplier_rep' && !supplierId) return 'supplier_rep_requires_supplier';
+    return null;
 }
-function sanitizeLevel(lvl) {
-    const ok = ['admin', 'user'];
-    return ok.includes(lvl) ? lvl : 'user';
+function linkRefs(storeIds, supplierId) {
+    return [
+        ...storeIds.map((id, i) => ({ field: `store_ids[${i}]`, collection: 'store', id })),
+        { field: 'supplier_id', collection: 'supplier', id: supplierId }
+    ];
+}
+// quem não é admin só enxerga/edita a si mesmo
+function isSelfOnly(req) {
+    return req.access === 'own';
 }
 function sanitizeStatus(st) {
     const ok = ['on', 'off'];
     return ok.includes(st) ? st : 'on';
 }
+// senha nova conferida contra a política; cada regra violada vai em errors
+function assertPassword(req, pwd, account) {
+    const failed = passwordPolicy.check(pwd, account);
+    if (!failed.length) return;
+    throw new ValidationError('weak_password', {}, {
+        errors: failed.map(f => ({ in: 'body', field: 'pwd', message: i18n.t(req.lang, `password.${f.rule}`, f.params) }))
+    });
+}
+// o que a API mostra do usuário: sem senha nem segredos do 2FA
+function toPublic(u) {
+    const { pwd, totp_secret, totp_last_counter, recovery_codes, ...safe } = u;
+    return safe;
+}
+// hash conferido quando o login não existe (ou está desativado): a resposta
+// leva o mesmo tempo de uma senha errada e não revela quais logins existem
+const DUMMY_HASH = bcrypt.hashSync(randomUUID(), 10);
+
+function accountLocked(until) {
+    return new LockedError('account_locked', { until }, { locked_until: until });
+}
+// senha ou código do 2FA errado: conta a tentativa e devolve o erro a lançar
+// (423 se chegou ao limite); conta sobre o registro atual para tentativas
+// simultâneas não se perderem
+async function loginFailed(u, code) {
+    const failed = await userRepo.update(u.id, current => loginLockout.failure(current));
+    if (failed && failed.locked_until) return accountLocked(failed.locked_until);
+    return new UnauthorizedError(code);
+}
+// rotas de 2FA: cada um cuida do próprio (o app autenticador está no celular dele)
+async function loadSelf(req) {
+    const u = await userRepo.findById(req.params.id);
+    if (!u) throw new NotFoundError('user_not_found');
+    if (u.id !== req.user.id) throw new ForbiddenError();
+    return u;
+}
 
 
 /**
  * @openapi
  * /users:
  *   get:
+ *     operationId: listUsers
  *     tags: [Users]
- *     summary: Lista usuários (ou filtra por nome)
  *     parameters:
  *       - in: query
  *         name: name
  *         schema: { type: string }
- *         description: Filtro parcial por nome (case-insensitive)
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
  *     responses:
  *       200:
- *         description: Lista de usuários
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items: { $ref: '#/components/schemas/User' }
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/User' }
+ *       400: {}
  */
 router.get('/', async (req, res) => {
     const { name } = req.query;
-    const users = await readUsers();
+    const users = await softDelete.readable(req, userRepo).all();
 
     let result = users;
+    if (isSelfOnly(req)) {
+        result = result.filter(u => u.id === req.user.id);
+    }
     if (name) {
         const lower = name.toLowerCase();
         result = result.filter(u => u.name.toLowerCase().includes(lower));
     }
 
-    const safe = result.map(({ pwd, ...rest }) => rest);
-    res.json(safe);
+    const page = paginate(req, result.map(toPublic));
+    if (page.error) throw new ValidationError(page.error, page.params);
+    res.json(page);
 });
 
 
@@ -81,36 +137,35 @@ router.get('/', async (req, res) => {
  * @openapi
  * /users/{id}:
  *   get:
+ *     operationId: getUser
  *     tags: [Users]
- *     summary: Busca usuário por ID
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
- *         description: Usuário
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/User' }
- *       404:
- *         description: Usuário não encontrado
+ *       403: {}
+ *       404: {}
  */
 router.get('/:id', async (req, res) => {
-    const users = await readUsers();
-    const u = users.find(x => x.id === req.params.id);
-    if (!u) return res.status(404).json({ error: 'Usuário não encontrado' });
-    const { pwd, ...safe } = u;
-    res.json(safe);
+    const u = await softDelete.readable(req, userRepo).findById(req.params.id);
+    if (!u) throw new NotFoundError('user_not_found');
+    if (isSelfOnly(req) && u.id !== req.user.id) throw new ForbiddenError();
+    res.json(toPublic(u));
 });
 
 /**
  * @openapi
  * /users:
  *   post:
+ *     operationId: createUser
  *     tags: [Users]
- *     summary: Cria usuário
  *     requestBody:
  *       required: true
  *       content:
@@ -118,32 +173,34 @@ router.get('/:id', async (req, res) => {
  *           schema: { $ref: '#/components/schemas/UserCreate' }
  *     responses:
  *       201:
- *         description: Criado
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/User' }
- *       400:
- *         description: Dados inválidos
- *       409:
- *         description: Conflito (user/email)
+ *       400: {}
+ *       403: {}
+ *       409: {}
+ *       422: {}
  */
-router.post('/', async (req, res) => {
-    const { name, contact_email, user, pwd, level, status } = req.body || {};
+router.post('/', exclusive('users'), async (req, res) => {
+    const { name, contact_email, user, pwd, level, status, store_ids, supplier_id } = req.body || {};
 
-    if (!name || !contact_email || !user || !pwd) {
-        return res.status(400).json({ error: 'name, e-mail, user e senha são obrigatórios' });
-    }
-    if (!isEmail(contact_email)) {
-        return res.status(400).json({ error: 'e-mail inválido' });
-    }
+    if (isSelfOnly(req)) throw new ForbiddenError();
 
-    const users = await readUsers();
+    // o primeiro usuário (cadastrado sem login) é sempre admin
+    const lvl = req.user ? sanitizeLevel(level) : 'admin';
+    const storeIds = toIdList(store_ids);
+    const linkError = checkLinks(lvl, storeIds, supplier_id);
+    if (linkError) throw new ValidationError(linkError);
+    assertPassword(req, pwd, { user, contact_email });
+    await integrity.assertRefs(linkRefs(storeIds, supplier_id));
+
+    const users = await userRepo.all();
 
     if (users.some(u => u.user === user)) {
-        return res.status(409).json({ error: 'user já existe' });
+        throw new ConflictError('user_taken');
     }
     if (users.some(u => u.contact_email === contact_email)) {
-        return res.status(409).json({ error: 'e-mail já cadastrado' });
+        throw new ConflictError('email_taken');
     }
 
     const id = randomUUID();
@@ -155,23 +212,24 @@ router.post('/', async (req, res) => {
         contact_email,
         user,
         pwd: pwdHash,
-        level: sanitizeLevel(level),
+        level: lvl,
+        store_ids: storeIds,
+        supplier_id: supplier_id || null,
         status: sanitizeStatus(status)
     };
 
-    users.push(novo);
-    await writeUsers(users);
+    await userRepo.insert(novo);
 
-    const { pwd: _, ...safe } = novo;
-    res.status(201).json(safe);
+    res.status(201).json(toPublic(novo));
 });
 
 /**
  * @openapi
  * /users/login:
  *   post:
+ *     operationId: login
  *     tags: [Users]
- *     summary: Login
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -179,33 +237,210 @@ router.post('/', async (req, res) => {
  *           schema: { $ref: '#/components/schemas/LoginRequest' }
  *     responses:
  *       200:
- *         description: OK
- *       400:
- *         description: Campos faltando
- *       401:
- *         description: Credenciais inválidas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/LoginResponse'
+ *                 - $ref: '#/components/schemas/LoginChallenge'
+ *       400: {}
+ *       401: {}
+ *       423: {}
  */
 router.post('/login', async (req, res) => {
     const { user, pwd } = req.body || {};
-    if (!user || !pwd) return res.status(400).json({ error: 'user e senha são obrigatórios' });
 
-    const users = await readUsers();
-    const u = users.find(x => x.user === user && x.status !== 'off');
-    if (!u) return res.status(401).json({ error: 'Credenciais inválidas' });
+    const users = await userRepo.all();
+    let u = users.find(x => x.user === user && x.status !== 'off');
+    if (!u) {
+        await bcrypt.compare(String(pwd), DUMMY_HASH);
+        throw new UnauthorizedError('invalid_credentials');
+    }
+
+    const until = loginLockout.lockedUntil(u);
+    if (until) throw accountLocked(until);
 
     const ok = await bcrypt.compare(pwd, u.pwd);
-    if (!ok) return res.status(401).json({ error: 'Credenciais inválidas' });
+    if (!ok) throw await loginFailed(u, 'invalid_credentials');
+
+    // a contagem de erros só zera no fim: senão a senha certa liberaria
+    // tentativas ilimitadas de código
+    if (u.totp_enabled) {
+        return res.json({ message: 'two_factor_required', two_factor_required: true, ...tokens.issueChallenge(u) });
+    }
+    const cleared = loginLockout.reset(u);
+    if (cleared) u = await userRepo.update(u.id, cleared);
+
+    const pair = await tokens.issue(u);
+    res.json({ message: 'ok', user: toPublic(u), ...pair });
+});
+
+/**
+ * @openapi
+ * /users/login/2fa:
+ *   post:
+ *     operationId: loginTwoFactor
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/LoginTwoFactorRequest' }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/LoginResponse' }
+ *       400: {}
+ *       401: {}
+ *       423: {}
+ */
+router.post('/login/2fa', async (req, res) => {
+    const { challenge_token, code, recovery_code } = req.body || {};
+
+    const userId = tokens.verifyChallenge(challenge_token);
+    let u = userId ? await userRepo.findById(userId) : null;
+    if (!u || u.status === 'off' || !u.totp_enabled) throw new UnauthorizedError('invalid_challenge_token');
+
+    const until = loginLockout.lockedUntil(u);
+    if (until) throw accountLocked(until);
+    if (!code && !recovery_code) throw new ValidationError('two_factor_code_required');
+
+    // confere e risca o código numa só atualização: duas requisições com o
+    // mesmo código ao mesmo tempo não passam as duas
+    let used = null;
+    const saved = await userRepo.update(u.id, current => {
+        used = twoFactor.check(current, { code, recovery_code });
+        return used ? { ...used, ...loginLockout.reset(current) } : {};
+    });
+    if (!used) throw await loginFailed(u, 'invalid_two_factor_code');
+    u = saved;
+
+    const pair = await tokens.issue(u);
+    res.json({ message: 'ok', user: toPublic(u), ...pair });
+});
+
+/**
+ * @openapi
+ * /users/refresh:
+ *   post:
+ *     operationId: refreshToken
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/RefreshRequest' }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TokenPair' }
+ *       400: {}
+ *       401: {}
+ */
+router.post('/refresh', async (req, res) => {
+    const { refresh_token } = req.body || {};
+
+    const pair = await tokens.refresh(refresh_token, async (id) => {
+        const u = await userRepo.findById(id);
+        return u && u.status !== 'off' ? u : null;
+    });
+    if (!pair) throw new UnauthorizedError('invalid_refresh_token');
+
+    res.json(pair);
+});
+
+/**
+ * @openapi
+ * /users/logout:
+ *   post:
+ *     operationId: logout
+ *     tags: [Users]
+ *     responses:
+ *       204: {}
+ *       401: {}
+ */
+router.post('/logout', async (req, res) => {
+    await tokens.revoke(req.user.sid);
+    res.status(204).send();
+});
+
+/**
+ * @openapi
+ * /users/password/forgot:
+ *   post:
+ *     operationId: forgotPassword
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PasswordForgotRequest' }
+ *     responses:
+ *       204: {}
+ *       400: {}
+ */
+router.post('/password/forgot', async (req, res) => {
+    const { contact_email } = req.body || {};
+
+    const email = String(contact_email).toLowerCase();
+    const users = await userRepo.all();
+    const u = users.find(x => String(x.contact_email).toLowerCase() === email && x.status !== 'off');
+    if (u) {
+        const { token, expires_in } = await passwordReset.issue(u);
+        await mailer.send({
+            to: u.contact_email,
+            subject: i18n.t(req.lang, 'mail.password_reset_subject'),
+            text: i18n.t(req.lang, 'mail.password_reset_text', { name: u.name, token, minutes: Math.round(expires_in / 60) })
+        });
+    }
+    res.status(204).send();
+});
 
-    const { pwd: _, ...safe } = u;
-    res.json({ message: 'ok', user: safe });
+/**
+ * @openapi
+ * /users/password/reset:
+ *   post:
+ *     operationId: resetPassword
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PasswordResetRequest' }
+ *     responses:
+ *       204: {}
+ *       400: {}
+ */
+router.post('/password/reset', async (req, res) => {
+    const { token, pwd } = req.body || {};
+
+    // a política vem antes de consumir: senha recusada não gasta o token
+    const userId = await passwordReset.check(token);
+    const u = userId ? await userRepo.findById(userId) : null;
+    if (!u || u.status === 'off') throw new ValidationError('invalid_reset_token');
+    assertPassword(req, pwd, u);
+
+    if (!(await passwordReset.consume(token))) throw new ValidationError('invalid_reset_token');
+    await userRepo.update(u.id, {
+        pwd: await bcrypt.hash(pwd, 10),
+        ...loginLockout.reset(u)
+    });
+    await tokens.revokeAll(u.id);
+    res.status(204).send();
 });
 
 /**
  * @openapi
  * /users/{id}:
  *   put:
+ *     operationId: updateUser
  *     tags: [Users]
- *     summary: Atualiza usuário
  *     parameters:
  *       - in: path
  *         name: id
@@ -217,48 +452,78 @@ router.post('/login', async (req, res) => {
  *         application/json:
  *           schema: { $ref: '#/components/schemas/UserUpdate' }
  *     responses:
- *       200:
- *         description: Atualizado
- *       400:
- *         description: Dados inválidos
- *       404:
- *         description: Não encontrado
- *       409:
- *         description: Conflito (user/email)
+ *       200: {}
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ *       422: {}
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', exclusive('users'), async (req, res) => {
     const { id } = req.params;
-    const { name, contact_email, user, pwd, level, status } = req.body || {};
+    const { name, contact_email, user, pwd, current_pwd, level, status, store_ids, supplier_id } = req.body || {};
 
-    const users = await readUsers();
+    const users = await userRepo.all();
     const idx = users.findIndex(u => u.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Usuário não encontrado' });
+    if (idx === -1) throw new NotFoundError('user_not_found');
+
+    if (isSelfOnly(req)) {
+        if (id !== req.user.id) throw new ForbiddenError();
+        if ([level, status, store_ids, supplier_id].some(v => v !== undefined)) {
+            throw new ForbiddenError('admin_only_fields');
+        }
+    }
+
+    const newLevel = level !== undefined ? sanitizeLevel(level) : users[idx].level;
+    const newStoreIds = store_ids !== undefined ? toIdList(store_ids) : toIdList(users[idx].store_ids);
+    const newSupplier = supplier_id !== undefined ? supplier_id : users[idx].supplier_id;
+    const linkError = checkLinks(newLevel, newStoreIds, newSupplier);
+    if (linkError) throw new ValidationError(linkError);
+    await integrity.assertRefs(linkRefs(
+        store_ids !== undefined ? newStoreIds : [],
+        supplier_id !== undefined ? supplier_id : null
+    ));
 
     if (user && users.some(u => u.user === user && u.id !== id)) {
-        return res.status(409).json({ error: 'user já existe' });
+        throw new ConflictError('user_taken');
     }
-    if (contact_email) {
-        if (!isEmail(contact_email)) {
-            return res.status(400).json({ error: 'e-mail inválido' });
-        }
-        if (users.some(u => u.contact_email === contact_email && u.id !== id)) {
-            return res.status(409).json({ error: 'e-mail já cadastrado' });
+    if (contact_email && users.some(u => u.contact_email === contact_email && u.id !== id)) {
+        throw new ConflictError('email_taken');
+    }
+
+    let pwdHash;
+    if (pwd !== undefined) {
+        // a própria senha (admin também) só muda com a atual
+        if (req.user && req.user.id === id) {
+            if (!current_pwd) throw new ValidationError('current_password_required');
+            if (!(await bcrypt.compare(String(current_pwd), users[idx].pwd))) {
+                throw new ForbiddenError('current_password_invalid');
+            }
         }
+        assertPassword(req, pwd, {
+            user: user !== undefined ? user : users[idx].user,
+            contact_email: contact_email !== undefined ? contact_email : users[idx].contact_email
+        });
+        pwdHash = await bcrypt.hash(pwd, 10);
     }
 
     if (name !== undefined) users[idx].name = name;
     if (contact_email !== undefined) users[idx].contact_email = contact_email;
     if (user !== undefined) users[idx].user = user;
-    if (level !== undefined) users[idx].level = sanitizeLevel(level);
+    if (level !== undefined) users[idx].level = newLevel;
+    if (store_ids !== undefined) users[idx].store_ids = newStoreIds;
+    if (supplier_id !== undefined) users[idx].supplier_id = supplier_id || null;
     if (status !== undefined) users[idx].status = sanitizeStatus(status);
 
-    if (pwd !== undefined) {
-        users[idx].pwd = await bcrypt.hash(pwd, 10);
+    if (pwdHash) {
+        users[idx].pwd = pwdHash;
+        Object.assign(users[idx], loginLockout.reset(users[idx]));
     }
 
-    await writeUsers(users);
-    const { pwd: _, ...safe } = users[idx];
-    res.json(safe);
+    const saved = await userRepo.update(id, users[idx]);
+    // senha nova derruba as outras sessões (quem trocou a própria segue logado)
+    if (pwdHash) await tokens.revokeAll(id, { except: req.user && req.user.id === id ? req.user.sid : null });
+    res.json(toPublic(saved));
 });
 
 
@@ -266,28 +531,201 @@ router.put('/:id', async (req, res) => {
  * @openapi
  * /users/{id}:
  *   delete:
+ *     operationId: deleteUser
  *     tags: [Users]
- *     summary: Remove usuário
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema: { type: string }
  *     responses:
- *       204:
- *         description: Removido
- *       404:
- *         description: Não encontrado
+ *       204: {}
+ *       403: {}
+ *       404: {}
  */
 router.delete('/:id', async (req, res) => {
     const { id } = req.params;
+    if (isSelfOnly(req)) throw new ForbiddenError();
 
-    const users = await readUsers();
-    const idx = users.findIndex(u => u.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Usuário não encontrado' });
+    if (!(await userRepo.findById(id))) throw new NotFoundError('user_not_found');
+
+    await userRepo.delete(id);
+    res.status(204).send();
+});
+
+/**
+ * @openapi
+ * /users/{id}/restore:
+ *   post:
+ *     operationId: restoreUser
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/User' }
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/restore', adminOnly, exclusive('users'), async (req, res) => {
+    const found = await userRepo.withDeleted.findById(req.params.id);
+    if (!found) throw new NotFoundError('user_not_found');
+
+    const restored = await softDelete.restore('users', found, async u => {
+        const users = await userRepo.all();
+        if (users.some(x => x.user === u.user)) throw new ConflictError('user_taken');
+        if (users.some(x => x.contact_email === u.contact_email)) throw new ConflictError('email_taken');
+        return {};
+    });
+    res.json(toPublic(restored));
+});
+
+/**
+ * @openapi
+ * /users/{id}/2fa/setup:
+ *   post:
+ *     operationId: setupTwoFactor
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TwoFactorSetup' }
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/2fa/setup', async (req, res) => {
+    const u = await loadSelf(req);
+    if (u.totp_enabled) throw new ConflictError('two_factor_already_enabled');
+
+    const { secret, otpauth_uri, changes } = twoFactor.setup(u);
+    await userRepo.update(u.id, changes);
+    res.json({ secret, otpauth_uri });
+});
+
+/**
+ * @openapi
+ * /users/{id}/2fa/verify:
+ *   post:
+ *     operationId: verifyTwoFactor
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TwoFactorCodeRequest' }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TwoFactorRecoveryCodes' }
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/2fa/verify', async (req, res) => {
+    const u = await loadSelf(req);
+    if (u.totp_enabled) throw new ConflictError('two_factor_already_enabled');
+    if (!u.totp_secret) throw new ConflictError('two_factor_setup_required');
+
+    const confirmed = twoFactor.confirm(u, req.body.code);
+    if (!confirmed) throw new ValidationError('invalid_two_factor_code');
+    await userRepo.update(u.id, confirmed.changes);
+    res.json({ totp_enabled: true, recovery_codes: confirmed.recovery_codes });
+});
+
+/**
+ * @openapi
+ * /users/{id}/2fa/recovery-codes:
+ *   post:
+ *     operationId: regenerateRecoveryCodes
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TwoFactorCodeRequest' }
+ *     responses:
+ *       200:
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TwoFactorRecoveryCodes' }
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ *       409: {}
+ */
+router.post('/:id/2fa/recovery-codes', async (req, res) => {
+    const u = await loadSelf(req);
+    if (!u.totp_enabled) throw new ConflictError('two_factor_not_enabled');
+
+    const used = twoFactor.check(u, { code: req.body.code });
+    if (!used) throw new ValidationError('invalid_two_factor_code');
+    const { codes, hashes } = twoFactor.recoveryCodes();
+    await userRepo.update(u.id, { ...used, recovery_codes: hashes });
+    res.json({ totp_enabled: true, recovery_codes: codes });
+});
+
+/**
+ * @openapi
+ * /users/{id}/2fa:
+ *   delete:
+ *     operationId: disableTwoFactor
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TwoFactorDisableRequest' }
+ *     responses:
+ *       204: {}
+ *       400: {}
+ *       403: {}
+ *       404: {}
+ */
+router.delete('/:id/2fa', async (req, res) => {
+    const u = await userRepo.findById(req.params.id);
+    if (!u) throw new NotFoundError('user_not_found');
+
+    if (u.id === req.user.id) {
+        if (u.totp_enabled) {
+            const { code, recovery_code } = req.body || {};
+            if (!code && !recovery_code) throw new ValidationError('two_factor_code_required');
+            if (!twoFactor.check(u, { code, recovery_code })) throw new ValidationError('invalid_two_factor_code');
+        }
+    } else if (req.user.level !== 'admin') {
+        throw new ForbiddenError();
+    }
 
-    users.splice(idx, 1);
-    await writeUsers(users);
+    await userRepo.update(u.id, twoFactor.disable());
     res.status(204).send();
 });
 
@@ -0,0 +1,35 @@
+// Copia os arquivos JSON de src/db para o SQLite.
+// Uso: npm run db:migrate  (respeita DB_DIR e SQLITE_FILE)
+// Registros com id já existente no SQLite são atualizados, não duplicados.
+const { repository, COLLECTIONS, SQLITE_FILE } = require('../repositories');
+const requestContext = require('../services/requestContext');
+
+async function main() {
+    for (const name of COLLECTIONS) {
+        // inclui os registros com exclusão lógica (deleted_at)
+        const source = repository(name, 'json').withDeleted || repository(name, 'json');
+        const target = repository(name, 'sqlite').withDeleted || repository(name, 'sqlite');
+
+        const records = await source.all();
+        let inserted = 0;
+        let updated = 0;
+        for (const rec of records) {
+            if (!rec || !rec.id) continue;
+            if (await target.findById(rec.id)) {
+                await target.update(rec.id, rec);
+                updated++;
+            } else {
+                await target.insert(rec);
+                inserted++;
+            }
+        }
+        console.log(`${name}: ${inserted} inseridos, ${updated} atualizados`);
+    }
+    console.log(`Migração concluída em ${SQLITE_FILE}`);
+}
+
+// a cópia não gera registros de auditoria (o próprio log também é copiado)
+requestContext.withoutAudit(main).catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,23 @@
+// Remove de vez os registros com exclusão lógica mais antigos que a retenção.
+// Uso: npm run db:purge  (RETENTION_DAYS, padrão 90)
+// Quem ainda é referenciado por registro ativo não é removido.
+const softDelete = require('../services/softDelete');
+
+const days = process.env.RETENTION_DAYS === undefined
+    ? softDelete.DEFAULT_RETENTION_DAYS
+    : Number(process.env.RETENTION_DAYS);
+
+async function main() {
+    if (!Number.isFinite(days) || days < 0) throw new Error('RETENTION_DAYS inválido (número >= 0)');
+
+    const summary = await softDelete.purge({ retentionDays: days });
+    for (const [name, r] of Object.entries(summary)) {
+        console.log(`${name}: ${r.purged} removidos, ${r.kept} mantidos (ainda referenciados)`);
+    }
+    console.log(`Expurgo concluído (removidos há mais de ${days} dia(s))`);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,18 @@
+// Apura as campanhas com volume mínimo cujo end_date já passou.
+// Uso: npm run campaigns:settle  (o servidor também faz isso periodicamente)
+const commitments = require('../services/commitments');
+const i18n = require('../services/i18n');
+
+async function main() {
+    const results = await commitments.settleDue();
+    for (const r of results) {
+        if (r.error) console.log(`${r.campaign_id}: ${i18n.message(i18n.DEFAULT_LANGUAGE, r.error)}`);
+        else console.log(`${r.campaign_id}: ${r.settlement.status} (${r.settlement.converted} convertidos, ${r.settlement.released} liberados, ${r.settlement.failed} com falha)`);
+    }
+    console.log(`${results.length} campanha(s) apurada(s)`);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+const cepLookup = require('./cepLookup');
+
+// ===== endereço estruturado: { street, number, complement, district, city, uf, cep }
+// cep é gravado só com os 8 dígitos e uf em maiúsculas.
+const FIELDS = ['street', 'number', 'complement', 'district', 'city', 'uf', 'cep'];
+const UFS = [
+    'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+    'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'
+];
+
+function text(val) {
+    return val === undefined || val === null ? '' : String(val).trim();
+}
+
+function normalizeCep(str) {
+    return text(str).replace(/\D+/g, '');
+}
+
+// "88801000" -> "88801-000"
+function formatCep(str) {
+    const d = normalizeCep(str);
+    return d.length === 8 ? `${d.slice(0, 5)}-${d.slice(5)}` : d;
+}
+
+function isUf(str) {
+    return UFS.includes(text(str).toUpperCase());
+}
+
+// só os campos conhecidos, como texto; cep sem máscara e uf em maiúsculas
+function normalize(input) {
+    const out = {};
+    for (const f of FIELDS) out[f] = text(input && input[f]);
+    out.cep = normalizeCep(out.cep);
+    out.uf = out.uf.toUpperCase();
+    return out;
+}
+
+// compara nomes de cidade sem acento e sem caixa ("Criciúma" = "criciuma")
+function sameCity(a, b) {
+    const fold = s => text(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return !!text(a) && fold(a) === fold(b);
+}
+
+/**
+ * Valida o endereço recebido na API e completa pelo CEP os campos vazios
+ * (logradouro, bairro, cidade, UF). Retorna { value } ou { error, params }.
+ *
+ * `current` é o endereço já gravado (PUT): os campos enviados substituem os
+ * dele; se o CEP mudou, os campos não enviados voltam a vir da consulta.
+ */
+async function parse(input, current = null) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'address_not_object' };
+    }
+    const sent = normalize(input);
+    let value = sent;
+    if (current && typeof current === 'object') {
+        const base = normalize(current);
+        const cepChanged = 'cep' in input && sent.cep !== base.cep;
+        value = {};
+        for (const f of FIELDS) value[f] = f in input || cepChanged ? sent[f] : base[f];
+    }
+
+    if (!value.cep) return { error: 'cep_required' };
+    if (value.cep.length !== 8) return { error: 'invalid_cep' };
+    if (value.uf && !isUf(value.uf)) return { error: 'invalid_uf', params: { uf: value.uf } };
+
+    const { found, skipped } = await cepLookup.lookup(value.cep);
+    if (!skipped) {
+        if (!found) return { error: 'cep_not_found', params: { cep: formatCep(value.cep) } };
+        const ref = normalize(found);
+        if (value.uf && ref.uf && value.uf !== ref.uf) {
+            return { error: 'cep_uf_mismatch', params: { cep: formatCep(value.cep), expected: ref.uf, uf: value.uf } };
+        }
+        for (const f of ['street', 'district', 'city', 'uf']) {
+            if (!value[f]) value[f] = ref[f];
+        }
+    }
+
+    const missing = ['street', 'city', 'uf'].filter(f => !value[f]);
+    if (missing.length) return { error: 'address_incomplete', params: { fields: missing } };
+    return { value };
+}
+
+module.exports = { FIELDS, UFS, normalizeCep, formatCep, isUf, normalize, sameCity, parse };
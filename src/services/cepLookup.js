@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// ===== consulta de CEP (preenche logradouro, bairro, cidade e UF)
+// CEP_PROVIDER=none (padrão, sem consulta) | fixture | viacep
+// CEP_FIXTURE_FILE: JSON { "<8 dígitos>": { street, district, city, uf } }
+//   (padrão src/fixtures/cepLookup.json), para testes e uso offline
+// CEP_TIMEOUT_MS: tempo máximo da consulta remota (padrão 5000)
+const CEP_PROVIDER = process.env.CEP_PROVIDER || 'none';
+const FIXTURE_FILE = process.env.CEP_FIXTURE_FILE || path.join(__dirname, '..', 'fixtures', 'cepLookup.json');
+const TIMEOUT_MS = Number(process.env.CEP_TIMEOUT_MS) || 5000;
+
+// Um provedor é { name, lookup(cep) } e lookup devolve (Promise)
+// { street, district, city, uf } ou null se o CEP não existir. O complemento
+// do ViaCEP é a faixa de numeração do logradouro, não vale para o endereço.
+
+function createFixtureProvider(file = FIXTURE_FILE) {
+    let data = null;
+    return {
+        name: 'fixture',
+        async lookup(cep) {
+            if (!data) data = JSON.parse(await fs.readFile(file, 'utf8'));
+            return data[cep] || null;
+        }
+    };
+}
+
+// https://viacep.com.br — CEP inexistente volta 200 com { erro: true }
+function createViaCepProvider() {
+    return {
+        name: 'viacep',
+        async lookup(cep) {
+            const res = await fetch(`https://viacep.com.br/ws/${cep}/json/`, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+            if (!res.ok) throw new Error(`viacep respondeu ${res.status}`);
+            const body = await res.json();
+            if (body.erro) return null;
+            return {
+                street: body.logradouro || '',
+                district: body.bairro || '',
+                city: body.localidade || '',
+                uf: body.uf || ''
+            };
+        }
+    };
+}
+
+const PROVIDERS = {
+    none: () => null,
+    fixture: () => createFixtureProvider(),
+    viacep: () => createViaCepProvider()
+};
+
+let current;
+
+function provider() {
+    if (current === undefined) {
+        const make = PROVIDERS[CEP_PROVIDER];
+        if (!make) throw new Error(`CEP_PROVIDER desconhecido: ${CEP_PROVIDER}`);
+        current = make();
+    }
+    return current;
+}
+
+// troca o provedor em uso (null desliga a consulta)
+function setProvider(p) {
+    current = p;
+}
+
+/**
+ * Consulta o CEP (só dígitos). Devolve { found } (null se o CEP não existe),
+ * ou { skipped: true } sem provedor ou quando a consulta falha — quem chama
+ * segue só com o que veio na requisição.
+ */
+async function lookup(cep) {
+    const p = provider();
+    if (!p) return { skipped: true };
+    try {
+        return { found: await p.lookup(cep) };
+    } catch (err) {
+        console.warn(`Consulta de CEP (${p.name}) falhou: ${err.message}`);
+        return { skipped: true };
+    }
+}
+
+module.exports = { CEP_PROVIDER, createFixtureProvider, createViaCepProvider, provider, setProvider, lookup };
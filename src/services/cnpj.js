@@ -0,0 +1,46 @@
+// ===== CNPJ: normalização e dígitos verificadores
+// Guardamos só os 14 dígitos; "12.345.678/0001-95" e "12345678000195" são o mesmo.
+const WEIGHTS_1 = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+const WEIGHTS_2 = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+function normalize(str) {
+    return String(str === undefined || str === null ? '' : str).replace(/\D+/g, '');
+}
+
+function checkDigit(digits, weights) {
+    const sum = weights.reduce((acc, w, i) => acc + Number(digits[i]) * w, 0);
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+}
+
+// 14 dígitos, não todos iguais, e os dois verificadores batem
+function isValid(str) {
+    const d = normalize(str);
+    if (d.length !== 14 || /^(\d)\1{13}$/.test(d)) return false;
+    return checkDigit(d, WEIGHTS_1) === Number(d[12]) && checkDigit(d, WEIGHTS_2) === Number(d[13]);
+}
+
+// "12345678000195" -> "12.345.678/0001-95"
+function format(str) {
+    const d = normalize(str);
+    if (d.length !== 14) return d;
+    return `${d.slice(0, 2)}.${d.slice(2, 5)}.${d.slice(5, 8)}/${d.slice(8, 12)}-${d.slice(12)}`;
+}
+
+/**
+ * Valida e normaliza o CNPJ recebido na API.
+ * Retorna { value } (só dígitos) ou { error } com o code da mensagem.
+ */
+function parse(str) {
+    const value = normalize(str);
+    if (!value) return { error: 'cnpj_required' };
+    if (!isValid(value)) return { error: 'invalid_cnpj' };
+    return { value };
+}
+
+// compara ignorando a máscara (registros antigos podem ter pontuação)
+function same(a, b) {
+    return !!a && !!b && normalize(a) === normalize(b);
+}
+
+module.exports = { normalize, isValid, format, parse, same };
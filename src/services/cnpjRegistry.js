@@ -0,0 +1,113 @@
+const fs = require('fs').promises;
+const path = require('path');
+const addressService = require('./address');
+
+// ===== consulta de CNPJ em cadastro externo (razão social e endereço)
+// CNPJ_PROVIDER=none (padrão, sem consulta) | fixture | brasilapi
+// CNPJ_FIXTURE_FILE: JSON { "<14 dígitos>": { legal_name, trade_name, address } }
+//   (padrão src/fixtures/cnpjRegistry.json), para testes e uso offline
+// CNPJ_TIMEOUT_MS: tempo máximo da consulta remota (padrão 5000)
+const CNPJ_PROVIDER = process.env.CNPJ_PROVIDER || 'none';
+const FIXTURE_FILE = process.env.CNPJ_FIXTURE_FILE || path.join(__dirname, '..', 'fixtures', 'cnpjRegistry.json');
+const TIMEOUT_MS = Number(process.env.CNPJ_TIMEOUT_MS) || 5000;
+
+// Um provedor é { name, lookup(cnpj) } e lookup devolve (Promise)
+// { legal_name, trade_name, address: { street, number, complement, district,
+// city, uf, cep } } ou null se o CNPJ não constar no cadastro.
+
+function createFixtureProvider(file = FIXTURE_FILE) {
+    let data = null;
+    return {
+        name: 'fixture',
+        async lookup(cnpj) {
+            if (!data) data = JSON.parse(await fs.readFile(file, 'utf8'));
+            return data[cnpj] || null;
+        }
+    };
+}
+
+// https://brasilapi.com.br/docs#tag/CNPJ
+function createBrasilApiProvider() {
+    return {
+        name: 'brasilapi',
+        async lookup(cnpj) {
+            const res = await fetch(`https://brasilapi.com.br/api/cnpj/v1/${cnpj}`, { signal: AbortSignal.timeout(TIMEOUT_MS) });
+            if (res.status === 404) return null;
+            if (!res.ok) throw new Error(`brasilapi respondeu ${res.status}`);
+            const body = await res.json();
+            return {
+                legal_name: body.razao_social || null,
+                trade_name: body.nome_fantasia || null,
+                address: {
+                    street: [body.descricao_tipo_de_logradouro, body.logradouro].filter(Boolean).join(' '),
+                    number: body.numero || '',
+                    complement: body.complemento || '',
+                    district: body.bairro || '',
+                    city: body.municipio || '',
+                    uf: body.uf || '',
+                    cep: String(body.cep || '').replace(/\D+/g, '')
+                }
+            };
+        }
+    };
+}
+
+const PROVIDERS = {
+    none: () => null,
+    fixture: () => createFixtureProvider(),
+    brasilapi: () => createBrasilApiProvider()
+};
+
+let current;
+
+function provider() {
+    if (current === undefined) {
+        const make = PROVIDERS[CNPJ_PROVIDER];
+        if (!make) throw new Error(`CNPJ_PROVIDER desconhecido: ${CNPJ_PROVIDER}`);
+        current = make();
+    }
+    return current;
+}
+
+// troca o provedor em uso (null desliga a consulta)
+function setProvider(p) {
+    current = p;
+}
+
+// "Rua X, 10, Sala 3 - Centro, Cidade/UF, CEP 88801-000"
+function formatAddress(a) {
+    if (!a) return '';
+    const cep = String(a.cep || '').replace(/\D+/g, '');
+    const street = [a.street, a.number, a.complement].filter(Boolean).join(', ');
+    const place = [a.district, [a.city, a.uf].filter(Boolean).join('/'), cep ? `CEP ${cep.slice(0, 5)}-${cep.slice(5)}` : ''].filter(Boolean).join(', ');
+    return [street, place].filter(Boolean).join(' - ');
+}
+
+/**
+ * Busca o CNPJ (só dígitos) no provedor configurado e devolve os campos que
+ * estão vazios em `record` (legal_name, address). Sem provedor, CNPJ fora do
+ * cadastro ou falha na consulta, devolve {} — a gravação segue sem os dados.
+ * Com `structured`, address vem como objeto (lojas); senão, como texto.
+ */
+async function enrich(record, { structured = false } = {}) {
+    const p = provider();
+    if (!p || !record.cnpj) return {};
+
+    let found;
+    try {
+        found = await p.lookup(record.cnpj);
+    } catch (err) {
+        console.warn(`Consulta de CNPJ (${p.name}) falhou: ${err.message}`);
+        return {};
+    }
+    if (!found) return {};
+
+    const changes = {};
+    if (!record.legal_name && found.legal_name) changes.legal_name = found.legal_name;
+    if (!record.address && found.address) {
+        changes.address = structured ? addressService.normalize(found.address) : formatAddress(found.address);
+    }
+    return changes;
+}
+
+module.exports = { CNPJ_PROVIDER, createFixtureProvider, createBrasilApiProvider, provider, setProvider, enrich };
@@ -0,0 +1,179 @@
+const { randomUUID } = require('crypto');
+const { repository } = require('../repositories');
+const pricing = require('./pricing');
+const stock = require('./stock');
+const orderStatus = require('./orderStatus');
+const i18n = require('./i18n');
+
+const campaigns = repository('campaing');
+const commitments = repository('commitment');
+const orders = repository('order');
+
+// ===== compromissos de compra em campanhas com volume mínimo
+// open → converted (virou pedido) | released (meta não atingida) | failed
+// (meta atingida, mas faltou estoque na conversão)
+const STATUSES = ['open', 'converted', 'released', 'failed'];
+
+function parseDate(str) {
+    const d = new Date(str);
+    return isNaN(d.getTime()) ? null : d;
+}
+function formatSQLLike(d) {
+    return d.toISOString().slice(0, 19).replace('T', ' ');
+}
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// linhas do compromisso com a campanha fixada, para o pricing
+function withCampaign(items, campaignId) {
+    return (Array.isArray(items) ? items : []).map(x => ({
+        product_id: x && x.product_id,
+        quantity: x && x.quantity,
+        campaign_id: campaignId
+    }));
+}
+
+// precifica os itens do compromisso com o desconto da campanha na data `d`
+function priceCommitment(items, campaign, d, field = 'items') {
+    return pricing.priceItems(withCampaign(items, campaign.id), d, field, { allowThreshold: true });
+}
+
+// soma quantidade e valor (já com desconto) dos compromissos abertos
+async function totalsOf(campaign) {
+    const open = await commitments.filter(x => x.campaign_id === campaign.id && x.status === 'open');
+    return {
+        commitments: open.length,
+        total_quantity: open.reduce((acc, x) => acc + x.total_quantity, 0),
+        total_amount: round2(open.reduce((acc, x) => acc + x.total_amount, 0))
+    };
+}
+
+function thresholdMet(campaign, totals) {
+    if (campaign.min_total_quantity > 0 && totals.total_quantity < campaign.min_total_quantity) return false;
+    if (campaign.min_total_amount > 0 && totals.total_amount < campaign.min_total_amount) return false;
+    return true;
+}
+
+// cria o pedido (Pending, estoque reservado) de um compromisso; { order } ou { error, params, shortages? }
+async function convert(commitment, campaign, { by, now }) {
+    const built = await priceCommitment(commitment.items, campaign, parseDate(campaign.end_date));
+    if (built.error) return { error: built.error, params: built.params };
+
+    const shortages = await stock.reserve(built.lines);
+    if (shortages.length) return { error: 'insufficient_stock', shortages };
+
+    const order = {
+        id: randomUUID(),
+        store_id: commitment.store_id,
+        item: built.lines,
+        total_amount: built.total,
+        status: 'Pending',
+        stock_status: 'reserved',
+        status_history: orderStatus.initialHistory(by),
+        date: formatSQLLike(now),
+        commitment_id: commitment.id
+    };
+    await orders.insert(order);
+    return { order };
+}
+
+// ainda não apurada, ou a apuração parou num erro e pode ser refeita
+function settleable(campaign) {
+    return !campaign.settlement || campaign.settlement.status === 'error';
+}
+
+// processa um compromisso aberto; o pedido de uma tentativa anterior que
+// parou antes de marcar o compromisso não é criado de novo
+async function settleOne(c, campaign, met, { by, now }) {
+    if (!met) {
+        await commitments.update(c.id, { status: 'released', settled_at: formatSQLLike(now) });
+        return;
+    }
+    const existing = await orders.find(o => o.commitment_id === c.id);
+    const result = existing ? { order: existing } : await convert(c, campaign, { by, now });
+    await commitments.update(c.id, {
+        status: result.order ? 'converted' : 'failed',
+        order_id: result.order ? result.order.id : null,
+        // gravado no idioma padrão; error_code fica para quem traduz
+        error: result.order ? null : i18n.message(i18n.DEFAULT_LANGUAGE, result.error, result.params),
+        error_code: result.order ? null : result.error,
+        shortages: result.shortages || null,
+        settled_at: formatSQLLike(now)
+    });
+}
+
+/**
+ * Apura a campanha depois do end_date: se a meta foi atingida, cada
+ * compromisso aberto vira um pedido com o preço da campanha; senão todos são
+ * liberados. Grava o resultado em campaign.settlement e o devolve.
+ * Se algo falhar no meio, a apuração fica com status 'error' e é refeita na
+ * próxima chamada (rota ou varredura), só para os compromissos ainda abertos.
+ * Retorna { error } (code da mensagem) se a campanha não tem meta, ainda não
+ * terminou ou já foi apurada.
+ */
+async function settle(campaign, { by = null, now = new Date() } = {}) {
+    if (!pricing.hasThreshold(campaign)) return { error: 'campaign_without_threshold' };
+    if (!settleable(campaign)) return { error: 'campaign_settled' };
+    if (now <= parseDate(campaign.end_date)) return { error: 'campaign_running' };
+
+    // marca a apuração dentro da atualização: duas apurações simultâneas
+    // (rota e varredura periódica) não convertem os compromissos duas vezes.
+    // Os totais ficam gravados: numa nova tentativa os compromissos já
+    // convertidos não estão mais abertos e a meta seria recalculada errada.
+    const fresh = await totalsOf(campaign);
+    let totals = null;
+    await campaigns.update(campaign.id, current => {
+        if (!settleable(current)) return {};
+        totals = current.settlement ? current.settlement.totals : fresh;
+        return { settlement: { status: 'settling', totals, settled_at: null } };
+    });
+    if (!totals) return { error: 'campaign_settled' };
+    const met = thresholdMet(campaign, totals);
+
+    try {
+        const open = await commitments.filter(x => x.campaign_id === campaign.id && x.status === 'open');
+        for (const c of open) await settleOne(c, campaign, met, { by, now });
+    } catch (err) {
+        await campaigns.update(campaign.id, {
+            settlement: { status: 'error', totals, error: err.message, settled_at: null }
+        });
+        throw err;
+    }
+
+    // contados pelo que ficou gravado: inclui os de tentativas anteriores
+    const settled = await commitments.filter(x => x.campaign_id === campaign.id);
+    const count = status => settled.filter(x => x.status === status).length;
+    const settlement = {
+        status: met ? 'met' : 'not_met',
+        ...totals,
+        converted: count('converted'),
+        failed: count('failed'),
+        released: count('released'),
+        by,
+        settled_at: formatSQLLike(now)
+    };
+    await campaigns.update(campaign.id, { settlement });
+    return { settlement };
+}
+
+// apura todas as campanhas com meta já encerradas e ainda não apuradas (ou
+// cuja apuração parou num erro); uma que falhe não impede as outras
+async function settleDue({ now = new Date() } = {}) {
+    const due = await campaigns.filter(c =>
+        pricing.hasThreshold(c) && settleable(c) && parseDate(c.end_date) < now
+    );
+    const results = [];
+    for (const c of due) {
+        try {
+            const r = await settle(c, { now });
+            results.push({ campaign_id: c.id, ...r });
+        } catch (err) {
+            console.error(`Falha na apuração da campanha ${c.id}:`, err);
+            results.push({ campaign_id: c.id, error: 'campaign_settlement_failed' });
+        }
+    }
+    return results;
+}
+
+module.exports = { STATUSES, priceCommitment, totalsOf, thresholdMet, settle, settleDue };
@@ -0,0 +1,78 @@
+const i18n = require('./i18n');
+
+// ===== erros da API
+// As rotas lançam um destes erros e o errorHandler responde no formato
+// RFC 7807 (application/problem+json). `code` é estável e serve para o
+// cliente tratar o erro sem depender do texto; o texto vem do catálogo
+// (locales) no idioma da requisição, com `params` nos {nome} da mensagem.
+// `extra` vira membros adicionais do corpo (errors, missing, shortages...).
+class ApiError extends Error {
+    constructor(status, code, params = {}, extra = {}) {
+        super(i18n.message(i18n.DEFAULT_LANGUAGE, code, params));
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.params = params;
+        this.extra = extra;
+    }
+}
+
+// 400: dados da requisição inválidos
+class ValidationError extends ApiError {
+    constructor(code, params, extra) {
+        super(400, code, params, extra);
+    }
+}
+
+// 401: sem token, token inválido ou credenciais erradas
+class UnauthorizedError extends ApiError {
+    constructor(code = 'unauthenticated', params, extra) {
+        super(401, code, params, extra);
+    }
+}
+
+// 403: autenticado, mas sem permissão
+class ForbiddenError extends ApiError {
+    constructor(code = 'forbidden', params, extra) {
+        super(403, code, params, extra);
+    }
+}
+
+// 404: registro ou rota inexistente
+class NotFoundError extends ApiError {
+    constructor(code, params, extra) {
+        super(404, code, params, extra);
+    }
+}
+
+// 409: conflito com o estado atual (duplicidade, transição, estoque...)
+class ConflictError extends ApiError {
+    constructor(code, params, extra) {
+        super(409, code, params, extra);
+    }
+}
+
+// 422: o corpo aponta para registros que não existem
+class UnprocessableError extends ApiError {
+    constructor(code, params, extra) {
+        super(422, code, params, extra);
+    }
+}
+
+// 423: conta bloqueada temporariamente (tentativas de login erradas)
+class LockedError extends ApiError {
+    constructor(code, params, extra) {
+        super(423, code, params, extra);
+    }
+}
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    UnprocessableError,
+    LockedError
+};
@@ -0,0 +1,122 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const i18n = require('./i18n');
+
+// ===== exportação das listagens (?format=csv|xlsx|pdf)
+const FORMATS = ['csv', 'xlsx', 'pdf'];
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
+
+function cellValue(v) {
+    return v === undefined || v === null ? '' : v;
+}
+
+// texto que o Excel leria como fórmula ("=HYPERLINK(...)", "+1", "@SUM"...):
+// nomes de produto chegam de planilhas de fornecedor pela importação
+function looksLikeFormula(v) {
+    return typeof v === 'string' && /^[=+\-@\t\r]/.test(v);
+}
+
+// CSV com ";" e BOM, que o Excel pt-BR abre direto; fórmula vira texto com "'"
+function csvCell(v) {
+    const raw = cellValue(v);
+    const s = looksLikeFormula(raw) ? `'${raw}` : String(raw);
+    return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+function writeCsv(res, columns, rows) {
+    res.write('\uFEFF' + columns.map(c => csvCell(c.header)).join(';') + '\r\n');
+    for (const row of rows) {
+        res.write(columns.map(c => csvCell(row[c.key])).join(';') + '\r\n');
+    }
+    res.end();
+}
+
+async function writeXlsx(res, columns, rows, title) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(title.slice(0, 31));
+    sheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.width || 16 }));
+    for (const row of rows) {
+        const out = {};
+        for (const c of columns) out[c.key] = cellValue(row[c.key]);
+        const added = sheet.addRow(out);
+        // strings já vão como texto, não fórmula; o formato "@" mantém assim
+        // mesmo se alguém editar a célula no Excel
+        for (const c of columns) {
+            if (looksLikeFormula(out[c.key])) added.getCell(c.key).numFmt = '@';
+        }
+        added.commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+}
+
+// tabela simples em A4 paisagem; larguras proporcionais a `width` da coluna
+function writePdf(res, columns, rows, title, generated) {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    doc.pipe(res);
+
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+    const totalWidth = columns.reduce((acc, c) => acc + (c.width || 16), 0);
+    const widths = columns.map(c => usable * (c.width || 16) / totalWidth);
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const header = columns.map(c => c.header);
+    function line(values, bold) {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+        const height = Math.max(...values.map((v, i) => doc.heightOfString(String(v), { width: widths[i] - 4 }))) + 4;
+        if (doc.y + height > bottom()) {
+            // página nova repete o cabeçalho da tabela
+            doc.addPage();
+            if (!bold) line(header, true);
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+        }
+        const y = doc.y;
+        let x = left;
+        values.forEach((v, i) => {
+            doc.text(String(v), x + 2, y + 2, { width: widths[i] - 4 });
+            x += widths[i];
+        });
+        doc.x = left;
+        doc.y = y + height;
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12).text(title);
+    doc.font('Helvetica').fontSize(8).text(generated);
+    doc.moveDown();
+
+    line(header, true);
+    for (const row of rows) {
+        line(columns.map(c => cellValue(row[c.key])), false);
+    }
+    doc.end();
+}
+
+// nome de arquivo com a data: pedidos-20240131
+function stampedName(prefix) {
+    return `${prefix}-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
+}
+
+/**
+ * Envia `rows` no formato pedido como anexo, no idioma `lang`.
+ * `name` é a exportação no catálogo (exports.<name>: title, filename e o
+ * cabeçalho de cada coluna em columns.<key>).
+ * columns: [{ key, width? }] — width só pondera as larguras (XLSX/PDF).
+ */
+async function sendExport(res, format, { lang, name, columns, rows }) {
+    const text = (key, params) => i18n.t(lang, `exports.${key}`, params);
+    const headed = columns.map(c => ({ ...c, header: text(`${name}.columns.${c.key}`) }));
+    const title = text(`${name}.title`);
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${stampedName(text(`${name}.filename`))}.${format}"`);
+    if (format === 'csv') return writeCsv(res, headed, rows);
+    if (format === 'xlsx') return writeXlsx(res, headed, rows, title);
+    const generated = text('generated', { date: new Date().toISOString().slice(0, 19).replace('T', ' '), count: rows.length });
+    return writePdf(res, headed, rows, title, generated);
+}
+
+module.exports = { FORMATS, sendExport };
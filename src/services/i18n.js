@@ -0,0 +1,56 @@
+// ===== idiomas das mensagens da API
+// Os catálogos ficam em src/locales/<idioma>.js; a chave é "seção.nome"
+// (ex.: "errors.store_not_found") e os parâmetros entram como {nome}.
+const CATALOGS = {
+    'pt-BR': require('../locales/pt-BR'),
+    en: require('../locales/en')
+};
+const LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = 'pt-BR';
+
+/**
+ * Escolhe o idioma pelo cabeçalho Accept-Language ("en-US,en;q=0.9,pt;q=0.8"):
+ * vence a maior qualidade entre os idiomas suportados, casando pela língua
+ * base quando não há o exato ("en-GB" -> en, "pt" -> pt-BR). Sem nenhum
+ * suportado, pt-BR.
+ */
+function negotiate(header) {
+    const ranges = String(header || '').split(',').map((part, index) => {
+        const [tag, ...attrs] = part.trim().split(';');
+        const q = attrs.map(a => /^\s*q=([\d.]+)\s*$/.exec(a)).find(Boolean);
+        return { tag: tag.trim().toLowerCase(), q: q ? Number(q[1]) : 1, index };
+    }).filter(r => r.tag && r.q > 0);
+    ranges.sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const { tag } of ranges) {
+        if (tag === '*') return DEFAULT_LANGUAGE;
+        const exact = LANGUAGES.find(l => l.toLowerCase() === tag);
+        if (exact) return exact;
+        const base = LANGUAGES.find(l => l.toLowerCase().split('-')[0] === tag.split('-')[0]);
+        if (base) return base;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((acc, k) => (acc && typeof acc === 'object' ? acc[k] : undefined), catalog);
+}
+
+// mensagem no idioma pedido; sem tradução, vale a do pt-BR e por fim a própria chave
+function t(lang, key, params = {}) {
+    let text = lookup(CATALOGS[lang], key);
+    if (typeof text !== 'string') text = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+    if (typeof text !== 'string') return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+}
+
+// detail de um code de erro (seção errors do catálogo)
+function message(lang, code, params) {
+    return t(lang, `errors.${code}`, params);
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, CATALOGS, negotiate, t, message };
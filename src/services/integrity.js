@@ -0,0 +1,153 @@
+const { ConflictError, UnprocessableError } = require('./errors');
+const { repository } = require('../repositories');
+
+// ===== chaves estrangeiras
+// from.field -> to.id ("item[].x" = campo x de cada linha do array item,
+// "store_ids[]" = cada id do array). onDelete 'unlink' não bloqueia a remoção:
+// a referência sai do registro dependente quando o removido é expurgado.
+// onDelete 'keep' é histórico (pedidos, pedidos de compra): não bloqueia nem
+// entra na cascata, o dependente segue apontando para o removido, e o removido
+// não é expurgado enquanto houver histórico apontando para ele.
+// Registros com deleted_at contam como inexistentes (o repositório os esconde).
+const RELATIONS = [
+    { from: 'product', field: 'supplier_id', to: 'supplier' },
+    { from: 'campaing', field: 'supplier_id', to: 'supplier' },
+    { from: 'campaing', field: 'product_ids[]', to: 'product' },
+    { from: 'commitment', field: 'campaign_id', to: 'campaing' },
+    { from: 'commitment', field: 'store_id', to: 'store' },
+    { from: 'commitment', field: 'items[].product_id', to: 'product' },
+    { from: 'commitment', field: 'order_id', to: 'order', onDelete: 'unlink' },
+    { from: 'order', field: 'store_id', to: 'store', onDelete: 'keep' },
+    { from: 'order', field: 'item[].product_id', to: 'product', onDelete: 'keep' },
+    { from: 'order', field: 'item[].campaign_id', to: 'campaing', onDelete: 'keep' },
+    { from: 'order', field: 'item[].purchase_order_id', to: 'purchase_order', onDelete: 'unlink' },
+    { from: 'purchase_order', field: 'supplier_id', to: 'supplier', onDelete: 'keep' },
+    { from: 'purchase_order', field: 'campaign_id', to: 'campaing', onDelete: 'keep' },
+    { from: 'users', field: 'store_ids[]', to: 'store', onDelete: 'unlink' },
+    { from: 'users', field: 'supplier_id', to: 'supplier', onDelete: 'unlink' }
+];
+
+function refValues(record, field) {
+    const m = /^(\w+)\[\](?:\.(\w+))?$/.exec(field);
+    if (!m) return record[field] ? [record[field]] : [];
+    const list = record[m[1]];
+    if (!Array.isArray(list)) return [];
+    return (m[2] ? list.map(x => x && x[m[2]]) : list).filter(Boolean);
+}
+
+/**
+ * Verifica se as referências existem.
+ * refs: [{ field, collection, id }] (ids vazios são ignorados)
+ * Retorna a lista das que não existem (vazia = tudo ok).
+ */
+async function findMissing(refs) {
+    const missing = [];
+    for (const ref of refs) {
+        if (!ref.id) continue;
+        if (!(await repository(ref.collection).findById(ref.id))) missing.push(ref);
+    }
+    return missing;
+}
+
+// referências obrigatórias de um registro, no formato de findMissing
+function refsOf(collection, record) {
+    return RELATIONS
+        .filter(r => r.from === collection && r.onDelete !== 'unlink')
+        .flatMap(r => refValues(record, r.field).map(id => ({ field: r.field, collection: r.to, id })));
+}
+
+/**
+ * Lista os registros que apontam diretamente para collection/id.
+ * Retorna { <coleção>: [ids] } só com as coleções que têm dependentes.
+ * Com history, conta também o histórico (relações 'keep'), como no expurgo.
+ */
+async function findDependents(collection, id, { history = false } = {}) {
+    const result = {};
+    const counts = r => r.onDelete === undefined || (history && r.onDelete === 'keep');
+    for (const rel of RELATIONS.filter(r => r.to === collection && counts(r))) {
+        const ids = (await repository(rel.from).filter(x => refValues(x, rel.field).includes(id))).map(x => x.id);
+        if (ids.length) {
+            result[rel.from] = [...new Set([...(result[rel.from] || []), ...ids])];
+        }
+    }
+    return result;
+}
+
+/**
+ * Remove (exclusão lógica), em cascata, tudo que depende de collection/id (o
+ * próprio registro fica a cargo da rota); o histórico ('keep') fica.
+ * Retorna { <coleção>: [ids removidos] }.
+ */
+async function cascadeDelete(collection, id) {
+    const removed = {};
+    const queue = [[collection, id]];
+    while (queue.length) {
+        const [col, key] = queue.shift();
+        const deps = await findDependents(col, key);
+        for (const [depCol, ids] of Object.entries(deps)) {
+            for (const depId of ids) {
+                removed[depCol] = removed[depCol] || [];
+                if (removed[depCol].includes(depId)) continue;
+                removed[depCol].push(depId);
+                queue.push([depCol, depId]);
+            }
+        }
+    }
+    for (const [col, ids] of Object.entries(removed)) {
+        const repo = repository(col);
+        for (const depId of ids) await repo.delete(depId);
+    }
+    return removed;
+}
+
+// tira collection/id das relações 'unlink' (ex.: loja expurgada sai de users.store_ids)
+async function unlinkReferences(collection, id) {
+    for (const rel of RELATIONS.filter(r => r.to === collection && r.onDelete === 'unlink')) {
+        const repo = repository(rel.from).withDeleted;
+        const m = /^(\w+)\[\](?:\.(\w+))?$/.exec(rel.field);
+        for (const x of await repo.filter(r => refValues(r, rel.field).includes(id))) {
+            let patch = { [rel.field]: null };
+            if (m && m[2]) {
+                // "item[].x": zera o campo nas linhas que apontam para o id
+                patch = { [m[1]]: x[m[1]].map(l => (l && l[m[2]] === id ? { ...l, [m[2]]: null } : l)) };
+            } else if (m) {
+                patch = { [m[1]]: x[m[1]].filter(v => v !== id) };
+            }
+            await repo.update(x.id, patch);
+        }
+    }
+}
+
+// ===== conferências das rotas (lançam o erro que o errorHandler responde)
+// 422 se alguma referência não existir
+async function assertRefs(refs) {
+    const missing = await findMissing(refs);
+    if (!missing.length) return;
+    throw new UnprocessableError(
+        'missing_reference',
+        { refs: missing.map(m => `${m.field}=${m.id}`) },
+        { missing }
+    );
+}
+
+// 409 com os dependentes, ou cascata se ?cascade=true
+async function guardDelete(req, collection, id) {
+    if (req.query.cascade === 'true') {
+        await cascadeDelete(collection, id);
+        return;
+    }
+    const dependents = await findDependents(collection, id);
+    if (!Object.keys(dependents).length) return;
+    throw new ConflictError('has_dependents', {}, { dependents });
+}
+
+module.exports = {
+    RELATIONS,
+    findMissing,
+    refsOf,
+    findDependents,
+    cascadeDelete,
+    unlinkReferences,
+    assertRefs,
+    guardDelete
+};
@@ -0,0 +1,35 @@
+// ===== bloqueio de login por tentativas erradas
+// LOGIN_MAX_ATTEMPTS: senhas erradas seguidas até bloquear (padrão 5)
+// LOGIN_LOCK_MINUTES: duração do bloqueio (padrão 15); depois dela o login
+//   volta a valer sozinho e a contagem recomeça
+// O estado fica no próprio usuário: failed_logins e locked_until (ISO).
+const MAX_ATTEMPTS = Number.parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOCK_MINUTES = Number.parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+// data de desbloqueio se a conta estiver bloqueada em `now`, senão null
+function lockedUntil(user, now = Date.now()) {
+    if (!user.locked_until) return null;
+    return new Date(user.locked_until).getTime() > now ? user.locked_until : null;
+}
+
+/**
+ * Alterações do usuário após uma senha errada: conta a tentativa e, ao
+ * chegar em MAX_ATTEMPTS, bloqueia por LOCK_MINUTES zerando a contagem.
+ * Um bloqueio já vencido não conta: a contagem recomeça do zero.
+ */
+function failure(user, now = Date.now()) {
+    const expired = user.locked_until && !lockedUntil(user, now);
+    const attempts = (expired ? 0 : user.failed_logins || 0) + 1;
+    if (attempts >= MAX_ATTEMPTS) {
+        return { failed_logins: 0, locked_until: new Date(now + LOCK_MINUTES * 60 * 1000).toISOString() };
+    }
+    return { failed_logins: attempts, locked_until: null };
+}
+
+// alterações após um login certo (ou troca de senha); null se não há o que limpar
+function reset(user) {
+    if (!user.failed_logins && !user.locked_until) return null;
+    return { failed_logins: 0, locked_until: null };
+}
+
+module.exports = { MAX_ATTEMPTS, LOCK_MINUTES, lockedUntil, failure, reset };
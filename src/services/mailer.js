@@ -0,0 +1,79 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// ===== envio de e-mails (recuperação de senha)
+// MAIL_TRANSPORT=none (padrão, não envia) | console (escreve no log) | file
+//   console e file gravam o token de redefinição em claro: só em desenvolvimento
+// MAIL_FILE: arquivo do transporte file, uma mensagem JSON por linha
+//   (padrão mail/outbox.jsonl na raiz do projeto), para testes e desenvolvimento
+// MAIL_FROM: remetente (padrão CentralCompras <no-reply@centralcompras.local>)
+// Em produção, registre o transporte real (SMTP, API do provedor) com setTransport.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'none';
+const MAIL_FILE = process.env.MAIL_FILE || path.join(__dirname, '..', '..', 'mail', 'outbox.jsonl');
+const MAIL_FROM = process.env.MAIL_FROM || 'CentralCompras <no-reply@centralcompras.local>';
+
+// Um transporte é { name, send(message) } e send devolve uma Promise;
+// message é { from, to, subject, text, date }.
+
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            console.log(`E-mail para ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    };
+}
+
+function createFileTransport(file = MAIL_FILE) {
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.appendFile(file, JSON.stringify(message) + '\n', 'utf8');
+        }
+    };
+}
+
+const TRANSPORTS = {
+    none: () => null,
+    console: () => createConsoleTransport(),
+    file: () => createFileTransport()
+};
+
+let current;
+
+function transport() {
+    if (current === undefined) {
+        const make = TRANSPORTS[MAIL_TRANSPORT];
+        if (!make) throw new Error(`MAIL_TRANSPORT desconhecido: ${MAIL_TRANSPORT}`);
+        current = make();
+    }
+    return current;
+}
+
+// troca o transporte em uso (null desliga o envio)
+function setTransport(t) {
+    current = t;
+}
+
+/**
+ * Envia { to, subject, text }. Devolve true se o transporte aceitou; sem
+ * transporte ou com falha no envio devolve false (a falha vai para o log),
+ * para quem chama não expor ao cliente se o e-mail saiu.
+ */
+async function send({ to, subject, text }) {
+    const t = transport();
+    if (!t) {
+        console.warn(`E-mail para ${to} não enviado: nenhum transporte configurado (MAIL_TRANSPORT)`);
+        return false;
+    }
+    try {
+        await t.send({ from: MAIL_FROM, to, subject, text, date: new Date().toISOString() });
+        return true;
+    } catch (err) {
+        console.warn(`Envio de e-mail (${t.name}) falhou: ${err.message}`);
+        return false;
+    }
+}
+
+module.exports = { MAIL_TRANSPORT, MAIL_FILE, createConsoleTransport, createFileTransport, transport, setTransport, send };
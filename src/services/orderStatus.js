@@ -0,0 +1,75 @@
+const stock = require('./stock');
+
+// ===== máquina de estados do pedido
+const STATUSES = ['Pending', 'Approved', 'Shipped', 'Delivered', 'Cancelled'];
+const TRANSITIONS = {
+    Pending: ['Approved', 'Cancelled'],
+    Approved: ['Shipped', 'Cancelled'],
+    Shipped: ['Delivered'],
+    Delivered: [],
+    Cancelled: []
+};
+
+function formatSQLLike(d) {
+    return d.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+// linhas já consolidadas num pedido de compra ao fornecedor
+function isConsolidated(order) {
+    return Array.isArray(order.item) && order.item.some(l => l && l.purchase_order_id);
+}
+
+// registro inicial do histórico (pedido criado como Pending)
+function initialHistory(by) {
+    return [{ from: null, to: 'Pending', by: by || null, at: formatSQLLike(new Date()), reason: null }];
+}
+
+/**
+ * Confere se o pedido pode ir para o status `to`, sem alterar nada.
+ * Retorna { error, params } se não puder, ou null.
+ */
+function checkTransition(order, to) {
+    if (!STATUSES.includes(to)) {
+        return { error: 'invalid_status', params: { values: STATUSES } };
+    }
+    if (!canTransition(order.status, to)) {
+        return { error: 'transition_not_allowed', params: { from: order.status, to } };
+    }
+    if (to === 'Cancelled' && isConsolidated(order)) {
+        return { error: 'order_consolidated', params: {} };
+    }
+    return null;
+}
+
+/**
+ * Move o pedido para o status `to`, registrando no status_history e
+ * ajustando o estoque (Shipped efetiva a reserva, Cancelled devolve).
+ * Pedido já consolidado em pedido de compra não pode ser cancelado: o PO
+ * continuaria com as quantidades dele.
+ * Altera o objeto recebido; retorna { error, params } se a transição não
+ * for permitida, ou null.
+ */
+async function transition(order, to, { by = null, reason = null } = {}) {
+    const denied = checkTransition(order, to);
+    if (denied) return denied;
+
+    if (to === 'Shipped' && order.stock_status === 'reserved') {
+        await stock.commit(order.item);
+        order.stock_status = 'committed';
+    }
+    if (to === 'Cancelled' && order.stock_status === 'reserved') {
+        await stock.release(order.item);
+        order.stock_status = 'released';
+    }
+
+    order.status_history = Array.isArray(order.status_history) ? order.status_history : [];
+    order.status_history.push({ from: order.status, to, by, at: formatSQLLike(new Date()), reason: reason || null });
+    order.status = to;
+    return null;
+}
+
+module.exports = { STATUSES, TRANSITIONS, canTransition, checkTransition, isConsolidated, initialHistory, transition };
@@ -0,0 +1,87 @@
+// ===== paginação, ordenação e projeção das listagens
+// ?page=1&limit=20&sort=campo,-campo&fields=id,name
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function toPositiveInt(val, fallback) {
+    if (val === undefined || val === '') return fallback;
+    const n = Number(val);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+function splitList(val) {
+    return String(val || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// null/undefined vão para o fim; números comparam como números
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : 1;
+}
+
+function sortBy(items, sort) {
+    const keys = splitList(sort).map(k => k.startsWith('-')
+        ? { field: k.slice(1), dir: -1 }
+        : { field: k, dir: 1 });
+    if (!keys.length) return items;
+
+    return [...items].sort((x, y) => {
+        for (const { field, dir } of keys) {
+            const c = compareValues(x[field], y[field]);
+            if (c !== 0) return c * dir;
+        }
+        return 0;
+    });
+}
+
+function project(item, fields) {
+    if (!fields.length) return item;
+    const out = {};
+    for (const f of fields) {
+        if (Object.prototype.hasOwnProperty.call(item, f)) out[f] = item[f];
+    }
+    return out;
+}
+
+function pageLink(req, page) {
+    const params = new URLSearchParams(req.query);
+    params.set('page', page);
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+}
+
+/**
+ * Aplica sort/page/limit/fields da query string à lista já filtrada e
+ * devolve o envelope { data, total, page, limit, pages, links }.
+ * Retorna { error, params } se page/limit forem inválidos.
+ */
+function paginate(req, items) {
+    const page = toPositiveInt(req.query.page, 1);
+    const limit = toPositiveInt(req.query.limit, DEFAULT_LIMIT);
+    if (page === null) return { error: 'invalid_page' };
+    if (limit === null || limit > MAX_LIMIT) return { error: 'invalid_limit', params: { max: MAX_LIMIT } };
+
+    const fields = splitList(req.query.fields);
+    const sorted = sortBy(items, req.query.sort);
+    const total = sorted.length;
+    const pages = Math.max(1, Math.ceil(total / limit));
+    const data = sorted.slice((page - 1) * limit, page * limit).map(x => project(x, fields));
+
+    return {
+        data,
+        total,
+        page,
+        limit,
+        pages,
+        links: {
+            self: pageLink(req, page),
+            first: pageLink(req, 1),
+            prev: page > 1 ? pageLink(req, page - 1) : null,
+            next: page < pages ? pageLink(req, page + 1) : null,
+            last: pageLink(req, pages)
+        }
+    };
+}
+
+module.exports = { paginate, sortBy, DEFAULT_LIMIT, MAX_LIMIT };
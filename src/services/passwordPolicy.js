@@ -0,0 +1,47 @@
+// ===== política de senhas
+// PASSWORD_MIN_LENGTH: tamanho mínimo (padrão 8)
+// PASSWORD_REQUIRE: classes de caractere exigidas, separadas por vírgula,
+//   entre lowercase, uppercase, digit e symbol (padrão lowercase,uppercase,digit);
+//   vazio não exige nenhuma
+// A senha também não pode ser igual ao login nem ao e-mail do usuário.
+const MIN_LENGTH = Number.parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+
+const CLASSES = {
+    lowercase: /[a-z]/,
+    uppercase: /[A-Z]/,
+    digit: /\d/,
+    symbol: /[^A-Za-z0-9\s]/
+};
+
+function parseRequire(value) {
+    const list = String(value).split(',').map(s => s.trim()).filter(Boolean);
+    for (const name of list) {
+        if (!CLASSES[name]) throw new Error(`PASSWORD_REQUIRE desconhecido: ${name}`);
+    }
+    return list;
+}
+const REQUIRE = parseRequire(process.env.PASSWORD_REQUIRE !== undefined
+    ? process.env.PASSWORD_REQUIRE
+    : 'lowercase,uppercase,digit');
+
+/**
+ * Confere a senha contra a política. Devolve a lista de regras violadas,
+ * cada uma { rule, params } (vazia = senha aceita); o texto de cada regra
+ * fica no catálogo, em password.<rule>.
+ * `account` ({ user, contact_email }) é o cadastro a que a senha pertence.
+ */
+function check(pwd, account = {}) {
+    const value = typeof pwd === 'string' ? pwd : '';
+    const failed = [];
+    if (value.length < MIN_LENGTH) failed.push({ rule: 'min_length', params: { min: MIN_LENGTH } });
+    for (const name of REQUIRE) {
+        if (!CLASSES[name].test(value)) failed.push({ rule: name, params: {} });
+    }
+    const lower = value.toLowerCase();
+    if (value && [account.user, account.contact_email].some(v => v && String(v).toLowerCase() === lower)) {
+        failed.push({ rule: 'not_personal', params: {} });
+    }
+    return failed;
+}
+
+module.exports = { MIN_LENGTH, REQUIRE, check };
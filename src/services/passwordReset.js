@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { repository } = require('../repositories');
+
+const resets = repository('password_reset');
+
+// ===== tokens de redefinição de senha
+// PASSWORD_RESET_TTL: validade do token em segundos (padrão 30 min)
+// O token vai por e-mail como "<id>.<segredo>"; aqui fica só o hash do segredo.
+const RESET_TTL = Number.parseInt(process.env.PASSWORD_RESET_TTL, 10) || 30 * 60;
+
+function sha256(str) {
+    return crypto.createHash('sha256').update(str).digest('hex');
+}
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Gera um token de uso único para o usuário. Pedidos anteriores dele que
+ * ainda não foram usados deixam de valer (vale sempre o último e-mail).
+ */
+async function issue(user) {
+    for (const old of await resets.filter(r => r.user_id === user.id || r.used_at || r.expires_at <= now())) {
+        await resets.delete(old.id);
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const reset = {
+        id: crypto.randomUUID(),
+        user_id: user.id,
+        token_hash: sha256(secret),
+        expires_at: now() + RESET_TTL,
+        used_at: null
+    };
+    await resets.insert(reset);
+
+    return { token: `${reset.id}.${secret}`, expires_in: RESET_TTL };
+}
+
+// registro do token se ele ainda vale (não usado e no prazo), senão null
+async function find(token) {
+    const [id, secret] = String(token || '').split('.');
+    if (!id || !secret) return null;
+
+    const reset = await resets.findById(id);
+    if (!reset || reset.used_at || reset.expires_at <= now()) return null;
+    return reset.token_hash === sha256(secret) ? reset : null;
+}
+
+// user_id dono do token, sem consumi-lo; null se inválido, vencido ou já usado
+async function check(token) {
+    const reset = await find(token);
+    return reset ? reset.user_id : null;
+}
+
+/**
+ * Consome o token: devolve o user_id dono dele (como check) e, a partir
+ * daí, o token não vale mais.
+ */
+async function consume(token) {
+    const reset = await find(token);
+    if (!reset) return null;
+    await resets.update(reset.id, { used_at: now() });
+    return reset.user_id;
+}
+
+module.exports = { RESET_TTL, issue, check, consume };
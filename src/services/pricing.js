@@ -0,0 +1,155 @@
+const { repository } = require('../repositories');
+
+const products = repository('product');
+const campaigns = repository('campaing');
+const suppliers = repository('supplier');
+
+// ===== helpers
+function parseDate(str) {
+    const d = new Date(str);
+    return isNaN(d.getTime()) ? null : d;
+}
+function toQuantity(val) {
+    const n = Number(val);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+// supplier_category é texto livre separado por vírgula
+function categoriesOf(supplier) {
+    return String((supplier && supplier.supplier_category) || '')
+        .split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+}
+
+function isActiveAt(campaign, d) {
+    return parseDate(campaign.start_date) <= d && d <= parseDate(campaign.end_date);
+}
+
+// campanha com volume mínimo da rede: o desconto só vale via compromissos
+function hasThreshold(campaign) {
+    return !!campaign && (campaign.min_total_quantity > 0 || campaign.min_total_amount > 0);
+}
+
+/**
+ * A campanha cobre o produto? Todos os critérios informados precisam bater:
+ * supplier_id, product_ids (lista vazia = todos) e category (do fornecedor).
+ */
+function appliesTo(campaign, product, supplier) {
+    if (!campaign) return false;
+    if (campaign.supplier_id && campaign.supplier_id !== product.supplier_id) return false;
+    if (Array.isArray(campaign.product_ids) && campaign.product_ids.length &&
+        !campaign.product_ids.includes(product.id)) return false;
+    if (campaign.category && !categoriesOf(supplier).includes(campaign.category.toLowerCase())) return false;
+    return true;
+}
+
+// desconto vigente para a quantidade: a maior faixa atingida, senão o da campanha
+function discountOf(campaign, qty) {
+    if (!campaign) return { discount_percentage: 0, discount_amount: 0 };
+    const tier = (campaign.tiers || [])
+        .filter(t => qty >= t.min_quantity)
+        .sort((a, b) => b.min_quantity - a.min_quantity)[0];
+    const src = tier || campaign;
+    return {
+        discount_percentage: src.discount_percentage || 0,
+        discount_amount: src.discount_amount || 0
+    };
+}
+
+// preço unitário com desconto (percentual e depois valor fixo, nunca negativo)
+function unitPriceOf(product, discount) {
+    const price = product.price * (100 - discount.discount_percentage) / 100 - discount.discount_amount;
+    return Math.max(0, round2(price));
+}
+
+// campanha ativa de menor preço unitário para o produto/quantidade (ou null)
+async function bestCampaign(product, d, qty = 1) {
+    const supplier = product.supplier_id ? await suppliers.findById(product.supplier_id) : null;
+    const active = await campaigns.filter(c => !hasThreshold(c) && isActiveAt(c, d) && appliesTo(c, product, supplier));
+    let best = null;
+    let bestPrice = product.price;
+    for (const c of active) {
+        const price = unitPriceOf(product, discountOf(c, qty));
+        if (price < bestPrice) {
+            best = c;
+            bestPrice = price;
+        }
+    }
+    return best;
+}
+
+// referências (produto/campanha) de cada linha, para o integrity
+function itemRefs(rawItems, field = 'item') {
+    if (!Array.isArray(rawItems)) return [];
+    return rawItems.flatMap((raw, i) => [
+        { field: `${field}[${i}].product_id`, collection: 'product', id: raw && raw.product_id },
+        { field: `${field}[${i}].campaign_id`, collection: 'campaing', id: raw && raw.campaign_id }
+    ]);
+}
+
+/**
+ * Precifica [{ product_id, quantity, campaign_id? }] na data `d`: preço do
+ * produto menos o desconto da campanha (faixa conforme a quantidade da linha).
+ * Se campaign_id vier, ela precisa estar ativa e cobrir o produto; senão
+ * usamos a que der o menor preço (se houver). Campanhas com volume mínimo só
+ * entram com allowThreshold (conversão de compromissos).
+ *
+ * Retorna { lines, total, details } — lines no formato gravado no pedido e
+ * details com { product, campaign } de cada linha — ou { error, params }
+ * (error é o code da mensagem; ver locales).
+ */
+async function priceItems(rawItems, d, field = 'item', { allowThreshold = false } = {}) {
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+        return { error: 'items_required', params: { field } };
+    }
+
+    const lines = [];
+    const details = [];
+    for (let i = 0; i < rawItems.length; i++) {
+        const raw = rawItems[i] || {};
+        const qty = toQuantity(raw.quantity);
+        const at = { field: `${field}[${i}]`, product_id: raw.product_id, campaign_id: raw.campaign_id };
+        if (!raw.product_id) return { error: 'item_product_required', params: at };
+        if (qty === null) return { error: 'item_quantity_invalid', params: at };
+
+        const product = await products.findById(raw.product_id);
+        if (!product) return { error: 'item_product_not_found', params: at };
+        if (product.status === 'off') return { error: 'item_product_inactive', params: at };
+
+        let campaign = null;
+        if (raw.campaign_id) {
+            campaign = await campaigns.findById(raw.campaign_id);
+            if (!campaign) return { error: 'item_campaign_not_found', params: at };
+            const supplier = product.supplier_id ? await suppliers.findById(product.supplier_id) : null;
+            if (!appliesTo(campaign, product, supplier) || !isActiveAt(campaign, d)) {
+                return { error: 'item_campaign_not_applicable', params: at };
+            }
+            if (hasThreshold(campaign) && !allowThreshold) {
+                return { error: 'item_campaign_threshold', params: at };
+            }
+        } else {
+            campaign = await bestCampaign(product, d, qty);
+        }
+
+        const discount = discountOf(campaign, qty);
+        const unitPrice = unitPriceOf(product, discount);
+
+        lines.push({
+            product_id: product.id,
+            quantity: qty,
+            campaign_id: campaign ? campaign.id : null,
+            list_price: product.price,
+            discount_percentage: discount.discount_percentage,
+            discount_amount: discount.discount_amount,
+            unit_price: unitPrice,
+            line_total: round2(unitPrice * qty)
+        });
+        details.push({ product, campaign });
+    }
+
+    const total = round2(lines.reduce((acc, l) => acc + l.line_total, 0));
+    return { lines, total, details };
+}
+
+module.exports = { isActiveAt, hasThreshold, appliesTo, bestCampaign, itemRefs, priceItems };
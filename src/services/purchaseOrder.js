@@ -0,0 +1,211 @@
+const { randomUUID } = require('crypto');
+const { repository } = require('../repositories');
+
+const purchaseOrders = repository('purchase_order');
+const orders = repository('order');
+const products = repository('product');
+
+// ===== ciclo de vida do pedido de compra (PO) ao fornecedor
+const STATUSES = ['draft', 'sent', 'confirmed', 'received'];
+const TRANSITIONS = {
+    draft: ['sent'],
+    sent: ['confirmed'],
+    confirmed: ['received'],
+    received: []
+};
+
+function formatSQLLike(d) {
+    return d.toISOString().slice(0, 19).replace('T', ' ');
+}
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move o PO para o status `to`, registrando no status_history.
+ * Altera o objeto recebido; retorna { error, params } ou null.
+ */
+function transition(po, to, { by = null } = {}) {
+    if (!STATUSES.includes(to)) {
+        return { error: 'invalid_status', params: { values: STATUSES } };
+    }
+    if (!canTransition(po.status, to)) {
+        return { error: 'transition_not_allowed', params: { from: po.status, to } };
+    }
+    po.status_history = Array.isArray(po.status_history) ? po.status_history : [];
+    po.status_history.push({ from: po.status, to, by, at: formatSQLLike(new Date()) });
+    po.status = to;
+    return null;
+}
+
+// soma quantidades e valores por produto
+function sumByProduct(lines) {
+    const map = new Map();
+    for (const l of lines) {
+        const cur = map.get(l.product_id) || { product_id: l.product_id, quantity: 0, amount: 0 };
+        cur.quantity += l.quantity;
+        cur.amount = round2(cur.amount + (l.line_total || 0));
+        map.set(l.product_id, cur);
+    }
+    return [...map.values()];
+}
+
+/**
+ * Consolida as linhas ainda sem PO dos pedidos de loja com status em
+ * `statuses`, agrupando por fornecedor (e por campanha se byCampaign).
+ * Cada grupo vira um PO em draft com as quantidades somadas por produto, e
+ * as linhas de origem recebem item[].purchase_order_id.
+ *
+ * Filtros opcionais: supplierId, campaignId. Retorna os POs criados.
+ */
+async function consolidate({ supplierId = null, campaignId = null, byCampaign = false, statuses = ['Pending'], by = null } = {}) {
+    const supplierOf = new Map();
+    async function supplierOfProduct(productId) {
+        if (!supplierOf.has(productId)) {
+            const p = await products.findById(productId);
+            supplierOf.set(productId, p ? p.supplier_id || null : null);
+        }
+        return supplierOf.get(productId);
+    }
+
+    // grupo -> { supplier_id, campaign_id, orderIds }
+    const groups = new Map();
+    const source = await orders.filter(o => statuses.includes(o.status) && Array.isArray(o.item));
+    for (const order of source) {
+        for (const line of order.item) {
+            if (!line || line.purchase_order_id) continue;
+            const sup = await supplierOfProduct(line.product_id);
+            if (!sup || (supplierId && sup !== supplierId)) continue;
+            const camp = line.campaign_id || null;
+            if (campaignId && camp !== campaignId) continue;
+
+            const key = byCampaign ? `${sup}|${camp || ''}` : sup;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    supplier_id: sup,
+                    campaign_id: byCampaign ? camp : campaignId,
+                    orderIds: new Set()
+                });
+            }
+            groups.get(key).orderIds.add(order.id);
+        }
+    }
+
+    const created = [];
+    for (const group of groups.values()) {
+        const poId = randomUUID();
+        const matches = line => !line.purchase_order_id &&
+            supplierOf.get(line.product_id) === group.supplier_id &&
+            (!(byCampaign || campaignId) || (line.campaign_id || null) === group.campaign_id);
+
+        // marca as linhas dentro da atualização do pedido: se outra
+        // consolidação pegou a linha antes, ela não entra neste PO
+        const claimed = [];
+        const orderIds = [];
+        for (const orderId of group.orderIds) {
+            let mine = [];
+            await orders.update(orderId, current => {
+                mine = [];
+                if (!statuses.includes(current.status)) return {};
+                const item = current.item.map(line => {
+                    if (!matches(line)) return line;
+                    mine.push(line);
+                    return { ...line, purchase_order_id: poId };
+                });
+                return { item };
+            });
+            if (mine.length) {
+                claimed.push(...mine);
+                orderIds.push(orderId);
+            }
+        }
+        if (!claimed.length) continue;
+
+        const items = sumByProduct(claimed);
+        const po = {
+            id: poId,
+            supplier_id: group.supplier_id,
+            campaign_id: group.campaign_id || null,
+            status: 'draft',
+            items,
+            total_quantity: items.reduce((acc, x) => acc + x.quantity, 0),
+            total_amount: round2(items.reduce((acc, x) => acc + x.amount, 0)),
+            order_ids: orderIds,
+            status_history: [{ from: null, to: 'draft', by, at: formatSQLLike(new Date()) }],
+            created_at: formatSQLLike(new Date())
+        };
+        await purchaseOrders.insert(po);
+        created.push(po);
+    }
+    return created;
+}
+
+/**
+ * Desfaz a consolidação do PO (removido): as linhas de origem perdem o
+ * purchase_order_id e podem ser consolidadas de novo. Retorna as linhas
+ * soltas [{ order_id, index, product_id, quantity }], guardadas no PO para
+ * relink() refazer o vínculo se ele for restaurado.
+ */
+async function release(po) {
+    const released = [];
+    for (const orderId of po.order_ids || []) {
+        await orders.update(orderId, current => {
+            if (!Array.isArray(current.item)) return {};
+            const item = current.item.map((line, index) => {
+                if (!line || line.purchase_order_id !== po.id) return line;
+                released.push({ order_id: orderId, index, product_id: line.product_id, quantity: line.quantity });
+                return { ...line, purchase_order_id: null };
+            });
+            return { item };
+        });
+    }
+    return released;
+}
+
+// desfaz um relink parcial: tira o PO das linhas `refs` do pedido
+function clearLines(orderId, refs) {
+    return orders.update(orderId, current => {
+        const item = [...current.item];
+        for (const r of refs) item[r.index] = { ...item[r.index], purchase_order_id: null };
+        return { item };
+    });
+}
+
+/**
+ * Volta a ligar ao PO as linhas soltas por release() — tudo ou nada. Só dá
+ * certo se cada linha continuar igual, sem PO, num pedido ativo e não
+ * cancelado. Retorna { error, params } ou null.
+ */
+async function relink(po) {
+    const byOrder = new Map();
+    for (const ref of po.released_lines || []) {
+        if (!byOrder.has(ref.order_id)) byOrder.set(ref.order_id, []);
+        byOrder.get(ref.order_id).push(ref);
+    }
+
+    const linked = [];
+    for (const [orderId, refs] of byOrder) {
+        let ok = false;
+        await orders.update(orderId, current => {
+            const item = Array.isArray(current.item) ? current.item : [];
+            ok = !current.deleted_at && current.status !== 'Cancelled' && refs.every(r => {
+                const line = item[r.index];
+                return !!line && !line.purchase_order_id && line.product_id === r.product_id && line.quantity === r.quantity;
+            });
+            if (!ok) return {};
+            return { item: item.map((line, index) => (refs.some(r => r.index === index) ? { ...line, purchase_order_id: po.id } : line)) };
+        });
+        if (!ok) {
+            for (const [doneId, doneRefs] of linked) await clearLines(doneId, doneRefs);
+            return { error: 'purchase_order_lines_changed', params: { order_id: orderId } };
+        }
+        linked.push([orderId, refs]);
+    }
+    return null;
+}
+
+module.exports = { STATUSES, TRANSITIONS, canTransition, transition, consolidate, release, relink };
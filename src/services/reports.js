@@ -0,0 +1,113 @@
+const { repository } = require('../repositories');
+const { ownsStore, ownsSupplier } = require('../middlewares/authorize');
+
+const orders = repository('order');
+const products = repository('product');
+
+// ===== base dos relatórios: linhas de pedido filtradas
+function parseDate(str) {
+    const d = new Date(str);
+    return isNaN(d.getTime()) ? null : d;
+}
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Período como no GET /order: date_from (>=) e date_to (<=) sobre
+ * order.date (as datas já chegam validadas pelo OpenAPI da rota).
+ */
+function dateRange(query) {
+    return {
+        from: query.date_from ? parseDate(query.date_from) : null,
+        to: query.date_to ? parseDate(query.date_to) : null
+    };
+}
+function inRange(order, range) {
+    const d = parseDate(order.date);
+    if (range.from && !(d >= range.from)) return false;
+    if (range.to && !(d <= range.to)) return false;
+    return true;
+}
+
+/**
+ * Pedidos do período visíveis para o usuário, já com os filtros da query
+ * (store_id, status). Sem status, os cancelados ficam de fora, a não ser
+ * que includeCancelled seja true.
+ */
+async function scopedOrders(req, { includeCancelled = false } = {}) {
+    const { store_id, status } = req.query;
+    const range = dateRange(req.query);
+    return orders.filter(o =>
+        inRange(o, range) &&
+        (req.access !== 'own' || req.user.level !== 'store_operator' || ownsStore(req.user, o.store_id)) &&
+        (!store_id || o.store_id === store_id) &&
+        (status ? o.status === status : includeCancelled || o.status !== 'Cancelled')
+    );
+}
+
+/**
+ * Linhas dos pedidos de scopedOrders: [{ order, line, supplier_id }].
+ * Representante de fornecedor só vê as linhas dos produtos do seu fornecedor;
+ * supplier_id na query filtra do mesmo jeito.
+ */
+async function scopedLines(req, options) {
+    const list = await scopedOrders(req, options);
+    const supplierOf = new Map((await products.withDeleted.all()).map(p => [p.id, p.supplier_id]));
+    const { supplier_id } = req.query;
+    const repScope = req.access === 'own' && req.user.level === 'supplier_rep';
+
+    const out = [];
+    for (const order of list) {
+        for (const line of Array.isArray(order.item) ? order.item : []) {
+            const sup = supplierOf.get(line.product_id) || null;
+            if (repScope && !ownsSupplier(req.user, sup)) continue;
+            if (supplier_id && sup !== supplier_id) continue;
+            out.push({ order, line, supplier_id: sup });
+        }
+    }
+    return out;
+}
+
+/**
+ * Soma as linhas agrupando por keyOf(linha). Devolve [{ key, orders,
+ * quantity, list_amount, total_amount, savings }] por total decrescente.
+ * savings = preço de lista - valor pago (desconto das campanhas).
+ */
+function aggregate(rows, keyOf) {
+    const groups = new Map();
+    for (const r of rows) {
+        const key = keyOf(r);
+        const g = groups.get(key) || { key, orderIds: new Set(), quantity: 0, list_amount: 0, total_amount: 0 };
+        g.orderIds.add(r.order.id);
+        g.quantity += r.line.quantity || 0;
+        g.list_amount += (r.line.list_price || 0) * (r.line.quantity || 0);
+        g.total_amount += r.line.line_total || 0;
+        groups.set(key, g);
+    }
+    return [...groups.values()]
+        .map(g => ({
+            key: g.key,
+            orders: g.orderIds.size,
+            quantity: g.quantity,
+            list_amount: round2(g.list_amount),
+            total_amount: round2(g.total_amount),
+            savings: round2(g.list_amount - g.total_amount)
+        }))
+        .sort((a, b) => b.total_amount - a.total_amount);
+}
+
+// filtros efetivamente aplicados, devolvidos junto com o relatório
+function appliedFilters(req) {
+    const range = dateRange(req.query);
+    const fmt = d => (d ? d.toISOString().slice(0, 19).replace('T', ' ') : null);
+    return {
+        date_from: fmt(range.from),
+        date_to: fmt(range.to),
+        store_id: req.query.store_id || null,
+        supplier_id: req.query.supplier_id || null,
+        status: req.query.status || null
+    };
+}
+
+module.exports = { dateRange, scopedOrders, scopedLines, aggregate, appliedFilters };
@@ -0,0 +1,22 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ===== contexto da requisição em andamento
+// Guarda a requisição atual para quem não a recebe por parâmetro (o
+// repositório auditado usa para saber quem fez a alteração).
+const storage = new AsyncLocalStorage();
+
+// middleware: o resto da cadeia (e tudo que ela aguardar) enxerga `req`
+function track(req, res, next) {
+    storage.run({ req }, next);
+}
+
+function current() {
+    return storage.getStore() || null;
+}
+
+// roda `fn` sem registrar auditoria (migração, checagens de armazenamento)
+function withoutAudit(fn) {
+    return storage.run({ audit: false }, fn);
+}
+
+module.exports = { track, current, withoutAudit };
@@ -0,0 +1,171 @@
+// ===== validação de valores contra os schemas do OpenAPI (docs/swagger.js)
+// Cobre o que as docs usam: $ref, allOf, type, nullable, enum, format (email,
+// date-time), minimum/maximum, minLength/maxLength, pattern, minItems/maxItems,
+// required, properties, additionalProperties e items.
+//
+// Regras da API, iguais às que as rotas já aplicavam à mão:
+// - texto numérico vale como number/integer ("19.90", "8") e "true"/"false"/"1"/"0"
+//   como boolean; número vale como texto. O valor sai convertido.
+// - campo obrigatório com "" conta como ausente.
+// - campo que o schema não conhece é descartado (additionalProperties: false recusa).
+// Cada erro leva a regra violada (chave da seção validation dos locales) e os
+// parâmetros da mensagem; quem responde monta o texto no idioma da requisição.
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NUMERIC = /^\s*-?\d+(\.\d+)?\s*$/;
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v) && !Buffer.isBuffer(v);
+}
+
+// "item[0].quantity"
+function join(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function coerce(type, value) {
+    if (type === 'number' || type === 'integer') {
+        if (typeof value === 'string' && NUMERIC.test(value)) return Number(value);
+    } else if (type === 'boolean') {
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+    } else if (type === 'string') {
+        if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    }
+    return value;
+}
+
+function typeMatches(type, value) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return isPlainObject(value);
+        default: return true;
+    }
+}
+
+function formatError(format, value) {
+    if (format === 'email' && !EMAIL.test(value)) return 'email';
+    if (format === 'date-time' && isNaN(new Date(value).getTime())) return 'date_time';
+    return null;
+}
+
+/**
+ * Cria o validador para os schemas de `spec` (o documento OpenAPI).
+ * check(schema, value, path) devolve { value, errors } com `value` já
+ * convertido/limpo e errors = [{ field, rule, params }].
+ */
+function createValidator(spec) {
+    function resolve(schema) {
+        let s = schema || {};
+        const seen = new Set();
+        while (s.$ref) {
+            if (seen.has(s.$ref)) throw new Error(`$ref circular: ${s.$ref}`);
+            seen.add(s.$ref);
+            const found = s.$ref.replace(/^#\//, '').split('/').reduce((acc, k) => (acc ? acc[k] : undefined), spec);
+            if (!found) throw new Error(`$ref não encontrado: ${s.$ref}`);
+            s = found;
+        }
+        return s;
+    }
+
+    // $ref e allOf viram um schema só (properties e required somados)
+    function flatten(schema) {
+        const s = resolve(schema);
+        if (!Array.isArray(s.allOf)) return s;
+        const { allOf, ...own } = s;
+        const out = { properties: {}, required: [] };
+        for (const part of allOf.map(flatten)) {
+            Object.assign(out.properties, part.properties || {});
+            out.required.push(...(part.required || []));
+            for (const k of Object.keys(part)) {
+                if (k !== 'properties' && k !== 'required' && !(k in out)) out[k] = part[k];
+            }
+        }
+        Object.assign(out.properties, own.properties || {});
+        out.required.push(...(own.required || []));
+        for (const k of Object.keys(own)) {
+            if (k !== 'properties' && k !== 'required') out[k] = own[k];
+        }
+        return out;
+    }
+
+    function walk(schema, value, path, errors) {
+        const fail = (rule, params = {}) => errors.push({ field: path, rule, params });
+        const s = flatten(schema);
+        if (value === null) {
+            if (!s.nullable) fail('not_null');
+            return value;
+        }
+
+        const type = s.type || (s.properties ? 'object' : s.items ? 'array' : null);
+        const v = type ? coerce(type, value) : value;
+        if (type && !typeMatches(type, v)) {
+            fail(`type_${type}`);
+            return value;
+        }
+
+        if (Array.isArray(s.enum) && !s.enum.includes(v)) {
+            fail('enum', { values: s.enum });
+            return v;
+        }
+
+        if (typeof v === 'string') {
+            const fmt = s.format ? formatError(s.format, v) : null;
+            if (fmt) fail(fmt);
+            if (s.minLength !== undefined && v.length < s.minLength) fail('min_length', { min: s.minLength });
+            if (s.maxLength !== undefined && v.length > s.maxLength) fail('max_length', { max: s.maxLength });
+            if (s.pattern && !new RegExp(s.pattern).test(v)) fail('pattern');
+        }
+
+        if (typeof v === 'number') {
+            if (s.minimum !== undefined && v < s.minimum) fail('minimum', { min: s.minimum });
+            if (s.maximum !== undefined && v > s.maximum) fail('maximum', { max: s.maximum });
+        }
+
+        if (Array.isArray(v)) {
+            if (s.minItems !== undefined && v.length < s.minItems) fail('min_items', { min: s.minItems });
+            if (s.maxItems !== undefined && v.length > s.maxItems) fail('max_items', { max: s.maxItems });
+            return s.items ? v.map((item, i) => walk(s.items, item, join(path, i), errors)) : v;
+        }
+
+        if (isPlainObject(v) && (s.properties || s.additionalProperties !== undefined)) {
+            return walkObject(s, v, path, errors);
+        }
+        return v;
+    }
+
+    function walkObject(s, obj, path, errors) {
+        const props = s.properties || {};
+        const out = {};
+        const missing = (s.required || []).filter(name => obj[name] === undefined || obj[name] === '');
+        for (const name of missing) errors.push({ field: join(path, name), rule: 'required', params: {} });
+
+        for (const [key, val] of Object.entries(obj)) {
+            if (missing.includes(key)) continue;
+            if (props[key]) {
+                if (val !== undefined) out[key] = walk(props[key], val, join(path, key), errors);
+            } else if (s.additionalProperties === false) {
+                errors.push({ field: join(path, key), rule: 'not_allowed', params: {} });
+            } else if (isPlainObject(s.additionalProperties)) {
+                out[key] = walk(s.additionalProperties, val, join(path, key), errors);
+            } else if (s.additionalProperties === true) {
+                out[key] = val;
+            }
+        }
+        return out;
+    }
+
+    function check(schema, value, path = '') {
+        const errors = [];
+        const out = walk(schema, value, path, errors);
+        return { value: out, errors };
+    }
+
+    return { resolve, check };
+}
+
+module.exports = { createValidator };
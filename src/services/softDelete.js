@@ -0,0 +1,68 @@
+const integrity = require('./integrity');
+const { ConflictError } = require('./errors');
+const { repository, COLLECTIONS } = require('../repositories');
+
+// ===== exclusão lógica: consulta, restauração e expurgo
+// (o delete dos repositórios só marca deleted_at; ver softDeleteRepository)
+const DEFAULT_RETENTION_DAYS = 90;
+
+// ?include_deleted=true nas listagens/buscas mostra também os removidos
+function readable(req, repo) {
+    return req.query.include_deleted === 'true' ? repo.withDeleted : repo;
+}
+
+/**
+ * Restaura um registro removido. As referências obrigatórias dele precisam
+ * existir (restaure o pai primeiro). `prepare(record)` faz as conferências
+ * próprias do recurso (lança ConflictError) e devolve { changes } para
+ * gravar junto. Retorna o registro restaurado.
+ */
+async function restore(collection, record, prepare) {
+    if (!record.deleted_at) throw new ConflictError('not_deleted');
+
+    const missing = await integrity.findMissing(integrity.refsOf(collection, record));
+    if (missing.length) {
+        throw new ConflictError(
+            'restore_parent_first',
+            { refs: missing.map(m => `${m.field}=${m.id}`) },
+            { missing }
+        );
+    }
+
+    const prepared = prepare ? await prepare(record) : {};
+    const restored = await repository(collection).restore(record.id, prepared && prepared.changes);
+    if (!restored) throw new ConflictError('not_deleted');
+    return restored;
+}
+
+/**
+ * Remove de vez os registros com deleted_at anterior a `retentionDays` dias.
+ * Quem ainda é referenciado por registro ativo, inclusive pedidos e pedidos
+ * de compra (histórico), fica (kept). Retorna
+ * { <coleção>: { purged, kept } } só com as coleções que tinham candidatos.
+ */
+async function purge({ retentionDays = DEFAULT_RETENTION_DAYS, now = new Date() } = {}) {
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+    const summary = {};
+    for (const name of COLLECTIONS) {
+        const repo = repository(name);
+        if (!repo.withDeleted) continue;
+
+        const expired = await repo.withDeleted.filter(x => x.deleted_at && new Date(x.deleted_at.replace(' ', 'T') + 'Z') <= cutoff);
+        if (!expired.length) continue;
+
+        summary[name] = { purged: 0, kept: 0 };
+        for (const rec of expired) {
+            if (Object.keys(await integrity.findDependents(name, rec.id, { history: true })).length) {
+                summary[name].kept++;
+                continue;
+            }
+            await repo.purge(rec.id);
+            await integrity.unlinkReferences(name, rec.id);
+            summary[name].purged++;
+        }
+    }
+    return summary;
+}
+
+module.exports = { DEFAULT_RETENTION_DAYS, readable, restore, purge };
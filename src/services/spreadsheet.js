@@ -0,0 +1,170 @@
+const express = require('express');
+const ExcelJS = require('exceljs');
+
+// ===== leitura de planilhas enviadas no corpo da requisição (CSV ou XLSX)
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const MAX_UPLOAD = process.env.IMPORT_MAX_SIZE || '10mb';
+
+// corpo cru (Buffer) para as rotas de importação; o JSON global ignora esses tipos
+const rawUpload = express.raw({
+    type: ['text/csv', 'text/plain', 'application/csv', 'application/octet-stream', XLSX_MIME],
+    limit: MAX_UPLOAD
+});
+
+// "Preço Unitário" -> "preco_unitario"
+function normalizeHeader(str) {
+    return String(str || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// CSV (RFC 4180): aspas, aspas duplicadas, quebras de linha dentro de aspas.
+// Separador detectado na primeira linha (";" do Excel pt-BR ou ",").
+function parseCsv(text) {
+    const clean = text.replace(/^\uFEFF/, '');
+    const firstLine = clean.split(/\r?\n/, 1)[0];
+    const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < clean.length; i++) {
+        const ch = clean[i];
+        if (quoted) {
+            if (ch === '"' && clean[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === sep) {
+            row.push(cell); cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && clean[i + 1] === '\n') i++;
+            row.push(cell); cell = '';
+            rows.push(row); row = [];
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+    return rows;
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+        if ('result' in value) return cellText(value.result);         // fórmula
+        if ('text' in value) return cellText(value.text);             // hyperlink
+        if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('');
+    }
+    return String(value);
+}
+
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (r, n) => {
+        const cells = [];
+        for (let c = 1; c <= sheet.columnCount; c++) cells.push(cellText(r.getCell(c).value));
+        rows[n - 1] = cells;
+    });
+    return Array.from(rows, r => r || []);
+}
+
+// "Nome:name,Preço:price" -> { nome: 'name', preco: 'price' }
+function parseMapping(str) {
+    const map = {};
+    for (const pair of String(str || '').split(',')) {
+        const [from, to] = pair.split(':').map(s => (s || '').trim());
+        if (from && to) map[normalizeHeader(from)] = to;
+    }
+    return map;
+}
+
+/**
+ * Lê a planilha do corpo (Buffer) e devolve as linhas como objetos com os
+ * campos da API: { rows: [{ line, data }] } ou { error, params }.
+ *
+ * A coluna vira campo por `mapping` (query "Coluna:campo,..."), senão pelos
+ * `aliases` ({ campo: ['nome da coluna', ...] }), senão pelo próprio nome
+ * normalizado. Colunas sem campo conhecido são ignoradas. `line` é o número
+ * da linha na planilha (o cabeçalho é a linha 1); linhas vazias são puladas.
+ */
+async function readRows(req, { fields, aliases = {} }) {
+    const body = req.body;
+    if (!Buffer.isBuffer(body) || !body.length) {
+        return { error: 'spreadsheet_missing', params: { mime: XLSX_MIME } };
+    }
+
+    // XLSX é um zip: começa com "PK"
+    const format = req.query.format || (body[0] === 0x50 && body[1] === 0x4b ? 'xlsx' : 'csv');
+    let table;
+    try {
+        if (format === 'xlsx') table = await parseXlsx(body);
+        else if (format === 'csv') table = parseCsv(body.toString('utf8'));
+        else return { error: 'invalid_spreadsheet_format' };
+    } catch (err) {
+        return { error: 'spreadsheet_unreadable', params: { format, reason: err.message } };
+    }
+    if (!table.length) return { error: 'spreadsheet_empty' };
+
+    const mapping = parseMapping(req.query.mapping);
+    const byAlias = {};
+    for (const field of fields) {
+        byAlias[normalizeHeader(field)] = field;
+        for (const a of aliases[field] || []) byAlias[normalizeHeader(a)] = field;
+    }
+    const columns = table[0].map(h => {
+        const key = normalizeHeader(h);
+        const field = mapping[key] || byAlias[key] || null;
+        return fields.includes(field) ? field : null;
+    });
+    if (!columns.some(Boolean)) {
+        return { error: 'spreadsheet_no_columns', params: { fields } };
+    }
+
+    const rows = [];
+    for (let i = 1; i < table.length; i++) {
+        const cells = table[i] || [];
+        if (cells.every(c => String(c).trim() === '')) continue;
+        const data = {};
+        columns.forEach((field, c) => {
+            if (!field) return;
+            const v = String(cells[c] === undefined ? '' : cells[c]).trim();
+            if (v !== '') data[field] = v;
+        });
+        rows.push({ line: i + 1, data });
+    }
+    return { rows };
+}
+
+// "1.234,56" / "19,90" (pt-BR) -> "1234.56" / "19.90"; o resto passa igual
+function decimal(val) {
+    if (typeof val !== 'string' || !/^-?[\d.]*,\d+$/.test(val)) return val;
+    return val.replace(/\./g, '').replace(',', '.');
+}
+
+function isTrue(val) {
+    return val === true || val === 'true' || val === '1';
+}
+
+// relatório por linha: { dry_run, total, created, updated, rejected, rows }
+function report(results, dryRun) {
+    const count = action => results.filter(r => r.action === action).length;
+    return {
+        dry_run: dryRun,
+        total: results.length,
+        created: count('created'),
+        updated: count('updated'),
+        rejected: count('rejected'),
+        rows: results
+    };
+}
+
+module.exports = { XLSX_MIME, rawUpload, readRows, decimal, isTrue, report, normalizeHeader };
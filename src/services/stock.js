@@ -0,0 +1,100 @@
+const { repository } = require('../repositories');
+
+const products = repository('product');
+
+// soma as quantidades por produto (um pedido pode repetir o mesmo produto)
+function quantitiesByProduct(lines) {
+    const map = new Map();
+    for (const l of Array.isArray(lines) ? lines : []) {
+        map.set(l.product_id, (map.get(l.product_id) || 0) + l.quantity);
+    }
+    return map;
+}
+function available(product) {
+    return (product.stock_quantity || 0) - (product.reserved_quantity || 0);
+}
+
+/**
+ * Reserva estoque para as linhas do pedido (tudo ou nada).
+ * Retorna [] se reservou, ou a lista de faltas
+ * [{ product_id, name, requested, available }] sem deixar nada reservado.
+ */
+async function reserve(lines) {
+    const wanted = quantitiesByProduct(lines);
+
+    // cada produto é conferido e reservado numa única atualização; se algum
+    // faltar, desfaz as reservas já feitas
+    const reserved = [];
+    const shortages = [];
+    for (const [productId, qty] of wanted) {
+        let short = null;
+        const p = await products.update(productId, current => {
+            const free = available(current);
+            if (qty > free) {
+                short = { product_id: productId, name: current.name, requested: qty, available: Math.max(0, free) };
+                return {};
+            }
+            return { reserved_quantity: (current.reserved_quantity || 0) + qty };
+        });
+        if (!p) short = { product_id: productId, name: null, requested: qty, available: 0 };
+
+        if (short) shortages.push(short);
+        else reserved.push({ product_id: productId, quantity: qty });
+    }
+
+    if (shortages.length) {
+        await release(reserved);
+        return shortages;
+    }
+    return [];
+}
+
+/**
+ * Troca a reserva das linhas `from` pelas de `to` (itens do pedido editados),
+ * tudo ou nada: por produto só a diferença é reservada ou devolvida, e nada
+ * é devolvido antes de o acréscimo caber. Retorna [] se trocou, ou as faltas
+ * (como reserve, contando o que o pedido já tinha) sem mexer em nada.
+ */
+async function swap(from, to) {
+    const before = quantitiesByProduct(from);
+    const after = quantitiesByProduct(to);
+    const more = [];
+    const less = [];
+    for (const productId of new Set([...before.keys(), ...after.keys()])) {
+        const diff = (after.get(productId) || 0) - (before.get(productId) || 0);
+        if (diff > 0) more.push({ product_id: productId, quantity: diff });
+        if (diff < 0) less.push({ product_id: productId, quantity: -diff });
+    }
+
+    const shortages = await reserve(more);
+    if (shortages.length) {
+        return shortages.map(s => ({
+            ...s,
+            requested: after.get(s.product_id),
+            available: s.available + (before.get(s.product_id) || 0)
+        }));
+    }
+    await release(less);
+    return [];
+}
+
+// devolve a reserva (pedido removido/cancelado)
+async function release(lines) {
+    for (const [productId, qty] of quantitiesByProduct(lines)) {
+        await products.update(productId, current => ({
+            reserved_quantity: Math.max(0, (current.reserved_quantity || 0) - qty)
+        }));
+    }
+}
+
+// efetiva a reserva: baixa o estoque (pedido expedido)
+async function commit(lines) {
+    for (const [productId, qty] of quantitiesByProduct(lines)) {
+        await products.update(productId, current => ({
+            reserved_quantity: Math.max(0, (current.reserved_quantity || 0) - qty),
+            stock_quantity: Math.max(0, (current.stock_quantity || 0) - qty)
+        }));
+    }
+}
+
+module.exports = { reserve, swap, release, commit };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { repository } = require('../repositories');
+
+const sessions = repository('session');
+
+// ===== configuração
+// Sem AUTH_SECRET os tokens deixam de valer a cada reinício do servidor.
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TTL = Number.parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;          // segundos
+const REFRESH_TTL = Number.parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60; // segundos
+const CHALLENGE_TTL = Number.parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL, 10) || 5 * 60;   // segundos
+
+// ===== helpers
+function b64url(buf) {
+    return Buffer.from(buf).toString('base64url');
+}
+function sign(data) {
+    return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+function sha256(str) {
+    return crypto.createHash('sha256').update(str).digest('hex');
+}
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+// header.payload.assinatura (HMAC-SHA256, formato JWT)
+function signToken(claims, ttl) {
+    const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const iat = now();
+    const payload = b64url(JSON.stringify({ ...claims, iat, exp: iat + ttl }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// retorna o payload se assinatura e validade estiverem ok, senão null
+function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const given = Buffer.from(parts[2]);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        return payload.exp > now() ? payload : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function signAccess(user, sid) {
+    return signToken({ sub: user.id, sid }, ACCESS_TTL);
+}
+
+// só access tokens: o desafio do 2FA não abre sessão
+function verifyAccess(token) {
+    const payload = verifyToken(token);
+    return payload && !payload.purpose ? payload : null;
+}
+
+/**
+ * Desafio do login em dois passos: prova que a senha já conferiu e vale
+ * CHALLENGE_TTL segundos para enviar o código em POST /users/login/2fa.
+ */
+function issueChallenge(user) {
+    return {
+        challenge_token: signToken({ sub: user.id, purpose: '2fa' }, CHALLENGE_TTL),
+        expires_in: CHALLENGE_TTL
+    };
+}
+
+// id do usuário do desafio se ele for válido, senão null
+function verifyChallenge(token) {
+    const payload = verifyToken(token);
+    return payload && payload.purpose === '2fa' ? payload.sub : null;
+}
+
+function tokenPair(user, session, refreshSecret) {
+    return {
+        token_type: 'Bearer',
+        access_token: signAccess(user, session.id),
+        expires_in: ACCESS_TTL,
+        refresh_token: `${session.id}.${refreshSecret}`
+    };
+}
+
+/**
+ * Abre uma sessão para o usuário e devolve access + refresh token.
+ * O refresh é guardado só como hash.
+ */
+async function issue(user) {
+    const refreshSecret = crypto.randomBytes(32).toString('base64url');
+    const session = {
+        id: crypto.randomUUID(),
+        user_id: user.id,
+        refresh_hash: sha256(refreshSecret),
+        expires_at: now() + REFRESH_TTL,
+        revoked_at: null
+    };
+
+    // aproveita para descartar sessões vencidas
+    for (const old of await sessions.filter(s => s.expires_at <= now() || s.revoked_at)) {
+        await sessions.delete(old.id);
+    }
+    await sessions.insert(session);
+
+    return tokenPair(user, session, refreshSecret);
+}
+
+/**
+ * Troca um refresh token válido por um novo par (o refresh anterior deixa de valer).
+ * loadUser(id) deve devolver o usuário ativo ou null.
+ */
+async function refresh(refreshToken, loadUser) {
+    const [sid, secret] = String(refreshToken || '').split('.');
+    if (!sid || !secret) return null;
+
+    const session = await sessions.findById(sid);
+    if (!session || session.revoked_at || session.expires_at <= now()) return null;
+    if (session.refresh_hash !== sha256(secret)) return null;
+
+    const user = await loadUser(session.user_id);
+    if (!user) return null;
+
+    const refreshSecret = crypto.randomBytes(32).toString('base64url');
+    session.refresh_hash = sha256(refreshSecret);
+    session.expires_at = now() + REFRESH_TTL;
+    await sessions.update(session.id, session);
+
+    return tokenPair(user, session, refreshSecret);
+}
+
+// encerra a sessão: access e refresh tokens dela deixam de valer
+async function revoke(sid) {
+    return !!(await sessions.update(sid, { revoked_at: now() }));
+}
+
+// encerra todas as sessões do usuário (ex.: depois de redefinir a senha),
+// menos a `except` (a de quem trocou a própria senha continua aberta)
+async function revokeAll(userId, { except = null } = {}) {
+    for (const s of await sessions.filter(x => x.user_id === userId && !x.revoked_at && x.id !== except)) {
+        await sessions.update(s.id, { revoked_at: now() });
+    }
+}
+
+async function isSessionActive(sid) {
+    const session = await sessions.findById(sid);
+    return !!session && !session.revoked_at && session.expires_at > now();
+}
+
+module.exports = { issue, refresh, revoke, revokeAll, verifyAccess, issueChallenge, verifyChallenge, isSessionActive };
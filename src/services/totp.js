@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// ===== TOTP (RFC 6238), o código de 6 dígitos dos apps autenticadores
+// HMAC-SHA1, passo de 30 s; o segredo circula em base32 (RFC 4648, sem '=').
+// Todas as funções recebem `now` (ms) para os testes fixarem o relógio.
+const STEP = 30;
+const DIGITS = 6;
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+// aceita minúsculas, espaços e '=' (como os apps mostram o segredo)
+function base32Decode(str) {
+    const clean = String(str).toUpperCase().replace(/[\s=]+/g, '');
+    let bits = 0;
+    let value = 0;
+    const out = [];
+    for (const ch of clean) {
+        const idx = ALPHABET.indexOf(ch);
+        if (idx === -1) throw new Error(`Caractere inválido em base32: ${ch}`);
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(out);
+}
+
+// segredo novo (160 bits, o tamanho recomendado para SHA1) em base32
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function counterAt(now) {
+    return Math.floor(now / 1000 / STEP);
+}
+
+// código do passo `counter` (HOTP, RFC 4226)
+function hotp(secret, counter) {
+    const msg = Buffer.alloc(8);
+    msg.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// código válido em `now`
+function generate(secret, now = Date.now()) {
+    return hotp(secret, counterAt(now));
+}
+
+/**
+ * Confere o código aceitando `window` passos antes e depois (relógio do
+ * celular adiantado ou atrasado). Devolve o passo que casou, ou null.
+ * Passos até `after` (o último já usado) não valem: o mesmo código não
+ * serve duas vezes.
+ */
+function verify(secret, code, { now = Date.now(), window = 1, after = null } = {}) {
+    const given = String(code || '').replace(/\s+/g, '');
+    if (!/^\d+$/.test(given) || given.length !== DIGITS) return null;
+
+    const current = counterAt(now);
+    for (let counter = current - window; counter <= current + window; counter++) {
+        if (after !== null && counter <= after) continue;
+        const expected = Buffer.from(hotp(secret, counter));
+        if (crypto.timingSafeEqual(expected, Buffer.from(given))) return counter;
+    }
+    return null;
+}
+
+// URI para o QR code dos apps (Google Authenticator, Authy...)
+function otpauthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const query = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP) });
+    return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = { STEP, DIGITS, base32Encode, base32Decode, generateSecret, generate, verify, otpauthUri };
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const totp = require('./totp');
+
+// ===== autenticação em dois fatores (TOTP + códigos de recuperação)
+// TOTP_ISSUER: nome que aparece no app autenticador (padrão CentralCompras)
+// No usuário: totp_secret (base32), totp_enabled, totp_last_counter (último
+// passo aceito, contra reuso do código) e recovery_codes (hashes; cada
+// código vale uma vez).
+const ISSUER = process.env.TOTP_ISSUER || 'CentralCompras';
+const RECOVERY_COUNT = 10;
+
+function sha256(str) {
+    return crypto.createHash('sha256').update(str).digest('hex');
+}
+// "ABCDE-12345", "abcde12345" e " abcde 12345 " são o mesmo código
+function normalizeRecovery(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Início do cadastro: segredo novo e a URI para o QR code. O 2FA só passa
+ * a valer depois de confirmado com um código (ver confirm).
+ */
+function setup(user) {
+    const secret = totp.generateSecret();
+    return {
+        secret,
+        otpauth_uri: totp.otpauthUri({ secret, account: user.user, issuer: ISSUER }),
+        changes: { totp_secret: secret, totp_enabled: false, totp_last_counter: null, recovery_codes: [] }
+    };
+}
+
+// códigos de recuperação novos: os textos (mostrados uma vez) e os hashes (gravados)
+function recoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_COUNT; i++) {
+        const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(c => sha256(normalizeRecovery(c))) };
+}
+
+/**
+ * Confere o segundo fator do usuário: `code` (TOTP) ou, se o celular não
+ * estiver à mão, `recovery_code`. Devolve as alterações a gravar no usuário
+ * (passo usado ou código de recuperação riscado), ou null se não confere.
+ */
+function check(user, { code, recovery_code }, now = Date.now()) {
+    if (!user.totp_secret) return null;
+    if (recovery_code) {
+        const hash = sha256(normalizeRecovery(recovery_code));
+        const codes = user.recovery_codes || [];
+        if (!codes.includes(hash)) return null;
+        return { recovery_codes: codes.filter(h => h !== hash) };
+    }
+    const after = user.totp_last_counter === undefined ? null : user.totp_last_counter;
+    const counter = totp.verify(user.totp_secret, code, { now, after });
+    return counter === null ? null : { totp_last_counter: counter };
+}
+
+/**
+ * Confirma o cadastro com o primeiro código do app: liga o 2FA e gera os
+ * códigos de recuperação. Devolve { changes, recovery_codes } ou null.
+ */
+function confirm(user, code, now = Date.now()) {
+    const used = check(user, { code }, now);
+    if (!used) return null;
+    const { codes, hashes } = recoveryCodes();
+    return { changes: { ...used, totp_enabled: true, recovery_codes: hashes }, recovery_codes: codes };
+}
+
+// alterações que desligam o 2FA
+function disable() {
+    return { totp_secret: null, totp_enabled: false, totp_last_counter: null, recovery_codes: [] };
+}
+
+module.exports = { ISSUER, RECOVERY_COUNT, setup, recoveryCodes, check, confirm, disable };
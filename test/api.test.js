@@ -0,0 +1,104 @@
+// Testes de fumaça da API: validação, erros (RFC 7807) e permissões.
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { PWD, assertProblem, startApi } = require('./helpers');
+
+let api;
+const tokens = {};
+
+before(async () => {
+    api = await startApi();
+    tokens.admin = api.admin;
+
+    await api.create('/users', { name: 'Comprador', contact_email: 'comprador@teste.local', user: 'comprador', pwd: PWD, level: 'user' });
+    tokens.user = await api.login('comprador');
+});
+
+after(() => api.close());
+
+// ===== validação
+test('corpo fora do schema volta 400 validation_failed com a lista de campos', async () => {
+    const res = await api.call('POST', '/store', { token: tokens.admin, body: { contact_email: 'sem-arroba' } });
+    assertProblem(res, 400, 'validation_failed');
+    assert.ok(Array.isArray(res.body.errors) && res.body.errors.length > 0);
+    assert.ok(res.body.errors.every(e => e.in && e.field && e.message));
+});
+
+test('JSON malformado volta 400 invalid_json', async () => {
+    const res = await api.call('POST', '/store', { token: tokens.admin, raw: '{"store_name":' });
+    assertProblem(res, 400, 'invalid_json');
+});
+
+test('as rotas documentadas carregam de qualquer pasta de trabalho', () => {
+    const swagger = path.join(__dirname, '../src/docs/swagger');
+    const out = execFileSync(process.execPath, ['-e', `console.log(Object.keys(require(${JSON.stringify(swagger)}).spec.paths).length)`], {
+        cwd: os.tmpdir()
+    });
+    assert.ok(Number(out) > 0);
+});
+
+test('query string fora do schema volta 400 validation_failed', async () => {
+    const res = await api.call('GET', '/audit?action=apagar', { token: tokens.admin });
+    assertProblem(res, 400, 'validation_failed');
+    assert.ok(res.body.errors.some(e => e.in === 'query' && e.field === 'action'));
+});
+
+// ===== erros
+test('rota inexistente volta 404 route_not_found', async () => {
+    const res = await api.call('GET', '/nao-existe', { token: tokens.admin });
+    assertProblem(res, 404, 'route_not_found');
+});
+
+test('registro inexistente volta 404', async () => {
+    const res = await api.call('GET', '/store/00000000-0000-4000-8000-000000000000', { token: tokens.admin });
+    assert.equal(res.status, 404);
+    assert.match(res.type, /^application\/problem\+json/);
+});
+
+test('mensagens seguem o Accept-Language e o code não muda', async () => {
+    const pt = await api.call('GET', '/nao-existe', { token: tokens.admin });
+    const en = await api.call('GET', '/nao-existe', { token: tokens.admin, lang: 'en' });
+    assert.equal(pt.language, 'pt-BR');
+    assert.equal(en.language, 'en');
+    assert.equal(pt.body.code, en.body.code);
+    assert.notEqual(pt.body.detail, en.body.detail);
+});
+
+// ===== autenticação e permissões
+test('sem token volta 401', async () => {
+    const res = await api.call('GET', '/store');
+    assertProblem(res, 401, 'unauthenticated');
+});
+
+test('token inválido volta 401', async () => {
+    const res = await api.call('GET', '/store', { token: 'invalido' });
+    assertProblem(res, 401, 'unauthenticated');
+});
+
+test('papel sem escrita no recurso volta 403', async () => {
+    const read = await api.call('GET', '/store', { token: tokens.user });
+    assert.equal(read.status, 200);
+
+    const res = await api.call('POST', '/store', {
+        token: tokens.user,
+        body: { store_name: 'Loja', cnpj: '11222333000181', contact_email: 'loja@teste.local' }
+    });
+    assertProblem(res, 403, 'forbidden');
+});
+
+test('só admin consulta a auditoria', async () => {
+    assertProblem(await api.call('GET', '/audit', { token: tokens.user }), 403, 'forbidden');
+    assert.equal((await api.call('GET', '/audit', { token: tokens.admin })).status, 200);
+});
+
+test('admin cadastra loja', async () => {
+    const res = await api.call('POST', '/store', {
+        token: tokens.admin,
+        body: { store_name: 'Loja', cnpj: '11222333000181', contact_email: 'loja@teste.local' }
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.store_name, 'Loja');
+});
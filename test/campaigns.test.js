@@ -0,0 +1,185 @@
+// Campanhas: preço com desconto e faixas, compromissos e apuração das
+// campanhas com volume mínimo.
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { assertProblem, cnpjFor, startApi } = require('./helpers');
+const { repository } = require('../src/repositories');
+const commitments = require('../src/services/commitments');
+const stock = require('../src/services/stock');
+
+const DAY = 86400000;
+let api;
+let supplier;
+let stores;
+let seq = 0;
+
+before(async () => {
+    api = await startApi();
+    supplier = await api.create('/supplier', { supplier_name: 'Fornecedor', cnpj: cnpjFor(1), contact_email: 'f@teste.local' });
+    stores = [
+        await api.create('/store', { store_name: 'Loja A', cnpj: cnpjFor(2), contact_email: 'a@teste.local' }),
+        await api.create('/store', { store_name: 'Loja B', cnpj: cnpjFor(3), contact_email: 'b@teste.local' })
+    ];
+});
+
+after(() => api.close());
+
+function product(fields = {}) {
+    seq++;
+    return api.create('/product', { name: `Produto ${seq}`, price: 10, stock_quantity: 100, supplier_id: supplier.id, ...fields });
+}
+function campaign(fields = {}) {
+    seq++;
+    const now = Date.now();
+    return api.create('/campaing', {
+        name: `Campanha ${seq}`, supplier_id: supplier.id, discount_percentage: 10,
+        start_date: new Date(now - DAY).toISOString(), end_date: new Date(now + DAY).toISOString(), ...fields
+    });
+}
+function commit(c, store, p, quantity) {
+    return api.create('/commitment', { campaign_id: c.id, store_id: store.id, items: [{ product_id: p.id, quantity }] });
+}
+// a apuração roda depois do end_date
+function settleLater(c) {
+    return repository('campaing').findById(c.id)
+        .then(current => commitments.settle(current, { now: new Date(Date.parse(c.end_date) + 60000) }));
+}
+
+// preço unitário de cada linha de um pedido novo
+async function unitPrices(item) {
+    const o = await api.create('/order', { store_id: stores[0].id, item });
+    return o.item.map(l => [l.unit_price, l.campaign_id]);
+}
+
+// ===== preço
+test('sem campanha vale o preço do produto', async () => {
+    const p = await product({ price: 12.5 });
+    assert.deepEqual(await unitPrices([{ product_id: p.id, quantity: 2 }]), [[12.5, null]]);
+});
+
+test('faixas: vale a maior atingida pela quantidade da linha', async () => {
+    const p = await product();
+    const c = await campaign({
+        product_ids: [p.id],
+        tiers: [{ min_quantity: 5, discount_percentage: 20 }, { min_quantity: 10, discount_amount: 3 }]
+    });
+
+    assert.deepEqual(await unitPrices([
+        { product_id: p.id, quantity: 1 },
+        { product_id: p.id, quantity: 5 },
+        { product_id: p.id, quantity: 12 }
+    ]), [[9, c.id], [8, c.id], [7, c.id]]);
+});
+
+test('entre campanhas ativas vale a de menor preço para a quantidade', async () => {
+    const p = await product();
+    const flat = await campaign({ product_ids: [p.id], discount_percentage: 15 });
+    const tiered = await campaign({ product_ids: [p.id], discount_percentage: 5, tiers: [{ min_quantity: 10, discount_percentage: 30 }] });
+
+    assert.deepEqual(await unitPrices([{ product_id: p.id, quantity: 2 }]), [[8.5, flat.id]]);
+    assert.deepEqual(await unitPrices([{ product_id: p.id, quantity: 10 }]), [[7, tiered.id]]);
+    // campanha escolhida pelo cliente vale mesmo sem ser a melhor
+    assert.deepEqual(await unitPrices([{ product_id: p.id, quantity: 2, campaign_id: tiered.id }]), [[9.5, tiered.id]]);
+});
+
+test('campanha de outro produto, vencida ou com volume mínimo não entra no pedido', async () => {
+    const p = await product();
+    const other = await product();
+    const now = Date.now();
+    const elsewhere = await campaign({ product_ids: [other.id] });
+    const expired = await campaign({ product_ids: [p.id], start_date: new Date(now - 3 * DAY).toISOString(), end_date: new Date(now - DAY).toISOString() });
+    const threshold = await campaign({ product_ids: [p.id], min_total_quantity: 100 });
+
+    assert.deepEqual(await unitPrices([{ product_id: p.id, quantity: 1 }]), [[10, null]]);
+    const order = campaignId => api.call('POST', '/order', {
+        token: api.admin,
+        body: { store_id: stores[0].id, item: [{ product_id: p.id, quantity: 1, campaign_id: campaignId }] }
+    });
+    assertProblem(await order(elsewhere.id), 400, 'item_campaign_not_applicable');
+    assertProblem(await order(expired.id), 400, 'item_campaign_not_applicable');
+    assertProblem(await order(threshold.id), 400, 'item_campaign_threshold');
+});
+
+// ===== compromissos
+test('compromisso só em campanha com volume mínimo, um aberto por loja', async () => {
+    const p = await product();
+    const plain = await campaign({ product_ids: [p.id] });
+    const c = await campaign({ min_total_quantity: 5 });
+
+    assertProblem(await api.call('POST', '/commitment', {
+        token: api.admin,
+        body: { campaign_id: plain.id, store_id: stores[0].id, items: [{ product_id: p.id, quantity: 1 }] }
+    }), 400, 'campaign_without_threshold');
+
+    const first = await commit(c, stores[0], p, 2);
+    assert.equal(first.total_amount, 18);
+    const again = await api.call('POST', '/commitment', {
+        token: api.admin,
+        body: { campaign_id: c.id, store_id: stores[0].id, items: [{ product_id: p.id, quantity: 1 }] }
+    });
+    assertProblem(again, 409, 'commitment_exists');
+});
+
+// ===== apuração
+test('campanha em andamento não é apurada', async () => {
+    const c = await campaign({ min_total_quantity: 5 });
+    assertProblem(await api.call('POST', `/campaing/${c.id}/settle`, { token: api.admin }), 409, 'campaign_running');
+});
+
+test('meta atingida: compromissos viram pedidos com o preço da campanha', async () => {
+    const p = await product();
+    const c = await campaign({ min_total_quantity: 5 });
+    await commit(c, stores[0], p, 3);
+    await commit(c, stores[1], p, 3);
+
+    const { settlement } = await settleLater(c);
+    assert.equal(settlement.status, 'met');
+    assert.equal(settlement.total_quantity, 6);
+    assert.equal(settlement.converted, 2);
+
+    const orders = await repository('order').filter(o => o.item.some(l => l.product_id === p.id));
+    assert.equal(orders.length, 2);
+    assert.ok(orders.every(o => o.item[0].unit_price === 9 && o.status === 'Pending'));
+    assert.equal((await repository('product').findById(p.id)).reserved_quantity, 6);
+});
+
+test('meta não atingida: compromissos são liberados', async () => {
+    const p = await product();
+    const c = await campaign({ min_total_quantity: 50 });
+    await commit(c, stores[0], p, 3);
+
+    const { settlement } = await settleLater(c);
+    assert.equal(settlement.status, 'not_met');
+    assert.equal(settlement.released, 1);
+    assert.equal((await repository('product').findById(p.id)).reserved_quantity, 0);
+    assert.deepEqual(await settleLater(c), { error: 'campaign_settled' });
+});
+
+test('apuração que falha no meio é refeita só para os compromissos abertos', async t => {
+    const p = await product();
+    const c = await campaign({ min_total_quantity: 5 });
+    await commit(c, stores[0], p, 3);
+    await commit(c, stores[1], p, 3);
+
+    // a segunda reserva falha uma vez
+    const reserve = stock.reserve;
+    let calls = 0;
+    t.mock.method(stock, 'reserve', lines => {
+        calls++;
+        if (calls === 2) throw new Error('falha simulada');
+        return reserve(lines);
+    });
+
+    await assert.rejects(settleLater(c), /falha simulada/);
+    const stuck = await repository('campaing').findById(c.id);
+    assert.equal(stuck.settlement.status, 'error');
+    const statuses = (await repository('commitment').filter(x => x.campaign_id === c.id)).map(x => x.status).sort();
+    assert.deepEqual(statuses, ['converted', 'open']);
+
+    const { settlement } = await settleLater(c);
+    assert.equal(settlement.status, 'met');
+    assert.equal(settlement.total_quantity, 6);
+    assert.equal(settlement.converted, 2);
+    assert.equal((await repository('order').filter(o => o.commitment_id && o.item[0].product_id === p.id)).length, 2);
+    assert.equal((await repository('product').findById(p.id)).reserved_quantity, 6);
+});
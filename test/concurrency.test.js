@@ -0,0 +1,117 @@
+// Escritas simultâneas não se perdem:
+// - repositório: N inserts em paralelo em cada coleção e N incrementos no
+//   mesmo registro;
+// - API: N POST em paralelo em cada recurso, N pedidos contra um estoque de
+//   N/2 (a reserva não pode passar do estoque) e cadastros repetidos ao
+//   mesmo tempo (e-mail e CNPJ únicos).
+// N = CONCURRENCY_N, padrão 300
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { randomUUID } = require('crypto');
+const { PWD, cnpjFor, startApi } = require('./helpers');
+const { repository, COLLECTIONS, DB_DIR } = require('../src/repositories');
+const requestContext = require('../src/services/requestContext');
+
+const N = Number.parseInt(process.env.CONCURRENCY_N, 10) || 300;
+// cadastros repetidos disparados ao mesmo tempo (usuário faz bcrypt, é mais lento)
+const DUPLICATES = Math.min(N, 30);
+
+const parallel = (n, fn) => Promise.all(Array.from({ length: n }, (_, i) => fn(i)));
+const countStatus = (results, status) => results.filter(r => r.status === status).length;
+
+// os inserts diretos não passam pela auditoria
+test('repositório: inserts e incrementos em paralelo', () => requestContext.withoutAudit(async () => {
+    for (const name of COLLECTIONS) {
+        const repo = repository(name);
+        await parallel(N, i => repo.insert({ id: randomUUID(), seq: i }));
+        assert.equal((await repo.all()).length, N, `${name}: inserts perdidos`);
+    }
+
+    const products = repository('product');
+    const id = randomUUID();
+    await products.insert({ id, reserved_quantity: 0 });
+    await parallel(N, () => products.update(id, p => ({ reserved_quantity: p.reserved_quantity + 1 })));
+    assert.equal((await products.findById(id)).reserved_quantity, N, 'incrementos perdidos');
+
+    // a API começa com o banco vazio (o primeiro usuário vira admin)
+    for (const file of fs.readdirSync(DB_DIR)) fs.rmSync(path.join(DB_DIR, file));
+}));
+
+test('API: cadastros e pedidos em paralelo', async t => {
+    const api = await startApi();
+    const call = (method, url, body) => api.call(method, url, { token: api.admin, body });
+    const total = async url => (await call('GET', `${url}?limit=1`)).body.total;
+
+    // N cadastros em paralelo por recurso: nenhum pode se perder
+    async function createMany(url, body) {
+        const results = await parallel(N, i => call('POST', url, body(i)));
+        assert.equal(countStatus(results, 201), N, `POST ${url}: criados`);
+        assert.equal(await total(url), N, `POST ${url}: gravados`);
+        return results.map(r => r.body);
+    }
+
+    try {
+        let supplierId;
+        let stores;
+        await t.test('POST /supplier', async () => {
+            const suppliers = await createMany('/supplier', i => ({
+                supplier_name: `Fornecedor ${i}`, cnpj: cnpjFor(10000 + i), contact_email: `f${i}@teste.local`
+            }));
+            supplierId = suppliers[0].id;
+        });
+        await t.test('POST /store', async () => {
+            stores = await createMany('/store', i => ({
+                store_name: `Loja ${i}`, cnpj: cnpjFor(20000 + i), contact_email: `l${i}@teste.local`
+            }));
+        });
+        await t.test('POST /product', async () => {
+            await createMany('/product', i => ({ name: `Produto ${i}`, price: 10, stock_quantity: 100, supplier_id: supplierId }));
+        });
+        await t.test('POST /campaing', async () => {
+            const now = Date.now();
+            await createMany('/campaing', i => ({
+                name: `Campanha ${i}`, supplier_id: supplierId, discount_percentage: 5,
+                start_date: new Date(now - 86400000).toISOString(), end_date: new Date(now + 86400000).toISOString()
+            }));
+        });
+
+        await t.test('POST /order não reserva além do estoque', async () => {
+            // N pedidos de 1 unidade contra estoque de N/2: só metade reserva
+            const stock = Math.floor(N / 2);
+            const limited = await api.create('/product', { name: 'Estoque limitado', price: 10, stock_quantity: stock, supplier_id: supplierId });
+            const orders = await parallel(N, i => call('POST', '/order', {
+                store_id: stores[i % stores.length].id, item: [{ product_id: limited.id, quantity: 1 }]
+            }));
+            assert.equal(countStatus(orders, 201), stock);
+            assert.equal(orders.filter(r => r.status === 409 && r.body.code === 'insufficient_stock').length, N - stock);
+            assert.equal(await total('/order'), stock);
+            assert.equal((await call('GET', `/product/${limited.id}`)).body.reserved_quantity, stock);
+        });
+
+        // cadastros repetidos ao mesmo tempo: só um passa, os outros são 409
+        async function onlyOne(url, body) {
+            const results = await parallel(DUPLICATES, i => call('POST', url, body(i)));
+            assert.equal(countStatus(results, 201), 1, `POST ${url}: criados`);
+            assert.equal(countStatus(results, 409), DUPLICATES - 1, `POST ${url}: recusados`);
+        }
+        await t.test('POST /users com o mesmo e-mail', async () => {
+            await onlyOne('/users', i => ({ name: `Usuário ${i}`, contact_email: 'repetido@teste.local', user: `usuario${i}`, pwd: PWD, level: 'admin' }));
+            assert.equal(await total('/users'), 2);
+        });
+        await t.test('POST /store com o mesmo CNPJ', async () => {
+            const cnpj = cnpjFor(30000);
+            await onlyOne('/store', i => ({ store_name: `Loja repetida ${i}`, cnpj, contact_email: `r${i}@teste.local` }));
+        });
+        await t.test('POST /supplier com o mesmo CNPJ', async () => {
+            const cnpj = cnpjFor(40000);
+            await onlyOne('/supplier', i => ({ supplier_name: `Fornecedor repetido ${i}`, cnpj, contact_email: `s${i}@teste.local` }));
+        });
+
+        // nenhum temporário da escrita atômica pode sobrar
+        assert.deepEqual(fs.readdirSync(DB_DIR).filter(f => f.endsWith('.tmp')), []);
+    } finally {
+        api.close();
+    }
+});
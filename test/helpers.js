@@ -0,0 +1,87 @@
+// Apoio dos testes da API: sobe o app numa porta livre com o banco numa
+// pasta temporária. O node --test roda cada arquivo num processo, então
+// cada arquivo de teste tem o seu banco.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+
+// o repositório lê DB_DIR ao carregar, então a pasta precisa existir antes
+process.env.DB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'centralcompras-test-'));
+const app = require('../src/index');
+const cnpj = require('../src/services/cnpj');
+
+const PWD = 'Teste!12345678';
+
+// CNPJ válido a partir de um número (raiz de 8 dígitos, filial 0001)
+function cnpjFor(seed) {
+    const base = `${String(seed).padStart(8, '0')}0001`;
+    for (let d = 0; d < 100; d++) {
+        const candidate = base + String(d).padStart(2, '0');
+        if (cnpj.isValid(candidate)) return candidate;
+    }
+    throw new Error(`Sem CNPJ válido para ${seed}`);
+}
+
+// problem+json com o status e o code esperados
+function assertProblem(res, status, code) {
+    assert.equal(res.status, status, JSON.stringify(res.body));
+    assert.match(res.type, /^application\/problem\+json/);
+    assert.equal(res.body.status, status);
+    assert.equal(res.body.code, code);
+    assert.equal(typeof res.body.detail, 'string');
+}
+
+/**
+ * Sobe a API e cadastra o admin (primeiro usuário). Devolve { call, login,
+ * create, close, admin }: call faz a requisição e lê o JSON; create faz o
+ * POST como admin e exige 201; admin é o access_token do admin.
+ */
+async function startApi() {
+    const server = app.listen(0);
+    await once(server, 'listening');
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    async function call(method, url, { token, body, lang, raw, contentType = 'application/json' } = {}) {
+        const headers = { 'content-type': contentType };
+        if (token) headers.authorization = `Bearer ${token}`;
+        if (lang) headers['accept-language'] = lang;
+        const payload = raw !== undefined ? raw : body === undefined ? undefined : JSON.stringify(body);
+        const res = await fetch(base + url, { method, headers, body: payload });
+        const text = await res.text();
+        const type = res.headers.get('content-type');
+        return {
+            status: res.status,
+            type,
+            language: res.headers.get('content-language'),
+            headers: res.headers,
+            body: text && /json/.test(type || '') ? JSON.parse(text) : text || null
+        };
+    }
+
+    async function login(user, pwd = PWD) {
+        const res = await call('POST', '/users/login', { body: { user, pwd } });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        return res.body.access_token;
+    }
+
+    const api = { call, login };
+    api.create = async function (url, body, token = api.admin) {
+        const res = await call('POST', url, { token, body });
+        assert.equal(res.status, 201, `POST ${url}: ${JSON.stringify(res.body)}`);
+        return res.body;
+    };
+    api.close = function () {
+        server.closeAllConnections();
+        server.close();
+        fs.rmSync(process.env.DB_DIR, { recursive: true, force: true });
+    };
+
+    // o primeiro usuário é criado sem login e vira admin
+    await api.create('/users', { name: 'Admin', contact_email: 'admin@teste.local', user: 'admin', pwd: PWD });
+    api.admin = await login('admin');
+    return api;
+}
+
+module.exports = { PWD, cnpjFor, assertProblem, startApi };
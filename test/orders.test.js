@@ -0,0 +1,192 @@
+// Pedidos: reserva de estoque, edição e máquina de estados.
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { assertProblem, cnpjFor, startApi } = require('./helpers');
+
+let api;
+let supplier;
+let store;
+let seq = 0;
+
+before(async () => {
+    api = await startApi();
+    supplier = await api.create('/supplier', { supplier_name: 'Fornecedor', cnpj: cnpjFor(1), contact_email: 'f@teste.local' });
+    store = await api.create('/store', { store_name: 'Loja', cnpj: cnpjFor(2), contact_email: 'l@teste.local' });
+});
+
+after(() => api.close());
+
+function product(fields = {}) {
+    seq++;
+    return api.create('/product', { name: `Produto ${seq}`, price: 10, stock_quantity: 10, supplier_id: supplier.id, ...fields });
+}
+function order(item) {
+    return api.create('/order', { store_id: store.id, item });
+}
+async function reserved(p) {
+    return (await api.call('GET', `/product/${p.id}`, { token: api.admin })).body.reserved_quantity;
+}
+function update(o, body) {
+    return api.call('PUT', `/order/${o.id}`, { token: api.admin, body });
+}
+
+// ===== edição do pedido
+test('transição recusada no PUT não mexe na reserva', async () => {
+    const p1 = await product();
+    const p2 = await product();
+    const o = await order([{ product_id: p1.id, quantity: 3 }]);
+
+    const res = await update(o, { item: [{ product_id: p2.id, quantity: 5 }], status: 'Delivered' });
+    assertProblem(res, 409, 'transition_not_allowed');
+
+    assert.equal(await reserved(p1), 3);
+    assert.equal(await reserved(p2), 0);
+    const saved = (await api.call('GET', `/order/${o.id}`, { token: api.admin })).body;
+    assert.deepEqual(saved.item.map(l => [l.product_id, l.quantity]), [[p1.id, 3]]);
+});
+
+test('data não muda (nem reprecifica) pedido expedido', async () => {
+    const p = await product();
+    const o = await order([{ product_id: p.id, quantity: 1 }]);
+    for (const status of ['Approved', 'Shipped', 'Delivered']) {
+        assert.equal((await update(o, { status })).status, 200);
+    }
+    assert.equal((await api.call('PUT', `/product/${p.id}`, { token: api.admin, body: { price: 99 } })).status, 200);
+
+    const res = await update(o, { date: '2026-01-02 10:00:00' });
+    assertProblem(res, 409, 'order_not_editable');
+    const saved = (await api.call('GET', `/order/${o.id}`, { token: api.admin })).body;
+    assert.equal(saved.total_amount, 10);
+    assert.equal(saved.date, o.date);
+});
+
+test('pedido pendente é reprecificado quando muda a data', async () => {
+    const p = await product();
+    const o = await order([{ product_id: p.id, quantity: 2 }]);
+    assert.equal((await api.call('PUT', `/product/${p.id}`, { token: api.admin, body: { price: 15 } })).status, 200);
+
+    const res = await update(o, { date: '2026-01-02 10:00:00' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total_amount, 30);
+    assert.equal(res.body.date, '2026-01-02 10:00:00');
+});
+
+test('troca de itens reserva o novo e devolve o antigo', async () => {
+    const p1 = await product();
+    const p2 = await product();
+    const o = await order([{ product_id: p1.id, quantity: 3 }]);
+
+    const res = await update(o, { item: [{ product_id: p1.id, quantity: 1 }, { product_id: p2.id, quantity: 4 }] });
+    assert.equal(res.status, 200);
+    assert.equal(await reserved(p1), 1);
+    assert.equal(await reserved(p2), 4);
+});
+
+test('troca de itens sem estoque mantém a reserva antiga', async () => {
+    const p1 = await product({ stock_quantity: 5 });
+    const p2 = await product({ stock_quantity: 2 });
+    const o = await order([{ product_id: p1.id, quantity: 4 }]);
+    // outro pedido ocupa o que sobrou de p1
+    await order([{ product_id: p1.id, quantity: 1 }]);
+
+    const res = await update(o, { item: [{ product_id: p1.id, quantity: 5 }, { product_id: p2.id, quantity: 1 }] });
+    assertProblem(res, 409, 'insufficient_stock');
+    assert.deepEqual(res.body.shortages.map(s => [s.product_id, s.requested, s.available]), [[p1.id, 5, 4]]);
+
+    assert.equal(await reserved(p1), 5);
+    assert.equal(await reserved(p2), 0);
+});
+
+// ===== reserva na criação
+test('pedido reserva o estoque de todos os itens ou de nenhum', async () => {
+    const p1 = await product();
+    const p2 = await product({ stock_quantity: 2 });
+
+    const res = await api.call('POST', '/order', {
+        token: api.admin,
+        body: { store_id: store.id, item: [{ product_id: p1.id, quantity: 4 }, { product_id: p2.id, quantity: 3 }] }
+    });
+    assertProblem(res, 409, 'insufficient_stock');
+    assert.deepEqual(res.body.shortages.map(s => [s.product_id, s.requested, s.available]), [[p2.id, 3, 2]]);
+    assert.equal(await reserved(p1), 0);
+    assert.equal(await reserved(p2), 0);
+
+    const o = await order([{ product_id: p1.id, quantity: 4 }, { product_id: p2.id, quantity: 2 }]);
+    assert.equal(o.stock_status, 'reserved');
+    assert.equal(await reserved(p1), 4);
+    assert.equal(await reserved(p2), 2);
+});
+
+// ===== máquina de estados
+function transition(o, status) {
+    return api.call('POST', `/order/${o.id}/transition`, { token: api.admin, body: { status } });
+}
+async function stockOf(p) {
+    const { stock_quantity, reserved_quantity } = (await api.call('GET', `/product/${p.id}`, { token: api.admin })).body;
+    return { stock_quantity, reserved_quantity };
+}
+
+test('expedição baixa o estoque e o histórico registra cada passo', async () => {
+    const p = await product();
+    const o = await order([{ product_id: p.id, quantity: 3 }]);
+
+    assert.equal((await transition(o, 'Approved')).status, 200);
+    const shipped = await transition(o, 'Shipped');
+    assert.equal(shipped.status, 200);
+    assert.equal(shipped.body.stock_status, 'committed');
+    assert.deepEqual(await stockOf(p), { stock_quantity: 7, reserved_quantity: 0 });
+
+    const delivered = await transition(o, 'Delivered');
+    assert.deepEqual(delivered.body.status_history.map(h => h.to), ['Pending', 'Approved', 'Shipped', 'Delivered']);
+    assert.deepEqual(await stockOf(p), { stock_quantity: 7, reserved_quantity: 0 });
+});
+
+test('cancelamento devolve a reserva', async () => {
+    const p = await product();
+    const o = await order([{ product_id: p.id, quantity: 3 }]);
+
+    const cancelled = await transition(o, 'Cancelled');
+    assert.equal(cancelled.body.stock_status, 'released');
+    assert.deepEqual(await stockOf(p), { stock_quantity: 10, reserved_quantity: 0 });
+    assertProblem(await transition(o, 'Approved'), 409, 'transition_not_allowed');
+});
+
+test('transições fora da máquina de estados são recusadas', async () => {
+    const p = await product();
+    const o = await order([{ product_id: p.id, quantity: 1 }]);
+
+    assertProblem(await transition(o, 'Shipped'), 409, 'transition_not_allowed');
+    assertProblem(await transition(o, 'Delivered'), 409, 'transition_not_allowed');
+    assert.equal((await transition(o, 'Approved')).status, 200);
+    assertProblem(await transition(o, 'Pending'), 409, 'transition_not_allowed');
+    assert.equal(await reserved(p), 1);
+});
+
+test('pedido expedido não tem os itens alterados', async () => {
+    const p = await product();
+    const o = await order([{ product_id: p.id, quantity: 1 }]);
+    await transition(o, 'Approved');
+    await transition(o, 'Shipped');
+
+    assertProblem(await update(o, { item: [{ product_id: p.id, quantity: 2 }] }), 409, 'order_not_editable');
+});
+
+// ===== remoção
+test('remover devolve a reserva e restaurar reserva de novo', async () => {
+    const p = await product({ stock_quantity: 5 });
+    const o = await order([{ product_id: p.id, quantity: 3 }]);
+
+    assert.equal((await api.call('DELETE', `/order/${o.id}`, { token: api.admin })).status, 204);
+    assert.equal(await reserved(p), 0);
+
+    // sem estoque livre a restauração é recusada
+    const other = await order([{ product_id: p.id, quantity: 4 }]);
+    assertProblem(await api.call('POST', `/order/${o.id}/restore`, { token: api.admin }), 409, 'insufficient_stock');
+    assert.equal(await reserved(p), 4);
+
+    await transition(other, 'Cancelled');
+    const restored = await api.call('POST', `/order/${o.id}/restore`, { token: api.admin });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.stock_status, 'reserved');
+    assert.equal(await reserved(p), 3);
+});
@@ -0,0 +1,113 @@
+// Produtos: estoque contra a reserva e importação por planilha.
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const { assertProblem, cnpjFor, startApi } = require('./helpers');
+const { repository } = require('../src/repositories');
+
+let api;
+let supplier;
+let store;
+let seq = 0;
+
+before(async () => {
+    api = await startApi();
+    supplier = await api.create('/supplier', { supplier_name: 'Fornecedor', cnpj: cnpjFor(1), contact_email: 'f@teste.local' });
+    store = await api.create('/store', { store_name: 'Loja', cnpj: cnpjFor(2), contact_email: 'l@teste.local' });
+});
+
+after(() => api.close());
+
+function product(fields = {}) {
+    seq++;
+    return api.create('/product', { name: `Produto ${seq}`, price: 10, stock_quantity: 10, supplier_id: supplier.id, ...fields });
+}
+function load(p) {
+    return repository('product').findById(p.id);
+}
+function importCsv(csv, query = '') {
+    return api.call('POST', `/product/import?supplier_id=${supplier.id}${query}`, { token: api.admin, raw: csv, contentType: 'text/csv' });
+}
+
+// ===== estoque x reserva
+test('PUT não baixa o estoque abaixo do reservado', async () => {
+    const p = await product();
+    await api.create('/order', { store_id: store.id, item: [{ product_id: p.id, quantity: 4 }] });
+
+    const res = await api.call('PUT', `/product/${p.id}`, { token: api.admin, body: { stock_quantity: 3 } });
+    assertProblem(res, 409, 'stock_below_reserved');
+    assert.equal((await load(p)).stock_quantity, 10);
+    assert.equal((await api.call('PUT', `/product/${p.id}`, { token: api.admin, body: { stock_quantity: 4 } })).status, 200);
+});
+
+// ===== importação
+test('importação cria e atualiza pelo nome, com cabeçalhos em português', async () => {
+    const p = await product();
+    const csv = `Produto;Preço;Estoque\n${p.name.toUpperCase()};12,50;20\nImportado novo;"1.234,56";5\n`;
+
+    const res = await importCsv(csv);
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.body.created, res.body.updated, res.body.rejected], [1, 1, 0]);
+    assert.deepEqual(res.body.rows.map(r => r.action), ['updated', 'created']);
+
+    const updated = await load(p);
+    assert.equal(updated.price, 12.5);
+    assert.equal(updated.stock_quantity, 20);
+    const created = await repository('product').findById(res.body.rows[1].id);
+    assert.equal(created.price, 1234.56);
+    assert.equal(created.supplier_id, supplier.id);
+    assert.equal(created.reserved_quantity, 0);
+});
+
+test('linhas inválidas são recusadas uma a uma, sem parar as outras', async () => {
+    const csv = 'name;price;stock_quantity\nSem estoque;10;\n;10;1\nPreço ruim;abc;1\nRepetido;10;1\nrepetido;11;1\n';
+    const res = await importCsv(csv);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rows.map(r => r.action), ['rejected', 'rejected', 'rejected', 'created', 'rejected']);
+    assert.ok(res.body.rows.filter(r => r.action === 'rejected').every(r => r.errors.length > 0));
+});
+
+test('dry_run mostra o resultado sem gravar', async () => {
+    const p = await product();
+    const before = (await repository('product').all()).length;
+
+    const res = await importCsv(`name;price;stock_quantity\n${p.name};99;1\nSó no ensaio;10;1\n`, '&dry_run=true');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, true);
+    assert.deepEqual([res.body.created, res.body.updated], [1, 1]);
+    assert.equal((await repository('product').all()).length, before);
+    assert.equal((await load(p)).price, 10);
+});
+
+test('planilha vazia volta 400; sem a coluna de nome, cada linha é recusada', async () => {
+    assertProblem(await importCsv(''), 400, 'spreadsheet_missing');
+    const res = await importCsv('preco;estoque\n10;1\n');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rows.map(r => r.action), ['rejected']);
+});
+
+test('importação não baixa o estoque abaixo do reservado', async () => {
+    const p = await product();
+    await api.create('/order', { store_id: store.id, item: [{ product_id: p.id, quantity: 4 }] });
+
+    const res = await importCsv(`name;stock_quantity\n${p.name};3\n`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rows[0].action, 'rejected');
+    assert.equal((await load(p)).stock_quantity, 10);
+});
+
+test('importação confere a reserva na gravação, não só na leitura', async t => {
+    const p = await product();
+    await api.create('/order', { store_id: store.id, item: [{ product_id: p.id, quantity: 4 }] });
+
+    // a leitura da importação ainda não vê a reserva (pedido feito no meio)
+    const products = repository('product');
+    const all = products.all;
+    t.mock.method(products, 'all', async () => (await all.call(products)).map(x => x.id === p.id ? { ...x, reserved_quantity: 0 } : x));
+
+    const res = await importCsv(`name;stock_quantity\n${p.name};3\n`);
+    t.mock.restoreAll();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rows[0].action, 'rejected');
+    assert.equal((await load(p)).stock_quantity, 10);
+    assert.equal((await load(p)).reserved_quantity, 4);
+});
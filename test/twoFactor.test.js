@@ -0,0 +1,116 @@
+// TOTP (RFC 6238) e 2FA do usuário, com o relógio fixo.
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const totp = require('../src/services/totp');
+const twoFactor = require('../src/services/twoFactor');
+
+// segredo dos vetores de teste da RFC 6238 (SHA1): "12345678901234567890"
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const NOW = 1111111109 * 1000;
+
+// ===== TOTP
+test('base32 ida e volta', () => {
+    assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(totp.base32Decode(SECRET.toLowerCase() + '====').toString(), '12345678901234567890');
+    assert.throws(() => totp.base32Decode('ABC1'));
+});
+
+test('códigos dos vetores da RFC 6238 (6 últimos dígitos)', () => {
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037'],
+        [20000000000, '353130']
+    ];
+    for (const [seconds, code] of vectors) {
+        assert.equal(totp.generate(SECRET, seconds * 1000), code, `T = ${seconds}`);
+    }
+});
+
+test('aceita um passo antes e um depois, não dois', () => {
+    const step = totp.STEP * 1000;
+    const counter = Math.floor(NOW / step);
+    assert.equal(totp.verify(SECRET, totp.generate(SECRET, NOW), { now: NOW }), counter);
+    assert.equal(totp.verify(SECRET, totp.generate(SECRET, NOW - step), { now: NOW }), counter - 1);
+    assert.equal(totp.verify(SECRET, totp.generate(SECRET, NOW + step), { now: NOW }), counter + 1);
+    assert.equal(totp.verify(SECRET, totp.generate(SECRET, NOW - 2 * step), { now: NOW }), null);
+    assert.equal(totp.verify(SECRET, totp.generate(SECRET, NOW + 2 * step), { now: NOW }), null);
+});
+
+test('passos até o último usado não valem de novo', () => {
+    const code = totp.generate(SECRET, NOW);
+    const counter = totp.verify(SECRET, code, { now: NOW });
+    assert.equal(totp.verify(SECRET, code, { now: NOW, after: counter }), null);
+    assert.equal(totp.verify(SECRET, totp.generate(SECRET, NOW + 30000), { now: NOW, after: counter }), counter + 1);
+});
+
+test('código mal formado não confere', () => {
+    for (const code of [undefined, '', '12345', '1234567', 'abcdef']) {
+        assert.equal(totp.verify(SECRET, code, { now: NOW }), null);
+    }
+    assert.notEqual(totp.verify(SECRET, ` ${totp.generate(SECRET, NOW).replace(/(\d{3})/, '$1 ')}`, { now: NOW }), null);
+});
+
+test('URI do app autenticador', () => {
+    const uri = new URL(totp.otpauthUri({ secret: SECRET, account: 'maria', issuer: 'CentralCompras' }));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/CentralCompras:maria');
+    assert.equal(uri.searchParams.get('secret'), SECRET);
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+});
+
+// ===== 2FA do usuário
+function enabledUser() {
+    const user = { id: 'u1', user: 'maria' };
+    const { changes } = twoFactor.setup(user);
+    Object.assign(user, changes);
+    const confirmed = twoFactor.confirm(user, totp.generate(user.totp_secret, NOW), NOW);
+    Object.assign(user, confirmed.changes);
+    return { user, recoveryCodes: confirmed.recovery_codes };
+}
+
+test('setup só liga o 2FA depois de confirmado', () => {
+    const user = { id: 'u1', user: 'maria' };
+    const { secret, otpauth_uri, changes } = twoFactor.setup(user);
+    assert.equal(changes.totp_enabled, false);
+    assert.match(otpauth_uri, new RegExp(`secret=${secret}`));
+
+    Object.assign(user, changes);
+    assert.equal(twoFactor.confirm(user, '000000', NOW), null);
+    const confirmed = twoFactor.confirm(user, totp.generate(secret, NOW), NOW);
+    assert.equal(confirmed.changes.totp_enabled, true);
+    assert.equal(confirmed.recovery_codes.length, twoFactor.RECOVERY_COUNT);
+    // só os hashes ficam gravados
+    assert.ok(confirmed.recovery_codes.every(c => !confirmed.changes.recovery_codes.includes(c)));
+});
+
+test('o código usado na confirmação não vale para o login', () => {
+    const { user } = enabledUser();
+    assert.equal(twoFactor.check(user, { code: totp.generate(user.totp_secret, NOW) }, NOW), null);
+
+    const next = twoFactor.check(user, { code: totp.generate(user.totp_secret, NOW + 30000) }, NOW + 30000);
+    assert.deepEqual(next, { totp_last_counter: user.totp_last_counter + 1 });
+});
+
+test('código de recuperação vale uma vez, em qualquer formatação', () => {
+    const { user, recoveryCodes } = enabledUser();
+    const [first] = recoveryCodes;
+
+    const used = twoFactor.check(user, { recovery_code: ` ${first.toUpperCase().replace('-', '')} ` }, NOW);
+    assert.equal(used.recovery_codes.length, twoFactor.RECOVERY_COUNT - 1);
+    Object.assign(user, used);
+
+    assert.equal(twoFactor.check(user, { recovery_code: first }, NOW), null);
+    assert.notEqual(twoFactor.check(user, { recovery_code: recoveryCodes[1] }, NOW), null);
+});
+
+test('disable apaga segredo e códigos', () => {
+    const { user } = enabledUser();
+    Object.assign(user, twoFactor.disable());
+    assert.equal(user.totp_enabled, false);
+    assert.equal(twoFactor.check(user, { code: totp.generate(SECRET, NOW) }, NOW), null);
+});
@@ -0,0 +1,159 @@
+// Usuários: login, 2FA, bloqueio por tentativas e redefinição de senha.
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const bcrypt = require('bcryptjs');
+const { PWD, assertProblem, startApi } = require('./helpers');
+const totp = require('../src/services/totp');
+const loginLockout = require('../src/services/loginLockout');
+const passwordReset = require('../src/services/passwordReset');
+
+let api;
+let seq = 0;
+
+before(async () => {
+    api = await startApi();
+});
+
+after(() => api.close());
+
+async function newUser(fields = {}) {
+    seq++;
+    const user = `usuario${seq}`;
+    const created = await api.create('/users', { name: `Usuário ${seq}`, contact_email: `${user}@teste.local`, user, pwd: PWD, level: 'user', ...fields });
+    return { ...created, token: await api.login(user) };
+}
+
+// liga o 2FA do usuário; a confirmação usa o passo atual
+async function enableTwoFactor(u) {
+    const setup = await api.call('POST', `/users/${u.id}/2fa/setup`, { token: u.token });
+    assert.equal(setup.status, 200);
+    const verify = await api.call('POST', `/users/${u.id}/2fa/verify`, { token: u.token, body: { code: totp.generate(setup.body.secret) } });
+    assert.equal(verify.status, 200);
+    return { secret: setup.body.secret, recoveryCodes: verify.body.recovery_codes };
+}
+
+async function challenge(u) {
+    const res = await api.call('POST', '/users/login', { body: { user: u.user, pwd: PWD } });
+    assert.equal(res.body.two_factor_required, true);
+    return res.body.challenge_token;
+}
+
+// ===== login
+test('login inexistente ou desativado confere a senha como um login real', async t => {
+    const off = await newUser();
+    assert.equal((await api.call('PUT', `/users/${off.id}`, { token: api.admin, body: { status: 'off' } })).status, 200);
+
+    const compare = t.mock.method(bcrypt, 'compare');
+    for (const user of ['nao-existe', off.user]) {
+        assertProblem(await api.call('POST', '/users/login', { body: { user, pwd: PWD } }), 401, 'invalid_credentials');
+    }
+    assert.equal(compare.mock.callCount(), 2);
+});
+
+function wrongLogin(u) {
+    return api.call('POST', '/users/login', { body: { user: u.user, pwd: 'Errada!123456' } });
+}
+
+// ===== bloqueio por tentativas
+test('senhas erradas seguidas bloqueiam a conta, inclusive para a senha certa', async () => {
+    const u = await newUser();
+    for (let i = 1; i < loginLockout.MAX_ATTEMPTS; i++) {
+        assertProblem(await wrongLogin(u), 401, 'invalid_credentials');
+    }
+    const locked = await wrongLogin(u);
+    assertProblem(locked, 423, 'account_locked');
+    assert.ok(Date.parse(locked.body.locked_until) > Date.now());
+
+    const right = await api.call('POST', '/users/login', { body: { user: u.user, pwd: PWD } });
+    assertProblem(right, 423, 'account_locked');
+});
+
+test('login certo zera a contagem de erros', async () => {
+    const u = await newUser();
+    for (let i = 1; i < loginLockout.MAX_ATTEMPTS; i++) await wrongLogin(u);
+    await api.login(u.user);
+    for (let i = 1; i < loginLockout.MAX_ATTEMPTS; i++) {
+        assertProblem(await wrongLogin(u), 401, 'invalid_credentials');
+    }
+});
+
+// ===== redefinição de senha
+async function forgot(t, u) {
+    const issue = t.mock.method(passwordReset, 'issue');
+    const res = await api.call('POST', '/users/password/forgot', { body: { contact_email: u.contact_email.toUpperCase() } });
+    assert.equal(res.status, 204);
+    assert.equal(issue.mock.callCount(), 1);
+    return (await issue.mock.calls[0].result).token;
+}
+function reset(token, pwd) {
+    return api.call('POST', '/users/password/reset', { body: { token, pwd } });
+}
+
+test('e-mail desconhecido também recebe 204', async t => {
+    const issue = t.mock.method(passwordReset, 'issue');
+    const res = await api.call('POST', '/users/password/forgot', { body: { contact_email: 'ninguem@teste.local' } });
+    assert.equal(res.status, 204);
+    assert.equal(issue.mock.callCount(), 0);
+});
+
+test('redefinição troca a senha, desbloqueia e derruba as sessões', async t => {
+    const u = await newUser();
+    for (let i = 0; i < loginLockout.MAX_ATTEMPTS; i++) await wrongLogin(u);
+    const token = await forgot(t, u);
+
+    // senha fora da política não gasta o token
+    assertProblem(await reset(token, '123'), 400, 'weak_password');
+    assert.equal((await reset(token, 'Nova!Senha12345')).status, 204);
+
+    assertProblem(await api.call('GET', `/users/${u.id}`, { token: u.token }), 401, 'unauthenticated');
+    assertProblem(await api.call('POST', '/users/login', { body: { user: u.user, pwd: PWD } }), 401, 'invalid_credentials');
+    assert.ok(await api.login(u.user, 'Nova!Senha12345'));
+});
+
+test('token de redefinição vale uma vez e só o último pedido', async t => {
+    const u = await newUser();
+    const first = await forgot(t, u);
+    t.mock.restoreAll();
+    const second = await forgot(t, u);
+
+    assertProblem(await reset(first, 'Nova!Senha12345'), 400, 'invalid_reset_token');
+    assert.equal((await reset(second, 'Nova!Senha12345')).status, 204);
+    assertProblem(await reset(second, 'Outra!Senha12345'), 400, 'invalid_reset_token');
+    assertProblem(await reset('nao.existe', 'Outra!Senha12345'), 400, 'invalid_reset_token');
+});
+
+// ===== 2FA
+test('login com 2FA exige o código do passo seguinte ao usado', async () => {
+    const u = await newUser();
+    const { secret } = await enableTwoFactor(u);
+    const challenge_token = await challenge(u);
+
+    // o código da confirmação já foi usado
+    assertProblem(await api.call('POST', '/users/login/2fa', { body: { challenge_token, code: totp.generate(secret) } }), 401, 'invalid_two_factor_code');
+    const res = await api.call('POST', '/users/login/2fa', { body: { challenge_token, code: totp.generate(secret, Date.now() + 30000) } });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.access_token);
+});
+
+test('o mesmo código em logins simultâneos só vale uma vez', async () => {
+    const u = await newUser();
+    const { secret } = await enableTwoFactor(u);
+    const challenge_token = await challenge(u);
+    const code = totp.generate(secret, Date.now() + 30000);
+
+    const results = await Promise.all(Array.from({ length: 5 }, () =>
+        api.call('POST', '/users/login/2fa', { body: { challenge_token, code } })));
+    assert.equal(results.filter(r => r.status === 200).length, 1);
+    assert.equal(results.filter(r => r.status === 401).length, 4);
+});
+
+test('código de recuperação entra uma vez só', async () => {
+    const u = await newUser();
+    const { recoveryCodes } = await enableTwoFactor(u);
+    const challenge_token = await challenge(u);
+
+    const first = await api.call('POST', '/users/login/2fa', { body: { challenge_token, recovery_code: recoveryCodes[0] } });
+    assert.equal(first.status, 200);
+    const again = await api.call('POST', '/users/login/2fa', { body: { challenge_token, recovery_code: recoveryCodes[0] } });
+    assertProblem(again, 401, 'invalid_two_factor_code');
+});